@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+// The extract2md command: converts PDFs to Markdown, or to the document tree as JSON, with the Node
+// entry point of the library. Run `extract2md --help` for the options.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import Extract2MDConverter from '../src/node.js';
+
+const MODES = {
+  quick: 'quickConvert',
+  ocr: 'highAccuracyConvert',
+  smart: 'smartConvert',
+};
+
+const USAGE = `Usage: extract2md [options] <file|directory|glob>...
+
+Converts PDFs to Markdown. Directories are searched for PDFs recursively, and quoted globs
+("docs/**/*.pdf") are expanded; a backslash makes *, ?, [ or { match itself.
+
+Options:
+  -m, --mode <mode>         quick (text layer, default), ocr (Tesseract OCR of every page)
+                            or smart (OCR only for pages without a usable text layer)
+  -l, --language <lang>     OCR language, e.g. eng or eng+sin (default: eng)
+  -p, --pages <range>       Pages to convert, e.g. 1-5,9,12-
+  -o, --output <dir>        Directory for the output files (default: next to each PDF)
+      --json                Write the document tree (blocks with pages and bounding boxes) as JSON
+  -c, --concurrency <n>     Number of PDFs converted at the same time (default: 1)
+  -q, --quiet               Only print results and the summary, not progress
+  -h, --help                Show this help
+  -v, --version             Show the version`;
+
+// The options, or an error to print with the usage.
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      mode: { type: 'string', short: 'm', default: 'quick' },
+      language: { type: 'string', short: 'l' },
+      pages: { type: 'string', short: 'p' },
+      output: { type: 'string', short: 'o' },
+      json: { type: 'boolean', default: false },
+      concurrency: { type: 'string', short: 'c', default: '1' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      version: { type: 'boolean', short: 'v', default: false },
+    },
+  });
+  if (values.help || values.version) return { ...values, inputs: positionals };
+
+  if (!MODES[values.mode]) throw new Error(`Unknown mode "${values.mode}"; use quick, ocr or smart.`);
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error(`--concurrency must be a positive whole number, not "${values.concurrency}".`);
+  if (positionals.length === 0) throw new Error('No input files given.');
+  return { ...values, concurrency, inputs: positionals };
+}
+
+// Glob patterns: * and ? within a path segment, ** across segments, {a,b} alternatives and [abc] classes.
+// Outside Windows, where it separates paths, a backslash makes the next character match itself.
+const GLOB_CHARS_REGEX = /[*?[{]/;
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) { source += '\\{'; continue; }
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')).join('|')})`;
+      i = end;
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) { source += '\\['; continue; }
+      source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|\\\]}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+async function walkFiles(dir) {
+  const files = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await walkFiles(entryPath));
+    else if (entry.isFile()) files.push(entryPath);
+  }
+  return files;
+}
+
+const isPdfPath = (file) => /\.pdf$/i.test(file);
+
+// The PDFs an argument names, each `{ file, relative }`: relative is the path the output keeps
+// under --output (the file name, or the path below a directory or the fixed part of a glob).
+async function expandInput(input) {
+  const pattern = input.split(path.sep).join('/');
+  if (!GLOB_CHARS_REGEX.test(pattern)) {
+    const stats = await fs.promises.stat(input);
+    if (!stats.isDirectory()) return [{ file: input, relative: path.basename(input) }];
+    return (await walkFiles(input)).filter(isPdfPath).sort().map(file => ({ file, relative: path.relative(input, file) }));
+  }
+
+  const segments = pattern.split('/');
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS_REGEX.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+  const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+  const files = fs.existsSync(base) ? await walkFiles(base) : [];
+  return files
+    .map(file => ({ file, relative: path.relative(base, file) }))
+    .filter(({ relative }) => matcher.test(relative.split(path.sep).join('/')))
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+function outputPathFor({ file, relative }, options) {
+  const name = `${relative.replace(/\.pdf$/i, '')}${options.json ? '.json' : '.md'}`;
+  return options.output ? path.join(options.output, name) : path.join(path.dirname(file), path.basename(name));
+}
+
+// Converts the jobs with one converter per concurrent conversion, so each has its own OCR worker.
+async function convertAll(jobs, options, signal) {
+  const results = [];
+  let next = 0;
+  const method = MODES[options.mode];
+  const runWorker = async () => {
+    let current = null;
+    const converter = new Extract2MDConverter({
+      ...(options.language ? { tesseractLanguage: options.language } : {}),
+      progressCallback: (report) => {
+        if (!options.quiet && current) console.error(`[${current.label}] ${report.message}`);
+      },
+    });
+    try {
+      while (next < jobs.length && !signal.aborted) {
+        const job = jobs[next++];
+        current = job;
+        const started = Date.now();
+        try {
+          const result = await converter[method](job.file, { pages: options.pages, includeDocument: options.json, signal });
+          const text = options.json ? JSON.stringify(result.document, null, 2) : result;
+          await fs.promises.mkdir(path.dirname(job.output), { recursive: true });
+          await fs.promises.writeFile(job.output, `${text}\n`);
+          console.log(`Converted ${job.file} -> ${job.output} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+          results.push({ job, error: null });
+        } catch (error) {
+          console.error(`Failed ${job.file}: ${error.message}`);
+          results.push({ job, error });
+        }
+      }
+    } finally {
+      current = null;
+      await converter.dispose();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, jobs.length) }, runWorker));
+  return results;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`extract2md: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (options.version) {
+    const { version } = JSON.parse(await fs.promises.readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    console.log(version);
+    return 0;
+  }
+
+  // Inputs that match nothing fail like a PDF that cannot be converted; outputs must not collide.
+  const failures = [];
+  const jobs = [];
+  const outputs = new Map();
+  const seen = new Set();
+  for (const input of options.inputs) {
+    let matches;
+    try {
+      matches = await expandInput(input);
+    } catch (error) {
+      failures.push({ file: input, message: error.code === 'ENOENT' ? 'No such file or directory.' : error.message });
+      continue;
+    }
+    if (matches.length === 0) failures.push({ file: input, message: 'No PDFs match.' });
+    for (const match of matches) {
+      const resolved = path.resolve(match.file);
+      if (seen.has(resolved)) continue;
+      seen.add(resolved);
+      const output = outputPathFor(match, options);
+      const other = outputs.get(path.resolve(output));
+      if (other) {
+        failures.push({ file: match.file, message: `Its output ${output} is already written for ${other}.` });
+        continue;
+      }
+      outputs.set(path.resolve(output), match.file);
+      jobs.push({ file: match.file, label: path.basename(match.file), output });
+    }
+  }
+
+  // Ctrl+C cancels the running conversions; the summary still lists what was done.
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.error('Cancelling...');
+    controller.abort();
+  };
+  process.once('SIGINT', onInterrupt);
+  const results = await convertAll(jobs, options, controller.signal);
+  process.removeListener('SIGINT', onInterrupt);
+
+  for (const { job, error } of results) {
+    if (error) failures.push({ file: job.file, message: error.code ? `${error.code}: ${error.message}` : error.message });
+  }
+  const converted = results.filter(result => !result.error).length;
+  const skipped = jobs.length - results.length;
+  console.error(`\n${converted} of ${jobs.length} PDF${jobs.length === 1 ? '' : 's'} converted${skipped > 0 ? `, ${skipped} not started` : ''}.`);
+  if (failures.length > 0) {
+    console.error(`${failures.length} failed:`);
+    failures.forEach(({ file, message }) => console.error(`  ${file}: ${message}`));
+  }
+  return failures.length > 0 || skipped > 0 ? 1 : 0;
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    console.error(`extract2md: ${error.stack || error.message}`);
+    process.exitCode = 1;
+  }
+);
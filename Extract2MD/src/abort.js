@@ -0,0 +1,40 @@
+/**
+ * abort.js
+ * Helpers for threading an optional AbortSignal through the conversion pipeline.
+ */
+
+import { AbortError } from './errors.js';
+
+// The AbortError to reject with for an aborted signal; the abort reason becomes its cause.
+export const abortErrorFor = (signal) => new AbortError(undefined, signal.reason !== undefined ? { cause: signal.reason } : undefined);
+
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw abortErrorFor(signal);
+}
+
+// Calls callback once when the signal aborts (right away if it already has).
+// Returns a function that removes the listener.
+export function onAbort(signal, callback) {
+    if (!signal) return () => {};
+    if (signal.aborted) {
+        callback();
+        return () => {};
+    }
+    signal.addEventListener('abort', callback, { once: true });
+    return () => signal.removeEventListener('abort', callback);
+}
+
+// Settles like the promise, or rejects with an AbortError as soon as the signal aborts.
+// Used for work that cannot be interrupted itself, such as a Tesseract job on a terminated worker.
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    const task = Promise.resolve(promise);
+    task.catch(() => {}); // A rejection after the abort has nobody left to report to
+    return new Promise((resolve, reject) => {
+        const removeListener = onAbort(signal, () => reject(abortErrorFor(signal)));
+        task.then(
+            value => { removeListener(); resolve(value); },
+            err => { removeListener(); reject(err); }
+        );
+    });
+}
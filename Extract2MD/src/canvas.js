@@ -0,0 +1,110 @@
+/**
+ * canvas.js
+ * Canvas factories for rendering pages and cropping figures, so the converter is not tied to the
+ * DOM: `<canvas>` elements in a page, OffscreenCanvas in Web Workers, and node-canvas or
+ * @napi-rs/canvas under Node. A factory is `{ create(width, height), toBlob(canvas, type, quality),
+ * toImage(canvas) }`; toImage gives what Tesseract.js recognizes on the platform. Also the pdf.js
+ * options for rendering in a Web Worker.
+ */
+
+// The browser's Blob encoders: HTMLCanvasElement.toBlob() or OffscreenCanvas.convertToBlob().
+function browserCanvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type, quality });
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode the image as ${type}.`))), type, quality);
+    });
+}
+
+export const domCanvasFactory = {
+    create(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+    toBlob: browserCanvasToBlob,
+    toImage: (canvas) => canvas
+};
+
+export const offscreenCanvasFactory = {
+    create: (width, height) => new OffscreenCanvas(width, height),
+    toBlob: browserCanvasToBlob,
+    toImage: (canvas) => canvas
+};
+
+// A factory for a Node canvas module: @napi-rs/canvas (which pdf.js uses itself) or node-canvas.
+// `loadModule` is called on first use, so the module is only needed once pages are rendered.
+export function createNodeCanvasFactory(loadModule) {
+    let canvasModule = null;
+    const encode = async (canvas, type, quality) => {
+        // @napi-rs/canvas encodes asynchronously with a 0-100 quality; node-canvas takes 0-1 in toBuffer()
+        if (typeof canvas.encode === 'function') return canvas.encode(type.replace(/^image\//, ''), Math.round(quality * 100));
+        return canvas.toBuffer(type, type === 'image/jpeg' ? { quality } : undefined);
+    };
+    return {
+        create(width, height) {
+            if (!canvasModule) canvasModule = loadModule();
+            return canvasModule.createCanvas(width, height);
+        },
+        toBlob: async (canvas, type, quality = 0.92) => new Blob([await encode(canvas, type, quality)], { type }),
+        // Tesseract.js reads images from Buffers under Node
+        toImage: (canvas) => encode(canvas, 'image/png', 1)
+    };
+}
+
+// pdf.js draws patterns, masks and the like on canvases of its own, which it makes with DOM
+// canvases unless given a factory; in a Web Worker they are OffscreenCanvases.
+class OffscreenPdfJsCanvasFactory {
+    constructor({ enableHWA = false } = {}) {
+        this.enableHWA = enableHWA;
+    }
+
+    create(width, height) {
+        if (width <= 0 || height <= 0) throw new Error('Invalid canvas size');
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d', { willReadFrequently: !this.enableHWA }) };
+    }
+
+    reset(canvasAndContext, width, height) {
+        if (!canvasAndContext.canvas) throw new Error('Canvas is not specified');
+        if (width <= 0 || height <= 0) throw new Error('Invalid canvas size');
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        if (!canvasAndContext.canvas) throw new Error('Canvas is not specified');
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+// pdf.js's SVG filters (transfer functions, high contrast mode) live in the document; without one
+// they are left out, as pdf.js does under Node.
+class NoFilterFactory {
+    addFilter() { return 'none'; }
+    addHCMFilter() { return 'none'; }
+    addAlphaFilter() { return 'none'; }
+    addLuminosityFilter() { return 'none'; }
+    addHighlightHCMFilter() { return 'none'; }
+    destroy() {}
+}
+
+// getDocument() parameters for running pdf.js in a Web Worker, where there is no document: canvases
+// and filters as above, and glyphs drawn as paths, since fonts cannot be loaded into a document.
+export const workerPdfJsOptions = {
+    CanvasFactory: OffscreenPdfJsCanvasFactory,
+    FilterFactory: NoFilterFactory,
+    disableFontFace: true,
+    useSystemFonts: false
+};
+
+// The factory for where the converter runs: DOM canvases when there is a document, else
+// OffscreenCanvas; null when neither exists (e.g. Node, which needs createNodeCanvasFactory()).
+export function defaultCanvasFactory() {
+    if (typeof document !== 'undefined' && typeof document.createElement === 'function') return domCanvasFactory;
+    if (typeof OffscreenCanvas !== 'undefined') return offscreenCanvasFactory;
+    return null;
+}
@@ -0,0 +1,99 @@
+/**
+ * documentModel.js
+ * The structured document tree returned alongside the Markdown string, and its serializer.
+ * A document holds pages, each page holds blocks (heading, paragraph, list, table, image, code,
+ * footnote) carrying their page number and bounding box. Bounding boxes are in PDF points with the
+ * origin at the top-left corner of the page. The document may also carry the PDF's metadata.
+ */
+
+import { renderGfmTable } from './tableDetection.js';
+import { toFrontMatter } from './metadata.js';
+
+// Returns the smallest box containing both boxes; either may be null.
+export function unionBoundingBox(a, b) {
+    if (!a) return b ? { ...b } : null;
+    if (!b) return { ...a };
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+}
+
+// Groups blocks by their page. Every page in pageNumbers is present, even when it has no blocks;
+// blocks without a page stay with the page of the block before them.
+export function createDocument(blocks, pageNumbers = []) {
+    const pages = new Map(pageNumbers.map(pageNumber => [pageNumber, { pageNumber, blocks: [] }]));
+    let currentPage = pageNumbers.length > 0 ? pageNumbers[0] : 1;
+    for (const block of blocks) {
+        if (block.page) currentPage = block.page;
+        if (!pages.has(currentPage)) pages.set(currentPage, { pageNumber: currentPage, blocks: [] });
+        pages.get(currentPage).blocks.push(block);
+    }
+    return {
+        type: 'document',
+        pages: [...pages.values()].sort((a, b) => a.pageNumber - b.pageNumber)
+    };
+}
+
+// Ordered lists numbered other than 1, 2, 3 ("(a)", "iv.") have no Markdown syntax, so their items
+// become bullets that keep the original label.
+function listToMarkdown(list, depth = 0) {
+    const start = list.start || 1;
+    return list.items.map((item, i) => {
+        const marker = !list.ordered ? '-' : item.label ? `- ${item.label}` : `${start + i}.`;
+        const lines = [`${' '.repeat(depth)}${marker} ${item.text}`];
+        if (item.children && item.children.items.length > 0) {
+            lines.push(listToMarkdown(item.children, depth + (item.label ? 2 : marker.length + 1)));
+        }
+        return lines.join('\n');
+    }).join('\n');
+}
+
+export function blockToMarkdown(block) {
+    switch (block.type) {
+        case 'heading':
+            return `${'#'.repeat(block.level)} ${block.text}`;
+        case 'paragraph':
+            return block.text;
+        case 'list':
+            return listToMarkdown(block);
+        case 'table':
+            return renderGfmTable(block).join('\n');
+        case 'image':
+            return `![${block.alt || ''}](${block.src})`;
+        case 'code':
+            return ['```' + (block.language || ''), block.text, '```'].join('\n');
+        case 'footnote':
+            return `[^${block.label}]: ${block.text}`;
+        default:
+            return '';
+    }
+}
+
+export function blocksToMarkdown(blocks) {
+    let markdown = blocks.map(blockToMarkdown).filter(text => text !== '').join('\n\n');
+    markdown = markdown.split('\n').map(line => line.trimEnd()).join('\n');
+    return markdown.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Marks the start of a page: an HTML comment, or with 'anchor' an empty anchor that links can target (#page-3).
+export function pageMarker(pageNumber, style) {
+    return style === 'anchor' ? `<a id="page-${pageNumber}"></a>` : `<!-- page ${pageNumber} -->`;
+}
+
+// Serializes a document tree back into the Markdown string the converter returns.
+// `pageMarkers` (true or 'comment', or 'anchor') puts a marker before each page's content, and
+// `frontMatter` starts the Markdown with the document's metadata as YAML front matter.
+export function documentToMarkdown(doc, { pageMarkers = false, frontMatter = false } = {}) {
+    const body = !pageMarkers
+        ? blocksToMarkdown(doc.pages.flatMap(page => page.blocks))
+        : doc.pages
+            .map(page => [pageMarker(page.pageNumber, pageMarkers), blocksToMarkdown(page.blocks)].filter(text => text !== '').join('\n\n'))
+            .join('\n\n');
+    const yaml = frontMatter && doc.metadata ? toFrontMatter(doc.metadata) : '';
+    return yaml ? `${yaml}\n\n${body}` : body;
+}
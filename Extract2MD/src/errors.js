@@ -0,0 +1,172 @@
+/**
+ * errors.js
+ * Error classes thrown by the converter, so callers can tell failures apart without matching messages.
+ * Every class extends Extract2MDError and carries a stable `code`.
+ */
+
+// pdf.js's PasswordResponses: why a password is asked for.
+export const PasswordResponses = Object.freeze({ NEED_PASSWORD: 1, INCORRECT_PASSWORD: 2 });
+
+const PDF_HEADER = '%PDF-';
+const PDF_HEADER_SEARCH_BYTES = 1024; // pdf.js, like most readers, accepts junk before the header
+const OUT_OF_MEMORY_REGEX = /out of memory|allocation failed|invalid (typed )?array length|array buffer allocation|cannot enlarge memory|Aborted\(OOM\)/i;
+const WORKER_LOAD_REGEX = /fake worker|failed to fetch dynamically imported module|importScripts|worker.*(failed|could not be|error loading)/i;
+const UNSUPPORTED_ENCRYPTION_REGEX = /crypt|security handler/i;
+
+// The base class of the converter's errors.
+export class Extract2MDError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'Extract2MDError';
+        this.code = 'EXTRACT2MD_ERROR';
+    }
+}
+
+// Thrown when a conversion or rewrite is cancelled through its AbortSignal.
+export class AbortError extends Extract2MDError {
+    constructor(message = 'The operation was aborted.', options) {
+        super(message, options);
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+    }
+}
+
+// Thrown when the LLM fails part way through a rewrite. `partialText` holds the output produced so far.
+export class LLMRewriteError extends Extract2MDError {
+    constructor(message, { partialText = '', cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'LLMRewriteError';
+        this.code = 'LLM_REWRITE_FAILED';
+        this.partialText = partialText;
+    }
+}
+
+// Thrown when a model cannot be loaded here: it is not registered, or the GPU lacks a feature it needs.
+export class ModelValidationError extends Extract2MDError {
+    constructor(message, { modelId, problems = [] } = {}) {
+        super(message);
+        this.name = 'ModelValidationError';
+        this.code = 'MODEL_VALIDATION_FAILED';
+        this.modelId = modelId;
+        this.problems = problems;
+    }
+}
+
+// Thrown by llmExtract() when the model's reply is not valid JSON or does not match the schema, and by
+// llmSummarize() when its notes do not get short enough for one prompt. `output` holds what was
+// extracted (null when nothing could be parsed), or the last notes, and `errors` the problems found.
+export class LLMOutputError extends Extract2MDError {
+    constructor(message, { output = null, errors = [], cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'LLMOutputError';
+        this.code = 'LLM_OUTPUT_INVALID';
+        this.output = output;
+        this.errors = errors;
+    }
+}
+
+// Thrown when a PDF is encrypted and cannot be opened: `code` is 'PDF_PASSWORD_REQUIRED' when no
+// password was given (or the password prompt was cancelled), 'PDF_PASSWORD_INCORRECT' when the
+// password was wrong, and 'PDF_ENCRYPTION_UNSUPPORTED' for encryption pdf.js cannot decrypt.
+export class EncryptedPDFError extends Extract2MDError {
+    constructor(message, { code = 'PDF_PASSWORD_REQUIRED', cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'EncryptedPDFError';
+        this.code = code;
+    }
+}
+
+// Thrown when the input is not a PDF file at all.
+export class NotAPDFError extends Extract2MDError {
+    constructor(message = 'The file is not a PDF.', { cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'NotAPDFError';
+        this.code = 'NOT_A_PDF';
+    }
+}
+
+// Thrown when a file looks like a PDF but is damaged or truncated so that pdf.js cannot read it.
+export class CorruptPDFError extends Extract2MDError {
+    constructor(message = 'The PDF is damaged and cannot be read.', { cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'CorruptPDFError';
+        this.code = 'PDF_CORRUPT';
+    }
+}
+
+// Thrown when pdf.js, its worker or a Tesseract worker cannot be loaded. `worker` is 'pdfjs' or 'tesseract',
+// or 'extract2md' when Extract2MDWorkerClient's own worker fails.
+export class WorkerLoadError extends Extract2MDError {
+    constructor(message, { worker, cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'WorkerLoadError';
+        this.code = 'WORKER_LOAD_FAILED';
+        this.worker = worker;
+    }
+}
+
+// Thrown when the browser runs out of memory for a buffer or canvas, e.g. for a huge page or a
+// high render scale.
+export class OutOfMemoryError extends Extract2MDError {
+    constructor(message = 'Ran out of memory while converting the PDF.', { cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'OutOfMemoryError';
+        this.code = 'OUT_OF_MEMORY';
+    }
+}
+
+// Whether the data starts like a PDF file ("%PDF-" within its first kilobyte).
+export function hasPdfHeader(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const head = bytes.subarray(0, PDF_HEADER_SEARCH_BYTES);
+    return String.fromCharCode(...head).includes(PDF_HEADER);
+}
+
+// The typed error for a failure while opening or reading a PDF: pdf.js's PasswordException,
+// InvalidPDFException and FormatError, worker load failures and memory exhaustion. `isPdf` (see
+// hasPdfHeader()) tells a damaged PDF from a file that is not one. Other errors are returned as they are.
+export function toPdfError(err, { isPdf = true } = {}) {
+    if (err instanceof Extract2MDError || !err) return err;
+    const message = String(err.message || err);
+    if (err.name === 'PasswordException') {
+        return err.code === PasswordResponses.INCORRECT_PASSWORD
+            ? new EncryptedPDFError('The password for this PDF is incorrect.', { code: 'PDF_PASSWORD_INCORRECT', cause: err })
+            : new EncryptedPDFError('This PDF is password-protected.', { code: 'PDF_PASSWORD_REQUIRED', cause: err });
+    }
+    if (err.name === 'InvalidPDFException' || err.name === 'FormatError') {
+        if (!isPdf) return new NotAPDFError(undefined, { cause: err });
+        if (UNSUPPORTED_ENCRYPTION_REGEX.test(message)) return new EncryptedPDFError(`This PDF uses encryption that cannot be decrypted: ${message}`, { code: 'PDF_ENCRYPTION_UNSUPPORTED', cause: err });
+        return new CorruptPDFError(`The PDF is damaged and cannot be read: ${message}`, { cause: err });
+    }
+    if (OUT_OF_MEMORY_REGEX.test(message)) return new OutOfMemoryError(undefined, { cause: err });
+    if (WORKER_LOAD_REGEX.test(message)) return new WorkerLoadError(`The pdf.js worker could not be loaded: ${message}`, { worker: 'pdfjs', cause: err });
+    return err;
+}
+
+const ERROR_CLASSES = { Extract2MDError, AbortError, LLMRewriteError, ModelValidationError, LLMOutputError, EncryptedPDFError, NotAPDFError, CorruptPDFError, WorkerLoadError, OutOfMemoryError };
+
+// An error as a plain object postMessage() can clone: its name, message and stack, the fields its
+// class adds (code, partialText, output, ...) and its cause, serialized the same way.
+export function serializeError(err) {
+    if (!(err instanceof Error)) return { name: 'Error', message: String(err) };
+    const { cause, ...fields } = err;
+    return {
+        ...fields,
+        name: err.name,
+        message: err.message,
+        stack: err.stack,
+        ...(cause !== undefined ? { cause: serializeError(cause) } : {})
+    };
+}
+
+// The error serializeError() described, as an instance of the same class when it is one of ours.
+export function deserializeError(data) {
+    const { name, message, stack, cause, ...fields } = data;
+    const ErrorClass = ERROR_CLASSES[name];
+    const err = ErrorClass ? new ErrorClass(message) : new Error(message);
+    Object.assign(err, fields);
+    err.name = name;
+    if (stack) err.stack = stack;
+    if (cause !== undefined) err.cause = deserializeError(cause);
+    return err;
+}
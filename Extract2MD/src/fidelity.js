@@ -0,0 +1,311 @@
+/**
+ * fidelity.js
+ * Checks an LLM's output against the text it was given. The two texts are aligned block by block
+ * (paragraphs, headings, tables) into a list of changes that a reviewer can accept or revert, and
+ * numbers, proper nouns and sentences that were dropped or invented are reported as discrepancies
+ * together with an overall fidelity score.
+ */
+
+import { splitMarkdownBlocks } from './markdownChunks.js';
+
+export const DEFAULT_SENTENCE_THRESHOLD = 0.5;
+export const DEFAULT_BLOCK_SIMILARITY = 0.3;
+// Largest number of block pairs compared when aligning the blocks between two unchanged ones;
+// past it only pairs near the diagonal are compared.
+const MAX_ALIGNMENT_CELLS = 250000;
+
+// How much each kind of discrepancy weighs in the score. Kinds with nothing to compare are left out.
+const SCORE_WEIGHTS = { number: 0.4, 'proper-noun': 0.3, sentence: 0.3 };
+
+const STOPWORDS = new Set(('the and for are but not you all any can had her was one our out has his how its may new now old see two way who did get let put say she too use that with have this will your from they been were said each which their what there would about into than them then these some could other more also such only over when where while after before being those through under very upon').split(' '));
+
+const LIST_MARKER_REGEX = /^\s*(?:[-*+]|\d+[.)]|#{1,6})\s+/gm;
+const NUMBER_REGEX = /\d+(?:[.,]\d+)*/g;
+const THOUSANDS_REGEX = /^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+const CAPITALIZED_REGEX = /^(?:\p{Lu}[\p{L}'’-]*|\p{Lu}{2,}\d*)$/u;
+
+const words = (text) => text.match(/[\p{L}\p{N}]+/gu) || [];
+const contentTokens = (text) => words(text.toLowerCase()).filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+// List markers and heading hashes are structure, not content, and may be renumbered by a rewrite.
+const stripMarkup = (text) => text.replace(LIST_MARKER_REGEX, '');
+
+function splitSentences(text) {
+    return stripMarkup(text)
+        .split(/\n+|(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence !== '');
+}
+
+// "1,000" and "1000" are the same number.
+const normalizeNumber = (number) => (THOUSANDS_REGEX.test(number) ? number.replace(/,/g, '') : number.replace(/[.,]$/, ''));
+
+// Share of the tokens of `a` that also occur in `b`.
+function containment(a, b) {
+    if (a.length === 0) return 0;
+    const other = new Set(b);
+    return a.filter(token => other.has(token)).length / a.length;
+}
+
+function dice(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared++;
+    return (2 * shared) / (a.size + b.size);
+}
+
+// Index pairs of blocks that occur exactly once on each side with the same text, in an order that
+// both sides agree on (the longest increasing run of output indices).
+function uniqueAnchors(source, output) {
+    const counts = new Map();
+    source.forEach(text => counts.set(text, (counts.get(text) || 0) + 1));
+    const outputIndex = new Map();
+    output.forEach((text, j) => {
+        if (counts.get(text) !== 1) return;
+        outputIndex.set(text, outputIndex.has(text) ? -1 : j);
+    });
+    const pairs = [];
+    source.forEach((text, i) => {
+        const j = outputIndex.get(text);
+        if (j !== undefined && j !== -1) pairs.push([i, j]);
+    });
+
+    // Patience sorting: tails[k] is the pair ending the best run of length k + 1.
+    const tails = [];
+    const previous = new Map();
+    for (const pair of pairs) {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (tails[mid][1] < pair[1]) low = mid + 1; else high = mid;
+        }
+        previous.set(pair, low > 0 ? tails[low - 1] : null);
+        tails[low] = pair;
+    }
+    const anchors = [];
+    for (let pair = tails[tails.length - 1] || null; pair; pair = previous.get(pair)) anchors.unshift(pair);
+    return anchors;
+}
+
+// Aligns the source blocks i0..i1 with the output blocks j0..j1 (ends exclusive) by dynamic programming,
+// appending the changes. When the table would exceed MAX_ALIGNMENT_CELLS, only a band around the
+// diagonal is searched, so a block can only be matched with one at a similar position in the range.
+function alignRange(ctx, i0, i1, j0, j1, changes) {
+    const { source, output, trimmedSource, trimmedOutput, similarity, minSimilarity } = ctx;
+    const n = i1 - i0;
+    const m = j1 - j0;
+    const removed = (i) => changes.push({ type: 'removed', source: source[i], output: null, similarity: 0 });
+    const added = (j) => changes.push({ type: 'added', source: null, output: output[j], similarity: 0 });
+    if (n === 0 || m === 0) {
+        for (let i = i0; i < i1; i++) removed(i);
+        for (let j = j0; j < j1; j++) added(j);
+        return;
+    }
+
+    const band = n * m <= MAX_ALIGNMENT_CELLS ? m : Math.max(Math.ceil(MAX_ALIGNMENT_CELLS / n / 2), Math.ceil(m / n) + 1);
+    const rows = [];
+    for (let i = i0; i < i1; i++) {
+        const center = j0 + Math.round(((i - i0) * m) / n);
+        const lo = Math.max(j0, center - band);
+        const hi = Math.min(j1 - 1, center + band);
+        rows.push({ lo, hi, best: new Float64Array(hi - lo + 1), matched: new Float64Array(hi - lo + 1).fill(-1) });
+    }
+    // Past the last row or column the remaining blocks are all removed or added; outside the band is unreachable.
+    const best = (i, j) => {
+        if (i === i1 || j === j1) return 0;
+        const row = rows[i - i0];
+        return j < row.lo || j > row.hi ? -Infinity : row.best[j - row.lo];
+    };
+    const matched = (i, j) => {
+        const row = rows[i - i0];
+        return j < row.lo || j > row.hi ? -1 : row.matched[j - row.lo];
+    };
+
+    for (let i = i1 - 1; i >= i0; i--) {
+        const row = rows[i - i0];
+        for (let j = row.hi; j >= row.lo; j--) {
+            let value = Math.max(best(i + 1, j), best(i, j + 1));
+            const sim = similarity(i, j);
+            if (sim >= minSimilarity && sim + best(i + 1, j + 1) >= value) {
+                value = sim + best(i + 1, j + 1);
+                row.matched[j - row.lo] = sim;
+            }
+            row.best[j - row.lo] = value;
+        }
+    }
+
+    let i = i0;
+    let j = j0;
+    while (i < i1 || j < j1) {
+        if (i < i1 && j < j1 && matched(i, j) >= 0) {
+            const type = trimmedSource[i] === trimmedOutput[j] ? 'equal' : 'modified';
+            changes.push({ type, source: source[i], output: output[j], similarity: matched(i, j) });
+            i++;
+            j++;
+        } else if (j >= j1 || (i < i1 && best(i + 1, j) >= best(i, j + 1))) {
+            removed(i++);
+        } else {
+            added(j++);
+        }
+    }
+}
+
+// Aligns source blocks with output blocks, keeping their order and maximizing the total similarity
+// of the matched pairs; pairs less similar than minSimilarity are not matched. Blocks that are
+// unchanged and unique on both sides are matched first, and only the gaps between them are aligned.
+function alignBlocks(sourceBlocks, outputBlocks, minSimilarity) {
+    const trimmedSource = sourceBlocks.map(block => block.trim());
+    const trimmedOutput = outputBlocks.map(block => block.trim());
+    const sourceSets = sourceBlocks.map(block => new Set(contentTokens(block)));
+    const outputSets = outputBlocks.map(block => new Set(contentTokens(block)));
+    const ctx = {
+        source: sourceBlocks,
+        output: outputBlocks,
+        trimmedSource,
+        trimmedOutput,
+        minSimilarity,
+        similarity: (i, j) => (trimmedSource[i] === trimmedOutput[j] ? 1 : dice(sourceSets[i], outputSets[j]))
+    };
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    for (const [anchorI, anchorJ] of uniqueAnchors(trimmedSource, trimmedOutput)) {
+        alignRange(ctx, i, anchorI, j, anchorJ, changes);
+        changes.push({ type: 'equal', source: sourceBlocks[anchorI], output: outputBlocks[anchorJ], similarity: 1 });
+        i = anchorI + 1;
+        j = anchorJ + 1;
+    }
+    alignRange(ctx, i, sourceBlocks.length, j, outputBlocks.length, changes);
+    return changes;
+}
+
+// Numbers, capitalized words and sentences of one side, each tagged with the change it belongs to.
+function collectTokens(changes, side) {
+    const numbers = [];
+    const nouns = [];
+    const sentences = [];
+    changes.forEach((change, changeIndex) => {
+        const text = change[side];
+        if (text === null) return;
+        for (const sentence of splitSentences(text)) {
+            for (const number of sentence.match(NUMBER_REGEX) || []) {
+                numbers.push({ text: normalizeNumber(number), context: sentence, changeIndex });
+            }
+            // The first word of a sentence is capitalized anyway.
+            words(sentence).slice(1).forEach(word => {
+                if (CAPITALIZED_REGEX.test(word) && !/^\d/.test(word)) nouns.push({ text: word, context: sentence, changeIndex });
+            });
+            const tokens = contentTokens(sentence);
+            if (tokens.length >= 3) sentences.push({ text: sentence, tokens, changeIndex });
+        }
+    });
+    return { numbers, nouns, sentences, allWords: new Set(changes.flatMap(change => (change[side] === null ? [] : words(change[side].toLowerCase())))) };
+}
+
+// Numbers are compared as multisets: a number that occurs twice in the source must occur twice in the output.
+function unmatchedNumbers(from, to) {
+    const remaining = new Map();
+    for (const number of to) remaining.set(number.text, (remaining.get(number.text) || 0) + 1);
+    return from.filter(number => {
+        const count = remaining.get(number.text) || 0;
+        if (count === 0) return true;
+        remaining.set(number.text, count - 1);
+        return false;
+    });
+}
+
+// A proper noun only counts as missing or added when the word appears nowhere on the other side,
+// so moving it to the start of a sentence or changing its case is not flagged.
+function unmatchedNouns(from, otherWords) {
+    const seen = new Set();
+    return from.filter(noun => {
+        const key = noun.text.toLowerCase();
+        if (otherWords.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// A sentence is matched when at least `threshold` of its content words occur in one sentence on the
+// other side. Candidates are found through the sentence's rarest words.
+function unmatchedSentences(from, to, threshold) {
+    const index = new Map();
+    to.forEach((sentence, i) => {
+        for (const token of new Set(sentence.tokens)) {
+            if (!index.has(token)) index.set(token, []);
+            index.get(token).push(i);
+        }
+    });
+    return from.filter(sentence => {
+        const rarest = [...new Set(sentence.tokens)]
+            .sort((a, b) => (index.get(a) || []).length - (index.get(b) || []).length)
+            .slice(0, 3);
+        const candidates = new Set(rarest.flatMap(token => index.get(token) || []));
+        for (const i of candidates) {
+            if (containment(sentence.tokens, to[i].tokens) >= threshold) return false;
+        }
+        return true;
+    });
+}
+
+// F1 of what was kept (recall against the source) and what was not invented (precision against the output).
+function f1(sourceCount, outputCount, missing, added) {
+    if (sourceCount === 0 && outputCount === 0) return null;
+    const recall = sourceCount === 0 ? 1 : (sourceCount - missing) / sourceCount;
+    const precision = outputCount === 0 ? 1 : (outputCount - added) / outputCount;
+    return recall + precision === 0 ? 0 : (2 * recall * precision) / (recall + precision);
+}
+
+// Compares `output` with the `source` it was produced from. Returns
+// `{ score, discrepancies, changes, metrics }`: a score from 0 to 1, the missing and added numbers,
+// proper nouns and sentences (`{ kind, change, text, context, changeIndex }`), the aligned blocks
+// (`{ type: 'equal' | 'modified' | 'removed' | 'added', source, output, similarity }`) and counts per kind.
+export function checkFidelity(source, output, { sentenceThreshold = DEFAULT_SENTENCE_THRESHOLD, blockSimilarity = DEFAULT_BLOCK_SIMILARITY } = {}) {
+    const blocksOf = (text) => splitMarkdownBlocks(text === null || text === undefined ? '' : String(text)).map(block => block.text);
+    const changes = alignBlocks(blocksOf(source), blocksOf(output), blockSimilarity);
+    const before = collectTokens(changes, 'source');
+    const after = collectTokens(changes, 'output');
+
+    const found = {
+        number: [unmatchedNumbers(before.numbers, after.numbers), unmatchedNumbers(after.numbers, before.numbers)],
+        'proper-noun': [unmatchedNouns(before.nouns, after.allWords), unmatchedNouns(after.nouns, before.allWords)],
+        sentence: [unmatchedSentences(before.sentences, after.sentences, sentenceThreshold), unmatchedSentences(after.sentences, before.sentences, sentenceThreshold)]
+    };
+    const totals = {
+        number: [before.numbers.length, after.numbers.length],
+        'proper-noun': [new Set(before.nouns.map(noun => noun.text.toLowerCase())).size, new Set(after.nouns.map(noun => noun.text.toLowerCase())).size],
+        sentence: [before.sentences.length, after.sentences.length]
+    };
+
+    const discrepancies = [];
+    const metrics = {};
+    let weightedScore = 0;
+    let totalWeight = 0;
+    for (const kind of Object.keys(SCORE_WEIGHTS)) {
+        const [missing, added] = found[kind];
+        const [sourceCount, outputCount] = totals[kind];
+        missing.forEach(item => discrepancies.push({ kind, change: 'missing', text: item.text, context: item.context || item.text, changeIndex: item.changeIndex }));
+        added.forEach(item => discrepancies.push({ kind, change: 'added', text: item.text, context: item.context || item.text, changeIndex: item.changeIndex }));
+        const kindScore = f1(sourceCount, outputCount, missing.length, added.length);
+        metrics[kind] = { source: sourceCount, output: outputCount, missing: missing.length, added: added.length, score: kindScore };
+        if (kindScore !== null) {
+            weightedScore += SCORE_WEIGHTS[kind] * kindScore;
+            totalWeight += SCORE_WEIGHTS[kind];
+        }
+    }
+    discrepancies.sort((a, b) => a.changeIndex - b.changeIndex);
+
+    return { score: totalWeight === 0 ? 1 : weightedScore / totalWeight, discrepancies, changes, metrics };
+}
+
+// Builds the final text from reviewed changes: every change is accepted (its output is kept) unless
+// its index is in `reverted`, in which case the source block is restored.
+export function applyChanges(changes, reverted = []) {
+    const revertedSet = new Set(reverted);
+    return changes
+        .map((change, i) => (revertedSet.has(i) ? change.source : change.output))
+        .filter(text => text !== null)
+        .join('\n\n');
+}
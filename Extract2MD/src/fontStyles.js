@@ -0,0 +1,91 @@
+/**
+ * fontStyles.js
+ * Font size and weight analysis for the pdf.js text layer.
+ * Resolves the real font name of each text item to detect bold and italic runs,
+ * and ranks the font sizes used in a document to map them onto Markdown heading levels.
+ */
+
+import { itemHeight, bodyFontSize } from './helpers.js';
+
+const BOLD_FONT_REGEX = /bold|black|heavy|semibold|demibold|extrabold|ultrabold/i;
+const ITALIC_FONT_REGEX = /italic|oblique|slanted/i;
+// A font size must be at least this much larger than the body size to rank as a heading.
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 200;
+const MAX_BOLD_HEADING_LENGTH = 80;
+
+// Looks up the loaded font for a text item. Fonts are only available in commonObjs once
+// the page's operator list has been requested, so this falls back to the textContent styles.
+export function resolveFontStyle(page, fontName, styles = {}) {
+    let name = '';
+    let bold = false;
+    let italic = false;
+
+    try {
+        if (page && page.commonObjs && page.commonObjs.has(fontName)) {
+            const font = page.commonObjs.get(fontName);
+            name = font.name || '';
+            bold = !!(font.bold || font.black);
+            italic = !!font.italic;
+        }
+    } catch (err) {
+        // Font not resolved yet; rely on the name heuristics below.
+    }
+
+    if (!name && styles[fontName]) name = styles[fontName].fontFamily || '';
+    return {
+        name,
+        bold: bold || BOLD_FONT_REGEX.test(name),
+        italic: italic || ITALIC_FONT_REGEX.test(name)
+    };
+}
+
+export const roundFontSize = (size) => Math.round(size * 2) / 2;
+
+// Summarises the non-blank items of a line: its largest font size and whether every item is bold.
+export function lineFontInfo(items) {
+    const visible = items.filter(item => item.str && item.str.trim() !== '');
+    if (visible.length === 0) return { fontSize: 0, bold: false, charCount: 0 };
+    return {
+        fontSize: roundFontSize(Math.max(...visible.map(itemHeight))),
+        bold: visible.every(item => item.bold),
+        charCount: visible.reduce((sum, item) => sum + item.str.trim().length, 0)
+    };
+}
+
+// Ranks the font sizes of a document. The size carrying the most characters is the body
+// size; each distinct larger size becomes a heading level, largest first, capped at six.
+// Returns a function mapping a line's font info and text to a heading level (or 0).
+export function createHeadingLeveler(lineInfos) {
+    const sizes = new Set(lineInfos.map(info => info.fontSize).filter(size => size > 0));
+    if (sizes.size === 0) return () => 0;
+    const bodySize = bodyFontSize(lineInfos);
+
+    const headingSizes = [...sizes]
+        .filter(size => size >= bodySize * HEADING_SIZE_RATIO)
+        .sort((a, b) => b - a);
+    const boldHeadingLevel = Math.min(headingSizes.length + 1, 6);
+
+    return (info, text) => {
+        const trimmed = text.trim();
+        if (!trimmed || trimmed.length > MAX_HEADING_LENGTH || /^\d+$/.test(trimmed)) return 0;
+        const rank = headingSizes.indexOf(info.fontSize);
+        if (rank !== -1) return Math.min(rank + 1, 6);
+        // Short, fully bold lines at body size read as the lowest heading level.
+        if (info.bold && info.fontSize <= bodySize && trimmed.length <= MAX_BOLD_HEADING_LENGTH && !/[.,;:!?]$/.test(trimmed)) {
+            return boldHeadingLevel;
+        }
+        return 0;
+    };
+}
+
+// Wraps a run of text in Markdown emphasis, keeping surrounding whitespace outside the markers.
+export function applyEmphasis(text, { bold = false, italic = false } = {}) {
+    if (!bold && !italic) return text;
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    let inner = match[2];
+    if (italic) inner = `_${inner}_`;
+    if (bold) inner = `**${inner}**`;
+    return `${match[1]}${inner}${match[3]}`;
+}
@@ -0,0 +1,115 @@
+/**
+ * footnotes.js
+ * Turns footnotes into Markdown footnotes. Reference marks are found while a page is read (a small,
+ * raised number right after a word, or Unicode superscript digits in OCR text); the footnote text is
+ * the small print at the bottom of the page that starts with a number referenced on that page.
+ * Footnotes are numbered through the whole document, so numbering that restarts on every page
+ * still gives unique labels.
+ */
+
+import { joinLines } from './textFlow.js';
+import { itemHeight, bodyFontSize } from './helpers.js';
+
+// Private-use characters around a reference mark until its footnote is resolved
+const REF_START = '\uE000';
+const REF_END = '\uE001';
+const REF_REGEX = /\uE000(\d{1,3})\uE001/g;
+const REF_TEXT_REGEX = /^\d{1,3}$/;
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+const SUPERSCRIPT_REF_REGEX = /(?<=[\p{L}\p{N}.,;:!?)\]"'’”])([⁰¹²³⁴⁵⁶⁷⁸⁹]{1,3})/gu;
+const DEFINITION_REGEX = /^(?:\uE000(\d{1,3})\uE001|([⁰¹²³⁴⁵⁶⁷⁸⁹]{1,3})|(\d{1,3})(?=\s*\S))\s*(.*)$/u;
+const WORD_END_REGEX = /[\p{L}\p{N}.,;:!?)\]"'’”]\s*$/u;
+
+const SMALL_PRINT_RATIO = 0.9;  // Footnote text is set smaller than this share of the body size
+const REF_SIZE_RATIO = 0.85;    // A reference mark is smaller than this share of the text before it
+const REF_RISE_RATIO = 0.2;     // ...and raised by more than this share of its height
+
+const fromSuperscript = (digits) => Number([...digits].map(digit => SUPERSCRIPT_DIGITS.indexOf(digit)).join(''));
+
+// The placeholder a reference mark is read as; extractFootnotes() replaces it with `[^n]`, or with
+// the plain number when no footnote text is found for it.
+export const markFootnoteRef = (text) => `${REF_START}${text.trim()}${REF_END}`;
+
+// Whether a pdf.js text item is a footnote reference mark: a number of at most three digits, set
+// smaller than the text item before it on the line and raised above its baseline.
+export function isFootnoteRef(item, previous) {
+    if (!previous || !REF_TEXT_REGEX.test(item.str.trim()) || !WORD_END_REGEX.test(previous.str)) return false;
+    const height = itemHeight(item);
+    const previousHeight = itemHeight(previous);
+    if (height <= 0 || previousHeight <= 0 || height >= previousHeight * REF_SIZE_RATIO) return false;
+    const rise = item.transform[5] - previous.transform[5];
+    return rise > height * REF_RISE_RATIO && rise < previousHeight;
+}
+
+const mapCells = (line, map) => ({
+    ...line,
+    cells: line.cells.map(cell => ({ ...cell, text: map(cell.text), ...(cell.markdown !== undefined ? { markdown: map(cell.markdown) } : {}) }))
+});
+
+const markSuperscripts = (text) => text.replace(SUPERSCRIPT_REF_REGEX, digits => markFootnoteRef(String(fromSuperscript(digits))));
+const resolveRefs = (text, labels) => text.replace(REF_REGEX, (mark, number) => (labels.has(number) ? `[^${labels.get(number)}]` : number));
+const lineMarkdown = (line) => line.cells.map(cell => cell.markdown || cell.text).join(' ').replace(/\s+/g, ' ').trim();
+
+function definitionStart(text) {
+    const match = text.match(DEFINITION_REGEX);
+    if (!match) return null;
+    const number = match[1] || (match[2] ? String(fromSuperscript(match[2])) : match[3]);
+    return { number, text: match[4] };
+}
+
+// The footnotes of one page: starting from its last line, the run of small-print lines, read top to
+// bottom; a line starting with a number referenced on the page opens a footnote and the lines after
+// it continue that footnote. Returns `{ number, lines, indices }` per footnote.
+function pageFootnotes(lines, bodySize) {
+    const references = new Set(lines.flatMap(line => line.cells.flatMap(cell => [...cell.text.matchAll(REF_REGEX)].map(match => match[1]))));
+    if (references.size === 0 || bodySize <= 0) return [];
+
+    const visible = lines.map((line, index) => ({ line, index })).filter(({ line }) => line.cells.length > 0);
+    const ordered = visible.every(({ line }) => line.bbox) ? [...visible].sort((a, b) => a.line.bbox.y - b.line.bbox.y) : visible;
+    let zoneStart = ordered.length;
+    while (zoneStart > 0 && ordered[zoneStart - 1].line.font && ordered[zoneStart - 1].line.font.fontSize > 0
+        && ordered[zoneStart - 1].line.font.fontSize < bodySize * SMALL_PRINT_RATIO) zoneStart--;
+
+    const footnotes = [];
+    let current = null;
+    for (const { line, index } of ordered.slice(zoneStart)) {
+        const text = lineMarkdown(line);
+        const start = definitionStart(text);
+        if (start && references.has(start.number) && !footnotes.some(footnote => footnote.number === start.number)) {
+            current = { number: start.number, lines: [start.text], indices: [index], bbox: line.bbox || null };
+            footnotes.push(current);
+        } else if (current) {
+            current.lines.push(text);
+            current.indices.push(index);
+        }
+    }
+    return footnotes;
+}
+
+// Finds the footnotes on pages of `{ pageNum, lines }` (lines of `{ cells, font, bbox }`) and removes
+// their text from the pages. Reference marks become `[^n]` when their footnote was found and plain
+// numbers otherwise (or always, with `detect: false`). Returns the pages and the footnotes as
+// `{ page, label, text, lines }`, where lines are the removed lines.
+export function extractFootnotes(pages, { detect = true } = {}) {
+    const marked = pages.map(page => ({ ...page, lines: page.lines.map(line => mapCells(line, markSuperscripts)) }));
+    const bodySize = detect ? bodyFontSize(marked.flatMap(page => page.lines.map(line => line.font))) : 0;
+    const footnotes = [];
+
+    const result = marked.map(page => {
+        const found = detect ? pageFootnotes(page.lines, bodySize) : [];
+        const labels = new Map();
+        for (const footnote of found) labels.set(footnote.number, String(footnotes.length + labels.size + 1));
+        const removed = new Set(found.flatMap(footnote => footnote.indices));
+        for (const footnote of found) {
+            footnotes.push({
+                page: page.pageNum,
+                label: labels.get(footnote.number),
+                text: resolveRefs(joinLines(footnote.lines), labels),
+                lines: footnote.indices.map(index => page.lines[index])
+            });
+        }
+        const lines = page.lines.filter((line, index) => !removed.has(index));
+        return { ...page, lines: lines.map(line => mapCells(line, text => resolveRefs(text, labels))) };
+    });
+    return { pages: result, footnotes };
+}
@@ -0,0 +1,149 @@
+/**
+ * headersFooters.js
+ * Finds the running headers, footers and page numbers that a PDF repeats on its pages, so they can be
+ * removed before the pages' lines are joined into paragraphs. A line near the top or bottom of a page
+ * is a header or footer when the same text (digits aside) sits at the same height on most pages, or
+ * when it repeats with a number that counts up with the pages ("Chapter 4: Functions   9"); a line
+ * that is only such a number is a page number.
+ */
+
+import { romanToNumber } from './helpers.js';
+
+export const DEFAULT_HEADER_FOOTER_OPTIONS = {
+    zoneLines: 3,           // Lines checked at the top and at the bottom of each page
+    minPageShare: 0.5,      // Share of the pages a header or footer must repeat on
+    positionTolerance: 8    // How far (in PDF points) a header may move between pages
+};
+
+const PAGE_NUMBER_REGEX = /^(?:page\s+)?[-–—([]?\s*(\d{1,4}|[ivxlcdm]{1,7})\s*[-–—)\]]?(?:\s*(?:of|\/)\s*\d{1,4})?$/i;
+const TRAILING_NUMBER_REGEX = /^(.*\S)\s+(\d{1,4})$/;
+const LEADING_NUMBER_REGEX = /^(\d{1,4})\s+(.*\S)$/;
+// Well-formed Roman numerals only, so words such as "mix" or "civil" are not read as numbers.
+const ROMAN_NUMERAL_REGEX = /^m{0,3}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3})$/;
+
+const lineText = (line) => line.cells.map(cell => cell.text).join(' ').replace(/\s+/g, ' ').trim();
+
+// Running headers often include the page number, a chapter number or a date, so digits are ignored.
+const normalize = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/[^\p{L}\p{N}#]+/gu, ' ').trim();
+
+// The page number a line states, as `{ value, numerals, rest }` where rest is the normalized text
+// around it ('' for a line that is only a page number); null when the line has no page number.
+function pageNumberOf(text) {
+    const match = text.match(PAGE_NUMBER_REGEX);
+    if (match) {
+        const numeral = match[1];
+        if (/^\d+$/.test(numeral)) return { value: Number(numeral), numerals: 'arabic', rest: '' };
+        const oneCase = numeral === numeral.toLowerCase() || numeral === numeral.toUpperCase();
+        if (oneCase && ROMAN_NUMERAL_REGEX.test(numeral.toLowerCase())) return { value: romanToNumber(numeral), numerals: 'roman', rest: '' };
+        return null;
+    }
+    const trailing = text.match(TRAILING_NUMBER_REGEX);
+    if (trailing) return { value: Number(trailing[2]), numerals: 'arabic', rest: normalize(trailing[1]) };
+    const leading = text.match(LEADING_NUMBER_REGEX);
+    if (leading) return { value: Number(leading[1]), numerals: 'arabic', rest: normalize(leading[2]) };
+    return null;
+}
+
+// The top and bottom lines of a page, ordered by their position when every line has a bounding box.
+function zoneCandidates(page, zoneLines) {
+    const lines = page.lines
+        .map((line, index) => ({ page: page.pageNum, index, line, text: lineText(line) }))
+        .filter(candidate => candidate.text !== '');
+    const ordered = lines.every(candidate => candidate.line.bbox) ? [...lines].sort((a, b) => a.line.bbox.y - b.line.bbox.y) : lines;
+    return [
+        ...ordered.slice(0, zoneLines).map(candidate => ({ ...candidate, zone: 'header' })),
+        ...ordered.slice(Math.max(zoneLines, ordered.length - zoneLines)).map(candidate => ({ ...candidate, zone: 'footer' }))
+    ];
+}
+
+// Splits lines into groups at the same height (within positionTolerance); lines without a bounding box
+// form a group of their own.
+function groupByPosition(members, positionTolerance) {
+    const groups = [];
+    for (const member of members) {
+        const y = member.candidate.line.bbox ? member.candidate.line.bbox.y : null;
+        let group = groups.find(other => (y === null ? other.y === null : other.y !== null && Math.abs(other.y - y) <= positionTolerance));
+        if (!group) {
+            group = { y, members: [] };
+            groups.push(group);
+        }
+        group.members.push(member);
+    }
+    return groups.map(group => group.members);
+}
+
+// Lines with a page number: numbers whose value minus the page number is the same on at least two
+// pages. A number with text around it only counts when that text also repeats, so a numbered section
+// heading that happens to match the page count is kept. Roman numerals are also ordinary words ("I")
+// or list labels, so they must sit at the same height on those pages. Returns `{ candidate, kind }` pairs.
+function findPageNumbers(candidates, { positionTolerance }) {
+    const sequences = new Map();
+    for (const candidate of candidates) {
+        const number = pageNumberOf(candidate.text);
+        if (!number) continue;
+        const key = `${candidate.zone}:${number.numerals}:${number.value - candidate.page}`;
+        if (!sequences.has(key)) sequences.set(key, []);
+        sequences.get(key).push({ candidate, rest: number.rest });
+    }
+    const found = [];
+    for (const [key, sequence] of sequences) {
+        const groups = key.includes(':roman:') ? groupByPosition(sequence, positionTolerance) : [sequence];
+        groups.forEach(members => found.push(...pageNumberLines(members)));
+    }
+    return found;
+}
+
+// The page-number lines among lines whose numbers count up with the pages.
+function pageNumberLines(members) {
+    const pagesByRest = new Map();
+    for (const { candidate, rest } of members) {
+        if (!pagesByRest.has(rest)) pagesByRest.set(rest, new Set());
+        pagesByRest.get(rest).add(candidate.page);
+    }
+    const kept = members.filter(({ rest }) => rest === '' || pagesByRest.get(rest).size >= 2);
+    if (new Set(kept.map(({ candidate }) => candidate.page)).size < 2) return [];
+    return kept.map(({ candidate, rest }) => ({ candidate, kind: rest === '' ? 'page-number' : candidate.zone }));
+}
+
+// Headers and footers: the same text at the same height in the same zone on enough pages.
+function findRepeatedLines(candidates, pageCount, { minPageShare, positionTolerance }) {
+    const groups = [];
+    for (const candidate of candidates) {
+        const key = normalize(candidate.text);
+        if (key === '') continue;
+        const y = candidate.line.bbox ? candidate.line.bbox.y : null;
+        let group = groups.find(other => other.zone === candidate.zone && other.key === key && (y === null || other.y === null || Math.abs(other.y - y) <= positionTolerance));
+        if (!group) {
+            group = { zone: candidate.zone, key, y, pages: new Set(), members: [] };
+            groups.push(group);
+        }
+        group.pages.add(candidate.page);
+        group.members.push(candidate);
+    }
+    const minPages = Math.max(2, Math.ceil(minPageShare * pageCount));
+    return groups.filter(group => group.pages.size >= minPages).flatMap(group => group.members);
+}
+
+// Removes running headers, footers and page numbers from pages of `{ pageNum, lines }` (lines of
+// `{ cells, font, bbox }`). Returns the pages without them and the removed lines as
+// `{ page, kind: 'header' | 'footer' | 'page-number', text, bbox }`.
+export function removeHeadersFooters(pages, options = {}) {
+    const settings = { ...DEFAULT_HEADER_FOOTER_OPTIONS, ...options };
+    if (pages.length < 2) return { pages, removed: [] };
+
+    const candidates = pages.flatMap(page => zoneCandidates(page, settings.zoneLines));
+    const removedByLine = new Map();
+    const mark = (candidate, kind) => {
+        const key = `${candidate.page}:${candidate.index}`;
+        if (!removedByLine.has(key)) removedByLine.set(key, { page: candidate.page, kind, text: candidate.text, bbox: candidate.line.bbox || null });
+    };
+    findPageNumbers(candidates, settings).forEach(({ candidate, kind }) => mark(candidate, kind));
+    const remaining = candidates.filter(candidate => !removedByLine.has(`${candidate.page}:${candidate.index}`));
+    findRepeatedLines(remaining, pages.length, settings).forEach(candidate => mark(candidate, candidate.zone));
+
+    if (removedByLine.size === 0) return { pages, removed: [] };
+    return {
+        pages: pages.map(page => ({ ...page, lines: page.lines.filter((line, index) => !removedByLine.has(`${page.pageNum}:${index}`)) })),
+        removed: [...removedByLine.values()].sort((a, b) => a.page - b.page || (a.bbox && b.bbox ? a.bbox.y - b.bbox.y : 0))
+    };
+}
@@ -0,0 +1,36 @@
+/**
+ * helpers.js
+ * Small helpers shared by several modules: the height of a pdf.js text item, Roman numerals,
+ * the body font size of a document and a check for plain objects.
+ */
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+// A text item's font height in PDF points: its height, or the vertical scale of its transform.
+export const itemHeight = (item) => item.height || Math.abs(item.transform[3]) || 0;
+
+// The value of a Roman numeral in either case ("iv" is 4); subtractive pairs are read as such.
+export function romanToNumber(roman) {
+    const digits = roman.toLowerCase().split('').map(char => ROMAN_VALUES[char]);
+    return digits.reduce((total, value, i) => total + (value < (digits[i + 1] || 0) ? -value : value), 0);
+}
+
+// The font size carrying the most characters among lines' font info (`{ fontSize, charCount }`,
+// see lineFontInfo()); 0 when no line has a size.
+export function bodyFontSize(fontInfos) {
+    const charsBySize = new Map();
+    for (const info of fontInfos) {
+        if (info && info.fontSize > 0) charsBySize.set(info.fontSize, (charsBySize.get(info.fontSize) || 0) + info.charCount);
+    }
+    let bodySize = 0;
+    let bodyChars = -1;
+    for (const [size, chars] of charsBySize) {
+        if (chars > bodyChars) {
+            bodySize = size;
+            bodyChars = chars;
+        }
+    }
+    return bodySize;
+}
+
+export const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -0,0 +1,139 @@
+/**
+ * imageExtraction.js
+ * Finds the figures, charts and logos on a page from the images in its pdf.js operator list,
+ * crops them out of a rendering of the page as PNG or JPEG files and places them in the document
+ * as image blocks that reference those files.
+ */
+
+import { imageTransforms } from './textLayerQuality.js';
+import { unionBoundingBox } from './documentModel.js';
+import { defaultCanvasFactory } from './canvas.js';
+
+export const DEFAULT_IMAGE_OPTIONS = {
+    format: 'png',          // 'png' or 'jpeg'
+    quality: 0.92,          // JPEG quality, 0–1
+    scale: 2,               // Render scale of the crops (2 = 144 dpi)
+    minSize: 24,            // Figures narrower or shorter than this (in PDF points) are decoration
+    maxPageCoverage: 0.9,   // Images covering more of the page than this are scans or backgrounds
+    directory: 'images'     // Folder the Markdown image references point into
+};
+
+const FORMATS = {
+    png: { mimeType: 'image/png', extension: 'png' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' }
+};
+
+const MERGE_GAP = 2; // Images this close (in PDF points) are tiles or layers of one figure
+
+// Bounding box of the unit square transformed by ctm, clipped to the page, in PDF points with
+// the origin at the top-left corner of the page.
+function imageBoundingBox(ctm, view) {
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [ctm[0] * u + ctm[2] * v + ctm[4], ctm[1] * u + ctm[3] * v + ctm[5]]);
+    const minX = Math.max(Math.min(...corners.map(corner => corner[0])), view[0]);
+    const maxX = Math.min(Math.max(...corners.map(corner => corner[0])), view[2]);
+    const minY = Math.max(Math.min(...corners.map(corner => corner[1])), view[1]);
+    const maxY = Math.min(Math.max(...corners.map(corner => corner[1])), view[3]);
+    if (maxX <= minX || maxY <= minY) return null;
+    return { x: minX - view[0], y: view[3] - maxY, width: maxX - minX, height: maxY - minY };
+}
+
+const near = (a, b, gap) => a.x <= b.x + b.width + gap && b.x <= a.x + a.width + gap && a.y <= b.y + b.height + gap && b.y <= a.y + a.height + gap;
+
+function mergeNearBoxes(boxes, gap) {
+    const merged = [];
+    for (let box of boxes) {
+        // A merged box can reach boxes it did not touch before, so keep absorbing until nothing is near.
+        for (let i = merged.length - 1; i >= 0; i--) {
+            if (near(merged[i], box, gap)) {
+                box = unionBoundingBox(merged[i], box);
+                merged.splice(i, 1);
+                i = merged.length;
+            }
+        }
+        merged.push(box);
+    }
+    return merged;
+}
+
+// The figure regions of a page: the boxes its images are painted into, with touching images merged
+// into one figure, page-sized images and small decorations left out. Sorted top to bottom.
+export function findImageRegions(operatorList, view, OPS, options = {}) {
+    const { minSize, maxPageCoverage } = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+    const pageArea = Math.abs((view[2] - view[0]) * (view[3] - view[1]));
+    const boxes = imageTransforms(operatorList, OPS)
+        .map(ctm => imageBoundingBox(ctm, view))
+        .filter(box => box && box.width * box.height <= maxPageCoverage * pageArea);
+    return mergeNearBoxes(boxes, MERGE_GAP)
+        .filter(box => box.width >= minSize && box.height >= minSize)
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+export function imageFormat(format) {
+    const entry = FORMATS[format];
+    if (!entry) throw new Error(`Unsupported image format "${format}"; use "png" or "jpeg".`);
+    return entry;
+}
+
+// Crops regions (in PDF points) out of a page rendered onto `canvas` at `scale` and encodes each one.
+// Resolves with `{ bbox, blob, width, height, mimeType }` per region; width and height are in pixels.
+// Crops are made with `canvasFactory` (see canvas.js), by default the one for the current platform.
+export async function cropRegions(canvas, regions, scale, { format = DEFAULT_IMAGE_OPTIONS.format, quality = DEFAULT_IMAGE_OPTIONS.quality, canvasFactory = defaultCanvasFactory() } = {}) {
+    const { mimeType } = imageFormat(format);
+    const crops = [];
+    for (const bbox of regions) {
+        const sx = Math.max(0, Math.floor(bbox.x * scale));
+        const sy = Math.max(0, Math.floor(bbox.y * scale));
+        const width = Math.max(1, Math.min(canvas.width - sx, Math.ceil(bbox.width * scale)));
+        const height = Math.max(1, Math.min(canvas.height - sy, Math.ceil(bbox.height * scale)));
+        const crop = canvasFactory.create(width, height);
+        crop.getContext('2d').drawImage(canvas, sx, sy, width, height, 0, 0, width, height);
+        const blob = await canvasFactory.toBlob(crop, mimeType, quality);
+        crop.width = 0; crop.height = 0;
+        crops.push({ bbox, blob, width, height, mimeType });
+    }
+    return crops;
+}
+
+const overlapsHorizontally = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width;
+
+// Where an image goes among a page's blocks in reading order: after the last block that starts above
+// it in the same column, or else before the first block of that column.
+function insertionIndex(blocks, bbox) {
+    const positioned = blocks.map((block, index) => ({ block, index })).filter(({ block }) => block.bbox);
+    const column = positioned.filter(({ block }) => overlapsHorizontally(block.bbox, bbox));
+    const candidates = column.length > 0 ? column : positioned;
+    const above = candidates.filter(({ block }) => block.bbox.y < bbox.y);
+    if (above.length > 0) return Math.max(...above.map(({ index }) => index)) + 1;
+    if (candidates.length > 0) return Math.min(...candidates.map(({ index }) => index));
+    return blocks.length;
+}
+
+// Adds the cropped figures of each page (`imagesByPage`: page number to crops) to the document as
+// image blocks and names them in reading order: `images/page-3-fig-1.png`, with the alt text
+// `Figure n` numbered through the whole document. Returns the exported images.
+export function addImagesToDocument(doc, imagesByPage, { format = DEFAULT_IMAGE_OPTIONS.format, directory = DEFAULT_IMAGE_OPTIONS.directory } = {}) {
+    const { extension } = imageFormat(format);
+    const images = [];
+    for (const page of doc.pages) {
+        const crops = imagesByPage.get(page.pageNumber) || [];
+        if (crops.length === 0) continue;
+        const cropOf = new Map();
+        for (const crop of crops) {
+            const block = { type: 'image', src: '', alt: '', page: page.pageNumber, bbox: crop.bbox };
+            cropOf.set(block, crop);
+            page.blocks.splice(insertionIndex(page.blocks, crop.bbox), 0, block);
+        }
+
+        let figureOnPage = 0;
+        for (const block of page.blocks) {
+            const crop = cropOf.get(block);
+            if (!crop) continue;
+            figureOnPage++;
+            const path = `${directory ? `${directory.replace(/\/+$/, '')}/` : ''}page-${page.pageNumber}-fig-${figureOnPage}.${extension}`;
+            block.src = path;
+            block.alt = `Figure ${images.length + 1}`;
+            images.push({ path, blob: crop.blob, mimeType: crop.mimeType, width: crop.width, height: crop.height, page: page.pageNumber, bbox: crop.bbox });
+        }
+    }
+    return images;
+}
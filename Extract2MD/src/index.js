@@ -2,24 +2,55 @@
  * Extract2MDConverter.js
  * A client-side JavaScript library to extract text from PDFs and convert it to Markdown.
  * Offers multiple extraction methods (quick via pdf.js, high accuracy via Tesseract.js OCR)
- * and an optional LLM-based rewrite feature using WebLLM.
+ * and an optional LLM-based rewrite feature using WebLLM or an OpenAI-compatible server.
  */
 
-import * as pdfjsLib from 'pdfjs-dist/build/pdf.mjs';
+import * as pdfjsLib from '#pdfjs'; // pdf.js's legacy build under Node (see package.json "imports")
 import Tesseract from 'tesseract.js';
-import { Chat as ImportedChat, CreateMLCEngine as ImportedCreateMLCEngine } from '@mlc-ai/web-llm';
-import * as webllm from '@mlc-ai/web-llm'; // Import the full module
+import { COLUMN_SEPARATOR, cellsFromTextItems, tabulateLines, isTableRow, parseTableRows } from './tableDetection.js';
+import { resolveFontStyle, lineFontInfo, createHeadingLeveler } from './fontStyles.js';
+import { columnHintForPage, detectColumnGutters, orderLinesByColumns, lineBoundingBox } from './layout.js';
+import { unionBoundingBox, createDocument, blocksToMarkdown, documentToMarkdown } from './documentModel.js';
+import { parsePageRange } from './pageRanges.js';
+import { chunkMarkdown, joinChunks, maxChunkCharsForContextWindow, DEFAULT_OVERLAP_CHARS } from './markdownChunks.js';
+import { assessTextLayer, measureImageCoverage } from './textLayerQuality.js';
+import { ocrBlocksToLines, ocrTextToLines, confidenceReport, resolveLowConfidenceMarks, DEFAULT_LOW_CONFIDENCE_THRESHOLD } from './ocrLayout.js';
+import { createOrderedQueue } from './orderedQueue.js';
+import { Extract2MDError, AbortError, LLMRewriteError, LLMOutputError, ModelValidationError, EncryptedPDFError, NotAPDFError, CorruptPDFError, WorkerLoadError, OutOfMemoryError, PasswordResponses, hasPdfHeader, toPdfError } from './errors.js';
+import { throwIfAborted, onAbort, abortable, abortErrorFor } from './abort.js';
+import { createLLMBackend, WebLLMBackend, OpenAICompatibleBackend, MockLLMBackend } from './llmBackends.js';
+import { ModelRegistry, DEFAULT_LLM_MODEL } from './modelRegistry.js';
+import { LLM_TASKS, DEFAULT_SUMMARY_WORDS, renderPrompt, parseJsonReply, mergeExtracted, withoutNulls } from './llmTasks.js';
+import { validateJsonSchema } from './jsonSchema.js';
+import { checkFidelity, applyChanges } from './fidelity.js';
+import { findImageRegions, cropRegions, addImagesToDocument, DEFAULT_IMAGE_OPTIONS } from './imageExtraction.js';
+import { createZip, createMarkdownBundle } from './zip.js';
+import { removeHeadersFooters } from './headersFooters.js';
+import { parseMarkdown, parseInline, inlineText, blockText, locateBlocks } from './markdownPreview.js';
+import { parseListItem, buildList, continuesListItem } from './listDetection.js';
+import { extractFootnotes } from './footnotes.js';
+import { joinLines } from './textFlow.js';
+import { readPageLinks, linkTextItems, headingAnchors, resolveInternalLinks } from './links.js';
+import { readOutline, applyOutline, tableOfContents } from './outline.js';
+import { readMetadata } from './metadata.js';
+import { readPdfInput } from './pdfInput.js';
+import { defaultCanvasFactory, domCanvasFactory, offscreenCanvasFactory, createNodeCanvasFactory } from './canvas.js';
+import { Extract2MDWorkerClient } from './workerClient.js';
 
 const DEFAULT_PDFJS_WORKER_SRC = '../pdf.worker.min.mjs'; // Relative to dist/assets/
 const DEFAULT_TESSERACT_WORKER_PATH = './tesseract-worker.min.js'; // Relative to dist/assets/
 const DEFAULT_TESSERACT_CORE_PATH = './tesseract-core.wasm.js';   // Relative to dist/assets/
 const DEFAULT_TESSERACT_LANG_PATH = './lang-data/';             // Relative to dist/assets/
-const DEFAULT_LLM_MODEL = 'Qwen3-0.6B-q4f16_1-MLC'; // Updated to match available WASM
-const DEFAULT_LLM_MODEL_LIB_URL = 'https://raw.githubusercontent.com/mlc-ai/binary-mlc-llm-libs/main/web-llm-models/v0_2_48/Qwen3-0.6B-q4f16_1-ctx4k_cs1k-webgpu.wasm';
+
+const MAX_SUMMARY_ROUNDS = 5; // Rounds of notes-on-notes before llmSummarize() gives up
+
+// LLM tasks take any value and treat null and undefined as empty text.
+const llmInputText = (text) => (text === null || text === undefined ? '' : String(text));
 
 class Extract2MDConverter {
     constructor(options = {}) {
         this.pdfJsWorkerSrc = options.pdfJsWorkerSrc || DEFAULT_PDFJS_WORKER_SRC;
+        this.pdfJsOptions = options.pdfJsOptions || {}; // Extra getDocument() parameters, e.g. cMapUrl or standardFontDataUrl
         const pdfjsSetupLib = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
         if (pdfjsSetupLib && pdfjsSetupLib.GlobalWorkerOptions) {
             pdfjsSetupLib.GlobalWorkerOptions.workerSrc = this.pdfJsWorkerSrc;
@@ -34,7 +65,16 @@ class Extract2MDConverter {
             ...(options.tesseractOptions || {})
         };
         this.tesseractLanguage = options.tesseractLanguage || 'eng'; // Default to English
+        this.concurrency = options.concurrency || 1; // Number of Tesseract workers OCRing pages in parallel
+        this.ocrScheduler = null;
+        this.ocrWorkers = [];
+        this.ocrWorkerKey = null;
+        this.openDocuments = new Map(); // documentId -> { loadingTask, pdfDoc }, see openDocument()
+        this.nextDocumentId = 1;
         this.splitPascalCase = options.splitPascalCase || false; 
+        // Canvases for rendering pages (see canvas.js) and a reader for file path inputs (Node)
+        this.canvasFactory = options.canvasFactory || defaultCanvasFactory();
+        this.readFile = options.readFile || null;
 
         this.defaultPostProcessRules = [
             { find: /\uFB00/g, replace: 'ff' }, 
@@ -44,10 +84,10 @@ class Extract2MDConverter {
             { find: /\uFB04/g, replace: 'ffl' }, 
             { find: /[\u2018\u2019]/g, replace: "'" }, 
             { find: /[\u201C\u201D]/g, replace: '"' }, 
-            { find: /[\u2022\u2023\u25E6\u2043\u2219\u25CF\u25CB\u2981\u2619\u2765]/g, replace: '-' }, 
+            { find: /[\u2022\u2023\u25E6\u2043\u2219\u25CF\u25CB\u2981\u2619\u2765\u25AA\u25A0\uF0B7\uF0A7]/g, replace: '-' }, 
             { find: /[\u2013\u2014]/g, replace: '-' }, 
             { find: /\u00AD/g, replace: '' }, 
-            { find: /[\s\u00A0\u2000-\u200A\u202F\u205F\u3000]+/g, replace: ' ' }, 
+            { find: /[^\S\r\n\t]+/g, replace: ' ' }, // Collapse spaces but keep line breaks and table column separators
         ];
 
         if (this.splitPascalCase) {
@@ -60,44 +100,17 @@ class Extract2MDConverter {
         this.customPostProcessRules = options.postProcessRules || [];
 
         this.llmModel = options.llmModel || DEFAULT_LLM_MODEL;
-        this.llmModelLibUrl = options.llmModelLibUrl || null; // New option for user-specified model_lib
-        this.chatModule = null;
+        // Models the WebLLM backend can load: the built-in ones plus any given in llmModels.
+        this.modelRegistry = options.modelRegistry || new ModelRegistry();
+        (options.llmModels || []).forEach(model => this.modelRegistry.register(model));
+        // WebLLM in the browser by default; see llmBackends.js for the other backends.
+        this.llmBackend = createLLMBackend(options.llmBackend, { modelLibUrl: options.llmModelLibUrl, registry: this.modelRegistry });
         this.llmInitialized = false;
         
         this.progressCallback = options.progressCallback || function(progress) { /* console.log(progress) */ };
-
-        this.WebLLMChatConstructor = null; // For fallback
-        this.WebLLMCreateEngine = null;
-        this.webllmModule = null;
-
-        // Try to get the full webllm module for modelLibURLPrefix and modelVersion
-        if (typeof webllm !== 'undefined' && webllm.CreateMLCEngine) {
-            this.webllmModule = webllm;
-            this.WebLLMCreateEngine = webllm.CreateMLCEngine;
-            this.WebLLMChatConstructor = webllm.Chat; // Also get Chat from the main module
-        } else if (typeof window !== 'undefined' && window.webLLM && typeof window.webLLM.CreateMLCEngine === 'function') {
-            this.webllmModule = window.webLLM;
-            this.WebLLMCreateEngine = window.webLLM.CreateMLCEngine;
-            this.WebLLMChatConstructor = window.webLLM.Chat;
-        } else {
-             // Fallback if full module import didn't work as expected, try individual imports
-            console.warn('Extract2MD_Debug: Full webllm module not found, relying on individual imports/globals for CreateMLCEngine/Chat.');
-            if (typeof ImportedCreateMLCEngine !== 'undefined') {
-                this.WebLLMCreateEngine = ImportedCreateMLCEngine;
-            } else if (typeof window !== 'undefined' && window.webLLM && typeof window.webLLM.CreateMLCEngine === 'function') { // Redundant but safe
-                this.WebLLMCreateEngine = window.webLLM.CreateMLCEngine;
-            }
-            // Fallback for Chat constructor
-            if (typeof ImportedChat !== 'undefined') {
-                this.WebLLMChatConstructor = ImportedChat;
-            } else if (typeof window !== 'undefined' && window.webLLM && typeof window.webLLM.Chat === 'function') { // Redundant
-                this.WebLLMChatConstructor = window.webLLM.Chat;
-            }
-        }
     }
 
-    _postProcessText(text, additionalRules = []) {
-        if (!text) return '';
+    _applyPostProcessRules(text, additionalRules = []) {
         let cleanedText = text;
         const rules = [...this.defaultPostProcessRules, ...this.customPostProcessRules, ...additionalRules];
 
@@ -106,229 +119,787 @@ class Extract2MDConverter {
                 cleanedText = cleanedText.replace(rule.find, rule.replace);
             }
         }
-        return cleanedText.trim();
+        return cleanedText;
     }
 
-    _convertToMarkdownLogic(rawText) {
-        let markdownOutputLines = [];
-        const inputLines = rawText.split(/\n/);
+    _postProcessText(text, additionalRules = []) {
+        if (!text) return '';
+        return this._applyPostProcessRules(text, additionalRules).trim();
+    }
+
+    // Post-processes extracted lines one at a time so each keeps its page and bounding box.
+    // A soft hyphen ending a line becomes a hyphen first, so the word is rejoined with the next line.
+    _postProcessLines(lines, additionalRules = []) {
+        return lines.map(line => ({
+            ...line,
+            text: line.text ? this._applyPostProcessRules(line.text.replace(/\u00AD\s*$/, '-'), additionalRules).replace(/\r/g, '') : ''
+        }));
+    }
+
+    // Builds document blocks from lines of `{ text, page, bbox }`. A block takes the page of its
+    // first line and the bounding box of its lines on that page. Lines starting with a bullet or a
+    // number become (nested) lists unless `detectLists` is false.
+    _buildDocumentBlocks(lines, options = {}) {
+        const headingHeuristics = options.headingHeuristics !== false;
+        const detectLists = options.detectLists !== false;
+        const blocks = [];
 
         let currentParagraphCollector = [];
         let inPotentialTableBlock = false;
         let potentialTableBlockLines = [];
+        let listEntries = [];
+
+        const sourceOf = (group) => {
+            const page = group[0].page || null;
+            const bbox = group
+                .filter(line => line.page === group[0].page)
+                .reduce((box, line) => unionBoundingBox(box, line.bbox), null);
+            return { page, bbox };
+        };
 
         const flushCurrentParagraph = () => {
             if (currentParagraphCollector.length > 0) {
-                markdownOutputLines.push(currentParagraphCollector.join(' ').trim());
+                blocks.push({ type: 'paragraph', text: joinLines(currentParagraphCollector.map(line => line.text)), ...sourceOf(currentParagraphCollector) });
                 currentParagraphCollector = [];
-                markdownOutputLines.push('');
             }
         };
 
         const flushPotentialTableBlock = () => {
             if (potentialTableBlockLines.length > 0) {
-                if (potentialTableBlockLines.length >= 2) { // Heuristic: at least 2 lines for a table/code block
-                    markdownOutputLines.push('```');
-                    markdownOutputLines.push(...potentialTableBlockLines.map(l => l.trimEnd()));
-                    markdownOutputLines.push('```');
+                if (potentialTableBlockLines.length >= 2) { // Heuristic: at least 2 rows (header + body) for a table
+                    blocks.push({ type: 'table', ...parseTableRows(potentialTableBlockLines.map(line => line.text)), ...sourceOf(potentialTableBlockLines) });
                 } else {
-                    markdownOutputLines.push(potentialTableBlockLines.join(' ').trim());
+                    const text = potentialTableBlockLines[0].text.split(COLUMN_SEPARATOR).map(cell => cell.trim()).filter(Boolean).join(' ');
+                    blocks.push({ type: 'paragraph', text, ...sourceOf(potentialTableBlockLines) });
                 }
                 potentialTableBlockLines = [];
-                markdownOutputLines.push('');
             }
             inPotentialTableBlock = false;
         };
 
-        for (let i = 0; i < inputLines.length; i++) {
-            const originalLine = inputLines[i];
+        const flushList = () => {
+            if (listEntries.length > 0) {
+                blocks.push({ ...buildList(listEntries), ...sourceOf(listEntries.flatMap(entry => entry.source)) });
+                listEntries = [];
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const originalLine = line.text;
             const trimmedLine = originalLine.trim();
 
             if (trimmedLine === '') {
                 if (inPotentialTableBlock) flushPotentialTableBlock();
                 flushCurrentParagraph();
+                // Items separated by blank lines stay in one list.
+                const next = lines.slice(i + 1).find(other => other.text.trim() !== '');
+                if (!next || !parseListItem(next.text)) flushList();
+                continue;
+            }
+
+            const listItem = detectLists && !isTableRow(originalLine) ? parseListItem(trimmedLine) : null;
+            if (listItem) {
+                if (inPotentialTableBlock) flushPotentialTableBlock();
+                flushCurrentParagraph();
+                listEntries.push({ item: listItem, x: line.bbox ? line.bbox.x : null, lines: [listItem.text], source: [line] });
                 continue;
             }
+            if (listEntries.length > 0) {
+                const entry = listEntries[listEntries.length - 1];
+                if (!/^#{1,6} /.test(trimmedLine) && !isTableRow(originalLine) && continuesListItem(entry, line)) {
+                    entry.lines.push(trimmedLine);
+                    entry.source.push(line);
+                    continue;
+                }
+                flushList();
+            }
             
+            // Rows with column separators (from pdf.js x-gaps or OCR whitespace) belong to a table.
+            // Checked before the heading heuristics so all-caps header rows are not turned into headings.
+            if (isTableRow(originalLine)) {
+                flushCurrentParagraph();
+                if (!inPotentialTableBlock) inPotentialTableBlock = true;
+                potentialTableBlockLines.push(line);
+                continue;
+            }
+
+            // Headings already levelled from font sizes pass through unchanged.
+            const headingMatch = trimmedLine.match(/^(#{1,6}) (\S.*)$/);
+            if (headingMatch) {
+                if (inPotentialTableBlock) flushPotentialTableBlock();
+                flushCurrentParagraph();
+                blocks.push({ type: 'heading', level: headingMatch[1].length, text: headingMatch[2], ...sourceOf([line]) });
+                continue;
+            }
+
             const isShortLine = trimmedLine.length > 0 && trimmedLine.length < 80;
             const noPunctuationEnd = isShortLine && !/[.,;:!?]$/.test(trimmedLine);
             const isAllCapsLine = trimmedLine.length > 2 && trimmedLine.length < 80 && /^[A-Z\s\d\W]*[A-Z][A-Z\s\d\W]*$/.test(trimmedLine) && /[A-Z]/.test(trimmedLine) && !/^\d+$/.test(trimmedLine);
-            const nextLineIsBlankOrEndOfFile = (i + 1 === inputLines.length || inputLines[i + 1].trim() === '');
+            const nextLineIsBlankOrEndOfFile = (i + 1 === lines.length || lines[i + 1].text.trim() === '');
 
-            if (isAllCapsLine || (isShortLine && noPunctuationEnd && nextLineIsBlankOrEndOfFile && trimmedLine.length > 1)) {
+            if (headingHeuristics && (isAllCapsLine || (isShortLine && noPunctuationEnd && nextLineIsBlankOrEndOfFile && trimmedLine.length > 1))) {
                 if (inPotentialTableBlock) flushPotentialTableBlock();
                 flushCurrentParagraph();
-                markdownOutputLines.push(`# ${trimmedLine}`);
-                markdownOutputLines.push('');
-                if (nextLineIsBlankOrEndOfFile && inputLines[i+1] && inputLines[i + 1].trim() === '') {
+                blocks.push({ type: 'heading', level: 1, text: trimmedLine, ...sourceOf([line]) });
+                if (nextLineIsBlankOrEndOfFile && lines[i + 1] && lines[i + 1].text.trim() === '') {
                     i++; 
                 }
                 continue;
             }
 
-            const hasMultipleSpacesBetweenWords = /\S\s{2,}\S/.test(originalLine);
-            const hasMultipleColumnsBySpaces = originalLine.split(/\s{2,}/).length > 2 && originalLine.length > 10;
-
-            if (hasMultipleSpacesBetweenWords || hasMultipleColumnsBySpaces) {
-                flushCurrentParagraph();
-                if (!inPotentialTableBlock) inPotentialTableBlock = true;
-                potentialTableBlockLines.push(originalLine);
-            } else {
-                if (inPotentialTableBlock) flushPotentialTableBlock();
-                if (trimmedLine) currentParagraphCollector.push(trimmedLine);
-            }
+            if (inPotentialTableBlock) flushPotentialTableBlock();
+            currentParagraphCollector.push(line);
         }
 
         if (inPotentialTableBlock) flushPotentialTableBlock();
         flushCurrentParagraph();
+        flushList();
 
-        let finalMarkdown = markdownOutputLines.map(line => line.trimEnd()).join('\n');
-        finalMarkdown = finalMarkdown.replace(/\n{3,}/g, '\n\n').trim();
-        return finalMarkdown;
+        return blocks;
     }
 
-    async _extractTextWithPdfJs(fileArrayBuffer) {
-        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        if (!pdfjs || !pdfjs.getDocument) {
-            throw new Error('pdf.js library (pdfjsLib) is not loaded or not fully initialized.');
+    _convertToMarkdownLogic(rawText, options = {}) {
+        const lines = rawText.split(/\n/).map(text => ({ text, page: null, bbox: null }));
+        return blocksToMarkdown(this._buildDocumentBlocks(lines, options));
+    }
+
+    // Reads one page's text layer into lines of cells, with font info and bounding boxes.
+    // Text under one of the page's `links` (from _readPageLinks()) is linked in the cells' Markdown.
+    async _readPdfJsPage(page, pageNum, numPages, options = {}, links = []) {
+        const textContent = await page.getTextContent({
+            normalizeWhitespace: false, 
+            disableCombineTextItems: true 
+        });
+        let operatorList = null;
+        try {
+            // Loading the operator list resolves the page's fonts, which gives us real font names for bold/italic detection.
+            operatorList = await page.getOperatorList();
+        } catch (err) {
+            console.warn(`Extract2MD: Could not load fonts for page ${pageNum}; falling back to font family names.`, err);
         }
 
-        this.progressCallback({ stage: 'pdfjs_load', message: 'Loading PDF with pdf.js...' });
-        const pdfDoc = await pdfjs.getDocument({ data: fileArrayBuffer }).promise;
-        let fullText = '';
-        const numPages = pdfDoc.numPages;
+        const items = linkTextItems((textContent.items || []).map(item => {
+            const { bold, italic } = resolveFontStyle(page, item.fontName, textContent.styles);
+            return { ...item, bold, italic };
+        }), links);
+
+        // Multi-column pages are re-ordered geometrically; otherwise the stream order and its
+        // end-of-line markers are kept as they are.
+        const columnHint = columnHintForPage(options.columnHints, pageNum, numPages);
+        const gutters = (options.detectColumns === false && !columnHint) ? [] : detectColumnGutters(items, columnHint);
+        let itemLines = [];
+        if (gutters.length > 0) {
+            itemLines = orderLinesByColumns(items, gutters);
+        } else {
+            let lineItems = [];
+            for (const item of items) {
+                lineItems.push(item);
+                if (item.hasEOL) {
+                    itemLines.push(lineItems);
+                    lineItems = [];
+                }
+            }
+            itemLines.push(lineItems);
+        }
+
+        // Split each line into cells on wide x-gaps so tabular runs can be aligned into columns.
+        const pageLines = [];
+        for (const lineItems of itemLines) {
+            const cells = cellsFromTextItems(lineItems);
+            if (cells.length > 0) pageLines.push({ cells, font: lineFontInfo(lineItems), bbox: lineBoundingBox(lineItems, page.view) });
+        }
+        return { pageNum, lines: pageLines, items, operatorList };
+    }
+
+    // The link annotations of a page, unless preserveLinks is false. Links are an extra: a page
+    // whose annotations cannot be read is converted without them.
+    async _readPageLinks(pdfDoc, page, pageNum, options = {}) {
+        if (options.preserveLinks === false) return [];
+        try {
+            return await readPageLinks(pdfDoc, page);
+        } catch (err) {
+            console.warn(`Extract2MD: Could not read the links of page ${pageNum}.`, err);
+            return [];
+        }
+    }
+
+    // Reads the outline (when useOutline or tableOfContents needs it) and the metadata of a PDF.
+    async _readDocumentInfo(pdfDoc, options = {}) {
+        // Either may fail on a damaged PDF without the other being lost.
+        const info = { outline: [], metadata: {} };
+        if (options.useOutline !== false || options.tableOfContents) {
+            try {
+                info.outline = await readOutline(pdfDoc);
+            } catch (err) {
+                console.warn('Extract2MD: Could not read the document outline.', err);
+            }
+        }
+        try {
+            info.metadata = await readMetadata(pdfDoc);
+        } catch (err) {
+            console.warn('Extract2MD: Could not read the document metadata.', err);
+        }
+        return info;
+    }
 
-        for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-            this.progressCallback({ stage: 'pdfjs_page', message: `Extracting text from page ${pageNum}/${numPages}...`, currentPage: pageNum, totalPages: numPages });
-            const page = await pdfDoc.getPage(pageNum);
-            const textContent = await page.getTextContent({
-                normalizeWhitespace: false, 
-                disableCombineTextItems: true 
+    // Completes the document tree: records the metadata, takes heading levels from the outline
+    // (unless useOutline is false), points internal links at heading anchors and, with
+    // tableOfContents, puts a linked table of contents first.
+    _finishDocument(doc, documentInfo, options = {}) {
+        doc.metadata = documentInfo.metadata;
+        const outlineHeadings = options.useOutline !== false ? applyOutline(doc, documentInfo.outline) : new Map();
+        const anchors = headingAnchors(doc);
+        const anchorOptions = { pageAnchors: options.pageMarkers === 'anchor' };
+        resolveInternalLinks(doc, anchors, anchorOptions);
+        if (options.tableOfContents && doc.pages.length > 0) {
+            const toc = tableOfContents(doc, documentInfo.outline, outlineHeadings, anchors, anchorOptions);
+            if (toc) doc.pages[0].blocks.unshift(toc);
+        }
+    }
+
+    // Drops running headers, footers and page numbers from the pages (unless removeHeadersFooters is
+    // false) so they do not end up inside paragraphs, and reports the removed lines.
+    _removeHeadersFooters(pages, options = {}) {
+        if (options.removeHeadersFooters === false) return { pages, removed: [] };
+        const result = removeHeadersFooters(pages, options.headerFooterOptions);
+        if (result.removed.length > 0) {
+            this.progressCallback({ stage: 'headers_footers_removed', message: `Removed ${result.removed.length} running header, footer and page number line${result.removed.length > 1 ? 's' : ''}.`, removed: result.removed });
+        }
+        return result;
+    }
+
+    // Takes the footnotes off the pages and links their reference marks (unless detectFootnotes is false).
+    _extractFootnotes(pages, options = {}) {
+        const result = extractFootnotes(pages, { detect: options.detectFootnotes !== false });
+        if (result.footnotes.length > 0) {
+            this.progressCallback({ stage: 'footnotes_found', message: `Found ${result.footnotes.length} footnote${result.footnotes.length > 1 ? 's' : ''}.` });
+        }
+        return result;
+    }
+
+    // Adds the footnotes to the end of their pages as footnote blocks, after the pages' other content.
+    _addFootnotes(doc, footnotes, options = {}) {
+        for (const footnote of footnotes) {
+            const page = doc.pages.find(other => other.pageNumber === footnote.page);
+            if (!page) continue;
+            page.blocks.push({
+                type: 'footnote',
+                label: footnote.label,
+                text: this._postProcessText(footnote.text, options.postProcessRules),
+                page: footnote.page,
+                bbox: footnote.lines.reduce((box, line) => unionBoundingBox(box, line.bbox), null)
             });
-            let pageTextBuffer = '';
-            if (textContent.items && textContent.items.length > 0) {
-                for (let i = 0; i < textContent.items.length; i++) {
-                    const item = textContent.items[i];
-                    pageTextBuffer += item.str;
-                    if (item.hasEOL) {
-                        if (!pageTextBuffer.endsWith('\n')) pageTextBuffer += '\n';
-                    } else if (i < textContent.items.length - 1) {
-                        const nextItem = textContent.items[i+1];
-                        if (item.str && !item.str.endsWith(' ') && nextItem.str && !nextItem.str.startsWith(' ') && Math.abs(item.transform[5] - nextItem.transform[5]) < (item.height * 0.5)) {
-                            const currentItemEndX = item.transform[4] + item.width;
-                            const nextItemStartX = nextItem.transform[4];
-                            if (nextItemStartX - currentItemEndX > -0.5) { 
-                                pageTextBuffer += ' ';
-                            }
-                        }
-                    }
+        }
+    }
+
+    // Assigns heading levels from the font sizes of all given pages (pdf.js or OCR) and flattens them into text lines.
+    _layoutPagesToLines(pages) {
+        // Font sizes are ranked across the whole document, so headings are assigned once every page is read.
+        const headingLevel = createHeadingLeveler(pages.flatMap(page => page.lines.map(line => line.font)));
+        let headingCount = 0;
+        const lines = new Map();
+        for (const { pageNum, lines: pageLines } of pages) {
+            const merged = [];
+            for (const line of pageLines) {
+                const level = line.cells.length === 1 ? headingLevel(line.font, line.cells[0].text) : 0;
+                const previous = merged[merged.length - 1];
+                if (level && previous && previous.headingLevel === level) {
+                    // A heading that wraps onto several lines stays a single heading.
+                    previous.text += ` ${line.cells[0].text}`;
+                    previous.bbox = unionBoundingBox(previous.bbox, line.bbox);
+                } else if (level) {
+                    merged.push({ headingLevel: level, text: line.cells[0].text, bbox: line.bbox });
+                    headingCount++;
+                } else {
+                    merged.push(line);
                 }
             }
-            fullText += pageTextBuffer;
-            if (pageTextBuffer.trim() !== '' && !pageTextBuffer.endsWith('\n')) fullText += '\n';
+            // tabulateLines emits exactly one text line per input line, so bounding boxes can be zipped back on.
+            const pageText = tabulateLines(merged.map(line => line.headingLevel
+                ? [{ text: `${'#'.repeat(line.headingLevel)} ${line.text}` }]
+                : line.cells));
+            lines.set(pageNum, pageText.split('\n').map((text, i) => ({ text, page: pageNum, bbox: merged[i] ? merged[i].bbox : null })));
+        }
+        return { linesByPage: lines, headingCount };
+    }
+
+    // Page numbers to convert from the `pages` option ("1-5,9,12-"); all pages when it is not set.
+    _selectedPages(spec, numPages) {
+        const pageNumbers = parsePageRange(spec, numPages);
+        if (pageNumbers.length === 0) throw new Error(`No pages selected: "${spec}" does not match any page of this ${numPages}-page document.`);
+        return pageNumbers;
+    }
+
+    // Loads the PDF and resolves with its loading task and document; destroying the task is then up
+    // to the caller. Aborting the signal while it loads destroys the task. An encrypted PDF is opened
+    // with `password`, or with what `onPassword(reason)` returns (reason is one of PasswordResponses).
+    // Failures are thrown as the typed errors of errors.js.
+    async _openPdfDocument(pdfjs, data, { signal, password, onPassword }) {
+        throwIfAborted(signal);
+        const isPdf = hasPdfHeader(data);
+        const loadingTask = pdfjs.getDocument({ ...this.pdfJsOptions, data, ...(password !== undefined ? { password } : {}) });
+        let passwordCallbackError = null;
+        if (onPassword) {
+            // pdf.js asks again after a wrong password; no answer gives up with its PasswordException.
+            loadingTask.onPassword = (updatePassword, reason) => {
+                Promise.resolve()
+                    .then(() => onPassword(reason))
+                    .then(answer => updatePassword(typeof answer === 'string' && answer !== '' ? answer : new Error('No password given.')), err => {
+                        passwordCallbackError = err;
+                        updatePassword(err instanceof Error ? err : new Error(String(err)));
+                    });
+            };
+        }
+        const removeAbortListener = onAbort(signal, () => loadingTask.destroy());
+        try {
+            const pdfDoc = await abortable(loadingTask.promise, signal);
+            return { loadingTask, pdfDoc, isPdf };
+        } catch (err) {
+            await loadingTask.destroy();
+            throwIfAborted(signal); // pdf.js rejects with its own errors once the document is destroyed
+            throw passwordCallbackError || toPdfError(err, { isPdf });
+        } finally {
+            removeAbortListener();
+        }
+    }
+
+    // Opens the PDF, runs fn(pdfDoc) and destroys the document afterwards. Aborting the signal
+    // destroys the document right away, which also cancels its pending page work.
+    async _withPdfDocument(pdfjs, data, options, fn) {
+        const { loadingTask, pdfDoc, isPdf } = await this._openPdfDocument(pdfjs, data, options);
+        const removeAbortListener = onAbort(options.signal, () => loadingTask.destroy());
+        try {
+            return await fn(pdfDoc);
+        } catch (err) {
+            throwIfAborted(options.signal);
+            throw toPdfError(err, { isPdf });
+        } finally {
+            removeAbortListener();
+            await loadingTask.destroy();
+        }
+    }
+
+    // The bytes of a convert method's input: a File or Blob, an ArrayBuffer, a typed array or Buffer,
+    // a URL, or a file path when the converter has a `readFile` (see pdfInput.js).
+    _readInput(pdfFile, options = {}) {
+        return readPdfInput(pdfFile, { readFile: this.readFile, signal: options.signal });
+    }
+
+    async _extractTextWithPdfJs(data, options = {}) {
+        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
+        if (!pdfjs || !pdfjs.getDocument) {
+            throw new WorkerLoadError('pdf.js library (pdfjsLib) is not loaded or not fully initialized.', { worker: 'pdfjs' });
         }
+
+        this.progressCallback({ stage: 'pdfjs_load', message: 'Loading PDF with pdf.js...' });
+        let documentInfo;
+        const pages = await this._withPdfDocument(pdfjs, data, options, async (pdfDoc) => {
+            const numPages = pdfDoc.numPages;
+            documentInfo = await this._readDocumentInfo(pdfDoc, options);
+            const pages = [];
+            for (const pageNum of this._selectedPages(options.pages, numPages)) {
+                throwIfAborted(options.signal);
+                this.progressCallback({ stage: 'pdfjs_page', message: `Extracting text from page ${pageNum}/${numPages}...`, currentPage: pageNum, totalPages: numPages });
+                const page = await pdfDoc.getPage(pageNum);
+                const links = await this._readPageLinks(pdfDoc, page, pageNum, options);
+                const pageData = await this._readPdfJsPage(page, pageNum, numPages, options, links);
+                if (options.extractImages) pageData.images = await this._extractPageImages(page, pageNum, numPages, pageData.operatorList, options);
+                pages.push(pageData);
+            }
+            return pages;
+        });
+
+        const { pages: contentPages, removed } = this._removeHeadersFooters(pages, options);
+        const { pages: bodyPages, footnotes } = this._extractFootnotes(contentPages, options);
+        const { linesByPage, headingCount } = this._layoutPagesToLines(bodyPages);
         this.progressCallback({ stage: 'pdfjs_extract_complete', message: 'pdf.js text extraction complete.' });
-        return fullText;
+        return { lines: [...linesByPage.values()].flat(), headingCount, pageNumbers: pages.map(page => page.pageNum), pages, footnotes, documentInfo, removedHeadersFooters: removed };
     }
 
     async quickConvert(pdfFile, options = {}) {
-        if (!(pdfFile instanceof File)) throw new Error('Invalid input: pdfFile must be a File object.');
+        throwIfAborted(options.signal);
         this.progressCallback({ stage: 'start_quick', message: 'Starting quick conversion...' });
-        const arrayBuffer = await pdfFile.arrayBuffer();
-        let rawText = await this._extractTextWithPdfJs(arrayBuffer);
+        const data = await this._readInput(pdfFile, options);
+        const { lines, headingCount, pageNumbers, pages, footnotes, documentInfo, removedHeadersFooters } = await this._extractTextWithPdfJs(data, options);
         
         this.progressCallback({ stage: 'postprocess_quick', message: 'Post-processing extracted text...' });
-        let cleanedText = this._postProcessText(rawText, options.postProcessRules);
-        cleanedText = cleanedText.replace(/\r\n/g, '\n').replace(/\n{2,}/g, '\n\n').trim();
+        const cleanedLines = this._postProcessLines(lines, options.postProcessRules);
         
         this.progressCallback({ stage: 'markdown_quick', message: 'Converting to Markdown...' });
-        const markdown = this._convertToMarkdownLogic(cleanedText);
+        // When font sizes already produced headings, the text-only heading heuristics would only add noise.
+        const blocks = this._buildDocumentBlocks(cleanedLines, { headingHeuristics: headingCount === 0, detectLists: options.detectLists });
+        const doc = createDocument(blocks, pageNumbers);
+        const images = this._addImages(doc, pages, options);
+        this._addFootnotes(doc, footnotes, options);
+        this._finishDocument(doc, documentInfo, options);
+        const markdown = documentToMarkdown(doc, { pageMarkers: options.pageMarkers, frontMatter: options.frontMatter });
         this.progressCallback({ stage: 'complete_quick', message: 'Quick conversion complete.' });
-        return markdown;
+        return this._convertResult(markdown, doc, images, options, { removedHeadersFooters });
     }
 
-    async highAccuracyConvert(pdfFile, options = {}) {
-        if (!(pdfFile instanceof File)) throw new Error('Invalid input: pdfFile must be a File object.');
-        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        if (!pdfjs || !pdfjs.getDocument) throw new Error('pdf.js library (pdfjsLib) is not loaded or not fully initialized.');
-        const Tess = (typeof Tesseract !== 'undefined' ? Tesseract : (typeof window !== 'undefined' ? window.Tesseract : null));
-        if (!Tess) throw new Error('Tesseract.js library is not loaded.');
+    async _createOcrWorker(Tess, tesseractLang, tesseractOpts) {
+        let worker;
+        try {
+            worker = await Tess.createWorker(tesseractLang, 1, tesseractOpts);
+            // Keep runs of spaces between words so table columns can be recovered from the OCR text.
+            await worker.setParameters({ preserve_interword_spaces: '1' });
+        } catch (err) {
+            this.progressCallback({ stage: 'ocr_worker_error', message: `Failed to initialize Tesseract worker: ${err.message}`, error: err });
+            throw new WorkerLoadError(`Failed to initialize Tesseract worker: ${err.message}`, { worker: 'tesseract', cause: err });
+        }
+        return worker;
+    }
 
-        this.progressCallback({ stage: 'start_ocr', message: 'Starting high-accuracy OCR conversion...' });
+    _ocrConcurrency(options = {}) {
+        return Math.max(1, Math.floor(options.concurrency || this.concurrency));
+    }
 
+    // Returns the shared Tesseract scheduler with at least `concurrency` workers. Workers are kept
+    // across convert calls until terminateOcrWorkers() or dispose(); a different language or
+    // different Tesseract options replace the pool.
+    async _getOcrScheduler(Tess, options = {}) {
         const tesseractLang = options.tesseractLanguage || this.tesseractLanguage;
         const tesseractOpts = { ...this.tesseractOptions, ...(options.tesseractOptions || {}) }; // Merge instance and call options
-        const pdfRenderScale = options.pdfRenderScale || 2.5;
+        const concurrency = this._ocrConcurrency(options);
+        const key = JSON.stringify([tesseractLang, tesseractOpts]);
 
-        let worker;
+        if (this.ocrScheduler && this.ocrWorkerKey !== key) await this.terminateOcrWorkers();
+        if (!this.ocrScheduler) {
+            this.ocrScheduler = Tess.createScheduler();
+            this.ocrWorkerKey = key;
+        }
+        const scheduler = this.ocrScheduler;
+
+        const missing = concurrency - this.ocrWorkers.length;
+        if (missing > 0) {
+            this.progressCallback({ stage: 'ocr_worker_init', message: `Initializing ${missing} Tesseract OCR worker${missing > 1 ? 's' : ''}...` });
+            const results = await Promise.allSettled(Array.from({ length: missing }, () => this._createOcrWorker(Tess, tesseractLang, tesseractOpts)));
+            const workers = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+            if (this.ocrScheduler !== scheduler) {
+                // The pool was terminated (e.g. by an abort) while these workers were starting.
+                await Promise.all(workers.map(worker => worker.terminate()));
+                throw new Error('Tesseract workers were terminated while starting.');
+            }
+            for (const worker of workers) {
+                scheduler.addWorker(worker);
+                this.ocrWorkers.push(worker);
+            }
+            const failed = results.find(result => result.status === 'rejected');
+            if (failed) throw failed.reason;
+        }
+        return scheduler;
+    }
+
+    // Terminates the pooled Tesseract workers. The next OCR conversion starts a new pool.
+    async terminateOcrWorkers() {
+        if (!this.ocrScheduler) return;
+        this.progressCallback({ stage: 'ocr_terminate_worker', message: 'Terminating Tesseract workers...' });
+        const workers = this.ocrWorkers;
+        this.ocrScheduler = null;
+        this.ocrWorkers = [];
+        this.ocrWorkerKey = null;
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+
+    // Releases everything the converter holds on to: the open documents, the OCR worker pool and the loaded LLM.
+    async dispose() {
+        await Promise.all([...this.openDocuments.keys()].map(documentId => this.closeDocument(documentId)));
+        await this.terminateOcrWorkers();
+        await this.unloadLLM();
+    }
+
+    // A new canvas from the converter's canvas factory.
+    _createCanvas(width, height) {
+        if (!this.canvasFactory) throw new Error('No canvas is available to render pages. Pass a canvasFactory, or use the extract2md Node entry point under Node.');
+        return this.canvasFactory.create(width, height);
+    }
+
+    // Renders a page onto a new canvas at the given scale.
+    async _renderPage(page, scale) {
+        const viewport = page.getViewport({ scale });
+        const canvas = this._createCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+        const context = canvas.getContext('2d');
+        if (!context) throw new OutOfMemoryError(`Could not create a ${Math.round(viewport.width)}x${Math.round(viewport.height)} canvas to render the page.`);
+        await page.render({ canvasContext: context, viewport: viewport }).promise;
+        return canvas;
+    }
+
+    // Crops the figures found in a page's operator list out of a rendering of the page. The page is
+    // rendered at the image scale unless a rendering is passed in (`rendered`: `{ canvas, scale }`).
+    async _extractPageImages(page, pageNum, numPages, operatorList, options = {}, rendered = null) {
+        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
+        const imageOptions = { ...DEFAULT_IMAGE_OPTIONS, ...(options.imageOptions || {}) };
+        const regions = findImageRegions(operatorList, page.view, pdfjs && pdfjs.OPS, imageOptions);
+        if (regions.length === 0) return [];
+
+        this.progressCallback({ stage: 'images_page', message: `Exporting ${regions.length} image${regions.length > 1 ? 's' : ''} from page ${pageNum}/${numPages}...`, currentPage: pageNum, totalPages: numPages });
+        const canvas = rendered ? rendered.canvas : await this._renderPage(page, imageOptions.scale);
         try {
-            this.progressCallback({ stage: 'ocr_worker_init', message: 'Initializing Tesseract OCR worker...' });
-            worker = await Tess.createWorker(tesseractLang, 1, tesseractOpts);
-        } catch (err) {
-            this.progressCallback({ stage: 'ocr_worker_error', message: `Failed to initialize Tesseract worker: ${err.message}`, error: err });
-            throw new Error(`Failed to initialize Tesseract worker: ${err.message}`);
+            throwIfAborted(options.signal);
+            return await cropRegions(canvas, regions, rendered ? rendered.scale : imageOptions.scale, { ...imageOptions, canvasFactory: this.canvasFactory });
+        } finally {
+            if (!rendered) { canvas.width = 0; canvas.height = 0; }
         }
-        
-        const arrayBuffer = await pdfFile.arrayBuffer();
-        const pdfDoc = await pdfjs.getDocument({ data: arrayBuffer }).promise;
-        let fullTextAccumulator = '';
-        const numPages = pdfDoc.numPages;
+    }
 
-        for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-            this.progressCallback({ stage: 'ocr_render_page', message: `Rendering page ${pageNum}/${numPages} for OCR...`, currentPage: pageNum, totalPages: numPages });
-            const page = await pdfDoc.getPage(pageNum);
-            const viewport = page.getViewport({ scale: pdfRenderScale });
-            
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.height = viewport.height;
-            canvas.width = viewport.width;
+    // Places the pages' cropped figures in the document; null when images were not requested.
+    _addImages(doc, pages, options = {}) {
+        if (!options.extractImages) return null;
+        const imageOptions = { ...DEFAULT_IMAGE_OPTIONS, ...(options.imageOptions || {}) };
+        return addImagesToDocument(doc, new Map(pages.map(page => [page.pageNum, page.images || []])), imageOptions);
+    }
 
-            await page.render({ canvasContext: context, viewport: viewport }).promise;
-            
-            this.progressCallback({ stage: 'ocr_recognize_page', message: `OCR processing page ${pageNum}/${numPages}...`, currentPage: pageNum, totalPages: numPages });
-            const { data: { text: ocrPageText } } = await worker.recognize(canvas);
-            fullTextAccumulator += ocrPageText + '\n';
+    // What a convert call resolves with: the Markdown alone, or an object that adds the document
+    // tree (and `extra`) with includeDocument and the exported images with extractImages.
+    _convertResult(markdown, doc, images, options = {}, extra = {}) {
+        if (!options.includeDocument && !images) return markdown;
+        return {
+            markdown,
+            ...(options.includeDocument ? { document: doc, ...extra } : {}),
+            ...(images ? { images } : {})
+        };
+    }
+
+    // Renders a page to a canvas and OCRs it. Returns the page's lines built from Tesseract's
+    // block geometry (or its plain text when no blocks are returned) and a word confidence report.
+    // With extractImages, the page's figures are cropped from the same rendering.
+    async _ocrPage(scheduler, page, pageNum, numPages, options = {}, operatorList = null) {
+        const pdfRenderScale = options.pdfRenderScale || 2.5;
+        const lowConfidenceThreshold = options.lowConfidenceThreshold !== undefined ? options.lowConfidenceThreshold : DEFAULT_LOW_CONFIDENCE_THRESHOLD;
+        this.progressCallback({ stage: 'ocr_render_page', message: `Rendering page ${pageNum}/${numPages} for OCR...`, currentPage: pageNum, totalPages: numPages });
+        const canvas = await this._renderPage(page, pdfRenderScale);
+        throwIfAborted(options.signal);
+
+        let images = [];
+        if (options.extractImages) {
+            const pageOperators = operatorList || await page.getOperatorList();
+            images = await this._extractPageImages(page, pageNum, numPages, pageOperators, options, { canvas, scale: pdfRenderScale });
+        }
+
+        this.progressCallback({ stage: 'ocr_recognize_page', message: `OCR processing page ${pageNum}/${numPages}...`, currentPage: pageNum, totalPages: numPages });
+        const { data } = await scheduler.addJob('recognize', await this.canvasFactory.toImage(canvas), {}, { text: true, blocks: true });
+        canvas.width = 0; canvas.height = 0;
+
+        const geometry = { scale: pdfRenderScale, view: page.view, lowConfidenceThreshold };
+        const lines = data.blocks
+            ? ocrBlocksToLines(data.blocks, { ...geometry, markLowConfidence: options.markLowConfidence })
+            : ocrTextToLines(data.text);
+        const confidence = confidenceReport(data.blocks, pageNum, geometry);
+        this.progressCallback({
+            stage: 'ocr_page_confidence',
+            message: `Page ${pageNum}/${numPages}: mean OCR confidence ${confidence.meanConfidence !== null ? confidence.meanConfidence.toFixed(0) : 'n/a'}, ${confidence.lowConfidenceWords.length} low-confidence words.`,
+            currentPage: pageNum,
+            totalPages: numPages,
+            confidence
+        });
+        return { pageNum, lines, confidence, images };
+    }
+
+    // A running Tesseract job cannot be cancelled, so aborting an OCR conversion terminates the worker pool.
+    _terminateOcrOnAbort(signal) {
+        return onAbort(signal, () => {
+            this.terminateOcrWorkers().catch(err => console.warn('Extract2MD: Failed to terminate Tesseract workers after abort.', err));
+        });
+    }
+
+    async highAccuracyConvert(pdfFile, options = {}) {
+        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
+        if (!pdfjs || !pdfjs.getDocument) throw new WorkerLoadError('pdf.js library (pdfjsLib) is not loaded or not fully initialized.', { worker: 'pdfjs' });
+        const Tess = (typeof Tesseract !== 'undefined' ? Tesseract : (typeof window !== 'undefined' ? window.Tesseract : null));
+        if (!Tess) throw new WorkerLoadError('Tesseract.js library is not loaded.', { worker: 'tesseract' });
+
+        const { signal } = options;
+        throwIfAborted(signal);
+
+        this.progressCallback({ stage: 'start_ocr', message: 'Starting high-accuracy OCR conversion...' });
+
+        const removeAbortListener = this._terminateOcrOnAbort(signal);
+        let pages;
+        let documentInfo;
+        try {
+            const scheduler = await abortable(this._getOcrScheduler(Tess, options), signal);
             
-            canvas.width = 0; canvas.height = 0;
+            const data = await this._readInput(pdfFile, options);
+            pages = await this._withPdfDocument(pdfjs, data, options, async (pdfDoc) => {
+                const numPages = pdfDoc.numPages;
+                documentInfo = await this._readDocumentInfo(pdfDoc, options);
+                // The next pages are rendered while earlier ones are recognized; results come back in page order.
+                const queue = createOrderedQueue(this._ocrConcurrency(options));
+                for (const pageNum of this._selectedPages(options.pages, numPages)) {
+                    throwIfAborted(signal);
+                    const page = await pdfDoc.getPage(pageNum);
+                    await abortable(queue.push(this._ocrPage(scheduler, page, pageNum, numPages, options)), signal);
+                }
+                return abortable(queue.drain(), signal);
+            });
+        } finally {
+            removeAbortListener();
         }
-        
-        this.progressCallback({ stage: 'ocr_terminate_worker', message: 'Terminating Tesseract worker...' });
-        await worker.terminate();
+
+        const { pages: contentPages, removed: removedHeadersFooters } = this._removeHeadersFooters(pages, options);
+        const { pages: bodyPages, footnotes } = this._extractFootnotes(contentPages, options);
+        const { linesByPage, headingCount } = this._layoutPagesToLines(bodyPages);
 
         this.progressCallback({ stage: 'postprocess_ocr', message: 'Post-processing OCR text...' });
-        let cleanedText = this._postProcessText(fullTextAccumulator, options.postProcessRules);
-        cleanedText = cleanedText.replace(/\r\n/g, '\n').replace(/\n{2,}/g, '\n\n').trim();
+        const cleanedLines = this._postProcessLines([...linesByPage.values()].flat(), options.postProcessRules);
 
         this.progressCallback({ stage: 'markdown_ocr', message: 'Converting to Markdown...' });
-        const markdown = this._convertToMarkdownLogic(cleanedText);
+        const blocks = this._buildDocumentBlocks(cleanedLines, { headingHeuristics: headingCount === 0, detectLists: options.detectLists });
+        const doc = createDocument(blocks, pages.map(page => page.pageNum));
+        const images = this._addImages(doc, pages, options);
+        this._addFootnotes(doc, footnotes, options);
+        resolveLowConfidenceMarks(doc);
+        this._finishDocument(doc, documentInfo, options);
+        const markdown = documentToMarkdown(doc, { pageMarkers: options.pageMarkers, frontMatter: options.frontMatter });
         this.progressCallback({ stage: 'complete_ocr', message: 'High-accuracy conversion complete.' });
-        return markdown;
+        return this._convertResult(markdown, doc, images, options, { confidenceReport: pages.map(page => page.confidence), removedHeadersFooters });
     }
 
-    async _initializeLLM(modelId, chatOpts = {}) {
-        if (!this.WebLLMCreateEngine && !this.WebLLMChatConstructor) {
-            throw new Error('WebLLM (CreateMLCEngine or Chat) module is not loaded. Ensure @mlc-ai/web-llm is correctly imported/bundled, or webLLM is globally available.');
+    async smartConvert(pdfFile, options = {}) {
+        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
+        if (!pdfjs || !pdfjs.getDocument) throw new WorkerLoadError('pdf.js library (pdfjsLib) is not loaded or not fully initialized.', { worker: 'pdfjs' });
+        const Tess = (typeof Tesseract !== 'undefined' ? Tesseract : (typeof window !== 'undefined' ? window.Tesseract : null));
+
+        const { signal } = options;
+        throwIfAborted(signal);
+
+        this.progressCallback({ stage: 'start_smart', message: 'Starting smart conversion...' });
+        const data = await this._readInput(pdfFile, options);
+
+        const removeAbortListener = this._terminateOcrOnAbort(signal);
+        let pages;
+        let documentInfo;
+        let ocrPageCount = 0;
+        try {
+            pages = await this._withPdfDocument(pdfjs, data, options, async (pdfDoc) => {
+                const numPages = pdfDoc.numPages;
+                documentInfo = await this._readDocumentInfo(pdfDoc, options);
+                const queue = createOrderedQueue(this._ocrConcurrency(options));
+                let scheduler = null;
+
+                for (const pageNum of this._selectedPages(options.pages, numPages)) {
+                    throwIfAborted(signal);
+                    this.progressCallback({ stage: 'smart_analyze_page', message: `Checking text layer of page ${pageNum}/${numPages}...`, currentPage: pageNum, totalPages: numPages });
+                    const page = await pdfDoc.getPage(pageNum);
+                    const links = await this._readPageLinks(pdfDoc, page, pageNum, options);
+                    const pageData = await this._readPdfJsPage(page, pageNum, numPages, options, links);
+                    const imageCoverage = measureImageCoverage(pageData.operatorList, page.view, pdfjs.OPS);
+                    const assessment = assessTextLayer(pageData.items, imageCoverage, options.smartThresholds);
+
+                    if (!assessment.needsOcr) {
+                        if (options.extractImages) pageData.images = await this._extractPageImages(page, pageNum, numPages, pageData.operatorList, options);
+                        await abortable(queue.push(pageData), signal);
+                        this.progressCallback({ stage: 'smart_page_method', message: `Page ${pageNum}/${numPages}: using text layer.`, currentPage: pageNum, totalPages: numPages, method: 'pdfjs', assessment });
+                        continue;
+                    }
+
+                    if (!Tess) throw new WorkerLoadError('Tesseract.js library is not loaded.', { worker: 'tesseract' });
+                    this.progressCallback({ stage: 'smart_page_method', message: `Page ${pageNum}/${numPages}: using OCR (${assessment.reason}).`, currentPage: pageNum, totalPages: numPages, method: 'ocr', assessment });
+                    if (!scheduler) scheduler = await abortable(this._getOcrScheduler(Tess, options), signal);
+                    await abortable(queue.push(this._ocrPage(scheduler, page, pageNum, numPages, options, pageData.operatorList)), signal);
+                    ocrPageCount++;
+                }
+                return abortable(queue.drain(), signal);
+            });
+        } finally {
+            removeAbortListener();
+        }
+        const confidence = pages.filter(page => page.confidence).map(page => page.confidence);
+
+        const { pages: contentPages, removed: removedHeadersFooters } = this._removeHeadersFooters(pages, options);
+        const { pages: bodyPages, footnotes } = this._extractFootnotes(contentPages, options);
+        // Text-layer and OCR pages share one font-size ranking; both are measured in PDF points.
+        const { linesByPage, headingCount } = this._layoutPagesToLines(bodyPages);
+
+        this.progressCallback({ stage: 'postprocess_smart', message: 'Post-processing extracted text...' });
+        const cleanedLines = this._postProcessLines([...linesByPage.values()].flat(), options.postProcessRules);
+
+        this.progressCallback({ stage: 'markdown_smart', message: 'Converting to Markdown...' });
+        const blocks = this._buildDocumentBlocks(cleanedLines, { headingHeuristics: headingCount === 0, detectLists: options.detectLists });
+        const doc = createDocument(blocks, pages.map(page => page.pageNum));
+        const images = this._addImages(doc, pages, options);
+        this._addFootnotes(doc, footnotes, options);
+        resolveLowConfidenceMarks(doc);
+        this._finishDocument(doc, documentInfo, options);
+        const markdown = documentToMarkdown(doc, { pageMarkers: options.pageMarkers, frontMatter: options.frontMatter });
+        this.progressCallback({ stage: 'complete_smart', message: `Smart conversion complete (${ocrPageCount} of ${pages.length} pages OCRed).` });
+        return this._convertResult(markdown, doc, images, options, { confidenceReport: confidence, removedHeadersFooters });
+    }
+
+    // Renders one page as an image, e.g. to show beside its Markdown. Resolves with the image, its size
+    // in pixels and the page's size in PDF points, the unit of the document blocks' bounding boxes.
+    async renderPage(pdfFile, pageNumber, options = {}) {
+        throwIfAborted(options.signal);
+        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
+        if (!pdfjs || !pdfjs.getDocument) throw new WorkerLoadError('pdf.js library (pdfjsLib) is not loaded or not fully initialized.', { worker: 'pdfjs' });
+
+        const data = await this._readInput(pdfFile, options);
+        return this._withPdfDocument(pdfjs, data, options, pdfDoc => this._renderPageImage(pdfDoc, pageNumber, options));
+    }
+
+    // Opens a PDF to render several of its pages with renderDocumentPage(), without reading and
+    // parsing it for each one. Resolves with { documentId, numPages }; closeDocument() releases it.
+    async openDocument(pdfFile, options = {}) {
+        throwIfAborted(options.signal);
+        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
+        if (!pdfjs || !pdfjs.getDocument) throw new WorkerLoadError('pdf.js library (pdfjsLib) is not loaded or not fully initialized.', { worker: 'pdfjs' });
+
+        const data = await this._readInput(pdfFile, options);
+        const { loadingTask, pdfDoc } = await this._openPdfDocument(pdfjs, data, options);
+        const documentId = this.nextDocumentId++;
+        this.openDocuments.set(documentId, { loadingTask, pdfDoc });
+        return { documentId, numPages: pdfDoc.numPages };
+    }
+
+    // renderPage() for a document opened with openDocument(). Aborting stops this page only; the
+    // document stays open.
+    async renderDocumentPage(documentId, pageNumber, options = {}) {
+        throwIfAborted(options.signal);
+        const entry = this.openDocuments.get(documentId);
+        if (!entry) throw new Error(`Document ${documentId} is not open; it was closed or never opened with openDocument().`);
+        return abortable(this._renderPageImage(entry.pdfDoc, pageNumber, options), options.signal);
+    }
+
+    // Releases a document opened with openDocument(). Closing it again does nothing.
+    async closeDocument(documentId) {
+        const entry = this.openDocuments.get(documentId);
+        if (!entry) return;
+        this.openDocuments.delete(documentId);
+        await entry.loadingTask.destroy();
+    }
+
+    // Renders a page of an open document as renderPage() resolves it.
+    async _renderPageImage(pdfDoc, pageNumber, options = {}) {
+        const { scale = 1.5, format = 'image/png', quality = 0.92 } = options;
+        const numPages = pdfDoc.numPages;
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > numPages) {
+            throw new RangeError(`Page ${pageNumber} does not exist: this document has ${numPages} page${numPages === 1 ? '' : 's'}.`);
+        }
+        const page = await pdfDoc.getPage(pageNumber);
+        const canvas = await this._renderPage(page, scale);
+        try {
+            throwIfAborted(options.signal);
+            const blob = await this.canvasFactory.toBlob(canvas, format, quality);
+            const [x0, y0, x1, y1] = page.view;
+            return { blob, width: canvas.width, height: canvas.height, pageWidth: x1 - x0, pageHeight: y1 - y0, numPages };
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
         }
+    }
 
+    async _initializeLLM(modelId, chatOpts = {}) {
         // Check if LLM is already initialized with the same model.
-        // For CreateMLCEngine, modelId is part of the engine. For Chat, we stored it.
-        const currentModelId = this.chatModule ? (this.chatModule.modelId || (this.chatModule.config && this.chatModule.config.model_id)) : null;
-        if (this.llmInitialized && this.chatModule && currentModelId === modelId) {
+        if (this.llmInitialized && this.llmBackend.isLoaded(modelId)) {
             this.progressCallback({ stage: 'llm_ready', message: 'LLM already initialized with the correct model.' });
             return;
         }
 
         this.progressCallback({ stage: 'llm_init', message: `Initializing LLM with model: ${modelId}... This may take time.` });
-        
-        if (this.chatModule && typeof this.chatModule.unload === 'function') {
-            await this.chatModule.unload();
-            this.chatModule = null; // Ensure it's cleared
-        }
         this.llmInitialized = false;
 
-
-        const llmInitProgressCallback = report => {
+        const onProgress = report => {
             this.progressCallback({
                 stage: 'llm_load_progress',
                 message: `LLM Loading: ${report.text}`,
@@ -337,143 +908,276 @@ class Extract2MDConverter {
         };
 
         try {
-            if (this.WebLLMCreateEngine) {
-                let modelLibToUse;
-
-                if (this.llmModelLibUrl) {
-                    // User provided a specific model_lib URL
-                    modelLibToUse = this.llmModelLibUrl;
-                } else if (modelId === DEFAULT_LLM_MODEL) {
-                    // Use the hardcoded default model_lib URL for the default model
-                    modelLibToUse = DEFAULT_LLM_MODEL_LIB_URL;
-                } else {
-                    // No specific URL provided by user, and it's not the default model with a known URL
-                    throw new Error(
-                        `Extract2MD Error: 'model_lib' URL not specified for model '${modelId}'. ` +
-                        `Please provide it via the 'llmModelLibUrl' constructor option, ` +
-                        `or use the default model ('${DEFAULT_LLM_MODEL}').`
-                    );
-                }
-                
-                const appConfig = {
-                    model_list: [
-                        {
-                            "model": `https://huggingface.co/mlc-ai/${modelId}/resolve/main/`,
-                            "model_id": modelId,
-                            "model_lib": modelLibToUse,
-                            "required_features": modelId.includes("f16") ? ["shader-f16"] : [],
-                            "overrides": {
-                                "conv_template": "qwen"
-                            }
-                        }
-                    ]
-                };
-
-                const engineConfig = {
-                    ...chatOpts,
-                    initProgressCallback: llmInitProgressCallback,
-                    appConfig: appConfig // Pass the constructed appConfig
-                };
-                this.chatModule = await this.WebLLMCreateEngine(modelId, engineConfig);
-                // CreateMLCEngine loads the model, so no separate reload needed immediately.
-                // We can store modelId if needed for future checks, though engine usually has it.
-                if(this.chatModule) this.chatModule.modelId = modelId; // For consistency if checked later
-            } else if (this.WebLLMChatConstructor) {
-                // Fallback to Chat constructor - this is the path that had issues
-                this.chatModule = new this.WebLLMChatConstructor();
-                if(this.chatModule) this.chatModule.modelId = modelId; // Store modelId for Chat instances
-                
-                const finalChatOpts = {
-                    ...chatOpts,
-                    initProgressCallback: llmInitProgressCallback
-                };
-                if (typeof this.chatModule.reload !== 'function') {
-                    throw new Error('this.chatModule.reload is not a function (Chat fallback path).');
-                }
-                await this.chatModule.reload(modelId, finalChatOpts);
-            } else {
-                 throw new Error('No valid WebLLM constructor found.');
-            }
-            
+            await this.llmBackend.load(modelId, { chatOpts, onProgress });
             this.llmInitialized = true;
             this.progressCallback({ stage: 'llm_init_complete', message: 'LLM initialized successfully.' });
         } catch (err) {
             this.llmInitialized = false;
             this.progressCallback({ stage: 'llm_init_error', message: `LLM initialization failed: ${err.message}`, error: err });
+            if (err instanceof ModelValidationError) throw err;
             throw new Error(`LLM initialization failed: ${err.message}`);
         }
     }
 
-    async llmRewrite(textToRewrite, options = {}) {
-        const MAX_REWRITE_TEXT_LENGTH = 10000;
-
-        // 1. Ensure textToRewrite is a string and handle null/undefined
-        if (textToRewrite === null || typeof textToRewrite === 'undefined') {
-            textToRewrite = '';
-        }
-        textToRewrite = String(textToRewrite);
-
-        // 2. Truncate textToRewrite if it exceeds MAX_REWRITE_TEXT_LENGTH
-        const originalLength = textToRewrite.length;
-        if (originalLength > MAX_REWRITE_TEXT_LENGTH) {
-            textToRewrite = textToRewrite.substring(0, MAX_REWRITE_TEXT_LENGTH);
-            // 4. Add Warning for Truncation
-            console.warn(`Extract2MD: llmRewrite input text truncated from ${originalLength} to ${MAX_REWRITE_TEXT_LENGTH} characters.`);
-        }
+    // The model an LLM task runs on and how its input is chunked.
+    _llmSettings(options) {
+        // A backend configured for a specific model (e.g. on an HTTP server) overrides the converter's default.
+        const model = options.llmModel || this.llmBackend.defaultModel || this.llmModel;
+        // Chunks are sized for the model's context window when the registry knows the model.
+        const registeredModel = this.modelRegistry.get(model);
+        const contextWindowSize = options.contextWindowSize || (registeredModel && registeredModel.contextWindowSize) || undefined;
+        return {
+            model,
+            maxChunkChars: options.maxChunkChars || maxChunkCharsForContextWindow(contextWindowSize),
+            overlapChars: options.overlapChars !== undefined ? options.overlapChars : DEFAULT_OVERLAP_CHARS
+        };
+    }
 
-        const model = options.llmModel || this.llmModel;
-        const promptTemplate = options.llmPromptTemplate || 
-            ((text) => `Please rewrite the following text, which was extracted from a PDF. Aim to improve its clarity, correct grammatical errors, and enhance its flow and professional tone, while preserving the original meaning, information, details, context and structure. Correct spelling errors in common words (do not change spelling in uncommon words like names, places, brands, etc.). Output only the rewritten text.\n\nOriginal Text:\n${text}\n\nRewritten Text:`);
-        
-        const chatOpts = options.chatOpts || {};
+    // Sends every text chunk through the model in order and resolves with one output per chunk;
+    // verbatim chunks are passed through. `promptFor(chunk, info)` builds each prompt, and `parse`,
+    // when given, turns a reply into the chunk's output. `present(outputs)` renders the outputs so far
+    // (the last one possibly partial) for onToken and for the partialText of errors.
+    async _generateForChunks(chunks, { model, chatOpts = {}, signal, onToken = null, label, promptFor, parse = null, present }) {
+        const textChunks = chunks.filter(chunk => !chunk.verbatim);
+        if (textChunks.length === 0) return chunks.map(chunk => chunk.text);
 
-        await this._initializeLLM(model, chatOpts);
-        if (!this.llmInitialized || !this.chatModule) {
+        // Model loading cannot be interrupted; an abort stops waiting for it and the model stays loaded.
+        await abortable(this._initializeLLM(model, chatOpts), signal);
+        if (!this.llmInitialized) {
             throw new Error('LLM could not be initialized or is not ready.');
         }
 
-        const prompt = promptTemplate(textToRewrite);
-        this.progressCallback({ stage: 'llm_generate_start', message: 'LLM generating rewritten text...' });
+        this.progressCallback({ stage: 'llm_generate_start', message: `LLM ${label} text (${textChunks.length} chunk${textChunks.length > 1 ? 's' : ''})...` });
         
+        const removeAbortListener = onAbort(signal, () => {
+            if (typeof this.llmBackend.interrupt === 'function') {
+                Promise.resolve(this.llmBackend.interrupt()).catch(err => console.warn('Extract2MD: Failed to interrupt LLM generation.', err));
+            }
+        });
+        const generate = async (prompt) => {
+            const reply = await this.llmBackend.generate(prompt, { model, signal });
+            throwIfAborted(signal);
+            return reply;
+        };
+        const outputs = [];
+        let partial = '';
+        // Everything produced so far: finished chunks, passed-through chunks and the chunk being generated.
+        const outputSoFar = () => present([...outputs, partial.trim()]);
         try {
-            // The generate method in newer web-llm might return a ChatCompletion object.
-            // We need to access the message content.
-            // For simplicity, assuming it's similar to the previous structure or a direct string.
-            // If it returns a more complex object, this part might need adjustment based on the exact API of webLLM.Chat.
-            let replyContent = '';
-            if (this.WebLLMCreateEngine && this.chatModule && this.chatModule.chat && typeof this.chatModule.chat.completions.create === 'function') {
-                // Using MLCEngine's OpenAI-compatible API
-                const chatCompletion = await this.chatModule.chat.completions.create({
-                    messages: [{ role: "user", content: prompt }],
-                    model: model // Ensure 'model' here is the modelId used for the engine
-                });
-                if (chatCompletion.choices && chatCompletion.choices.length > 0 && chatCompletion.choices[0].message) {
-                    replyContent = chatCompletion.choices[0].message.content || '';
+            let chunkIndex = 0;
+            for (const chunk of chunks) {
+                if (chunk.verbatim) {
+                    outputs.push(chunk.text);
+                    continue;
                 }
-            } else if (this.chatModule && typeof this.chatModule.generate === 'function') {
-                // Fallback or direct Chat.generate usage
-                replyContent = await this.chatModule.generate(prompt, undefined, 0); // progressCb and streamInterval to undefined/0
-            } else {
-                throw new Error('LLM module does not support generate or chat.completions.create');
+                chunkIndex++;
+                this.progressCallback({
+                    stage: 'llm_chunk',
+                    message: `LLM ${label} chunk ${chunkIndex}/${textChunks.length}...`,
+                    currentChunk: chunkIndex,
+                    totalChunks: textChunks.length,
+                    progress: (chunkIndex - 1) / textChunks.length
+                });
+                const prompt = promptFor(chunk, { context: chunk.context, chunkIndex, chunkCount: textChunks.length });
+                partial = '';
+                const onDelta = onToken ? (token) => {
+                    partial += token;
+                    onToken(token, outputSoFar());
+                } : null;
+                partial = await this.llmBackend.generate(prompt, { model, onDelta, signal });
+                // An interrupted generation resolves with the text produced so far.
+                throwIfAborted(signal);
+                outputs.push(parse ? await parse(partial, { prompt, chunkIndex, generate }) : partial.trim());
+                partial = '';
             }
             
-            this.progressCallback({ stage: 'llm_generate_complete', message: 'LLM rewrite complete.' });
-            return replyContent;
+            this.progressCallback({ stage: 'llm_generate_complete', message: `LLM ${label} text complete.`, progress: 1 });
+            return outputs;
         } catch (err) {
+            if (err instanceof AbortError || (signal && signal.aborted)) {
+                // Backends may reject with their own error once aborted (e.g. a cancelled fetch).
+                const abortError = err instanceof AbortError ? err : abortErrorFor(signal);
+                abortError.partialText = outputSoFar();
+                throw abortError;
+            }
+            if (err instanceof LLMOutputError) throw err;
             this.progressCallback({ stage: 'llm_generate_error', message: `LLM generation failed: ${err.message}`, error: err });
-            throw new Error(`LLM generation failed: ${err.message}`);
+            throw new LLMRewriteError(`LLM generation failed: ${err.message}`, { partialText: outputSoFar(), cause: err });
+        } finally {
+            removeAbortListener();
+        }
+    }
+
+    // Runs a task whose result is its chunks' outputs stitched back together: rewrite, structure-fix
+    // and translate. `taskInfo` is passed to the prompt template along with each chunk's context.
+    async _llmMapTask(taskName, text, options, taskInfo = {}) {
+        const task = LLM_TASKS[taskName];
+        const { signal } = options;
+        throwIfAborted(signal);
+        const { model, maxChunkChars, overlapChars } = this._llmSettings(options);
+        const chunks = chunkMarkdown(llmInputText(text), { maxChunkChars, overlapChars, passThrough: task.passThrough });
+        const promptTemplate = options.llmPromptTemplate || task.prompt;
+
+        const outputs = await this._generateForChunks(chunks, {
+            model,
+            chatOpts: options.chatOpts,
+            signal,
+            onToken: options.onToken,
+            label: task.label,
+            promptFor: (chunk, info) => renderPrompt(promptTemplate, chunk.text, { ...taskInfo, ...info }),
+            present: texts => joinChunks(chunks.slice(0, texts.length), texts)
+        });
+        return joinChunks(chunks, outputs);
+    }
+
+    // Long input is rewritten chunk by chunk (see markdownChunks.js); tables, code blocks and
+    // page markers are passed through unchanged.
+    async llmRewrite(textToRewrite, options = {}) {
+        return this._llmMapTask('rewrite', textToRewrite, options);
+    }
+
+    // Repairs headings, lists and tables without changing the wording. Tables are sent to the model.
+    async llmFixStructure(text, options = {}) {
+        return this._llmMapTask('structure-fix', text, options);
+    }
+
+    async llmTranslate(text, options = {}) {
+        if (!options.targetLanguage) {
+            throw new Error('llmTranslate requires a targetLanguage, e.g. "French".');
+        }
+        return this._llmMapTask('translate', text, options, { targetLanguage: options.targetLanguage, sourceLanguage: options.sourceLanguage });
+    }
+
+    // Writes an abstract or a TL;DR. A document too long for one prompt is first reduced to notes, part
+    // by part (and the notes again, if they are still too long); only the final summary is streamed.
+    async llmSummarize(text, options = {}) {
+        const task = LLM_TASKS.summarize;
+        const style = options.style || 'abstract';
+        if (!(style in DEFAULT_SUMMARY_WORDS)) {
+            throw new Error(`Unknown summary style "${style}". Use 'abstract' or 'tldr'.`);
+        }
+        const { signal } = options;
+        throwIfAborted(signal);
+        const { model, maxChunkChars } = this._llmSettings(options);
+        const settings = { model, chatOpts: options.chatOpts, signal, label: task.label };
+
+        let source = llmInputText(text);
+        let fromNotes = false;
+        let textChunks;
+        // Notes are reduced again until they fit one prompt; the summary is never written from more than one chunk.
+        for (let round = 0; ; round++) {
+            textChunks = chunkMarkdown(source, { maxChunkChars, overlapChars: 0, passThrough: task.passThrough }).filter(chunk => !chunk.verbatim);
+            if (textChunks.length <= 1) break;
+            if (round >= MAX_SUMMARY_ROUNDS) {
+                throw new LLMOutputError(`The notes were still too long for one prompt after ${MAX_SUMMARY_ROUNDS} rounds of summarizing. Use a model with a larger context window.`, { output: source, errors: [`${textChunks.length} chunks left`] });
+            }
+            const notes = await this._generateForChunks(textChunks, {
+                ...settings,
+                promptFor: (chunk, info) => task.notesPrompt(chunk.text, info),
+                present: texts => texts.join('\n\n')
+            });
+            const nextSource = notes.join('\n\n');
+            if (nextSource.length >= source.length) {
+                throw new LLMOutputError('The notes on the text were no shorter than the text, so it cannot be summarized in one prompt. Use a model with a larger context window.', { output: nextSource, errors: [`${textChunks.length} chunks left`] });
+            }
+            source = nextSource;
+            fromNotes = true;
         }
+        if (textChunks.length === 0) return '';
+
+        const promptTemplate = options.llmPromptTemplate || task.prompt;
+        const summaryInfo = { style, maxWords: options.maxWords || DEFAULT_SUMMARY_WORDS[style], fromNotes };
+        const [summary] = await this._generateForChunks([{ text: joinChunks(textChunks), verbatim: false, context: '', continuation: false }], {
+            ...settings,
+            onToken: options.onToken,
+            promptFor: (chunk, info) => renderPrompt(promptTemplate, chunk.text, { ...summaryInfo, ...info }),
+            present: texts => texts[0] || ''
+        });
+        return summary;
+    }
+
+    // Extracts the fields described by a JSON Schema. Each chunk's reply is parsed as JSON (asking the
+    // model again up to maxRetries times when it is not), the chunks' objects are merged, and the result
+    // is validated against the schema. Rejects with an LLMOutputError when parsing or validation fails.
+    async llmExtract(text, options = {}) {
+        const { schema } = options;
+        if (!schema || typeof schema !== 'object') {
+            throw new Error('llmExtract requires a JSON Schema object as `schema`.');
+        }
+        const task = LLM_TASKS.extract;
+        const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 1;
+        const { signal } = options;
+        throwIfAborted(signal);
+        const { model, maxChunkChars } = this._llmSettings(options);
+        const chunks = chunkMarkdown(llmInputText(text), { maxChunkChars, overlapChars: 0, passThrough: task.passThrough }).filter(chunk => !chunk.verbatim);
+        const promptTemplate = options.llmPromptTemplate || task.prompt;
+
+        const parse = async (reply, { prompt, chunkIndex, generate }) => {
+            let lastError;
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return withoutNulls(parseJsonReply(reply));
+                } catch (err) {
+                    lastError = err;
+                }
+                if (attempt >= maxRetries) break;
+                reply = await generate(`${prompt} ${reply.trim()}\n\nThat reply is not a valid JSON object (${lastError.message}). Reply again with only the JSON object.\n\nJSON:`);
+            }
+            throw new LLMOutputError(`LLM reply for chunk ${chunkIndex} is not valid JSON: ${lastError.message}`, { errors: [lastError.message], cause: lastError });
+        };
+
+        const outputs = await this._generateForChunks(chunks, {
+            model,
+            chatOpts: options.chatOpts,
+            signal,
+            onToken: options.onToken,
+            label: task.label,
+            promptFor: (chunk, info) => renderPrompt(promptTemplate, chunk.text, { schema, instructions: options.instructions, ...info }),
+            parse,
+            present: items => items.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).filter(Boolean).join('\n')
+        });
+
+        const data = outputs.reduce((merged, output) => mergeExtracted(merged, output), undefined) || {};
+        const errors = validateJsonSchema(data, schema);
+        if (errors.length > 0) {
+            throw new LLMOutputError(`Extracted data does not match the schema: ${errors.join('; ')}`, { output: data, errors });
+        }
+        return data;
+    }
+
+    // Runs one of the LLM tasks by name, e.g. from a task picker.
+    async llmTask(task, text, options = {}) {
+        switch (task) {
+            case 'rewrite':
+                return this.llmRewrite(text, options);
+            case 'structure-fix':
+                return this.llmFixStructure(text, options);
+            case 'translate':
+                return this.llmTranslate(text, options);
+            case 'summarize':
+                return this.llmSummarize(text, options);
+            case 'extract':
+                return this.llmExtract(text, options);
+            default:
+                throw new Error(`Unknown LLM task "${task}". Use 'rewrite', 'structure-fix', 'translate', 'summarize' or 'extract'.`);
+        }
+    }
+
+    // Compares an LLM's output with its source text: numbers, proper nouns and sentences that were
+    // dropped or invented, a fidelity score, and block-level changes to review (see fidelity.js).
+    checkFidelity(sourceText, outputText, options = {}) {
+        return checkFidelity(sourceText, outputText, options);
     }
 
     async unloadLLM() {
-        if (this.chatModule) {
+        if (this.llmBackend.isLoaded()) {
             this.progressCallback({ stage: 'llm_unload', message: 'Unloading LLM model...' });
-            await this.chatModule.unload();
-            this.chatModule = null;
+            await this.llmBackend.unload();
             this.llmInitialized = false;
             this.progressCallback({ stage: 'llm_unload_complete', message: 'LLM unloaded.' });
         }
     }
 }
 
+export { Extract2MDConverter, documentToMarkdown, parseMarkdown, parseInline, inlineText, blockText, locateBlocks, checkFidelity, applyChanges, createZip, createMarkdownBundle, Extract2MDError, AbortError, LLMRewriteError, LLMOutputError, ModelValidationError, EncryptedPDFError, NotAPDFError, CorruptPDFError, WorkerLoadError, OutOfMemoryError, PasswordResponses, ModelRegistry, WebLLMBackend, OpenAICompatibleBackend, MockLLMBackend, domCanvasFactory, offscreenCanvasFactory, createNodeCanvasFactory, Extract2MDWorkerClient };
 export default Extract2MDConverter;
\ No newline at end of file
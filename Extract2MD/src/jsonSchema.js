@@ -0,0 +1,77 @@
+/**
+ * jsonSchema.js
+ * Validates values against the subset of JSON Schema used to describe extraction targets:
+ * type, enum, const, properties, required, additionalProperties, items, minItems/maxItems,
+ * minimum/maximum, minLength/maxLength and pattern. Unknown keywords are ignored.
+ */
+
+import { isPlainObject } from './helpers.js';
+
+function typeMatches(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        default: return true;
+    }
+}
+
+// Returns a list of problems, e.g. `$.total: expected number, got string`; empty when the value is valid.
+export function validateJsonSchema(value, schema, path = '$') {
+    if (!isPlainObject(schema)) return [];
+    const errors = [];
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => typeMatches(value, type))) {
+            const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters long`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters long`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path}: must match /${schema.pattern}/`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        if (isPlainObject(schema.items)) {
+            value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (key in properties) {
+                errors.push(...validateJsonSchema(propertyValue, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            } else if (isPlainObject(schema.additionalProperties)) {
+                errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,162 @@
+/**
+ * layout.js
+ * Reading-order reconstruction for multi-column pages.
+ * Finds column gutters from the horizontal coverage of pdf.js text items, then orders
+ * the items column by column, with full-width lines (titles, figure captions spanning
+ * the gutter) splitting the page into horizontal bands.
+ */
+
+import { parsePageRange } from './pageRanges.js';
+import { itemHeight } from './helpers.js';
+
+const MIN_GUTTER_WIDTH = 8; // PDF points
+const MIN_COLUMN_WIDTH_RATIO = 0.2;
+const MIN_COLUMN_LINES = 3;
+// Prose lines fill most of their column; table cells usually do not. This keeps
+// the gaps between table columns from being taken for column gutters.
+const MIN_PROSE_FILL_RATIO = 0.6;
+const MAX_COLUMNS = 4;
+
+const itemX0 = (item) => item.transform[4];
+const itemX1 = (item) => item.transform[4] + (item.width || 0);
+const itemY = (item) => item.transform[5];
+const isVisible = (item) => item.str && item.str.trim() !== '' && item.width > 0;
+
+// Bounding box of a line's visible items in PDF points, with the origin at the top-left of the page view.
+export function lineBoundingBox(items, view = [0, 0, 0, 0]) {
+    const visible = items.filter(isVisible);
+    if (visible.length === 0) return null;
+    const x0 = Math.min(...visible.map(itemX0));
+    const x1 = Math.max(...visible.map(itemX1));
+    const top = Math.max(...visible.map(item => itemY(item) + itemHeight(item)));
+    const bottom = Math.min(...visible.map(itemY));
+    return { x: x0 - view[0], y: view[3] - top, width: x1 - x0, height: top - bottom };
+}
+
+// Returns the first hint whose `pages` range covers pageNum. Hints without `pages` apply to every page.
+export function columnHintForPage(hints, pageNum, numPages) {
+    if (!Array.isArray(hints)) return null;
+    return hints.find(hint => hint && (hint.pages === undefined || parsePageRange(hint.pages, numPages).includes(pageNum))) || null;
+}
+
+// Groups items into lines by baseline, top to bottom, each line sorted left to right.
+export function groupIntoLines(items) {
+    const sorted = [...items].sort((a, b) => itemY(b) - itemY(a) || itemX0(a) - itemX0(b));
+    const lines = [];
+    let current = null;
+    for (const item of sorted) {
+        if (current && Math.abs(current.y - itemY(item)) <= Math.max(current.height, itemHeight(item)) * 0.5) {
+            current.items.push(item);
+            current.height = Math.max(current.height, itemHeight(item));
+        } else {
+            current = { y: itemY(item), height: itemHeight(item), items: [item] };
+            lines.push(current);
+        }
+    }
+    return lines.map(line => line.items.sort((a, b) => itemX0(a) - itemX0(b)));
+}
+
+// Finds vertical bands that (almost) no text item covers, between the leftmost and rightmost text.
+function findGutterCandidates(items) {
+    const minX = Math.floor(Math.min(...items.map(itemX0)));
+    const maxX = Math.ceil(Math.max(...items.map(itemX1)));
+    const width = maxX - minX;
+    if (width <= 0) return { candidates: [], minX, maxX };
+
+    // Difference array over 1pt bins; a few items (e.g. a centred title) may cross a gutter.
+    const delta = new Array(width + 1).fill(0);
+    for (const item of items) {
+        delta[Math.max(0, Math.floor(itemX0(item) - minX))]++;
+        delta[Math.min(width, Math.ceil(itemX1(item) - minX))]--;
+    }
+    const allowance = Math.max(2, Math.floor(items.length * 0.03));
+
+    const candidates = [];
+    let coverage = 0;
+    let runStart = -1;
+    for (let x = 0; x < width; x++) {
+        coverage += delta[x];
+        if (coverage <= allowance) {
+            if (runStart === -1) runStart = x;
+        } else if (runStart !== -1) {
+            if (runStart > 0 && x - runStart >= MIN_GUTTER_WIDTH) {
+                candidates.push({ x0: minX + runStart, x1: minX + x, center: minX + (runStart + x) / 2, width: x - runStart });
+            }
+            runStart = -1;
+        }
+    }
+    return { candidates, minX, maxX };
+}
+
+const columnIndex = (item, gutters) => {
+    const x0 = itemX0(item);
+    const x1 = itemX1(item);
+    if (gutters.some(g => x0 < g - 1 && x1 > g + 1)) return -1; // Spans a gutter
+    const center = (x0 + x1) / 2;
+    return gutters.filter(g => g < center).length;
+};
+
+// Checks that every column between the gutters is wide enough and reads like running text.
+function guttersAreValid(items, gutters, minX, maxX) {
+    const bounds = [minX, ...gutters, maxX];
+    for (let c = 0; c < bounds.length - 1; c++) {
+        const columnWidth = bounds[c + 1] - bounds[c];
+        if (columnWidth < (maxX - minX) * MIN_COLUMN_WIDTH_RATIO) return false;
+
+        const lines = groupIntoLines(items.filter(item => columnIndex(item, gutters) === c));
+        if (lines.length < MIN_COLUMN_LINES) return false;
+        const fills = lines
+            .map(line => (Math.max(...line.map(itemX1)) - Math.min(...line.map(itemX0))) / columnWidth)
+            .sort((a, b) => a - b);
+        if (fills[Math.floor(fills.length / 2)] < MIN_PROSE_FILL_RATIO) return false;
+    }
+    return true;
+}
+
+// Returns the x-positions of the column gutters on a page, left to right (empty for a single column).
+// A hint may force `columns: n` (1 disables splitting) or give explicit `gutters` x-positions in PDF points.
+export function detectColumnGutters(items, hint = null) {
+    if (hint && Array.isArray(hint.gutters)) return [...hint.gutters].sort((a, b) => a - b);
+    if (hint && hint.columns === 1) return [];
+
+    const visible = items.filter(isVisible);
+    if (visible.length === 0) return [];
+    const { candidates, minX, maxX } = findGutterCandidates(visible);
+
+    if (hint && hint.columns > 1) {
+        const wanted = hint.columns - 1;
+        if (candidates.length >= wanted) {
+            return [...candidates].sort((a, b) => b.width - a.width).slice(0, wanted).map(c => c.center).sort((a, b) => a - b);
+        }
+        // Not enough clear gutters: split the text area evenly.
+        return Array.from({ length: wanted }, (_, i) => minX + ((maxX - minX) * (i + 1)) / hint.columns);
+    }
+
+    if (candidates.length === 0) return [];
+    const all = candidates.slice(0, MAX_COLUMNS - 1).map(c => c.center);
+    if (guttersAreValid(visible, all, minX, maxX)) return all;
+    const widest = [...candidates].sort((a, b) => b.width - a.width)[0].center;
+    return guttersAreValid(visible, [widest], minX, maxX) ? [widest] : [];
+}
+
+// Orders a page's items into lines in reading order: full-width lines split the page into
+// bands, and within each band the columns are read left to right, each top to bottom.
+export function orderLinesByColumns(items, gutters) {
+    const spanningLines = groupIntoLines(items.filter(item => columnIndex(item, gutters) === -1));
+    const spanningY = spanningLines.map(line => Math.max(...line.map(itemY)));
+    const bands = Array.from({ length: spanningLines.length + 1 }, () => Array.from({ length: gutters.length + 1 }, () => []));
+
+    for (const item of items) {
+        const column = columnIndex(item, gutters);
+        if (column === -1) continue;
+        const band = spanningY.filter(y => y > itemY(item)).length;
+        bands[band][column].push(item);
+    }
+
+    const ordered = [];
+    bands.forEach((columns, band) => {
+        columns.forEach(columnItems => ordered.push(...groupIntoLines(columnItems)));
+        if (band < spanningLines.length) ordered.push(spanningLines[band]);
+    });
+    return ordered;
+}
@@ -0,0 +1,210 @@
+/**
+ * links.js
+ * Keeps the links of a PDF. Link annotations are read from each page and attached to the text
+ * items under them; web links become Markdown links on their anchor text, and links to a place
+ * in the document point to the heading at that place (or to its page anchor) once the document
+ * tree is built.
+ */
+
+import { itemHeight } from './helpers.js';
+
+// Private-use characters around an internal link target until resolveInternalLinks() replaces it
+const TARGET_START = '\uE002';
+const TARGET_END = '\uE003';
+const INTERNAL_LINK_REGEX = /\[((?:\\.|[^\]\\])*)\]\(#\uE002(\d+):(-?\d+)?\uE003\)/g;
+const HEADING_POSITION_TOLERANCE = 12; // A destination may point a little below the top of its heading
+const HEADING_LOOKAHEAD = 36; // ...or into the space above it
+
+// The page number and top offset (in PDF points from the top of the page, or null) a destination
+// points to. Named destinations are looked up first; resolves with null when the target is unknown.
+export async function resolveDestination(pdfDoc, dest) {
+    try {
+        const explicit = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+        if (!Array.isArray(explicit) || explicit.length === 0) return null;
+        const [ref, mode, ...args] = explicit;
+        const pageIndex = Number.isInteger(ref) ? ref : await pdfDoc.getPageIndex(ref);
+        const page = await pdfDoc.getPage(pageIndex + 1);
+        const name = mode && mode.name;
+        const top = name === 'XYZ' ? args[1] : name === 'FitH' || name === 'FitBH' ? args[0] : name === 'FitR' ? args[3] : null;
+        return { page: pageIndex + 1, y: typeof top === 'number' ? Math.round(page.view[3] - top) : null };
+    } catch (err) {
+        return null;
+    }
+}
+
+// The link annotations of a page as `{ rect, href }`, rect in PDF user space. Web and mail links
+// keep their URL; internal links get a placeholder resolved by resolveInternalLinks().
+export async function readPageLinks(pdfDoc, page) {
+    const annotations = await page.getAnnotations();
+    const links = [];
+    for (const annotation of annotations) {
+        if (annotation.subtype !== 'Link' || !annotation.rect) continue;
+        if (annotation.url) {
+            links.push({ rect: annotation.rect, href: annotation.url });
+        } else if (annotation.dest) {
+            const target = await resolveDestination(pdfDoc, annotation.dest);
+            if (target) links.push({ rect: annotation.rect, href: `#${TARGET_START}${target.page}:${target.y === null ? '' : target.y}${TARGET_END}` });
+        }
+    }
+    return links;
+}
+
+const inRect = (rect, x, y) => x >= Math.min(rect[0], rect[2]) && x <= Math.max(rect[0], rect[2]) && y >= Math.min(rect[1], rect[3]) && y <= Math.max(rect[1], rect[3]);
+
+// The link a text item lies in (by the middle of the item), or null.
+function linkForItem(item, links) {
+    if (!item.str || item.str.trim() === '') return null;
+    const link = links.find(({ rect }) => inRect(rect, item.transform[4] + (item.width || 0) / 2, item.transform[5] + itemHeight(item) / 3));
+    return link ? link.href : null;
+}
+
+// Moves a position inside a word to the nearer end of the word.
+function nearestWordEdge(str, index) {
+    let start = index;
+    let end = index;
+    while (start > 0 && /\S/.test(str[start - 1])) start--;
+    while (end < str.length && /\S/.test(str[end])) end++;
+    return index - start <= end - index ? start : end;
+}
+
+// Splits an item at the edges of the links covering part of it. Character positions are estimated
+// from the item's width, so each edge is moved to the nearest word boundary.
+function splitAtLinks(item, links) {
+    const { str } = item;
+    const horizontal = item.transform[1] === 0 && item.transform[2] === 0;
+    if (!horizontal || !item.width || str.trim() === '') return [{ ...item, link: linkForItem(item, links) }];
+
+    const x0 = item.transform[4];
+    const charWidth = item.width / str.length;
+    const y = item.transform[5] + itemHeight(item) / 3;
+    const toIndex = (x) => Math.min(str.length, Math.max(0, Math.round((x - x0) / charWidth)));
+    const spans = [];
+    for (const { rect, href } of links) {
+        const [left, right] = [Math.min(rect[0], rect[2]), Math.max(rect[0], rect[2])];
+        if (y < Math.min(rect[1], rect[3]) || y > Math.max(rect[1], rect[3]) || right <= x0 || left >= x0 + item.width) continue;
+        let start = nearestWordEdge(str, toIndex(left));
+        let end = nearestWordEdge(str, toIndex(right));
+        if (str.slice(start, end).trim() === '') {
+            // Too short for the estimate: take the words the link touches
+            while (start > 0 && /\S/.test(str[start - 1])) start--;
+            while (end < str.length && /\S/.test(str[end])) end++;
+        }
+        if (str.slice(start, end).trim() !== '') spans.push({ start, end, href });
+    }
+    if (spans.length === 0) return [{ ...item, link: null }];
+
+    const parts = [];
+    const addPart = (start, end, link) => {
+        if (end <= start) return;
+        const transform = [...item.transform];
+        transform[4] = x0 + start * charWidth;
+        parts.push({ ...item, str: str.slice(start, end), width: (end - start) * charWidth, transform, hasEOL: end === str.length && item.hasEOL, link });
+    };
+    let position = 0;
+    for (const span of spans.sort((a, b) => a.start - b.start)) {
+        const start = Math.max(span.start, position);
+        addPart(position, start, null);
+        addPart(start, span.end, span.href);
+        position = Math.max(position, span.end);
+    }
+    addPart(position, str.length, null);
+    return parts;
+}
+
+// The pdf.js text items of a page with the `link` (href or null) each lies in. Items that a link
+// covers only in part, such as a whole line with a linked "Section 2.11", are split so that only
+// the linked words carry the link.
+export function linkTextItems(items, links) {
+    if (links.length === 0) return items.map(item => ({ ...item, link: null }));
+    return items.flatMap(item => splitAtLinks(item, links));
+}
+
+// A Markdown link on text, keeping the surrounding whitespace outside; a link whose text is its
+// URL becomes an autolink.
+export function linkMarkdown(text, href) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    const target = href.replace(/[\s()<>]/g, char => encodeURIComponent(char));
+    const link = match[2] === href && /^[a-z][a-z\d+.-]*:\S+$/i.test(href) ? `<${href}>` : `[${match[2].replace(/([[\]])/g, '\\$1')}](${target})`;
+    return `${match[1]}${link}${match[3]}`;
+}
+
+// GitHub's heading ids: lower case, punctuation removed, spaces as hyphens. Link and footnote
+// markup is reduced to its text first.
+function slugify(text) {
+    return text
+        .replace(/\[\^[^\]]+\]/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<([^>]+)>/g, '$1')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+        .replace(/ /g, '-');
+}
+
+// The anchor of each heading block of a document, made unique the way GitHub does ("intro", "intro-1").
+export function headingAnchors(doc) {
+    const anchors = new Map();
+    const used = new Map();
+    for (const block of doc.pages.flatMap(page => page.blocks)) {
+        if (block.type !== 'heading') continue;
+        const slug = slugify(block.text);
+        const count = used.get(slug) || 0;
+        used.set(slug, count + 1);
+        anchors.set(block, count === 0 ? slug : `${slug}-${count}`);
+    }
+    return anchors;
+}
+
+// The anchor a place in the document is reached by: the heading at that place or just below it,
+// else the last heading above it on its page (the first heading of the page when the place has no
+// offset), else its page anchor (with `pageAnchors`), else the last heading before its page. Null
+// if there is none.
+export function anchorForTarget(doc, anchors, target, { pageAnchors = false } = {}) {
+    let before = null;
+    let onPage = null;
+    let near = null;
+    for (const [block, anchor] of anchors) {
+        if (block.page === null || block.page > target.page) break;
+        if (block.page < target.page) {
+            before = anchor;
+        } else if (target.y !== null && (!block.bbox || block.bbox.y <= target.y + HEADING_POSITION_TOLERANCE)) {
+            onPage = anchor;
+            if (block.bbox && block.bbox.y >= target.y - HEADING_POSITION_TOLERANCE && near === null) near = anchor;
+        } else if (target.y !== null && block.bbox.y <= target.y + HEADING_LOOKAHEAD && near === null) {
+            near = anchor;
+        }
+    }
+    if (near) return near;
+    if (onPage === null && target.y === null) {
+        const first = [...anchors].find(([block]) => block.page === target.page);
+        if (first) onPage = first[1];
+    }
+    if (onPage) return onPage;
+    if (pageAnchors && doc.pages.some(page => page.pageNumber === target.page)) return `page-${target.page}`;
+    return before;
+}
+
+function mapBlockText(block, map) {
+    if (block.type === 'table') {
+        block.header = block.header.map(map);
+        block.rows = block.rows.map(row => row.map(map));
+    } else if (block.type === 'list') {
+        block.items.forEach(item => {
+            item.text = map(item.text);
+            if (item.children) mapBlockText(item.children, map);
+        });
+    } else if (typeof block.text === 'string' && block.type !== 'code') {
+        block.text = map(block.text);
+    }
+}
+
+// Points the internal links of a document at heading anchors (see anchorForTarget()); links
+// whose target has no anchor are reduced to their text.
+export function resolveInternalLinks(doc, anchors, options = {}) {
+    const resolve = (text) => text.replace(INTERNAL_LINK_REGEX, (link, label, page, y) => {
+        const anchor = anchorForTarget(doc, anchors, { page: Number(page), y: y === undefined ? null : Number(y) }, options);
+        return anchor ? `[${label}](#${anchor})` : label;
+    });
+    doc.pages.forEach(page => page.blocks.forEach(block => mapBlockText(block, resolve)));
+}
@@ -0,0 +1,124 @@
+/**
+ * listDetection.js
+ * Recognizes bulleted and numbered list items ("-", "•", "1.", "2)", "(a)", "iv.") and builds
+ * nested list blocks from them. Items are nested by the x-offset of their markers, or by the style
+ * of their markers when the lines have no position (plain OCR text).
+ */
+
+import { joinLines } from './textFlow.js';
+import { romanToNumber } from './helpers.js';
+
+const BULLETS = '\\-*+•◦▪▫‣⁃∙●○■□◆◇►▶➢➤✓✔\\uF0A7\\uF0B7\\uF0D8\\uF076';
+// Upper-case letters and numerals only in brackets or with ")", so "A. Smith" and "I. Introduction" stay text.
+const MARKER = `[${BULLETS}]|\\((?:\\d{1,3}|[a-zA-Z]|[ivxlcdmIVXLCDM]{1,6})\\)|(?:\\d{1,3}|[a-z]|[ivxlcdm]{1,6})[.)]|(?:[A-Z]|[IVXLCDM]{1,6})\\)`;
+const ITEM_REGEX = new RegExp(`^\\s*(${MARKER})\\s+(\\S.*)$`);
+const MARKER_ONLY_REGEX = new RegExp(`^(?:${MARKER})$`);
+const ROMAN_REGEX = /^[ivxlcdm]+$/i;
+
+const INDENT_TOLERANCE = 4; // PDF points between markers of the same level
+const SENTENCE_END_REGEX = /[.!?:;]$/;
+const PARAGRAPH_GAP_RATIO = 0.5; // Space between lines, as a share of the line height, that starts a paragraph
+
+// Parses a list item line into `{ label, kind, value, text }`, where kind is 'bullet', 'decimal',
+// 'alpha' or 'roman' (single letters like "i" or "v" may be either; see resolveKind()) and label
+// is the marker as written. Returns null for other lines.
+export function parseListItem(line) {
+    const match = String(line).match(ITEM_REGEX);
+    if (!match) return null;
+    const label = match[1];
+    const text = match[2].trim();
+    const core = label.replace(/^\(|[.)]$/g, '');
+    if (core.length === 1 && !/[\da-zA-Z]/.test(core)) return { label, kind: 'bullet', value: null, text };
+    if (/^\d+$/.test(core)) return { label, kind: 'decimal', value: Number(core), text };
+    if (core.length === 1) return { label, kind: 'alpha', value: core.toLowerCase().charCodeAt(0) - 96, upper: core !== core.toLowerCase(), maybeRoman: ROMAN_REGEX.test(core), text };
+    return { label, kind: 'roman', value: romanToNumber(core), upper: core !== core.toLowerCase(), text };
+}
+
+// A line's cells where a cell holding only a list marker (a bullet glyph set apart from its text)
+// is merged into the next cell, so bulleted lines are not mistaken for table rows.
+export function mergeMarkerCell(cells) {
+    if (cells.length < 2 || !MARKER_ONLY_REGEX.test(cells[0].text.trim())) return cells;
+    const [marker, first, ...rest] = cells;
+    const merged = { ...first, text: `${marker.text} ${first.text}`, x0: marker.x0 };
+    if (first.markdown !== undefined) merged.markdown = `${marker.markdown || marker.text} ${first.markdown}`;
+    return [merged, ...rest];
+}
+
+// "i", "v", "x"... continue an alphabetic list after "h", "u", "w"..., and start or continue a roman one otherwise.
+function resolveKind(item, previousSibling) {
+    if (item.kind !== 'alpha' || !item.maybeRoman) return item;
+    if (previousSibling && previousSibling.kind === 'alpha' && previousSibling.value === item.value - 1) return item;
+    if (item.label.replace(/^\(|[.)]$/g, '').toLowerCase() === 'i' || (previousSibling && previousSibling.kind === 'roman')) {
+        return { ...item, kind: 'roman', value: romanToNumber(item.label.replace(/^\(|[.)]$/g, '')) };
+    }
+    return item;
+}
+
+const sameStyle = (a, b) => a.kind === b.kind && !!a.upper === !!b.upper;
+
+function numberingOf(item) {
+    if (item.kind === 'alpha') return item.upper ? 'upper-alpha' : 'lower-alpha';
+    if (item.kind === 'roman') return item.upper ? 'upper-roman' : 'lower-roman';
+    return 'decimal';
+}
+
+function newList(item) {
+    const list = { type: 'list', ordered: item.kind !== 'bullet', items: [] };
+    if (list.ordered) {
+        list.start = item.value;
+        list.numbering = numberingOf(item);
+    }
+    return list;
+}
+
+// Builds a list block from entries `{ item, x, lines }` (item from parseListItem(), x the marker's
+// x-offset or null, lines the item's text lines). An entry further right than the current level,
+// or with a marker style not used by any open level, starts a nested list.
+export function buildList(entries) {
+    const positioned = entries.every(entry => entry.x !== null && entry.x !== undefined);
+    const stack = [];
+    for (const entry of entries) {
+        let level = stack[stack.length - 1];
+        if (level && positioned) {
+            while (stack.length > 1 && entry.x < level.x - INDENT_TOLERANCE) {
+                stack.pop();
+                level = stack[stack.length - 1];
+            }
+        } else if (level) {
+            const item = resolveKind(entry.item, level.last);
+            const index = stack.map(open => sameStyle(open.last, item)).lastIndexOf(true);
+            if (index !== -1) {
+                stack.length = index + 1;
+                level = stack[index];
+            }
+        }
+
+        const item = resolveKind(entry.item, level ? level.last : null);
+        const nests = level && (positioned ? entry.x > level.x + INDENT_TOLERANCE : !sameStyle(level.last, item));
+        if (!level || nests) {
+            const list = newList(item);
+            if (level) level.list.items[level.list.items.length - 1].children = list;
+            level = { list, x: entry.x, last: item };
+            stack.push(level);
+        }
+        const listItem = { text: joinLines(entry.lines) };
+        if (level.list.ordered && level.list.numbering !== 'decimal') listItem.label = item.label;
+        level.list.items.push(listItem);
+        level.last = item;
+    }
+    return stack.length > 0 ? stack[0].list : null;
+}
+
+// Whether a line without a marker continues the last list item (an entry as for buildList(), plus
+// the `source` lines it was read from) rather than ending the list. A line set apart by extra space
+// starts a paragraph; otherwise a line indented past the item's marker continues the item, and a
+// line at the marker's own offset continues it while its sentence is unfinished.
+export function continuesListItem(entry, line) {
+    if (entry.x === null || entry.x === undefined || !line.bbox) return true;
+    const previous = entry.source[entry.source.length - 1];
+    if (previous.bbox && previous.page === line.page && line.bbox.y - (previous.bbox.y + previous.bbox.height) >= previous.bbox.height * PARAGRAPH_GAP_RATIO) {
+        return false;
+    }
+    if (line.bbox.x > entry.x + INDENT_TOLERANCE) return true;
+    return line.bbox.x >= entry.x - INDENT_TOLERANCE && !SENTENCE_END_REGEX.test(entry.lines[entry.lines.length - 1]);
+}
@@ -0,0 +1,30 @@
+/**
+ * llmBackends.js
+ * Chooses the LLM backend used by llmRewrite. A backend is any object with
+ * `isLoaded(modelId?)`, `load(modelId, { chatOpts, onProgress })`,
+ * `generate(prompt, { model, onDelta, signal })`, `unload()` and optionally `interrupt()`
+ * and `defaultModel`.
+ */
+
+import { WebLLMBackend } from './webLLMBackend.js';
+import { OpenAICompatibleBackend } from './openAICompatibleBackend.js';
+import { MockLLMBackend } from './mockLLMBackend.js';
+
+// `config` is a backend object, a type name ('webllm', 'openai', 'mock') or `{ type, ...options }`.
+// `webLLMDefaults` carries the converter options that apply to the WebLLM backend.
+export function createLLMBackend(config = 'webllm', webLLMDefaults = {}) {
+    if (config && typeof config.generate === 'function') return config;
+    const { type = 'webllm', ...options } = typeof config === 'string' ? { type: config } : (config || {});
+    switch (type) {
+        case 'webllm':
+            return new WebLLMBackend({ ...webLLMDefaults, ...options });
+        case 'openai':
+            return new OpenAICompatibleBackend(options);
+        case 'mock':
+            return new MockLLMBackend(options);
+        default:
+            throw new Error(`Unknown LLM backend "${type}". Use 'webllm', 'openai', 'mock' or a backend object.`);
+    }
+}
+
+export { WebLLMBackend, OpenAICompatibleBackend, MockLLMBackend };
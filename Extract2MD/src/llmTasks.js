@@ -0,0 +1,106 @@
+/**
+ * llmTasks.js
+ * The tasks the converter runs on its LLM backend: rewrite, structure-fix, translate, summarize and
+ * extract. Each task has a default prompt and the kinds of Markdown block that are passed through
+ * without being sent to the model; extraction also parses and merges the model's JSON replies.
+ */
+
+import { DEFAULT_PASS_THROUGH } from './markdownChunks.js';
+import { isPlainObject } from './helpers.js';
+
+const contextSection = (context) => (context ? `Preceding Text (for context only, do not rewrite or repeat it):\n${context}\n\n` : '');
+
+export const DEFAULT_SUMMARY_WORDS = { abstract: 200, tldr: 50 };
+
+// Per task: `label` for progress messages, `passThrough` for chunkMarkdown() and the default `prompt`,
+// called with a chunk's text and `{ context, chunkIndex, chunkCount }` plus the task's options.
+export const LLM_TASKS = {
+    rewrite: {
+        label: 'rewriting',
+        passThrough: DEFAULT_PASS_THROUGH,
+        prompt: (text, { context } = {}) => `Please rewrite the following text, which was extracted from a PDF. Aim to improve its clarity, correct grammatical errors, and enhance its flow and professional tone, while preserving the original meaning, information, details, context and structure. Correct spelling errors in common words (do not change spelling in uncommon words like names, places, brands, etc.). Output only the rewritten text.\n\n${contextSection(context)}Original Text:\n${text}\n\nRewritten Text:`
+    },
+    // Tables are sent too, so broken ones can be repaired.
+    'structure-fix': {
+        label: 'fixing the structure of',
+        passThrough: ['code', 'html', 'image', 'metadata'],
+        prompt: (text, { context } = {}) => `The following Markdown was extracted from a PDF and its structure may be broken. Repair the Markdown structure only: mark headings with #, turn bulleted and numbered lines into Markdown lists (indenting nested items), rebuild tables as pipe tables with a header row, and join lines that were broken in the middle of a sentence. Do not change, add, remove or reorder any words. Output only the repaired Markdown.\n\n${contextSection(context)}Markdown:\n${text}\n\nRepaired Markdown:`
+    },
+    translate: {
+        label: 'translating',
+        passThrough: ['code', 'html', 'image', 'metadata'],
+        prompt: (text, { context, targetLanguage, sourceLanguage } = {}) => `Translate the following Markdown${sourceLanguage ? ` from ${sourceLanguage}` : ''} into ${targetLanguage}. Keep the Markdown structure (headings, lists, tables, links, emphasis) exactly as it is, and keep numbers, names, code and URLs unchanged. Output only the translation.\n\n${contextSection(context)}Markdown:\n${text}\n\nTranslation:`
+    },
+    // Long documents are summarized part by part into notes (`notesPrompt`), then `prompt` writes the
+    // summary from the whole text or from the notes.
+    summarize: {
+        label: 'summarizing',
+        passThrough: ['html', 'image'],
+        notesPrompt: (text, { chunkIndex, chunkCount } = {}) => `The following text is part ${chunkIndex} of ${chunkCount} of a document extracted from a PDF. List its key points as short notes, keeping names, numbers, dates and conclusions. Output only the notes.\n\nText:\n${text}\n\nNotes:`,
+        prompt: (text, { style = 'abstract', maxWords = DEFAULT_SUMMARY_WORDS[style], fromNotes = false } = {}) => {
+            const source = fromNotes ? 'the following notes on a document' : 'the following document, which was extracted from a PDF';
+            const instructions = style === 'tldr'
+                ? `Write a TL;DR of ${source}: at most ${maxWords} words stating the essential point.`
+                : `Write an abstract of ${source}: one paragraph of at most ${maxWords} words covering its purpose, main points and conclusions.`;
+            return `${instructions} Do not add information that is not in the text. Output only the ${style === 'tldr' ? 'TL;DR' : 'abstract'}.\n\n${fromNotes ? 'Notes' : 'Document'}:\n${text}\n\n${style === 'tldr' ? 'TL;DR' : 'Abstract'}:`;
+        }
+    },
+    extract: {
+        label: 'extracting from',
+        passThrough: ['html', 'image'],
+        prompt: (text, { schema, instructions, chunkIndex, chunkCount } = {}) => `Extract information from the following text${chunkCount > 1 ? ` (part ${chunkIndex} of ${chunkCount} of a document)` : ''} into a JSON object that matches this JSON Schema:\n${JSON.stringify(schema, null, 2)}\n\n${instructions ? `${instructions}\n\n` : ''}Use only information stated in the text. Use null for values the text does not contain. Output only the JSON object.\n\nText:\n${text}\n\nJSON:`
+    }
+};
+
+// Fills a prompt template: a function is called as template(text, info); in a string, `${text}` and
+// `${name}` for every field of info are replaced.
+export function renderPrompt(template, text, info) {
+    if (typeof template === 'function') return template(text, info);
+    return String(template).replace(/\$\{(\w+)\}/g, (placeholder, name) => {
+        if (name === 'text') return text;
+        return info[name] !== undefined ? String(info[name]) : placeholder;
+    });
+}
+
+// The JSON object in a model reply, which may be wrapped in a code fence, prose or a <think> section.
+export function parseJsonReply(reply) {
+    const withoutThinking = String(reply).replace(/<think>[\s\S]*?<\/think>/g, '');
+    const fenced = withoutThinking.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1] : withoutThinking;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error('No JSON object found in the reply.');
+    return JSON.parse(body.slice(start, end + 1));
+}
+
+// Combines the values extracted from two chunks: objects are merged key by key, arrays are
+// concatenated without duplicates, and otherwise the first non-null value wins.
+export function mergeExtracted(target, value) {
+    if (value === null || value === undefined) return target;
+    if (target === null || target === undefined) return value;
+    if (Array.isArray(target) && Array.isArray(value)) {
+        const seen = new Set(target.map(item => JSON.stringify(item)));
+        return [...target, ...value.filter(item => !seen.has(JSON.stringify(item)))];
+    }
+    if (isPlainObject(target) && isPlainObject(value)) {
+        const merged = { ...target };
+        for (const [key, item] of Object.entries(value)) {
+            const combined = mergeExtracted(merged[key], item);
+            if (combined !== undefined) merged[key] = combined;
+        }
+        return merged;
+    }
+    return target;
+}
+
+// Drops null values, which the prompt asks for when the text lacks a field, so that absent optional
+// fields are left out rather than failing a type check.
+export function withoutNulls(value) {
+    if (Array.isArray(value)) return value.filter(item => item !== null).map(withoutNulls);
+    if (!isPlainObject(value)) return value;
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item !== null) result[key] = withoutNulls(item);
+    }
+    return result;
+}
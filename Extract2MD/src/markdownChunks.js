@@ -0,0 +1,169 @@
+/**
+ * markdownChunks.js
+ * Splits Markdown into chunks small enough for the LLM's context window, on heading and paragraph
+ * boundaries. Tables, code blocks, HTML lines (page markers, anchors), image references and YAML front
+ * matter become verbatim chunks that are never sent to the model, so they come back unchanged when the chunks are stitched together.
+ * Tasks that need to read or edit them choose which kinds of block are passed through.
+ */
+
+const CHARS_PER_TOKEN = 3; // Conservative for English prose; other scripts need more tokens per character
+const PROMPT_RESERVE_TOKENS = 300; // Instructions and the overlapping context
+const OUTPUT_RATIO = 1.2; // The rewrite of a chunk may come out a little longer than the chunk
+
+export const DEFAULT_CONTEXT_WINDOW_SIZE = 4096;
+export const DEFAULT_OVERLAP_CHARS = 300;
+export const DEFAULT_PASS_THROUGH = ['table', 'code', 'html', 'image', 'metadata'];
+
+const FENCE_REGEX = /^\s*(```|~~~)/;
+const TABLE_ROW_REGEX = /^\s*\|/;
+const HTML_LINE_REGEX = /^\s*(<!--.*-->|<[a-zA-Z][^>]*>(<\/[a-zA-Z]+>)?)\s*$/;
+const HEADING_REGEX = /^#{1,6}\s/;
+const IMAGE_LINE_REGEX = /^\s*!\[[^\]]*\]\([^)]*\)\s*$/;
+const FRONT_MATTER_FENCE = '---';
+
+// Largest chunk (in characters) whose prompt and rewrite both fit a context window of this many tokens.
+export function maxChunkCharsForContextWindow(contextWindowSize = DEFAULT_CONTEXT_WINDOW_SIZE) {
+    const tokens = Math.max(0, contextWindowSize - PROMPT_RESERVE_TOKENS) / (1 + OUTPUT_RATIO);
+    return Math.max(500, Math.floor(tokens * CHARS_PER_TOKEN));
+}
+
+// Splits Markdown into blocks `{ text, kind }`, where kind is 'paragraph', 'heading', 'table', 'code'
+// (a fenced code block), 'html' (a line of HTML), 'image' (a line that is only an image reference) or
+// 'metadata' (YAML front matter opening the document).
+export function splitMarkdownBlocks(markdown) {
+    const lines = String(markdown).split(/\r?\n/);
+    const blocks = [];
+    let paragraph = [];
+
+    const frontMatterEnd = lines[0] === FRONT_MATTER_FENCE ? lines.indexOf(FRONT_MATTER_FENCE, 1) : -1;
+    if (frontMatterEnd !== -1) {
+        blocks.push({ text: lines.slice(0, frontMatterEnd + 1).join('\n'), kind: 'metadata' });
+        lines.splice(0, frontMatterEnd + 1);
+    }
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) blocks.push({ text: paragraph.join('\n'), kind: 'paragraph' });
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() === '') {
+            flushParagraph();
+        } else if (FENCE_REGEX.test(line)) {
+            flushParagraph();
+            const fence = line.trim().slice(0, 3);
+            const code = [line];
+            while (i + 1 < lines.length) {
+                code.push(lines[++i]);
+                if (lines[i].trim().startsWith(fence)) break;
+            }
+            blocks.push({ text: code.join('\n'), kind: 'code' });
+        } else if (TABLE_ROW_REGEX.test(line)) {
+            flushParagraph();
+            const rows = [line];
+            while (i + 1 < lines.length && TABLE_ROW_REGEX.test(lines[i + 1])) rows.push(lines[++i]);
+            blocks.push({ text: rows.join('\n'), kind: 'table' });
+        } else if (HTML_LINE_REGEX.test(line)) {
+            flushParagraph();
+            blocks.push({ text: line, kind: 'html' });
+        } else if (IMAGE_LINE_REGEX.test(line)) {
+            flushParagraph();
+            blocks.push({ text: line, kind: 'image' });
+        } else if (HEADING_REGEX.test(line)) {
+            flushParagraph();
+            blocks.push({ text: line, kind: 'heading' });
+        } else {
+            paragraph.push(line);
+        }
+    }
+    flushParagraph();
+    return blocks;
+}
+
+// Splits an over-long paragraph on sentence ends, and a sentence longer than maxChars on spaces.
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let current = '';
+    const add = (part) => {
+        if (current && current.length + 1 + part.length > maxChars) {
+            pieces.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${part}` : part;
+    };
+
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+        if (sentence.length <= maxChars) {
+            add(sentence);
+            continue;
+        }
+        for (const word of sentence.split(/\s+/)) add(word);
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+// The end of the preceding text, cut at a word boundary, given to the model as context.
+function tailOf(text, overlapChars) {
+    if (overlapChars <= 0 || !text) return '';
+    if (text.length <= overlapChars) return text;
+    const tail = text.slice(-overlapChars);
+    const space = tail.search(/\s/);
+    return space === -1 ? tail : tail.slice(space + 1);
+}
+
+// Groups the blocks into chunks `{ text, verbatim, context, continuation }`. Text chunks stay below
+// maxChunkChars and start at a heading when one comes after the chunk is half full; `context` holds the
+// end of the text before the chunk. A paragraph too long for one chunk is split at sentence ends into
+// chunks marked `continuation`, which joinChunks() attaches to the previous chunk with a space.
+// Blocks whose kind is in `passThrough` become verbatim chunks, and so do tables and code blocks too
+// long for one chunk, since splitting them would break them.
+export function chunkMarkdown(markdown, { maxChunkChars = maxChunkCharsForContextWindow(), overlapChars = DEFAULT_OVERLAP_CHARS, passThrough = DEFAULT_PASS_THROUGH } = {}) {
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+    let previousText = '';
+
+    const flush = (continuation = false) => {
+        if (current.length === 0) return;
+        const text = current.join('\n\n');
+        chunks.push({ text, verbatim: false, context: tailOf(previousText, overlapChars), continuation });
+        previousText = text;
+        current = [];
+        currentLength = 0;
+    };
+
+    for (const block of splitMarkdownBlocks(markdown)) {
+        const tooLongToSplit = block.text.length > maxChunkChars && (block.kind === 'table' || block.kind === 'code');
+        if (passThrough.includes(block.kind) || tooLongToSplit) {
+            flush();
+            chunks.push({ text: block.text, verbatim: true, context: '', continuation: false });
+            continue;
+        }
+        if (block.text.length > maxChunkChars) {
+            flush();
+            splitLongText(block.text, maxChunkChars).forEach((piece, i) => {
+                current.push(piece);
+                flush(i > 0);
+            });
+            continue;
+        }
+        if (currentLength + block.text.length + 2 > maxChunkChars || (block.kind === 'heading' && currentLength > maxChunkChars / 2)) flush();
+        current.push(block.text);
+        currentLength += block.text.length + 2;
+    }
+    flush();
+    return chunks;
+}
+
+// Stitches chunk texts (the originals, or their rewrites in the same order) back into one Markdown string.
+export function joinChunks(chunks, texts = chunks.map(chunk => chunk.text)) {
+    let markdown = '';
+    texts.forEach((text, i) => {
+        if (text === '') return;
+        if (markdown !== '') markdown += chunks[i].continuation ? ' ' : '\n\n';
+        markdown += text;
+    });
+    return markdown;
+}
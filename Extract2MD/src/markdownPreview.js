@@ -0,0 +1,355 @@
+/**
+ * markdownPreview.js
+ * Parses the converter's Markdown (GitHub-flavoured: tables, fenced code, footnotes, page markers
+ * and front matter) into blocks a preview can render without injecting HTML, and finds the page and
+ * region of the PDF each block came from.
+ */
+
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_REGEX = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const RULE_REGEX = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|(\d{1,9})[.)])\s+(.*)$/;
+const FOOTNOTE_REGEX = /^\[\^([^\]]+)\]:\s*(.*)$/;
+const QUOTE_REGEX = /^ {0,3}>\s?(.*)$/;
+const TABLE_DELIMITER_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const PAGE_MARKER_REGEX = /^\s*(?:<!--\s*page\s+(\d+)\s*-->|<a id="page-(\d+)"><\/a>)\s*$/i;
+const HTML_LINE_REGEX = /^ {0,3}<(?:!--|\/?[a-z][\w-]*[\s/>])/i;
+
+// How far ahead of the last matched document block a preview block is looked for, and how alike
+// their words must be. Edits and LLM rewrites change the text, so the match is loose.
+const LOOKAHEAD_BLOCKS = 20;
+const MIN_SIMILARITY = 0.4;
+
+// GitHub's heading ids, as the converter's links to headings use them (see links.js).
+const slugify = (text) => text.trim().toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '').replace(/ /g, '-');
+
+// Splits a table row into cells at the pipes that are not escaped or inside code.
+function splitRow(line) {
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    const row = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    for (let i = 0; i < row.length; i++) {
+        const char = row[i];
+        if (char === '\\' && row[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (char === '`') {
+            inCode = !inCode;
+            cell += char;
+        } else if (char === '|' && !inCode) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+// Where the emphasis opened by `delimiter` at `start` closes: the next run of exactly the same
+// delimiter that follows a non-space. Null when it does not close.
+function closeEmphasis(text, start, delimiter) {
+    const from = start + delimiter.length;
+    if (/\s/.test(text[from] || ' ')) return null;
+    for (let i = from + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (text[i] !== delimiter[0]) continue;
+        let end = i;
+        while (text[end] === delimiter[0]) end++;
+        // Underscores only emphasize whole words.
+        const intraword = delimiter[0] === '_' && /[\p{L}\p{N}]/u.test(text[end] || '');
+        if (end - i === delimiter.length && !/\s/.test(text[i - 1]) && !intraword) return i;
+        i = end - 1;
+    }
+    return null;
+}
+
+// Parses a run of inline Markdown into text, emphasis, code, links, images, footnote references
+// and line breaks. Inline HTML, such as heading anchors, is left out.
+export function parseInline(text) {
+    const inlines = [];
+    let plain = '';
+    const push = (inline) => {
+        if (plain) inlines.push({ type: 'text', text: plain });
+        plain = '';
+        inlines.push(inline);
+    };
+    let i = 0;
+    while (i < text.length) {
+        const rest = text.slice(i);
+        let match;
+        if (rest[0] === '\\' && /^\\[!-/:-@[-`{-~]/.test(rest)) {
+            plain += rest[1];
+            i += 2;
+        } else if (rest[0] === '\n') {
+            push({ type: 'break' });
+            i++;
+        } else if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+            push({ type: 'code', text: match[2].replace(/^ (.*) $/, '$1') });
+            i += match[0].length;
+        } else if ((match = rest.match(/^!\[((?:\\.|[^\]\\])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/))) {
+            push({ type: 'image', alt: match[1].replace(/\\(.)/g, '$1'), src: match[2] });
+            i += match[0].length;
+        } else if ((match = rest.match(/^\[\^([^\]\s]+)\]/))) {
+            push({ type: 'footnoteRef', label: match[1] });
+            i += match[0].length;
+        } else if ((match = rest.match(/^\[((?:\\.|[^\]\\])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/))) {
+            push({ type: 'link', href: match[2], children: parseInline(match[1]) });
+            i += match[0].length;
+        } else if ((match = rest.match(/^<([a-z][a-z\d+.-]*:[^\s<>]+)>/i))) {
+            push({ type: 'link', href: match[1], children: [{ type: 'text', text: match[1] }] });
+            i += match[0].length;
+        } else if ((match = rest.match(/^<br\s*\/?>/i))) {
+            push({ type: 'break' });
+            i += match[0].length;
+        } else if ((match = rest.match(/^<\/?[a-z][\w-]*(?:\s[^<>]*)?\/?>|^<!--[\s\S]*?-->/i))) {
+            i += match[0].length;
+        } else if ((match = rest.match(/^(\*{1,3}|_{1,3}|~~)/))) {
+            const delimiter = match[1];
+            const end = delimiter[0] === '_' && /[\p{L}\p{N}]/u.test(text[i - 1] || '') ? null : closeEmphasis(text, i, delimiter);
+            if (end === null) {
+                plain += delimiter;
+                i += delimiter.length;
+                continue;
+            }
+            const inner = parseInline(text.slice(i + delimiter.length, end));
+            if (delimiter === '~~') push({ type: 'del', children: inner });
+            else if (delimiter.length === 3) push({ type: 'strong', children: [{ type: 'em', children: inner }] });
+            else push({ type: delimiter.length === 2 ? 'strong' : 'em', children: inner });
+            i = end + delimiter.length;
+        } else {
+            const next = rest.slice(1).search(/[\\\n`!<[*_~]/);
+            const length = next === -1 ? rest.length : next + 1;
+            plain += rest.slice(0, length);
+            i += length;
+        }
+    }
+    if (plain) inlines.push({ type: 'text', text: plain });
+    return inlines;
+}
+
+// The plain text of parsed inlines: images give their alt text, footnote references nothing.
+export function inlineText(inlines) {
+    return inlines.map(inline => {
+        switch (inline.type) {
+            case 'text':
+            case 'code':
+                return inline.text;
+            case 'image':
+                return inline.alt;
+            case 'break':
+                return ' ';
+            case 'footnoteRef':
+                return '';
+            default:
+                return inlineText(inline.children);
+        }
+    }).join('');
+}
+
+// Nests list items by their indentation.
+function buildList(entries) {
+    const root = { ordered: entries[0].ordered, start: entries[0].start, items: [] };
+    const stack = [{ indent: entries[0].indent, list: root }];
+    for (const entry of entries) {
+        while (stack.length > 1 && entry.indent < stack[stack.length - 1].indent) stack.pop();
+        const top = stack[stack.length - 1];
+        if (entry.indent > top.indent && top.list.items.length > 0) {
+            const parent = top.list.items[top.list.items.length - 1];
+            parent.children = { ordered: entry.ordered, start: entry.start, items: [] };
+            stack.push({ indent: entry.indent, list: parent.children });
+        }
+        stack[stack.length - 1].list.items.push({ content: parseInline(entry.text), children: null });
+    }
+    return root;
+}
+
+const isTableStart = (lines, i) =>
+    lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DELIMITER_REGEX.test(lines[i + 1]);
+
+// A line that starts a block of its own, and so ends a paragraph.
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE_REGEX.test(line) || HEADING_REGEX.test(line) || RULE_REGEX.test(line) || LIST_ITEM_REGEX.test(line) || FOOTNOTE_REGEX.test(line)
+        || QUOTE_REGEX.test(line) || PAGE_MARKER_REGEX.test(line) || HTML_LINE_REGEX.test(line) || isTableStart(lines, i);
+}
+
+// Parses Markdown into blocks: heading, paragraph, list, table, code, quote, rule, footnote,
+// frontMatter, pageMarker and html. Headings get the anchors GitHub would give them.
+export function parseMarkdown(markdown) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    const anchorCounts = new Map(); // Repeated headings get "-1", "-2" as on GitHub
+    let i = 0;
+
+    if (lines[0] === '---') {
+        const end = lines.indexOf('---', 1);
+        if (end !== -1) {
+            blocks.push({ type: 'frontMatter', text: lines.slice(1, end).join('\n') });
+            i = end + 1;
+        }
+    }
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+        if (!line.trim()) {
+            i++;
+        } else if ((match = line.match(FENCE_REGEX))) {
+            const closingFence = new RegExp(`^ {0,3}\\${match[1][0]}{${match[1].length},}\\s*$`);
+            const closing = lines.findIndex((next, j) => j > i && closingFence.test(next));
+            const end = closing === -1 ? lines.length : closing;
+            blocks.push({ type: 'code', language: match[2], text: lines.slice(i + 1, end).join('\n') });
+            i = end + 1;
+        } else if ((match = line.match(PAGE_MARKER_REGEX))) {
+            blocks.push({ type: 'pageMarker', pageNumber: Number(match[1] || match[2]) });
+            i++;
+        } else if ((match = line.match(HEADING_REGEX))) {
+            const content = parseInline(match[2] || '');
+            const slug = slugify(inlineText(content));
+            const count = anchorCounts.get(slug) || 0;
+            anchorCounts.set(slug, count + 1);
+            blocks.push({ type: 'heading', level: match[1].length, content, anchor: count === 0 ? slug : `${slug}-${count}` });
+            i++;
+        } else if (RULE_REGEX.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+        } else if (isTableStart(lines, i)) {
+            const align = splitRow(lines[i + 1]).map(cell => (cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null));
+            const header = splitRow(line).map(parseInline);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                rows.push(splitRow(lines[i]).map(parseInline));
+                i++;
+            }
+            blocks.push({ type: 'table', header, rows, align });
+        } else if ((match = line.match(FOOTNOTE_REGEX))) {
+            const text = [match[2]];
+            for (i++; i < lines.length && /^\s{2,}\S/.test(lines[i]); i++) text.push(lines[i].trim());
+            blocks.push({ type: 'footnote', label: match[1], content: parseInline(text.join(' ')) });
+        } else if (QUOTE_REGEX.test(line)) {
+            const text = [];
+            for (; i < lines.length && (match = lines[i].match(QUOTE_REGEX)); i++) text.push(match[1]);
+            blocks.push({ type: 'quote', content: parseInline(text.join('\n')) });
+        } else if (LIST_ITEM_REGEX.test(line)) {
+            const entries = [];
+            while (i < lines.length) {
+                const item = lines[i].match(LIST_ITEM_REGEX);
+                if (item) {
+                    entries.push({ indent: item[1].length, ordered: item[3] !== undefined, start: item[3] !== undefined ? Number(item[3]) : 1, text: item[4] });
+                } else if (lines[i].trim() && !startsBlock(lines, i)) {
+                    entries[entries.length - 1].text += ` ${lines[i].trim()}`; // A wrapped item
+                } else {
+                    break;
+                }
+                i++;
+            }
+            blocks.push({ type: 'list', list: buildList(entries) });
+        } else if (HTML_LINE_REGEX.test(line)) {
+            const text = [];
+            for (; i < lines.length && lines[i].trim(); i++) text.push(lines[i]);
+            blocks.push({ type: 'html', text: text.join('\n') });
+        } else {
+            const text = [line.trim()];
+            for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines, i); i++) text.push(lines[i].trim());
+            blocks.push({ type: 'paragraph', content: parseInline(text.join('\n')) });
+        }
+    }
+    return blocks;
+}
+
+const listText = (list) => list.items.map(item => `${inlineText(item.content)} ${item.children ? listText(item.children) : ''}`).join(' ');
+
+// The text of a parsed block that is compared with the document's blocks.
+export function blockText(block) {
+    switch (block.type) {
+        case 'heading':
+        case 'paragraph':
+        case 'quote':
+        case 'footnote':
+            return inlineText(block.content);
+        case 'list':
+            return listText(block.list);
+        case 'table':
+            return [block.header, ...block.rows].flat().map(inlineText).join(' ');
+        case 'code':
+            return block.text;
+        default:
+            return '';
+    }
+}
+
+const documentListText = (items) => items.map(item => `${item.text} ${item.children ? documentListText(item.children.items) : ''}`).join(' ');
+
+// The text of a document block, with its Markdown reduced to text as for the parsed blocks.
+function documentBlockText(block) {
+    switch (block.type) {
+        case 'list':
+            return inlineText(parseInline(documentListText(block.items)));
+        case 'table':
+            return inlineText(parseInline([...block.header, ...block.rows.flat()].join(' ')));
+        case 'image':
+            return block.alt || '';
+        case 'code':
+            return block.text;
+        default:
+            return inlineText(parseInline(block.text));
+    }
+}
+
+const wordsOf = (text) => new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+// The Dice coefficient of two word sets.
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(word => { if (b.has(word)) shared++; });
+    return (2 * shared) / (a.size + b.size);
+}
+
+const soleImageSrc = (block) =>
+    (block.type === 'paragraph' && block.content.length === 1 && block.content[0].type === 'image' ? block.content[0].src : null);
+
+// Gives each parsed block the page and bounding box of the document block it came from. Blocks
+// are matched in order by their words (images by their path); page markers set the page, and a
+// block that matches nothing is taken to be on the page of the block before it.
+export function locateBlocks(blocks, doc) {
+    const sources = doc ? doc.pages.flatMap(page => page.blocks.map(block => ({
+        page: block.page != null ? block.page : page.pageNumber,
+        bbox: block.bbox,
+        src: block.type === 'image' ? block.src : null,
+        words: wordsOf(documentBlockText(block))
+    }))) : [];
+    let page = doc && doc.pages.length > 0 ? doc.pages[0].pageNumber : null;
+    let cursor = 0;
+
+    return blocks.map(block => {
+        if (block.type === 'pageMarker') {
+            page = block.pageNumber;
+            const first = sources.findIndex(source => source.page >= block.pageNumber);
+            if (first !== -1) cursor = first;
+            return { ...block, page, bbox: null };
+        }
+        const src = soleImageSrc(block);
+        const words = wordsOf(blockText(block));
+        let best = -1;
+        let bestScore = src ? 0.5 : MIN_SIMILARITY;
+        for (let j = cursor; j < Math.min(sources.length, cursor + LOOKAHEAD_BLOCKS); j++) {
+            const score = src ? (sources[j].src === src ? 1 : 0) : similarity(words, sources[j].words);
+            if (score >= bestScore && (best === -1 || score > bestScore)) {
+                best = j;
+                bestScore = score;
+            }
+        }
+        if (best === -1) return { ...block, page, bbox: null };
+        page = sources[best].page;
+        cursor = best + 1;
+        return { ...block, page, bbox: sources[best].bbox };
+    });
+}
@@ -0,0 +1,66 @@
+/**
+ * metadata.js
+ * Reads the document information of a PDF (title, author, subject, keywords and dates) from its
+ * XMP metadata and its info dictionary, and writes it as YAML front matter.
+ */
+
+const PDF_DATE_REGEX = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Zz+-])(\d{2})?'?(\d{2})?'?)?/;
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+
+// A PDF date ("D:20240131120000+01'00'") or an XMP date as an ISO 8601 UTC string, or null.
+export function parseDate(value) {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const match = value.trim().match(PDF_DATE_REGEX);
+    let time;
+    if (match) {
+        const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+        const offset = (sign === '+' || sign === '-' ? (sign === '-' ? -1 : 1) : 0) * (Number(offsetHours) * 60 + Number(offsetMinutes));
+        time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)) - offset * 60000;
+    } else {
+        time = Date.parse(value);
+    }
+    return Number.isNaN(time) ? null : new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// The first non-empty text among values; XMP lists (several authors) are joined with commas.
+function firstText(...values) {
+    for (const value of values) {
+        const text = Array.isArray(value) ? value.filter(Boolean).join(', ') : value;
+        if (typeof text === 'string' && text.trim() !== '') return text.replace(/\s+/g, ' ').trim();
+    }
+    return null;
+}
+
+// The document information as `{ title, author, subject, keywords, created, modified }`, leaving
+// out what the PDF does not give. XMP metadata wins over the info dictionary, as in pdf.js's viewer.
+export async function readMetadata(pdfDoc) {
+    const { info = {}, metadata = null } = await pdfDoc.getMetadata();
+    const xmp = (name) => (metadata && metadata.has(name) ? metadata.get(name) : null);
+    const keywords = firstText(info.Keywords, xmp('pdf:keywords'));
+    const result = {
+        title: firstText(xmp('dc:title'), info.Title),
+        author: firstText(xmp('dc:creator'), info.Author),
+        subject: firstText(xmp('dc:description'), info.Subject),
+        keywords: keywords ? keywords.split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean) : null,
+        created: parseDate(info.CreationDate) || parseDate(xmp('xmp:createdate')),
+        modified: parseDate(info.ModDate) || parseDate(xmp('xmp:modifydate'))
+    };
+    return Object.fromEntries(Object.entries(result).filter(([, value]) => value !== null));
+}
+
+// Dates stay plain YAML timestamps; all other values are double-quoted, which JSON escaping fits.
+const yamlValue = (value) => (ISO_DATE_REGEX.test(value) ? value : JSON.stringify(String(value)));
+
+// The metadata as a YAML front matter block, or '' when there is none.
+export function toFrontMatter(metadata = {}) {
+    const lines = [];
+    for (const [key, value] of Object.entries(metadata)) {
+        if (value === null || value === undefined || value === '') continue;
+        if (Array.isArray(value)) {
+            if (value.length > 0) lines.push(`${key}:`, ...value.map(item => `  - ${yamlValue(item)}`));
+        } else {
+            lines.push(`${key}: ${yamlValue(value)}`);
+        }
+    }
+    return lines.length > 0 ? ['---', ...lines, '---'].join('\n') : '';
+}
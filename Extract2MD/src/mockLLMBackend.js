@@ -0,0 +1,53 @@
+/**
+ * mockLLMBackend.js
+ * LLM backend for tests: replies with a fixed string or the result of a function, streams it word
+ * by word, and records every prompt it receives. Can be told to fail after a number of tokens.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class MockLLMBackend {
+    constructor(options = {}) {
+        this.response = options.response !== undefined ? options.response : (prompt) => prompt; // Echoes the prompt by default
+        this.tokenDelayMs = options.tokenDelayMs || 0;
+        this.failAfterTokens = options.failAfterTokens !== undefined ? options.failAfterTokens : null;
+        this.defaultModel = options.model || 'mock';
+        this.loadedModel = null;
+        this.interrupted = false;
+        this.calls = []; // { prompt, model } for every generate() call
+    }
+
+    isLoaded(modelId) {
+        return modelId === undefined ? this.loadedModel !== null : this.loadedModel === modelId;
+    }
+
+    async load(modelId, { onProgress = () => {} } = {}) {
+        onProgress({ text: `Mock model ${modelId} ready.`, progress: 1 });
+        this.loadedModel = modelId;
+    }
+
+    async generate(prompt, { model, onDelta = null, signal = null } = {}) {
+        this.calls.push({ prompt, model });
+        this.interrupted = false;
+        const reply = typeof this.response === 'function' ? String(await this.response(prompt, { model })) : String(this.response);
+
+        let replyContent = '';
+        const tokens = reply.match(/\s*\S+\s*/g) || [];
+        for (let i = 0; i < tokens.length; i++) {
+            if (this.interrupted || (signal && signal.aborted)) break;
+            if (this.failAfterTokens !== null && i >= this.failAfterTokens) throw new Error('Mock LLM failure.');
+            if (this.tokenDelayMs) await sleep(this.tokenDelayMs);
+            replyContent += tokens[i];
+            if (onDelta) onDelta(tokens[i]);
+        }
+        return replyContent;
+    }
+
+    async interrupt() {
+        this.interrupted = true;
+    }
+
+    async unload() {
+        this.loadedModel = null;
+    }
+}
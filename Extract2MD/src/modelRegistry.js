@@ -0,0 +1,127 @@
+/**
+ * modelRegistry.js
+ * The models the WebLLM backend can load: where each model's weights and compiled library live,
+ * the conversation template and context window it uses, and the WebGPU features it needs.
+ * Models compiled with MLC can be added with register().
+ */
+
+import { DEFAULT_CONTEXT_WINDOW_SIZE } from './markdownChunks.js';
+
+export const DEFAULT_LLM_MODEL = 'Qwen3-0.6B-q4f16_1-MLC';
+
+const WEIGHTS_BASE_URL = 'https://huggingface.co/mlc-ai/';
+// Libraries built for the WebLLM version in package.json (its `modelVersion`).
+const MODEL_LIB_BASE_URL = 'https://raw.githubusercontent.com/mlc-ai/binary-mlc-llm-libs/main/web-llm-models/v0_2_48/';
+
+// q4f16 models run their shaders in half precision; q4f32 builds work on GPUs without it.
+const F16 = ['shader-f16'];
+
+export const BUILT_IN_MODELS = [
+    { id: 'Qwen3-0.6B-q4f16_1-MLC', label: 'Qwen3 0.6B', modelLibUrl: `${MODEL_LIB_BASE_URL}Qwen3-0.6B-q4f16_1-ctx4k_cs1k-webgpu.wasm`, requiredFeatures: F16, vramRequiredMB: 1403 },
+    { id: 'Qwen3-0.6B-q4f32_1-MLC', label: 'Qwen3 0.6B (no f16)', modelLibUrl: `${MODEL_LIB_BASE_URL}Qwen3-0.6B-q4f32_1-ctx4k_cs1k-webgpu.wasm`, vramRequiredMB: 1925 },
+    { id: 'Qwen3-1.7B-q4f16_1-MLC', label: 'Qwen3 1.7B', modelLibUrl: `${MODEL_LIB_BASE_URL}Qwen3-1.7B-q4f16_1-ctx4k_cs1k-webgpu.wasm`, requiredFeatures: F16, vramRequiredMB: 2037 },
+    { id: 'Qwen2.5-1.5B-Instruct-q4f16_1-MLC', label: 'Qwen2.5 1.5B Instruct', modelLibUrl: `${MODEL_LIB_BASE_URL}Qwen2-1.5B-Instruct-q4f16_1-ctx4k_cs1k-webgpu.wasm`, requiredFeatures: F16, vramRequiredMB: 1630 },
+    { id: 'Llama-3.2-1B-Instruct-q4f16_1-MLC', label: 'Llama 3.2 1B Instruct', modelLibUrl: `${MODEL_LIB_BASE_URL}Llama-3.2-1B-Instruct-q4f16_1-ctx4k_cs1k-webgpu.wasm`, requiredFeatures: F16, vramRequiredMB: 879 },
+    { id: 'SmolLM2-360M-Instruct-q4f16_1-MLC', label: 'SmolLM2 360M Instruct', modelLibUrl: `${MODEL_LIB_BASE_URL}SmolLM2-360M-Instruct-q4f16_1-ctx4k_cs1k-webgpu.wasm`, requiredFeatures: F16, vramRequiredMB: 376 },
+    { id: 'gemma-2-2b-it-q4f16_1-MLC', label: 'Gemma 2 2B Instruct', modelLibUrl: `${MODEL_LIB_BASE_URL}gemma-2-2b-it-q4f16_1-ctx4k_cs1k-webgpu.wasm`, requiredFeatures: F16, vramRequiredMB: 1895 },
+    { id: 'Phi-3.5-mini-instruct-q4f16_1-MLC', label: 'Phi 3.5 mini Instruct', modelLibUrl: `${MODEL_LIB_BASE_URL}Phi-3.5-mini-instruct-q4f16_1-ctx4k_cs1k-webgpu.wasm`, requiredFeatures: F16, vramRequiredMB: 3672 }
+];
+
+// Fills in the defaults of a model entry and checks its fields. Weights default to the mlc-ai
+// Hugging Face repository named after the model; a null convTemplate keeps the template from the
+// model's mlc-chat-config.json.
+function normalizeModel(entry) {
+    if (!entry || typeof entry.id !== 'string' || entry.id === '') {
+        throw new Error('A model entry needs an "id".');
+    }
+    if (typeof entry.modelLibUrl !== 'string' || entry.modelLibUrl === '') {
+        throw new Error(`Model "${entry.id}" needs a "modelLibUrl" pointing at its compiled WebGPU library (.wasm).`);
+    }
+    if (entry.convTemplate != null && typeof entry.convTemplate !== 'object') {
+        throw new Error(`Model "${entry.id}": "convTemplate" must be a WebLLM conversation template object, not ${JSON.stringify(entry.convTemplate)}.`);
+    }
+    const contextWindowSize = entry.contextWindowSize || DEFAULT_CONTEXT_WINDOW_SIZE;
+    if (!Number.isInteger(contextWindowSize) || contextWindowSize <= 0) {
+        throw new Error(`Model "${entry.id}": "contextWindowSize" must be a positive integer.`);
+    }
+    return {
+        id: entry.id,
+        label: entry.label || entry.id,
+        weightsUrl: entry.weightsUrl || `${WEIGHTS_BASE_URL}${entry.id}/resolve/main/`,
+        modelLibUrl: entry.modelLibUrl,
+        convTemplate: entry.convTemplate || null,
+        contextWindowSize,
+        requiredFeatures: [...(entry.requiredFeatures || [])],
+        vramRequiredMB: entry.vramRequiredMB || null
+    };
+}
+
+const defaultGpu = () => (typeof navigator !== 'undefined' ? navigator.gpu : undefined);
+
+export class ModelRegistry {
+    // Starts with the built-in models; pass `models` to start from a different list.
+    constructor(models = BUILT_IN_MODELS) {
+        this.models = new Map();
+        models.forEach(model => this.register(model));
+    }
+
+    // Adds a model and returns the stored entry. An id that is already registered is an error,
+    // unless `replace` is set to put the new entry in its place.
+    register(model, { replace = false } = {}) {
+        const entry = normalizeModel(model);
+        if (!replace && this.models.has(entry.id)) {
+            throw new Error(`Model "${entry.id}" is already registered; pass { replace: true } to replace it.`);
+        }
+        this.models.set(entry.id, entry);
+        return entry;
+    }
+
+    has(modelId) {
+        return this.models.has(modelId);
+    }
+
+    get(modelId) {
+        return this.models.get(modelId) || null;
+    }
+
+    list() {
+        return [...this.models.values()];
+    }
+
+    // Checks that a model (an id or an entry) can be loaded here, without downloading anything:
+    // that it is fully described and that WebGPU offers the features it needs. Resolves with the
+    // normalized entry and a list of problems, empty when the model can be loaded.
+    async validate(model, { gpu = defaultGpu() } = {}) {
+        const entry = typeof model === 'string' ? this.get(model) : model;
+        if (!entry) {
+            return { model: null, problems: [`Unknown model "${model}". Register it first, or set llmModelLibUrl to load it anyway.`] };
+        }
+        let normalized;
+        try {
+            normalized = normalizeModel(entry);
+        } catch (err) {
+            return { model: null, problems: [err.message] };
+        }
+
+        const problems = [];
+        let adapter = null;
+        if (!gpu) {
+            problems.push('WebGPU is not available in this browser.');
+        } else {
+            try {
+                adapter = await gpu.requestAdapter();
+            } catch (err) {
+                problems.push(`Could not get a WebGPU adapter: ${err.message}`);
+            }
+            if (!adapter && problems.length === 0) problems.push('No WebGPU adapter is available.');
+        }
+        if (adapter) {
+            for (const feature of normalized.requiredFeatures) {
+                if (!adapter.features.has(feature)) {
+                    problems.push(`Model "${normalized.id}" needs the WebGPU feature "${feature}", which this GPU does not support.`);
+                }
+            }
+        }
+        return { model: normalized, problems };
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * node.js
+ * The Node.js entry point: the same API as index.js, with an Extract2MDConverter set up for Node.
+ * pdf.js and Tesseract.js run their Node workers from the installed packages, Tesseract reads
+ * language data from dist/assets/lang-data (downloaded by scripts/postinstall.js), pages are
+ * rendered with @napi-rs/canvas or node-canvas, and file paths are accepted as input.
+ */
+
+import { createRequire } from 'module';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import BrowserConverter from './index.js';
+import { createNodeCanvasFactory } from './canvas.js';
+
+const require = createRequire(import.meta.url);
+const PDFJS_PATH = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const LANG_DATA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist', 'assets', 'lang-data');
+
+// @napi-rs/canvas comes with pdf.js as an optional dependency; node-canvas works as well.
+function loadCanvasModule() {
+    for (const name of ['@napi-rs/canvas', 'canvas']) {
+        try {
+            return require(name);
+        } catch (err) {
+            if (err.code !== 'MODULE_NOT_FOUND') throw err;
+        }
+    }
+    throw new Error('Rendering pages under Node needs a canvas: install @napi-rs/canvas or canvas.');
+}
+
+class Extract2MDConverter extends BrowserConverter {
+    constructor(options = {}) {
+        super({
+            pdfJsWorkerSrc: pathToFileURL(require.resolve('pdfjs-dist/legacy/build/pdf.worker.mjs')).href,
+            tesseractWorkerPath: require.resolve('tesseract.js/src/worker-script/node/index.js'),
+            tesseractLangPath: LANG_DATA_PATH,
+            canvasFactory: createNodeCanvasFactory(loadCanvasModule),
+            readFile,
+            ...options,
+            // Fonts that PDFs use without embedding them, the CMaps of CJK text, and errors only on the console
+            pdfJsOptions: {
+                standardFontDataUrl: `${path.join(PDFJS_PATH, 'standard_fonts')}${path.sep}`,
+                cMapUrl: `${path.join(PDFJS_PATH, 'cmaps')}${path.sep}`,
+                cMapPacked: true,
+                verbosity: 0,
+                ...(options.pdfJsOptions || {})
+            },
+            // Language data is read from disk, so Tesseract need not cache a copy in the working directory
+            tesseractOptions: { cacheMethod: 'none', ...(options.tesseractOptions || {}) }
+        });
+    }
+}
+
+export * from './index.js';
+export { Extract2MDConverter };
+export default Extract2MDConverter;
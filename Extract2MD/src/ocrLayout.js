@@ -0,0 +1,131 @@
+/**
+ * ocrLayout.js
+ * Turns Tesseract.js block/paragraph/line/word output into the same line model the pdf.js
+ * path uses, so OCR pages get table, heading and paragraph detection from their geometry.
+ * Also summarises per-word confidence into a per-page report for reviewers.
+ */
+
+import { cellsFromTextItems, cellsFromWhitespace } from './tableDetection.js';
+import { lineFontInfo } from './fontStyles.js';
+import { lineBoundingBox } from './layout.js';
+
+export const DEFAULT_LOW_CONFIDENCE_THRESHOLD = 60;
+
+const PARAGRAPH_BREAK = { cells: [], font: { fontSize: 0, bold: false, charCount: 0 }, bbox: null };
+
+const defaultLowConfidenceMarker = (text) => `<mark>${text}</mark>`;
+
+// Private-use characters around a low-confidence word, holding both the word and its marked form
+// until resolveLowConfidenceMarks() picks one for the block the word ended up in
+const MARK_START = '\uE004';
+const MARK_SEPARATOR = '\uE005';
+const MARK_END = '\uE006';
+const MARK_REGEX = /\uE004([^\uE005]*)\uE005([^\uE006]*)\uE006/g;
+
+// Converts one Tesseract word into a pdf.js-like text item in PDF points. All words of a line share
+// the line's baseline and row height so spacing and font-size ranking behave as for the text layer.
+function wordToItem(word, baselineY, rowHeight, scale, view, str) {
+    const x = word.bbox.x0 / scale + view[0];
+    const height = Math.round(rowHeight / scale);
+    return {
+        str,
+        transform: [height, 0, 0, height, x, view[3] - baselineY / scale],
+        width: (word.bbox.x1 - word.bbox.x0) / scale,
+        height,
+        bold: !!word.is_bold,
+        italic: !!word.is_italic,
+        hasEOL: false
+    };
+}
+
+// Builds page lines (`{ cells, font, bbox }`, with empty lines between paragraphs) from Tesseract blocks.
+// `scale` is the render scale used for OCR and `view` the pdf.js page view, so boxes end up in PDF points.
+// Words below `lowConfidenceThreshold` are wrapped with `markLowConfidence` when it is set; the marks
+// are placeholders until resolveLowConfidenceMarks() is run on the finished document.
+export function ocrBlocksToLines(blocks, { scale = 1, view = [0, 0, 0, 0], lowConfidenceThreshold = DEFAULT_LOW_CONFIDENCE_THRESHOLD, markLowConfidence = null } = {}) {
+    const marker = typeof markLowConfidence === 'function' ? markLowConfidence : (markLowConfidence ? defaultLowConfidenceMarker : null);
+    const lines = [];
+
+    for (const block of blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            for (const line of paragraph.lines || []) {
+                const baselineY = line.baseline && line.baseline.has_baseline ? Math.max(line.baseline.y0, line.baseline.y1) : line.bbox.y1;
+                const rowHeight = (line.rowAttributes && line.rowAttributes.row_height) || (line.bbox.y1 - line.bbox.y0);
+                const items = (line.words || [])
+                    .filter(word => word.text && word.text.trim() !== '')
+                    .map(word => {
+                        const str = marker && word.confidence < lowConfidenceThreshold
+                            ? `${MARK_START}${word.text}${MARK_SEPARATOR}${marker(word.text, word.confidence)}${MARK_END}`
+                            : word.text;
+                        return wordToItem(word, baselineY, rowHeight, scale, view, str);
+                    });
+                const cells = cellsFromTextItems(items);
+                if (cells.length > 0) lines.push({ cells, font: lineFontInfo(items), bbox: lineBoundingBox(items, view) });
+            }
+            lines.push(PARAGRAPH_BREAK);
+        }
+    }
+    return lines;
+}
+
+// Keeps the marks of low-confidence words in running text (paragraphs, lists, quotes, footnotes) and
+// drops them from headings and table cells, where markup would break the heading or the table.
+export function resolveLowConfidenceMarks(doc) {
+    const keepWord = (text) => text.replace(MARK_REGEX, (mark, word) => word);
+    const keepMark = (text) => text.replace(MARK_REGEX, (mark, word, marked) => marked);
+    const resolveList = (list) => list.items.forEach(item => {
+        item.text = keepMark(item.text);
+        if (item.children) resolveList(item.children);
+    });
+    for (const page of doc.pages) {
+        for (const block of page.blocks) {
+            if (block.type === 'table') {
+                block.header = block.header.map(keepWord);
+                block.rows = block.rows.map(row => row.map(keepWord));
+            } else if (block.type === 'list') {
+                resolveList(block);
+            } else if (typeof block.text === 'string') {
+                block.text = block.type === 'heading' ? keepWord(block.text) : keepMark(block.text);
+            }
+        }
+    }
+    return doc;
+}
+
+// Fallback for OCR results without block output: columns come from runs of whitespace in the plain text.
+export function ocrTextToLines(text) {
+    return (text || '').split(/\r?\n/).map(line => ({ cells: cellsFromWhitespace(line), font: PARAGRAPH_BREAK.font, bbox: null }));
+}
+
+// Summarises word confidences for a page, listing the words below the threshold with their boxes in PDF points.
+export function confidenceReport(blocks, pageNum, { scale = 1, view = [0, 0, 0, 0], lowConfidenceThreshold = DEFAULT_LOW_CONFIDENCE_THRESHOLD } = {}) {
+    const words = [];
+    for (const block of blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            for (const line of paragraph.lines || []) {
+                words.push(...(line.words || []).filter(word => word.text && word.text.trim() !== ''));
+            }
+        }
+    }
+
+    const lowConfidenceWords = words
+        .filter(word => word.confidence < lowConfidenceThreshold)
+        .map(word => ({
+            text: word.text,
+            confidence: word.confidence,
+            bbox: {
+                x: word.bbox.x0 / scale,
+                y: word.bbox.y0 / scale,
+                width: (word.bbox.x1 - word.bbox.x0) / scale,
+                height: (word.bbox.y1 - word.bbox.y0) / scale
+            }
+        }));
+
+    return {
+        page: pageNum,
+        wordCount: words.length,
+        meanConfidence: words.length > 0 ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length : null,
+        lowConfidenceThreshold,
+        lowConfidenceWords
+    };
+}
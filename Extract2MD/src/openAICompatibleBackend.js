@@ -0,0 +1,111 @@
+/**
+ * openAICompatibleBackend.js
+ * LLM backend that calls an OpenAI-compatible chat completions endpoint over HTTP, such as a
+ * local llama.cpp server or Ollama (`http://localhost:11434/v1`). Needs no GPU in the browser.
+ */
+
+import { onAbort } from './abort.js';
+
+// Reads a server-sent event stream and calls onEvent with each parsed `data:` payload until `[DONE]`.
+async function readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+            onEvent(JSON.parse(data));
+        }
+    }
+}
+
+export class OpenAICompatibleBackend {
+    constructor(options = {}) {
+        if (!options.baseUrl) throw new Error('OpenAICompatibleBackend requires a baseUrl, e.g. "http://localhost:11434/v1".');
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        this.headers = options.headers || {};
+        this.requestOptions = options.requestOptions || {}; // Extra request body fields, e.g. temperature, max_tokens
+        this.defaultModel = options.model || null;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.loadedModel = null;
+        this.requestController = null;
+    }
+
+    isLoaded(modelId) {
+        return modelId === undefined ? this.loadedModel !== null : this.loadedModel === modelId;
+    }
+
+    // The server loads models on demand; nothing to download here.
+    async load(modelId) {
+        this.loadedModel = modelId;
+    }
+
+    // Runs one prompt and returns the reply text, streamed to onDelta when given. An interrupted
+    // or aborted request resolves with the text received so far.
+    async generate(prompt, { model, onDelta = null, signal = null } = {}) {
+        const controller = new AbortController();
+        this.requestController = controller;
+        const removeAbortListener = onAbort(signal, () => controller.abort());
+        let replyContent = '';
+        try {
+            const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+                    ...this.headers
+                },
+                body: JSON.stringify({
+                    ...this.requestOptions,
+                    model,
+                    messages: [{ role: 'user', content: prompt }],
+                    stream: !!onDelta
+                }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const detail = await response.text().catch(() => '');
+                throw new Error(`LLM server responded with ${response.status} ${response.statusText}${detail ? `: ${detail}` : ''}`);
+            }
+
+            if (!onDelta) {
+                const completion = await response.json();
+                const choice = completion.choices && completion.choices[0];
+                return (choice && choice.message && choice.message.content) || '';
+            }
+
+            await readEventStream(response.body, (event) => {
+                const choice = event.choices && event.choices[0];
+                const delta = (choice && choice.delta && choice.delta.content) || '';
+                if (delta) {
+                    replyContent += delta;
+                    onDelta(delta);
+                }
+            });
+            return replyContent;
+        } catch (err) {
+            if (controller.signal.aborted) return replyContent;
+            throw err;
+        } finally {
+            removeAbortListener();
+            if (this.requestController === controller) this.requestController = null;
+        }
+    }
+
+    async interrupt() {
+        if (this.requestController) this.requestController.abort();
+    }
+
+    async unload() {
+        this.loadedModel = null;
+    }
+}
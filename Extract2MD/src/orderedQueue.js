@@ -0,0 +1,35 @@
+/**
+ * orderedQueue.js
+ * Keeps a bounded number of page jobs in flight and hands their results back in the order
+ * the jobs were added, however they finish. Used to overlap page rendering with OCR.
+ */
+
+export function createOrderedQueue(limit) {
+    const pending = [];
+    const results = [];
+
+    const settle = async (max) => {
+        try {
+            while (pending.length > max) results.push(await pending.shift());
+        } catch (err) {
+            // Let the jobs still running finish before reporting the failure.
+            await Promise.allSettled(pending.splice(0));
+            throw err;
+        }
+    };
+
+    return {
+        // Adds a job (a promise or a plain value); waits for the oldest jobs while more than `limit` are in flight.
+        async push(job) {
+            const promise = Promise.resolve(job);
+            promise.catch(() => {}); // Rejections are reported in order by settle()
+            pending.push(promise);
+            await settle(limit);
+        },
+        // Waits for every job and returns all results in the order they were added.
+        async drain() {
+            await settle(0);
+            return results;
+        }
+    };
+}
@@ -0,0 +1,140 @@
+/**
+ * outline.js
+ * Uses the outline (bookmarks) of a PDF. Each outline entry marks the line it points to as a
+ * heading at the entry's depth, which corrects levels guessed from font sizes and finds headings
+ * set in body text; the outline also gives the entries of an optional table of contents.
+ */
+
+import { resolveDestination, anchorForTarget } from './links.js';
+
+const MAX_HEADING_LEVEL = 6;
+// Section numbering a heading may carry while its outline entry does not ("2.3", "Appendix A", "IV.")
+const NUMBERING_REGEX = /^(\s*(?:(?:appendix|chapter|part|section)\s+)?)(?:\d+(?:\.\d+)*|[A-Z](?:\.\d+)*|[IVXLC]+)[.:)]?\s+/i;
+// Inline Markdown that a line cannot be split inside: footnote references, links and images, code and emphasis
+const INLINE_TOKEN_REGEX = /\[\^[^\]]+\]|!?\[(?:\\.|[^\]\\])*\]\([^)]*\)|`[^`]*`|\*\*[\s\S]*?\*\*|__[\s\S]*?__|~~[\s\S]*?~~|\*[^*]+\*|_[^_]+_/g;
+
+// Letters and digits only, so titles match lines that differ in punctuation, spacing or markup.
+const comparable = (text) => text
+    .replace(/\[\^[^\]]+\]/g, '')
+    .replace(/\]\([^)]*\)/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+
+// Where `title` (already comparable) ends in text, or -1 when text does not start with it.
+function titleEnd(text, title, start = 0) {
+    let matched = 0;
+    for (let i = start; i < text.length && matched < title.length; i++) {
+        const char = text[i].toLowerCase();
+        if (!/[\p{L}\p{N}]/u.test(char)) continue;
+        if (char !== title[matched]) return -1;
+        matched++;
+        if (matched === title.length) return i + 1;
+    }
+    return -1;
+}
+
+// Where a line can be split after position `end`: `end` itself, or the end of the inline token
+// (emphasis, link, code) it falls in when only the token's closing markup follows; -1 when the
+// title ends inside a token's text, e.g. in "[Introduction to X](...)" for the title "Introduction".
+function splitPoint(text, end) {
+    for (const token of text.matchAll(INLINE_TOKEN_REGEX)) {
+        const tokenEnd = token.index + token[0].length;
+        if (token.index < end && end < tokenEnd) return comparable(text.slice(end, tokenEnd)) === '' ? tokenEnd : -1;
+    }
+    return end;
+}
+
+// How a line matches an outline title: `{ exact, end }`, where exact means the line is only the
+// title (and numbering) and end is where the line can be split after the title; null when it does
+// not match, or only where it cannot be split.
+function matchTitle(text, title) {
+    const numbering = text.match(NUMBERING_REGEX);
+    for (const start of numbering ? [0, numbering[1].length, numbering[0].length] : [0]) {
+        const end = titleEnd(text, title, start);
+        if (end === -1) continue;
+        if (comparable(text.slice(end)) === '') return { exact: true, end };
+        const split = splitPoint(text, end);
+        if (split !== -1) return { exact: false, end: split };
+    }
+    return null;
+}
+
+// The outline as a flat list of `{ title, level, page, y }` in outline order, level 1 for the top
+// entries; page and y (the target's offset from the top of the page) are null when unknown.
+export async function readOutline(pdfDoc) {
+    const entries = [];
+    const visit = async (items, level) => {
+        for (const item of items || []) {
+            const target = item.dest ? await resolveDestination(pdfDoc, item.dest) : null;
+            entries.push({ title: String(item.title || '').replace(/\s+/g, ' ').trim(), level, page: target ? target.page : null, y: target ? target.y : null });
+            await visit(item.items, level + 1);
+        }
+    };
+    await visit(await pdfDoc.getOutline(), 1);
+    return entries;
+}
+
+// Makes the line each outline entry points to a heading of the entry's level: a heading keeps its
+// text and gets the level, a paragraph that is the title becomes a heading, and a paragraph that
+// starts with the title is split into the heading and the rest. Among matching lines on the
+// entry's page, the one nearest to its target wins. Returns the heading of each matched entry.
+export function applyOutline(doc, outline) {
+    const headings = new Map();
+    const claimed = new Set();
+    for (const entry of outline) {
+        const title = comparable(entry.title);
+        const page = doc.pages.find(other => other.pageNumber === entry.page);
+        if (!title || !page) continue;
+
+        const candidates = page.blocks
+            .filter(block => (block.type === 'heading' || block.type === 'paragraph') && !claimed.has(block))
+            .map(block => ({ block, match: matchTitle(block.text, title), distance: entry.y !== null && block.bbox ? Math.abs(block.bbox.y - entry.y) : 0 }))
+            .filter(candidate => candidate.match)
+            .sort((a, b) => (a.match.exact === b.match.exact ? a.distance - b.distance : a.match.exact ? -1 : 1));
+        if (candidates.length === 0) continue;
+
+        const { block, match } = candidates[0];
+        const level = Math.min(entry.level, MAX_HEADING_LEVEL);
+        let heading = block;
+        if (block.type === 'heading' || match.exact) {
+            block.type = 'heading';
+            block.level = level;
+        } else {
+            heading = { type: 'heading', level, text: block.text.slice(0, match.end).trim(), page: block.page, bbox: block.bbox };
+            page.blocks.splice(page.blocks.indexOf(block), 1, heading, { ...block, text: block.text.slice(match.end).trim() });
+        }
+        claimed.add(heading);
+        headings.set(entry, heading);
+    }
+    return headings;
+}
+
+// A table of contents as a nested list block of links to the headings: from the outline when
+// there is one (entries without a heading of their own link to the heading before their target),
+// else from the document's headings. `anchors` maps heading blocks to anchors (headingAnchors()).
+export function tableOfContents(doc, outline, outlineHeadings, anchors, options = {}) {
+    const entries = outline.length > 0
+        ? outline.map(entry => {
+            const heading = outlineHeadings.get(entry);
+            const anchor = heading ? anchors.get(heading) : entry.page !== null ? anchorForTarget(doc, anchors, entry, options) : null;
+            return { title: entry.title, level: entry.level, anchor };
+        })
+        : [...anchors].map(([block, anchor]) => ({ title: block.text, level: block.level, anchor }));
+    if (entries.length === 0) return null;
+
+    const root = { type: 'list', ordered: false, items: [] };
+    const stack = [{ level: entries[0].level, list: root }];
+    for (const entry of entries) {
+        while (stack.length > 1 && stack[stack.length - 1].level > entry.level) stack.pop();
+        let frame = stack[stack.length - 1];
+        const parent = frame.list.items[frame.list.items.length - 1];
+        if (entry.level > frame.level && parent) {
+            parent.children = parent.children || { type: 'list', ordered: false, items: [] };
+            frame = { level: entry.level, list: parent.children };
+            stack.push(frame);
+        }
+        const title = entry.title.replace(/([[\]])/g, '\\$1');
+        frame.list.items.push({ text: entry.anchor ? `[${title}](#${entry.anchor})` : title });
+    }
+    return { ...root, page: doc.pages.length > 0 ? doc.pages[0].pageNumber : null, bbox: null };
+}
@@ -0,0 +1,40 @@
+/**
+ * pageRanges.js
+ * Parsing of page selections such as "1-5,9,12-" into 1-based page numbers.
+ */
+
+// Accepts a range string ("1-5,9,12-", "-3"), a single page number, or an array of page numbers.
+// Returns the selected pages in ascending order, clamped to the document's page count.
+export function parsePageRange(spec, numPages) {
+    if (spec === undefined || spec === null || spec === '') {
+        return Array.from({ length: numPages }, (_, i) => i + 1);
+    }
+
+    const pages = new Set();
+    const addPage = (pageNum) => {
+        if (pageNum >= 1 && pageNum <= numPages) pages.add(pageNum);
+    };
+
+    if (typeof spec === 'number') {
+        addPage(spec);
+    } else if (Array.isArray(spec)) {
+        spec.forEach(pageNum => addPage(Number(pageNum)));
+    } else if (typeof spec === 'string') {
+        for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+            const match = part.match(/^(\d*)\s*-\s*(\d*)$/);
+            if (match && (match[1] || match[2])) {
+                const from = match[1] ? parseInt(match[1], 10) : 1;
+                const to = match[2] ? parseInt(match[2], 10) : numPages;
+                for (let pageNum = from; pageNum <= Math.min(to, numPages); pageNum++) addPage(pageNum);
+            } else if (/^\d+$/.test(part)) {
+                addPage(parseInt(part, 10));
+            } else {
+                throw new Error(`Invalid page range "${spec}": could not parse "${part}".`);
+            }
+        }
+    } else {
+        throw new Error('Invalid page range: expected a string like "1-5,9,12-", a page number or an array of page numbers.');
+    }
+
+    return [...pages].sort((a, b) => a - b);
+}
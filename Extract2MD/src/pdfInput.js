@@ -0,0 +1,41 @@
+/**
+ * pdfInput.js
+ * Reads the PDF a convert method is given into bytes for pdf.js: a File or Blob, an ArrayBuffer,
+ * a typed array or Node Buffer, a URL, or (with a `readFile` function, as the Node entry passes)
+ * a file path.
+ */
+
+import { throwIfAborted } from './abort.js';
+
+// A scheme of two or more letters, so Windows paths ("C:\docs\a.pdf") are not taken for URLs
+const URL_SCHEME_REGEX = /^[a-z][a-z\d+.-]+:/i;
+
+async function fetchPdf(url, signal) {
+    let response;
+    try {
+        response = await fetch(url, { signal });
+    } catch (err) {
+        throwIfAborted(signal);
+        throw err;
+    }
+    if (!response.ok) throw new Error(`Could not fetch the PDF from ${url}: HTTP ${response.status}.`);
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Resolves with the bytes of `input` as a Uint8Array. ArrayBuffers and typed arrays are copied,
+// because pdf.js transfers the bytes it is given to its worker and the caller's buffer would be
+// left detached. file: URLs and paths are read with `readFile(pathOrUrl)`.
+export async function readPdfInput(input, { readFile = null, signal } = {}) {
+    throwIfAborted(signal);
+    if (input instanceof ArrayBuffer) return new Uint8Array(input.slice(0));
+    if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength).slice();
+    if (input && typeof input.arrayBuffer === 'function') return new Uint8Array(await input.arrayBuffer()); // Blob or File
+
+    const url = input instanceof URL ? input : typeof input === 'string' && URL_SCHEME_REGEX.test(input) ? new URL(input) : null;
+    if (url && url.protocol !== 'file:') return fetchPdf(url.href, signal);
+    if (url || (typeof input === 'string' && input !== '')) {
+        if (!readFile) throw new Error('Invalid input: file paths can only be read under Node (use the extract2md Node entry point).');
+        return new Uint8Array(await readFile(url || input));
+    }
+    throw new Error('Invalid input: pdfFile must be a File, Blob, ArrayBuffer, typed array, Buffer, URL or file path.');
+}
@@ -0,0 +1,214 @@
+/**
+ * tableDetection.js
+ * Column detection for tabular text and GitHub-flavored Markdown table rendering.
+ * Lines are split into cells either from pdf.js item x-positions or from runs of
+ * whitespace in OCR text, aligned into shared columns, and emitted as
+ * COLUMN_SEPARATOR-joined rows that _convertToMarkdownLogic renders as pipe tables.
+ */
+
+import { applyEmphasis } from './fontStyles.js';
+import { isFootnoteRef, markFootnoteRef } from './footnotes.js';
+import { mergeMarkerCell } from './listDetection.js';
+import { linkMarkdown } from './links.js';
+import { itemHeight } from './helpers.js';
+
+export const COLUMN_SEPARATOR = '\t';
+
+// A horizontal gap wider than this many font heights between two text items on
+// the same baseline is treated as a column boundary rather than a word space.
+const COLUMN_GAP_RATIO = 1.0;
+// Runs of at least this many spaces in OCR text are treated as a column boundary.
+const MIN_WHITESPACE_COLUMN_GAP = 2;
+const NUMERIC_CELL_REGEX = /^[-+(]?[$€£¥]?\s?[-+]?\d[\d,.\s]*%?\)?$/;
+
+const itemStyle = (item) => ({ bold: !!item.bold, italic: !!item.italic, link: item.link || null });
+const PLAIN_STYLE = { bold: false, italic: false, link: null };
+
+// Appends text to a cell, extending the last run when the emphasis style and link are unchanged.
+function appendRun(cell, text, style) {
+    const last = cell.runs[cell.runs.length - 1];
+    if (last && last.bold === style.bold && last.italic === style.italic && last.link === style.link) {
+        last.text += text;
+    } else {
+        cell.runs.push({ text, ...style });
+    }
+}
+
+// A cell's runs as Markdown: emphasis per run, and consecutive runs with the same link in one link.
+function runsToMarkdown(runs) {
+    let markdown = '';
+    for (let i = 0; i < runs.length;) {
+        const { link } = runs[i];
+        let text = '';
+        for (; i < runs.length && runs[i].link === link; i++) text += applyEmphasis(runs[i].text, runs[i]);
+        markdown += link ? linkMarkdown(text, link) : text;
+    }
+    return markdown.trim();
+}
+
+// Splits the pdf.js text items of a single line into cells with x-extents.
+// Items are joined within a cell using the same spacing rules quickConvert has always used.
+// Items flagged `bold`/`italic` become emphasis runs in each cell's `markdown` text, items with a
+// `link` become Markdown links there, and raised footnote numbers are marked for extractFootnotes().
+// A bullet set apart from its text stays in its item's cell.
+export function cellsFromTextItems(items) {
+    const cells = [];
+    let current = null;
+    let previous = null;
+    let previousEnd = 0; // End of the previous item, or of the reference mark after it
+
+    for (const item of items) {
+        const x0 = item.transform[4];
+        const x1 = x0 + (item.width || 0);
+
+        const footnoteRef = isFootnoteRef(item, previous);
+        if (current && previous && !footnoteRef && item.str.trim() !== '' && previous.str.trim() !== '') {
+            const sameBaseline = Math.abs(previous.transform[5] - item.transform[5]) < (itemHeight(previous) * 0.5);
+            const gap = x0 - previousEnd;
+            if (sameBaseline && gap > Math.max(itemHeight(previous), itemHeight(item)) * COLUMN_GAP_RATIO) {
+                cells.push(current);
+                current = null;
+            } else if (sameBaseline && !previous.str.endsWith(' ') && !item.str.startsWith(' ') && gap > -0.5) {
+                appendRun(current, ' ', itemStyle(previous));
+            }
+        }
+
+        if (!current) {
+            if (item.str.trim() === '') continue;
+            current = { runs: [], x0, x1 };
+        }
+        // A reference mark sits right against its word. `previous` stays on that word, so the word
+        // after the mark is spaced from it, but gaps are measured from the mark.
+        if (footnoteRef) {
+            const last = current.runs[current.runs.length - 1];
+            if (last) last.text = last.text.replace(/\s+$/, '');
+            appendRun(current, markFootnoteRef(item.str), PLAIN_STYLE);
+            current.x1 = Math.max(current.x1, x1);
+            previousEnd = Math.max(previousEnd, x1);
+            continue;
+        }
+        appendRun(current, item.str, itemStyle(item));
+        current.x1 = Math.max(current.x1, x1);
+        if (item.str.trim() !== '') {
+            previous = item;
+            previousEnd = x1;
+        }
+    }
+    if (current) cells.push(current);
+
+    return mergeMarkerCell(cells
+        .map(({ runs, x0, x1 }) => ({
+            text: runs.map(run => run.text).join('').trim(),
+            markdown: runsToMarkdown(runs),
+            x0,
+            x1
+        }))
+        .filter(cell => cell.text !== ''));
+}
+
+// Splits a line of OCR text into cells on runs of whitespace; character offsets stand in for x-positions.
+export function cellsFromWhitespace(line) {
+    const cells = [];
+    const cellRegex = new RegExp(`\\S+(?: {1,${MIN_WHITESPACE_COLUMN_GAP - 1}}\\S+)*`, 'g');
+    let match;
+    while ((match = cellRegex.exec(line)) !== null) {
+        cells.push({ text: match[0], x0: match.index, x1: match.index + match[0].length });
+    }
+    return mergeMarkerCell(cells);
+}
+
+// Merges the x-extents of every cell in a block into non-overlapping column spans.
+function columnSpans(rows) {
+    const extents = rows.flat().map(cell => [cell.x0, cell.x1]).sort((a, b) => a[0] - b[0]);
+    const spans = [];
+    for (const [x0, x1] of extents) {
+        const last = spans[spans.length - 1];
+        if (last && x0 <= last[1]) {
+            last[1] = Math.max(last[1], x1);
+        } else {
+            spans.push([x0, x1]);
+        }
+    }
+    return spans;
+}
+
+// Places each row's cells into the shared columns of the block, leaving empty strings for missing cells.
+export function alignTableRows(rows) {
+    const spans = columnSpans(rows);
+    return rows.map(row => {
+        const aligned = new Array(spans.length).fill('');
+        for (const cell of row) {
+            const column = spans.findIndex(([x0, x1]) => cell.x0 >= x0 && cell.x0 <= x1);
+            aligned[column] = aligned[column] ? `${aligned[column]} ${cell.text}` : cell.text;
+        }
+        return aligned;
+    });
+}
+
+const cellMarkdown = (cell) => cell.markdown || cell.text;
+
+// Turns the cell lists of a page's lines into text. Runs of two or more consecutive
+// multi-cell lines are aligned and emitted as COLUMN_SEPARATOR-joined rows of plain text;
+// everything else is emitted space-joined, using each cell's `markdown` text when present.
+export function tabulateLines(lines) {
+    const output = [];
+    let block = [];
+
+    const flushBlock = () => {
+        if (block.length >= 2) {
+            output.push(...alignTableRows(block).map(row => row.join(COLUMN_SEPARATOR)));
+        } else if (block.length === 1) {
+            output.push(block[0].map(cellMarkdown).join(' '));
+        }
+        block = [];
+    };
+
+    for (const cells of lines) {
+        if (cells.length >= 2) {
+            block.push(cells);
+            continue;
+        }
+        flushBlock();
+        output.push(cells.length === 1 ? cellMarkdown(cells[0]) : '');
+    }
+    flushBlock();
+
+    return output.join('\n');
+}
+
+export function isTableRow(line) {
+    return line.split(COLUMN_SEPARATOR).filter(cell => cell.trim() !== '').length >= 2;
+}
+
+const escapeCell = (cell) => cell.replace(/\|/g, '\\|');
+
+// Parses COLUMN_SEPARATOR-joined rows into a table: the first row is the header, columns
+// that are empty in every row are dropped and numeric columns are marked right-aligned.
+export function parseTableRows(rowLines) {
+    const rows = rowLines.map(line => line.split(COLUMN_SEPARATOR).map(cell => cell.trim()));
+    const columnCount = Math.max(...rows.map(row => row.length));
+    rows.forEach(row => { while (row.length < columnCount) row.push(''); });
+
+    const keep = [];
+    for (let c = 0; c < columnCount; c++) {
+        if (rows.some(row => row[c] !== '')) keep.push(c);
+    }
+    const [header, ...body] = rows.map(row => keep.map(c => row[c]));
+
+    const align = header.map((_, c) => {
+        const values = body.map(row => row[c]).filter(cell => cell !== '');
+        return values.length > 0 && values.every(cell => NUMERIC_CELL_REGEX.test(cell)) ? 'right' : 'left';
+    });
+    return { header, rows: body, align };
+}
+
+// Renders a parsed table as GFM pipe table lines with escaped pipes and every column padded to a common width.
+export function renderGfmTable({ header, rows, align }) {
+    const table = [header, ...rows].map(row => row.map(escapeCell));
+    const widths = header.map((_, c) => Math.max(3, ...table.map(row => (row[c] || '').length)));
+
+    const formatRow = (row) => `| ${widths.map((width, c) => align[c] === 'right' ? (row[c] || '').padStart(width) : (row[c] || '').padEnd(width)).join(' | ')} |`;
+    const separator = `| ${widths.map((width, c) => align[c] === 'right' ? `${'-'.repeat(width - 1)}:` : '-'.repeat(width)).join(' | ')} |`;
+
+    return [formatRow(table[0]), separator, ...table.slice(1).map(formatRow)];
+}
@@ -0,0 +1,44 @@
+/**
+ * textFlow.js
+ * Joins the lines of a paragraph, list item or footnote back into running text. A word hyphenated
+ * across a line break is rejoined ("man-" + "agement" gives "management"); a hyphen before a
+ * capitalized word or a number is kept ("Jean-" + "Paul", "COVID-" + "19"), and so is the hyphen of
+ * a compound whose first part is a word of its own ("well-" + "known", "state-of-the-" + "art").
+ */
+
+const HYPHEN_END_REGEX = /[\p{L}\p{N}]-$/u;
+const WORD_START_REGEX = /^[\p{L}\p{N}]/u;
+const BROKEN_WORD_END_REGEX = /\p{Ll}-$/u;
+const WORD_CONTINUATION_REGEX = /^\p{Ll}/u;
+const LAST_WORD_REGEX = /([\p{L}\p{N}-]*)-$/u;
+
+// Whole words that commonly open a hyphenated compound. Other fragments are taken for a word broken
+// by hyphenation: without a dictionary, "man-agement" cannot be told apart from a compound of "man".
+const COMPOUND_FIRST_WORDS = new Set([
+    'all', 'best', 'better', 'cross', 'double', 'ever', 'far', 'first', 'full', 'half', 'hard', 'high',
+    'ill', 'long', 'low', 'never', 'new', 'off', 'old', 'one', 'open', 'part', 'second', 'self', 'short',
+    'so', 'three', 'two', 'well', 'wide', 'worst'
+]);
+
+// Whether the hyphen ending `text` belongs to a compound rather than to a word broken at the line end.
+function isCompoundHyphen(text) {
+    const lastWord = text.match(LAST_WORD_REGEX)[1];
+    return lastWord.includes('-') || COMPOUND_FIRST_WORDS.has(lastWord.toLowerCase());
+}
+
+export function joinLines(lines) {
+    let text = '';
+    for (const line of lines) {
+        const part = String(line).trim();
+        if (part === '') continue;
+        if (text === '') {
+            text = part;
+        } else if (HYPHEN_END_REGEX.test(text) && WORD_START_REGEX.test(part)) {
+            const broken = BROKEN_WORD_END_REGEX.test(text) && WORD_CONTINUATION_REGEX.test(part) && !isCompoundHyphen(text);
+            text = broken ? text.slice(0, -1) + part : text + part;
+        } else {
+            text += ` ${part}`;
+        }
+    }
+    return text;
+}
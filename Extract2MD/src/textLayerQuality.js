@@ -0,0 +1,85 @@
+/**
+ * textLayerQuality.js
+ * Decides, page by page, whether the pdf.js text layer is usable or the page should be OCRed.
+ * Looks at how much text the page has, how much of it is garbage glyphs (unmapped fonts
+ * produce replacement and private-use characters), and how much of the page is covered by images.
+ */
+
+export const DEFAULT_SMART_THRESHOLDS = {
+    minTextChars: 50,         // Fewer visible characters than this: OCR
+    maxGarbageRatio: 0.1,     // More than this share of garbage glyphs: OCR
+    minImageCoverage: 0.5,    // Pages at least this much covered by images...
+    imagePageMaxChars: 200    // ...with fewer characters than this are treated as scans: OCR
+};
+
+const GARBAGE_CHAR_REGEX = /[\uFFFD\uE000-\uF8FF\u0000-\u0008\u000E-\u001F]/g;
+
+const multiply = (m, n) => [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+];
+
+// The transformation matrix of every image painted on the page, following the matrix through the
+// operator list. Images are drawn into the unit square of their matrix.
+export function imageTransforms(operatorList, OPS) {
+    if (!operatorList || !OPS) return [];
+    const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageMaskXObject, OPS.paintJpegXObject].filter(op => op !== undefined));
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+    const transforms = [];
+
+    const { fnArray, argsArray } = operatorList;
+    for (let i = 0; i < fnArray.length; i++) {
+        const fn = fnArray[i];
+        const args = argsArray[i];
+        if (fn === OPS.save) {
+            stack.push(ctm);
+        } else if (fn === OPS.restore) {
+            ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+        } else if (fn === OPS.transform) {
+            ctm = multiply(ctm, args);
+        } else if (fn === OPS.paintFormXObjectBegin) {
+            stack.push(ctm);
+            if (args && Array.isArray(args[0]) && args[0].length === 6) ctm = multiply(ctm, args[0]);
+        } else if (fn === OPS.paintFormXObjectEnd) {
+            ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+        } else if (imageOps.has(fn)) {
+            transforms.push(ctm);
+        }
+    }
+    return transforms;
+}
+
+// Share of the page area (0–1) painted by images.
+export function measureImageCoverage(operatorList, view, OPS) {
+    if (!operatorList || !OPS || !view) return 0;
+    const pageArea = Math.abs((view[2] - view[0]) * (view[3] - view[1]));
+    if (pageArea === 0) return 0;
+    const imageArea = imageTransforms(operatorList, OPS).reduce((area, ctm) => area + Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2]), 0);
+    return Math.min(1, imageArea / pageArea);
+}
+
+// Assesses a page's text layer from its pdf.js text items and image coverage.
+// Returns the measurements, whether the page needs OCR, and the reason if it does.
+export function assessTextLayer(items, imageCoverage, thresholds = {}) {
+    const limits = { ...DEFAULT_SMART_THRESHOLDS, ...thresholds };
+    const text = items.map(item => item.str || '').join('').replace(/\s+/g, '');
+    const charCount = text.length;
+    const garbageCount = (text.match(GARBAGE_CHAR_REGEX) || []).length;
+    const garbageRatio = charCount > 0 ? garbageCount / charCount : 0;
+
+    let reason = null;
+    if (charCount < limits.minTextChars) {
+        reason = `only ${charCount} characters in text layer`;
+    } else if (garbageRatio > limits.maxGarbageRatio) {
+        reason = `${Math.round(garbageRatio * 100)}% unreadable glyphs`;
+    } else if (imageCoverage >= limits.minImageCoverage && charCount < limits.imagePageMaxChars) {
+        reason = `${Math.round(imageCoverage * 100)}% of the page is images`;
+    }
+
+    return { charCount, garbageRatio, imageCoverage, needsOcr: reason !== null, reason };
+}
@@ -0,0 +1,186 @@
+/**
+ * webLLMBackend.js
+ * LLM backend that runs the model in the browser with WebLLM. Needs WebGPU.
+ */
+
+import { Chat as ImportedChat, CreateMLCEngine as ImportedCreateMLCEngine } from '@mlc-ai/web-llm';
+import * as webllm from '@mlc-ai/web-llm'; // Import the full module
+import { ModelRegistry } from './modelRegistry.js';
+import { ModelValidationError } from './errors.js';
+
+export class WebLLMBackend {
+    constructor(options = {}) {
+        this.registry = options.registry || new ModelRegistry();
+        this.modelLibUrl = options.modelLibUrl || null; // User-specified model_lib, overrides the registry's
+        this.chatModule = null;
+        this.defaultModel = null; // The converter's llmModel applies
+
+        this.WebLLMChatConstructor = null; // For fallback
+        this.WebLLMCreateEngine = null;
+        this.webllmModule = null;
+
+        // Try to get the full webllm module for modelLibURLPrefix and modelVersion
+        if (typeof webllm !== 'undefined' && webllm.CreateMLCEngine) {
+            this.webllmModule = webllm;
+            this.WebLLMCreateEngine = webllm.CreateMLCEngine;
+            this.WebLLMChatConstructor = webllm.Chat; // Also get Chat from the main module
+        } else if (typeof window !== 'undefined' && window.webLLM && typeof window.webLLM.CreateMLCEngine === 'function') {
+            this.webllmModule = window.webLLM;
+            this.WebLLMCreateEngine = window.webLLM.CreateMLCEngine;
+            this.WebLLMChatConstructor = window.webLLM.Chat;
+        } else {
+             // Fallback if full module import didn't work as expected, try individual imports
+            console.warn('Extract2MD_Debug: Full webllm module not found, relying on individual imports/globals for CreateMLCEngine/Chat.');
+            if (typeof ImportedCreateMLCEngine !== 'undefined') {
+                this.WebLLMCreateEngine = ImportedCreateMLCEngine;
+            } else if (typeof window !== 'undefined' && window.webLLM && typeof window.webLLM.CreateMLCEngine === 'function') { // Redundant but safe
+                this.WebLLMCreateEngine = window.webLLM.CreateMLCEngine;
+            }
+            // Fallback for Chat constructor
+            if (typeof ImportedChat !== 'undefined') {
+                this.WebLLMChatConstructor = ImportedChat;
+            } else if (typeof window !== 'undefined' && window.webLLM && typeof window.webLLM.Chat === 'function') { // Redundant
+                this.WebLLMChatConstructor = window.webLLM.Chat;
+            }
+        }
+    }
+
+    // Whether modelId (or, without an argument, any model) is loaded.
+    isLoaded(modelId) {
+        if (!this.chatModule) return false;
+        // For CreateMLCEngine, modelId is part of the engine. For Chat, we stored it.
+        const currentModelId = this.chatModule.modelId || (this.chatModule.config && this.chatModule.config.model_id);
+        return modelId === undefined || currentModelId === modelId;
+    }
+
+    async load(modelId, { chatOpts = {}, onProgress = () => {} } = {}) {
+        if (!this.WebLLMCreateEngine && !this.WebLLMChatConstructor) {
+            throw new Error('WebLLM (CreateMLCEngine or Chat) module is not loaded. Ensure @mlc-ai/web-llm is correctly imported/bundled, or webLLM is globally available.');
+        }
+
+        // Fail before unloading the current model or downloading anything.
+        const model = await this._validatedModel(modelId);
+
+        if (this.chatModule && typeof this.chatModule.unload === 'function') {
+            await this.chatModule.unload();
+        }
+        this.chatModule = null; // Ensure it's cleared
+
+        const initProgressCallback = report => onProgress({ text: report.text, progress: report.progress });
+
+        if (this.WebLLMCreateEngine) {
+            const overrides = { context_window_size: model.contextWindowSize };
+            // Without a template of its own the model uses the one in its mlc-chat-config.json.
+            if (model.convTemplate) overrides.conv_template = model.convTemplate;
+
+            const appConfig = {
+                model_list: [
+                    {
+                        "model": model.weightsUrl,
+                        "model_id": modelId,
+                        "model_lib": model.modelLibUrl,
+                        "required_features": model.requiredFeatures,
+                        "overrides": overrides
+                    }
+                ]
+            };
+
+            const engineConfig = {
+                ...chatOpts,
+                initProgressCallback,
+                appConfig: appConfig // Pass the constructed appConfig
+            };
+            const engine = await this.WebLLMCreateEngine(modelId, engineConfig);
+            // CreateMLCEngine loads the model, so no separate reload needed immediately.
+            // We can store modelId if needed for future checks, though engine usually has it.
+            if (engine) engine.modelId = modelId; // For consistency if checked later
+            this.chatModule = engine;
+        } else {
+            // Fallback to Chat constructor - this is the path that had issues
+            const chat = new this.WebLLMChatConstructor();
+            chat.modelId = modelId; // Store modelId for Chat instances
+
+            const finalChatOpts = {
+                ...chatOpts,
+                initProgressCallback
+            };
+            if (typeof chat.reload !== 'function') {
+                throw new Error('this.chatModule.reload is not a function (Chat fallback path).');
+            }
+            await chat.reload(modelId, finalChatOpts);
+            this.chatModule = chat;
+        }
+    }
+
+    // The registry entry for modelId, with llmModelLibUrl applied, once it passed validation.
+    async _validatedModel(modelId) {
+        const registered = this.registry.get(modelId);
+        const candidate = this.modelLibUrl ? { ...(registered || { id: modelId }), modelLibUrl: this.modelLibUrl } : modelId;
+        const { model, problems } = await this.registry.validate(candidate);
+        if (problems.length > 0) {
+            throw new ModelValidationError(`Model "${modelId}" cannot be loaded: ${problems.join(' ')}`, { modelId, problems });
+        }
+        return model;
+    }
+
+    // Runs one prompt and returns the reply text. With onDelta, the reply is streamed and onDelta
+    // receives each new piece of text; streaming stops early once signal aborts.
+    async generate(prompt, { model, onDelta = null, signal = null } = {}) {
+        // The generate method in newer web-llm might return a ChatCompletion object.
+        // We need to access the message content.
+        let replyContent = '';
+        if (this.WebLLMCreateEngine && this.chatModule && this.chatModule.chat && typeof this.chatModule.chat.completions.create === 'function') {
+            // Using MLCEngine's OpenAI-compatible API
+            if (onDelta) {
+                const stream = await this.chatModule.chat.completions.create({
+                    messages: [{ role: "user", content: prompt }],
+                    model: model,
+                    stream: true
+                });
+                for await (const part of stream) {
+                    const delta = part.choices && part.choices[0] && part.choices[0].delta ? part.choices[0].delta.content || '' : '';
+                    if (delta) {
+                        replyContent += delta;
+                        onDelta(delta);
+                    }
+                    if (signal && signal.aborted) break;
+                }
+                return replyContent;
+            }
+            const chatCompletion = await this.chatModule.chat.completions.create({
+                messages: [{ role: "user", content: prompt }],
+                model: model // Ensure 'model' here is the modelId used for the engine
+            });
+            if (chatCompletion.choices && chatCompletion.choices.length > 0 && chatCompletion.choices[0].message) {
+                replyContent = chatCompletion.choices[0].message.content || '';
+            }
+        } else if (this.chatModule && typeof this.chatModule.generate === 'function') {
+            // Fallback or direct Chat.generate usage. Its progress callback receives the whole message so far.
+            const progressCb = onDelta ? (step, message) => {
+                if (message.length > replyContent.length) {
+                    const delta = message.slice(replyContent.length);
+                    replyContent = message;
+                    onDelta(delta);
+                }
+            } : undefined;
+            replyContent = await this.chatModule.generate(prompt, progressCb, onDelta ? 1 : 0);
+        } else {
+            throw new Error('LLM module does not support generate or chat.completions.create');
+        }
+        return replyContent;
+    }
+
+    // Stops the running generation, which then resolves with the text produced so far.
+    async interrupt() {
+        if (this.chatModule && typeof this.chatModule.interruptGenerate === 'function') {
+            await this.chatModule.interruptGenerate();
+        }
+    }
+
+    async unload() {
+        if (this.chatModule) {
+            await this.chatModule.unload();
+            this.chatModule = null;
+        }
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * worker.js
+ * The Web Worker script of Extract2MDWorkerClient (see workerClient.js). It runs an
+ * Extract2MDConverter off the page's main thread, rendering pages on OffscreenCanvas, and answers
+ * the client's messages:
+ *   { type: 'init', options }                            creates the converter
+ *   { type: 'call', id, method, args, options, callbacks } runs a converter method
+ *   { type: 'abort', id }                                cancels a call
+ *   { type: 'password', id, password }                   answers a password request
+ * It posts { type: 'progress', report }, and for a call 'token', 'password' (requests),
+ * 'result' and 'error' messages.
+ */
+
+import Extract2MDConverter from './index.js';
+import { offscreenCanvasFactory, workerPdfJsOptions } from './canvas.js';
+import { serializeError } from './errors.js';
+import { ModelRegistry } from './modelRegistry.js';
+
+// The converter methods a client may call.
+const METHODS = new Set([
+    'quickConvert', 'highAccuracyConvert', 'smartConvert', 'renderPage', 'openDocument', 'renderDocumentPage', 'closeDocument',
+    'llmRewrite', 'llmFixStructure', 'llmTranslate', 'llmSummarize', 'llmExtract', 'llmTask', 'checkFidelity',
+    'unloadLLM', 'terminateOcrWorkers', 'dispose'
+]);
+
+let converter = null;
+let initError = null; // Why the converter could not be created, for every call to reject with
+const calls = new Map(); // id -> { controller, answerPassword }
+
+// The ArrayBuffers in a value, to move them to the client instead of copying them.
+function transferablesOf(value, found = new Set()) {
+    if (value instanceof ArrayBuffer) found.add(value);
+    else if (ArrayBuffer.isView(value)) found.add(value.buffer);
+    else if (Array.isArray(value)) value.forEach(item => transferablesOf(item, found));
+    else if (value && typeof value === 'object' && !(value instanceof Blob)) Object.values(value).forEach(item => transferablesOf(item, found));
+    return [...found];
+}
+
+// The client sends its registry's models, so the worker's registry holds exactly those.
+function init({ llmModels = [], ...options }) {
+    try {
+        converter = new Extract2MDConverter({
+            canvasFactory: offscreenCanvasFactory,
+            ...options,
+            modelRegistry: new ModelRegistry(llmModels),
+            pdfJsOptions: { ...workerPdfJsOptions, ...(options.pdfJsOptions || {}) },
+            progressCallback: (report) => {
+                self.postMessage({ type: 'progress', report: report.error ? { ...report, error: serializeError(report.error) } : report });
+            }
+        });
+    } catch (err) {
+        converter = null;
+        initError = err;
+    }
+}
+
+// Runs a method with the call's signal and the callbacks the client asked for, proxied by message.
+async function call({ id, method, args = [], options = {}, callbacks = [] }) {
+    const controller = new AbortController();
+    const entry = { controller, answerPassword: null };
+    calls.set(id, entry);
+    const callOptions = { ...options, signal: controller.signal };
+    if (callbacks.includes('onToken')) {
+        callOptions.onToken = (token, text) => self.postMessage({ type: 'token', id, token, text });
+    }
+    if (callbacks.includes('onPassword')) {
+        callOptions.onPassword = (reason) => new Promise(resolve => {
+            entry.answerPassword = resolve;
+            self.postMessage({ type: 'password', id, reason });
+        });
+    }
+    try {
+        if (!converter) throw initError || new Error('The worker has not been initialized.');
+        if (!METHODS.has(method)) throw new Error(`Unknown method "${method}".`);
+        const value = await converter[method](...args, callOptions);
+        self.postMessage({ type: 'result', id, value }, transferablesOf(value));
+    } catch (err) {
+        self.postMessage({ type: 'error', id, error: serializeError(err) });
+    } finally {
+        calls.delete(id);
+    }
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            init(data.options || {});
+            break;
+        case 'call':
+            call(data);
+            break;
+        case 'abort': {
+            const entry = calls.get(data.id);
+            if (entry) entry.controller.abort();
+            break;
+        }
+        case 'password': {
+            const entry = calls.get(data.id);
+            if (entry && entry.answerPassword) {
+                entry.answerPassword(data.password);
+                entry.answerPassword = null;
+            }
+            break;
+        }
+        default:
+            break;
+    }
+};
@@ -0,0 +1,243 @@
+/**
+ * workerClient.js
+ * Extract2MDWorkerClient: Extract2MDConverter's API, with the converter running in a dedicated Web
+ * Worker (worker.js) so that reading the PDF, rendering pages and OCR do not block the page.
+ * Calls, progress reports, streamed tokens, password prompts and cancellation go through
+ * postMessage; PDF bytes are transferred to the worker rather than copied.
+ */
+
+import { ModelRegistry } from './modelRegistry.js';
+import { AbortError, WorkerLoadError, deserializeError } from './errors.js';
+import { abortErrorFor, onAbort } from './abort.js';
+import { readPdfInput } from './pdfInput.js';
+
+// Asset paths are resolved against the page, as the converter resolves them there; inside the
+// worker they would be taken relative to the worker script.
+const PATH_OPTIONS = ['pdfJsWorkerSrc', 'tesseractWorkerPath', 'tesseractCorePath', 'tesseractLangPath', 'llmModelLibUrl'];
+
+function pageUrl() {
+    if (typeof document !== 'undefined' && document.baseURI) return document.baseURI;
+    return typeof location !== 'undefined' ? location.href : undefined;
+}
+
+function createDefaultWorker() {
+    if (typeof Worker === 'undefined') throw new Error('Web Workers are not available here: pass a worker, or use Extract2MDConverter.');
+    return new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+}
+
+// The constructor options as they are sent to the worker. Functions and objects with methods
+// cannot be, so those options only work with Extract2MDConverter.
+function workerOptions(options, modelRegistry) {
+    const { worker, progressCallback, modelRegistry: registry, llmModels, canvasFactory, readFile, ...rest } = options;
+    if (canvasFactory || readFile) throw new Error('canvasFactory and readFile cannot be sent to the worker; it renders on OffscreenCanvas and reads PDFs from Blobs, buffers and URLs.');
+    if (rest.llmBackend && typeof rest.llmBackend.generate === 'function') {
+        throw new Error('A backend object cannot be sent to the worker; pass llmBackend as a type name or a { type, ...options } config.');
+    }
+    const baseUrl = pageUrl();
+    for (const key of PATH_OPTIONS) {
+        if (baseUrl && typeof rest[key] === 'string') rest[key] = new URL(rest[key], baseUrl).href;
+    }
+    return { ...rest, llmModels: modelRegistry.list() };
+}
+
+// The PDF as it is posted: bytes are copied into a buffer that is transferred, so the caller's stays
+// usable; Blobs and Files are cloned without copying their data; URLs are sent as strings.
+async function pdfInputMessage(pdfFile, signal) {
+    if (pdfFile instanceof ArrayBuffer || ArrayBuffer.isView(pdfFile)) {
+        const bytes = await readPdfInput(pdfFile, { signal });
+        return { arg: bytes, transfer: [bytes.buffer] };
+    }
+    return { arg: pdfFile instanceof URL ? pdfFile.href : pdfFile, transfer: [] };
+}
+
+class Extract2MDWorkerClient {
+    constructor(options = {}) {
+        this.modelRegistry = options.modelRegistry || new ModelRegistry();
+        (options.llmModels || []).forEach(model => this.modelRegistry.register(model));
+        this.progressCallback = options.progressCallback || function(progress) { /* console.log(progress) */ };
+
+        this.calls = new Map(); // id -> { resolve, reject, onToken, onPassword, passwordError }
+        this.nextCallId = 1;
+        this.failure = null; // Rejects every call once the worker has failed or been terminated
+        const initOptions = workerOptions(options, this.modelRegistry);
+        this.worker = options.worker || createDefaultWorker();
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            if (event && typeof event.preventDefault === 'function') event.preventDefault();
+            const message = event && event.message ? event.message : 'the worker script could not be loaded';
+            this._fail(new WorkerLoadError(`The extract2md worker failed: ${message}`, { worker: 'extract2md' }));
+        };
+        try {
+            this._post({ type: 'init', options: initOptions }, [], 'The converter options');
+        } catch (err) {
+            if (!options.worker) this.worker.terminate();
+            throw err;
+        }
+    }
+
+    _post(message, transfer, what) {
+        try {
+            this.worker.postMessage(message, transfer);
+        } catch (err) {
+            if (err && err.name === 'DataCloneError') {
+                throw new Error(`${what} cannot be sent to the worker (${err.message}). Functions only work with Extract2MDConverter.`);
+            }
+            throw err;
+        }
+    }
+
+    _fail(err) {
+        this.failure = err;
+        const calls = [...this.calls.values()];
+        this.calls.clear();
+        calls.forEach(call => call.reject(err));
+    }
+
+    _handleMessage(data) {
+        if (data.type === 'progress') {
+            const report = data.report.error ? { ...data.report, error: deserializeError(data.report.error) } : data.report;
+            this.progressCallback(report);
+            return;
+        }
+        const call = this.calls.get(data.id);
+        if (!call) return;
+        switch (data.type) {
+            case 'token':
+                call.onToken(data.token, data.text);
+                break;
+            case 'password':
+                // As with the converter, an onPassword that throws fails the conversion with its error.
+                Promise.resolve()
+                    .then(() => call.onPassword(data.reason))
+                    .catch(err => {
+                        call.passwordError = err;
+                        return null;
+                    })
+                    .then(password => this.worker.postMessage({ type: 'password', id: data.id, password: typeof password === 'string' ? password : null }));
+                break;
+            case 'result':
+                this.calls.delete(data.id);
+                call.resolve(data.value);
+                break;
+            case 'error':
+                this.calls.delete(data.id);
+                call.reject(call.passwordError || deserializeError(data.error));
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Runs a converter method in the worker. The signal stays here and aborting it cancels the
+    // call in the worker; onToken and onPassword are called here as the worker asks.
+    _call(method, args, options = {}, transfer = []) {
+        const { signal, onToken, onPassword, ...callOptions } = options;
+        if (this.failure) return Promise.reject(this.failure);
+        if (signal && signal.aborted) return Promise.reject(abortErrorFor(signal));
+        const id = this.nextCallId++;
+        return new Promise((resolve, reject) => {
+            const removeAbortListener = onAbort(signal, () => this.worker.postMessage({ type: 'abort', id }));
+            this.calls.set(id, {
+                resolve: (value) => { removeAbortListener(); resolve(value); },
+                reject: (err) => { removeAbortListener(); reject(err); },
+                onToken,
+                onPassword,
+                passwordError: null
+            });
+            const callbacks = [onToken && 'onToken', onPassword && 'onPassword'].filter(Boolean);
+            try {
+                this._post({ type: 'call', id, method, args, options: callOptions, callbacks }, transfer, `The options of ${method}()`);
+            } catch (err) {
+                this.calls.get(id).reject(err);
+                this.calls.delete(id);
+            }
+        });
+    }
+
+    async _convert(method, pdfFile, options = {}, args = []) {
+        if (this.failure) throw this.failure;
+        const { arg, transfer } = await pdfInputMessage(pdfFile, options.signal);
+        return this._call(method, [arg, ...args], options, transfer);
+    }
+
+    quickConvert(pdfFile, options = {}) {
+        return this._convert('quickConvert', pdfFile, options);
+    }
+
+    highAccuracyConvert(pdfFile, options = {}) {
+        return this._convert('highAccuracyConvert', pdfFile, options);
+    }
+
+    smartConvert(pdfFile, options = {}) {
+        return this._convert('smartConvert', pdfFile, options);
+    }
+
+    renderPage(pdfFile, pageNumber, options = {}) {
+        return this._convert('renderPage', pdfFile, options, [pageNumber]);
+    }
+
+    // The document stays open in the worker, so its pages are rendered without posting the PDF again.
+    openDocument(pdfFile, options = {}) {
+        return this._convert('openDocument', pdfFile, options);
+    }
+
+    renderDocumentPage(documentId, pageNumber, options = {}) {
+        return this._call('renderDocumentPage', [documentId, pageNumber], options);
+    }
+
+    closeDocument(documentId) {
+        return this._call('closeDocument', [documentId]);
+    }
+
+    llmRewrite(textToRewrite, options = {}) {
+        return this._call('llmRewrite', [textToRewrite], options);
+    }
+
+    llmFixStructure(text, options = {}) {
+        return this._call('llmFixStructure', [text], options);
+    }
+
+    llmTranslate(text, options = {}) {
+        return this._call('llmTranslate', [text], options);
+    }
+
+    llmSummarize(text, options = {}) {
+        return this._call('llmSummarize', [text], options);
+    }
+
+    llmExtract(text, options = {}) {
+        return this._call('llmExtract', [text], options);
+    }
+
+    llmTask(task, text, options = {}) {
+        return this._call('llmTask', [task, text], options);
+    }
+
+    // Aligning long texts can take a while, so it runs in the worker too.
+    checkFidelity(sourceText, outputText, options = {}) {
+        return this._call('checkFidelity', [sourceText, outputText], options);
+    }
+
+    unloadLLM() {
+        return this._call('unloadLLM', []);
+    }
+
+    terminateOcrWorkers() {
+        return this._call('terminateOcrWorkers', []);
+    }
+
+    // Releases the OCR workers and the LLM, then ends the worker.
+    async dispose() {
+        if (!this.failure) await this._call('dispose', []);
+        this.terminate();
+    }
+
+    // Ends the worker at once; calls still running are rejected with an AbortError.
+    terminate() {
+        this.worker.terminate();
+        this._fail(new AbortError('The extract2md worker was terminated.'));
+    }
+}
+
+export { Extract2MDWorkerClient };
+export default Extract2MDWorkerClient;
@@ -0,0 +1,103 @@
+/**
+ * zip.js
+ * Writes ZIP archives in the browser, for downloading the Markdown together with its exported
+ * images. Files are stored without compression: the images are compressed already.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (data && typeof data.arrayBuffer === 'function') return new Uint8Array(await data.arrayBuffer()); // Blob or File
+    throw new Error('ZIP entries must be strings, Blobs, ArrayBuffers or typed arrays.');
+}
+
+// MS-DOS time and date fields, in local time as ZIP tools expect.
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// Resolves with a ZIP archive (a Blob) of `files`, each `{ name, data }` where name is a path with
+// forward slashes and data a string, Blob, ArrayBuffer or typed array.
+export async function createZip(files, { date = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(String(file.name).replace(/^\/+/, ''));
+        const data = await toBytes(file.data);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);  // Local file header signature
+        header.setUint16(4, 20, true);          // Version needed to extract
+        header.setUint16(6, 0x0800, true);      // Flags: names are UTF-8
+        header.setUint16(8, 0, true);           // Stored, no compression
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);          // Extra field length
+        parts.push(header, name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);   // Central directory header signature
+        entry.setUint16(4, 20, true);           // Version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, day, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);      // Comment, disk and attributes stay zero
+        centralDirectory.push(entry, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+// Bundles converted Markdown with the images it references (as returned with `extractImages`),
+// keeping each image at the path the Markdown points to.
+export function createMarkdownBundle(markdown, images = [], { markdownName = 'document.md' } = {}) {
+    return createZip([
+        { name: markdownName, data: markdown },
+        ...images.map(image => ({ name: image.path, data: image.blob }))
+    ]);
+}
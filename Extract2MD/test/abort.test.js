@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Extract2MDConverter, MockLLMBackend, AbortError } from '../src/index.js';
+import { abortable, onAbort } from '../src/abort.js';
+
+const PDF_BYTES = new TextEncoder().encode('%PDF-1.7\n% a stub document\n');
+
+// A stand-in for pdf.js's getDocument(). Its pages have no text, so smartConvert OCRs them. Like
+// pdf.js, destroying the loading task rejects whatever is still pending on the document; with
+// `hang` set the document never loads ('load') or its pages never arrive ('page').
+function stubPdfjs({ numPages = 2, hang = null } = {}) {
+    const stub = { tasks: [] };
+    stub.getDocument = () => {
+        let destroy;
+        const destroyed = new Promise(resolve => { destroy = resolve; });
+        const untilDestroyed = () => destroyed.then(() => { throw new Error('Worker was destroyed'); });
+        const page = {
+            view: [0, 0, 612, 792],
+            getViewport: ({ scale }) => ({ width: 612 * scale, height: 792 * scale }),
+            render: () => ({ promise: Promise.resolve() }),
+            getTextContent: async () => ({ items: [], styles: {} }),
+            getOperatorList: async () => ({ fnArray: [], argsArray: [] }),
+            getAnnotations: async () => []
+        };
+        const pdfDoc = {
+            numPages,
+            getMetadata: async () => ({ info: {} }),
+            getOutline: async () => null,
+            getPage: () => (hang === 'page' ? untilDestroyed() : Promise.resolve(page))
+        };
+        const task = { destroyed: false, promise: hang === 'load' ? untilDestroyed() : Promise.resolve(pdfDoc) };
+        task.destroy = async () => { task.destroyed = true; destroy(); };
+        stub.tasks.push(task);
+        return task;
+    };
+    return stub;
+}
+
+const canvasFactory = {
+    create: (width, height) => ({ width, height, getContext: () => ({}) }),
+    toImage: async () => new Uint8Array(1)
+};
+
+// A converter that reads PDFs with `pdfjs`, starts fake OCR workers whose jobs never finish, and
+// aborts `controller` when it reports the progress stage `abortAt`.
+function converterFor(pdfjs, controller, abortAt) {
+    const converter = new Extract2MDConverter({
+        canvasFactory,
+        concurrency: 2,
+        llmBackend: new MockLLMBackend(),
+        progressCallback: (report) => { if (report.stage === abortAt) controller.abort(); }
+    });
+    converter._withPdfDocument = (_pdfjs, ...args) => Extract2MDConverter.prototype._withPdfDocument.call(converter, pdfjs, ...args);
+    converter.ocrWorkersStarted = [];
+    converter._createOcrWorker = async () => {
+        const worker = { id: `worker-${converter.ocrWorkersStarted.length}`, terminated: false };
+        worker.recognize = () => new Promise(() => {});
+        worker.terminate = async () => { worker.terminated = true; };
+        converter.ocrWorkersStarted.push(worker);
+        return worker;
+    };
+    return converter;
+}
+
+const isAbortError = (err) => err instanceof AbortError && err.code === 'ABORT_ERR';
+
+test('an already aborted signal rejects before the PDF is opened', async () => {
+    const pdfjs = stubPdfjs();
+    const controller = new AbortController();
+    controller.abort();
+    const converter = converterFor(pdfjs, controller);
+    await assert.rejects(converter.quickConvert(PDF_BYTES, { signal: controller.signal }), isAbortError);
+    await assert.rejects(converter._withPdfDocument(null, PDF_BYTES, { signal: controller.signal }, async () => {}), isAbortError);
+    assert.equal(pdfjs.tasks.length, 0);
+});
+
+test('aborting while the PDF loads destroys the loading task', async () => {
+    const pdfjs = stubPdfjs({ hang: 'load' });
+    const controller = new AbortController();
+    const { getDocument } = pdfjs;
+    pdfjs.getDocument = (params) => {
+        setTimeout(() => controller.abort(), 0);
+        return getDocument(params);
+    };
+    const converter = converterFor(pdfjs, controller);
+    await assert.rejects(converter.quickConvert(PDF_BYTES, { signal: controller.signal }), isAbortError);
+    assert.equal(pdfjs.tasks[0].destroyed, true);
+});
+
+test('aborting while pages are read destroys the document, which rejects the pending page', async () => {
+    const pdfjs = stubPdfjs({ hang: 'page' });
+    const controller = new AbortController();
+    const converter = converterFor(pdfjs, controller, 'pdfjs_page');
+    await assert.rejects(converter.quickConvert(PDF_BYTES, { signal: controller.signal }), (err) => isAbortError(err) && err.cause === controller.signal.reason);
+    assert.equal(pdfjs.tasks[0].destroyed, true);
+});
+
+for (const method of ['highAccuracyConvert', 'smartConvert']) {
+    test(`aborting ${method} during OCR destroys the document and terminates the OCR workers`, async () => {
+        const pdfjs = stubPdfjs();
+        const controller = new AbortController();
+        const converter = converterFor(pdfjs, controller, 'ocr_recognize_page');
+        await assert.rejects(converter[method](PDF_BYTES, { signal: controller.signal }), isAbortError);
+        assert.equal(pdfjs.tasks[0].destroyed, true);
+        assert.equal(converter.ocrWorkersStarted.length, 2);
+        assert.ok(converter.ocrWorkersStarted.every(worker => worker.terminated));
+        assert.equal(converter.ocrScheduler, null);
+        assert.deepEqual(converter.ocrWorkers, []);
+    });
+}
+
+test('a conversion that finishes leaves the OCR workers running for the next one', async () => {
+    const pdfjs = stubPdfjs({ numPages: 1 });
+    const converter = converterFor(pdfjs, new AbortController());
+    converter._createOcrWorker = async () => ({ id: 'worker', recognize: async () => ({ data: { text: 'Scanned text' } }), terminate: async () => {} });
+    const controller = new AbortController();
+    assert.match(await converter.highAccuracyConvert(PDF_BYTES, { signal: controller.signal, concurrency: 1 }), /Scanned text/);
+    controller.abort();
+    assert.equal(converter.ocrWorkers.length, 1);
+    assert.equal(pdfjs.tasks[0].destroyed, true);
+});
+
+test('abortable rejects on abort without waiting for the promise, and onAbort can be removed', async () => {
+    const controller = new AbortController();
+    const never = abortable(new Promise(() => {}), controller.signal);
+    controller.abort(new Error('Stopped'));
+    await assert.rejects(never, (err) => isAbortError(err) && err.cause.message === 'Stopped');
+    assert.equal(await abortable(Promise.resolve(1), null), 1);
+
+    let calls = 0;
+    const other = new AbortController();
+    const remove = onAbort(other.signal, () => calls++);
+    remove();
+    other.abort();
+    onAbort(other.signal, () => calls++);
+    assert.equal(calls, 1);
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../scripts/extract2md.js', import.meta.url));
+
+// A one-page PDF showing `text` in Helvetica, with a correct cross-reference table.
+function minimalPdf(text) {
+    const content = `BT /F1 12 Tf 72 700 Td (${text}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+    return `${pdf}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+}
+
+// Runs the command in `cwd` and resolves with its exit code and output, whether or not it failed.
+const run = (args, cwd) => new Promise((resolve) => {
+    execFile(process.execPath, [CLI, '--quiet', ...args], { cwd, timeout: 60000 }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+});
+
+// The inputs the command matched: every file it converted or failed to.
+const matched = ({ stdout, stderr }) => [...`${stdout}\n${stderr}`.matchAll(/^(?:Converted|Failed) (\S.*?)(?: -> |: )/gm)].map(match => match[1].split(path.sep).join('/')).sort();
+
+let dir;
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extract2md-cli-'));
+    const files = {
+        'docs/a.pdf': minimalPdf('Alpha'),
+        'docs/b.pdf': minimalPdf('Beta'),
+        'docs/notes.txt': 'not a PDF',
+        'docs/sub/a.pdf': minimalPdf('Nested alpha'),
+        'docs/sub/deep/c.pdf': minimalPdf('Deep'),
+        'docs/report(1).v2+.pdf': 'not really a PDF',
+        'docs/report(1)xv2+.pdf': 'not really a PDF',
+        'broken/bad.pdf': 'this is not a PDF',
+        ...(process.platform === 'win32' ? {} : { 'odd/what?.pdf': 'odd', 'odd/whatX.pdf': 'odd', 'odd/*.pdf': 'odd', 'odd/x.pdf': 'odd' })
+    };
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.join(dir, path.dirname(name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('* matches within one directory and ? one character', async () => {
+    assert.deepEqual(matched(await run(['-o', 'out1', 'docs/?.pdf'], dir)), ['docs/a.pdf', 'docs/b.pdf']);
+    assert.deepEqual(matched(await run(['-o', 'out2', 'docs/*.pdf'], dir)), ['docs/a.pdf', 'docs/b.pdf', 'docs/report(1).v2+.pdf', 'docs/report(1)xv2+.pdf']);
+});
+
+test('** matches across directories, including none', async () => {
+    assert.deepEqual(matched(await run(['-o', 'out3', 'docs/**/a.pdf'], dir)), ['docs/a.pdf', 'docs/sub/a.pdf']);
+    const result = await run(['-o', 'out4', 'docs/**/c.pdf'], dir);
+    assert.deepEqual(matched(result), ['docs/sub/deep/c.pdf']);
+    // The output keeps the path below the fixed part of the glob.
+    assert.ok(fs.existsSync(path.join(dir, 'out4', 'sub', 'deep', 'c.md')));
+});
+
+test('characters special in regular expressions match only themselves', async () => {
+    assert.deepEqual(matched(await run(['-o', 'out5', 'docs/report(?).v2+.pdf'], dir)), ['docs/report(1).v2+.pdf']);
+});
+
+test('a backslash makes a glob character match itself', { skip: process.platform === 'win32' }, async () => {
+    assert.deepEqual(matched(await run(['-o', 'out11', 'odd/what\\?.pdf'], dir)), ['odd/what?.pdf']);
+    assert.deepEqual(matched(await run(['-o', 'out12', 'odd/\\*.pdf'], dir)), ['odd/*.pdf']);
+    assert.deepEqual(matched(await run(['-o', 'out13', 'odd/what?.pdf'], dir)), ['odd/what?.pdf', 'odd/whatX.pdf']);
+});
+
+test('converted PDFs are written as Markdown, or JSON with --json', async () => {
+    const result = await run(['-o', 'out6', 'docs/a.pdf'], dir);
+    assert.equal(result.code, 0);
+    assert.match(fs.readFileSync(path.join(dir, 'out6', 'a.md'), 'utf8'), /Alpha/);
+    await run(['--json', 'docs/b.pdf'], dir);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'docs', 'b.json'), 'utf8')).pages.length, 1);
+});
+
+test('two inputs with the same name in one output directory collide, and the second fails', async () => {
+    const result = await run(['-o', 'out7', 'docs/a.pdf', 'docs/sub/a.pdf'], dir);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /sub[/\\]a\.pdf: Its output out7[/\\]a\.md is already written for docs[/\\]a\.pdf\./);
+    // Without --output each Markdown file is written next to its PDF.
+    assert.equal((await run(['docs/a.pdf', 'docs/sub/a.pdf'], dir)).code, 0);
+    assert.ok(fs.existsSync(path.join(dir, 'docs', 'sub', 'a.md')));
+});
+
+test('--concurrency must be a positive whole number', async () => {
+    for (const value of ['0', '1.5', 'two']) {
+        const result = await run(['-c', value, 'docs/a.pdf'], dir);
+        assert.equal(result.code, 2);
+        assert.match(result.stderr, /--concurrency must be a positive whole number/);
+    }
+    assert.equal((await run(['-c', '2', '-o', 'out9', 'docs/a.pdf', 'docs/b.pdf'], dir)).code, 0);
+});
+
+test('the exit code is 1 when any input fails or matches nothing', async () => {
+    const result = await run(['-o', 'out10', 'docs/a.pdf', 'broken/bad.pdf'], dir);
+    assert.equal(result.code, 1);
+    assert.ok(fs.existsSync(path.join(dir, 'out10', 'a.md')));
+    assert.match(result.stderr, /1 of 2 PDFs converted\./);
+    assert.match(result.stderr, /bad\.pdf: NOT_A_PDF:/);
+    assert.equal((await run(['docs/*.xyz'], dir)).code, 1);
+    assert.equal((await run(['missing.pdf'], dir)).code, 1);
+});
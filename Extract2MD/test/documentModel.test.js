@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unionBoundingBox, createDocument, blockToMarkdown, blocksToMarkdown, documentToMarkdown } from '../src/documentModel.js';
+
+test('unionBoundingBox spans both boxes and copies a lone box', () => {
+    assert.deepEqual(unionBoundingBox({ x: 10, y: 10, width: 10, height: 10 }, { x: 0, y: 15, width: 5, height: 20 }), { x: 0, y: 10, width: 20, height: 25 });
+    const box = { x: 1, y: 2, width: 3, height: 4 };
+    assert.deepEqual(unionBoundingBox(null, box), box);
+    assert.notEqual(unionBoundingBox(box, null), box);
+    assert.equal(unionBoundingBox(null, null), null);
+});
+
+test('createDocument groups blocks by page, keeping empty pages and pageless blocks in place', () => {
+    const doc = createDocument([{ type: 'paragraph', text: 'a', page: 1 }, { type: 'paragraph', text: 'b', page: null }, { type: 'paragraph', text: 'c', page: 3 }], [1, 2, 3]);
+    assert.deepEqual(doc.pages.map(page => [page.pageNumber, page.blocks.map(block => block.text)]), [[1, ['a', 'b']], [2, []], [3, ['c']]]);
+});
+
+test('every block type serializes to Markdown', () => {
+    const list = { type: 'list', ordered: true, start: 3, numbering: 'decimal', items: [{ text: 'Three', children: { type: 'list', ordered: true, numbering: 'lower-alpha', items: [{ text: 'Sub', label: '(a)' }] } }, { text: 'Four' }] };
+    assert.deepEqual([
+        { type: 'heading', level: 2, text: 'Title' },
+        list,
+        { type: 'table', header: ['A', 'B'], rows: [['1', '2']], align: ['left', 'right'] },
+        { type: 'image', alt: 'Figure 1', src: 'images/f.png' },
+        { type: 'code', language: 'js', text: 'x();' },
+        { type: 'footnote', label: '1', text: 'A note.' },
+        { type: 'unknown' }
+    ].map(blockToMarkdown), [
+        '## Title',
+        '3. Three\n   - (a) Sub\n4. Four',
+        '| A   |   B |\n| --- | --: |\n| 1   |   2 |',
+        '![Figure 1](images/f.png)',
+        '```js\nx();\n```',
+        '[^1]: A note.',
+        ''
+    ]);
+});
+
+test('blocksToMarkdown separates blocks by one blank line and trims trailing spaces', () => {
+    assert.equal(blocksToMarkdown([{ type: 'paragraph', text: 'One  ' }, { type: 'paragraph', text: '' }, { type: 'paragraph', text: 'Two\n\n\n\nThree' }]), 'One\n\nTwo\n\nThree');
+});
+
+test('documentToMarkdown adds page markers and front matter on request', () => {
+    const doc = createDocument([{ type: 'paragraph', text: 'First', page: 1 }, { type: 'paragraph', text: 'Second', page: 2 }], [1, 2]);
+    doc.metadata = { title: 'Doc' };
+    assert.equal(documentToMarkdown(doc), 'First\n\nSecond');
+    assert.equal(documentToMarkdown(doc, { pageMarkers: true }), '<!-- page 1 -->\n\nFirst\n\n<!-- page 2 -->\n\nSecond');
+    assert.equal(documentToMarkdown(doc, { pageMarkers: 'anchor', frontMatter: true }), '---\ntitle: "Doc"\n---\n\n<a id="page-1"></a>\n\nFirst\n\n<a id="page-2"></a>\n\nSecond');
+});
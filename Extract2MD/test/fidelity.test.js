@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkFidelity, applyChanges } from '../src/fidelity.js';
+
+const source = [
+    '# Results',
+    'The trial enrolled 1,200 patients in Berlin between 2019 and 2021.',
+    'Most patients recovered within two weeks of starting the treatment.',
+    '| Group | Count |\n| ----- | ----: |\n| A     |   600 |'
+].join('\n\n');
+
+test('identical texts are all equal blocks with a perfect score', () => {
+    const report = checkFidelity(source, source);
+    assert.deepEqual(report.changes.map(change => change.type), ['equal', 'equal', 'equal', 'equal']);
+    assert.equal(report.score, 1);
+    assert.deepEqual(report.discrepancies, []);
+});
+
+test('changed numbers and proper nouns are reported as missing and added', () => {
+    const output = source.replace('1,200', '1,300').replace('Berlin', 'Munich');
+    const report = checkFidelity(source, output);
+    assert.deepEqual(report.changes.map(change => change.type), ['equal', 'modified', 'equal', 'equal']);
+    const found = report.discrepancies.map(d => `${d.change} ${d.kind} ${d.text} @${d.changeIndex}`);
+    assert.deepEqual(found.filter(line => !line.includes('sentence')).sort(), [
+        'added number 1300 @1',
+        'added proper-noun Munich @1',
+        'missing number 1200 @1',
+        'missing proper-noun Berlin @1'
+    ]);
+    assert.ok(report.score < 1);
+    assert.equal(report.metrics.number.missing, 1);
+});
+
+test('thousands separators and sentence-initial capitals are not discrepancies', () => {
+    const output = source.replace('1,200', '1200').replace('The trial enrolled 1200 patients in Berlin', 'Berlin: the trial enrolled 1200 patients');
+    assert.deepEqual(checkFidelity(source, output).discrepancies.filter(d => d.kind !== 'sentence'), []);
+});
+
+test('dropped and invented blocks are removed and added changes', () => {
+    const output = source.replace('Most patients recovered within two weeks of starting the treatment.', 'Researchers in Paris praised the remarkable study design.');
+    const report = checkFidelity(source, output);
+    assert.deepEqual(report.changes.map(change => change.type), ['equal', 'equal', 'removed', 'added', 'equal']);
+    assert.deepEqual(report.discrepancies.filter(d => d.kind === 'sentence').map(d => d.change), ['missing', 'added']);
+    assert.equal(report.metrics.sentence.score, 0.5);
+});
+
+test('applyChanges keeps the output except for reverted changes', () => {
+    const output = source.replace('1,200', '1,300').replace('Most patients recovered within two weeks of starting the treatment.\n\n', '');
+    const { changes } = checkFidelity(source, output);
+    assert.equal(applyChanges(changes), output);
+    const modified = changes.findIndex(change => change.type === 'modified');
+    const removed = changes.findIndex(change => change.type === 'removed');
+    assert.equal(applyChanges(changes, [modified, removed]), source);
+});
+
+test('blocks that repeat are still aligned in order', () => {
+    const text = ['Intro text about cats.', '---', 'Cats sleep a lot during the day.', '---', 'Cats also hunt.'].join('\n\n');
+    const output = text.replace('Cats also hunt.', 'Cats also hunt mice.');
+    const report = checkFidelity(text, output);
+    assert.deepEqual(report.changes.map(change => change.type), ['equal', 'equal', 'equal', 'equal', 'modified']);
+});
+
+test('long documents are aligned in bounded time', () => {
+    const paragraphs = Array.from({ length: 3000 }, (_, i) => `Paragraph ${i} covers subject${i % 41} with terms alpha${i} and beta${i * 7}.`);
+    const rewritten = paragraphs.map(paragraph => paragraph.replace('covers', 'describes'));
+    rewritten.splice(1500, 1);
+    const started = Date.now();
+    const report = checkFidelity(paragraphs.join('\n\n'), rewritten.join('\n\n'));
+    assert.ok(Date.now() - started < 10000, `took ${Date.now() - started} ms`);
+    const counts = report.changes.reduce((all, change) => ({ ...all, [change.type]: (all[change.type] || 0) + 1 }), {});
+    assert.deepEqual(counts, { modified: 2999, removed: 1 });
+    assert.equal(report.changes.find(change => change.type === 'removed').source, paragraphs[1500]);
+});
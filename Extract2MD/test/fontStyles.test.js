@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveFontStyle, roundFontSize, lineFontInfo, createHeadingLeveler, applyEmphasis } from '../src/fontStyles.js';
+import { bodyFontSize, itemHeight } from '../src/helpers.js';
+
+const item = (str, size, extra = {}) => ({ str, transform: [size, 0, 0, size, 0, 0], width: str.length * size / 2, ...extra });
+const info = (fontSize, charCount, bold = false) => ({ fontSize, charCount, bold });
+
+test('resolveFontStyle reads bold and italic from the loaded font', () => {
+    const fonts = new Map([['f1', { name: 'Helvetica', bold: true, italic: true }]]);
+    const page = { commonObjs: { has: name => fonts.has(name), get: name => fonts.get(name) } };
+    assert.deepEqual(resolveFontStyle(page, 'f1'), { name: 'Helvetica', bold: true, italic: true });
+});
+
+test('resolveFontStyle falls back to the font family name from the text content styles', () => {
+    const page = { commonObjs: { has: () => false } };
+    assert.deepEqual(resolveFontStyle(page, 'f2', { f2: { fontFamily: 'Times-BoldItalic' } }), { name: 'Times-BoldItalic', bold: true, italic: true });
+    assert.deepEqual(resolveFontStyle(null, 'f3'), { name: '', bold: false, italic: false });
+});
+
+test('roundFontSize rounds to the nearest half point', () => {
+    assert.equal(roundFontSize(11.8), 12);
+    assert.equal(roundFontSize(11.3), 11.5);
+});
+
+test('lineFontInfo takes the largest visible size and whether every visible item is bold', () => {
+    assert.deepEqual(lineFontInfo([item('Big', 18, { bold: true }), item(' ', 30), item('small', 11.9, { bold: true })]), { fontSize: 18, bold: true, charCount: 8 });
+    assert.deepEqual(lineFontInfo([item('a', 12, { bold: true }), item('b', 12)]).bold, false);
+    assert.deepEqual(lineFontInfo([item('  ', 12)]), { fontSize: 0, bold: false, charCount: 0 });
+});
+
+test('itemHeight prefers the item height and falls back to the transform scale', () => {
+    assert.equal(itemHeight({ height: 9, transform: [12, 0, 0, 12, 0, 0] }), 9);
+    assert.equal(itemHeight({ height: 0, transform: [12, 0, 0, -12, 0, 0] }), 12);
+});
+
+test('bodyFontSize is the size carrying the most characters', () => {
+    assert.equal(bodyFontSize([info(24, 20), info(11, 500), info(11, 300), info(9, 600), null]), 11);
+    assert.equal(bodyFontSize([]), 0);
+});
+
+test('sizes larger than the body rank as heading levels, largest first', () => {
+    const level = createHeadingLeveler([info(24, 20), info(16, 40), info(11, 2000), info(11.5, 30)]);
+    assert.equal(level(info(24), 'Title'), 1);
+    assert.equal(level(info(16), 'Section'), 2);
+    // Barely larger than the body size is still body text.
+    assert.equal(level(info(11.5), 'Slightly larger'), 0);
+    assert.equal(level(info(11), 'Body text.'), 0);
+    // Page numbers and long lines are never headings.
+    assert.equal(level(info(24), '12'), 0);
+    assert.equal(level(info(24), 'x'.repeat(201)), 0);
+});
+
+test('short bold lines at body size become the level below the sized headings', () => {
+    const level = createHeadingLeveler([info(24, 20), info(11, 2000)]);
+    assert.equal(level(info(11, 10, true), 'Bold label'), 2);
+    assert.equal(level(info(11, 10, true), 'A bold sentence.'), 0);
+    assert.equal(createHeadingLeveler([])(info(24), 'Anything'), 0);
+});
+
+test('applyEmphasis wraps the text inside its surrounding whitespace', () => {
+    assert.equal(applyEmphasis(' word ', { bold: true }), ' **word** ');
+    assert.equal(applyEmphasis('word', { italic: true }), '_word_');
+    assert.equal(applyEmphasis('word', { bold: true, italic: true }), '**_word_**');
+    assert.equal(applyEmphasis('   ', { bold: true }), '   ');
+    assert.equal(applyEmphasis('word'), 'word');
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeHeadersFooters } from '../src/headersFooters.js';
+
+// A line of one cell at height y (PDF points from the top of the page).
+const line = (text, y) => ({ cells: [{ text }], font: { fontSize: 10, bold: false, charCount: text.length }, bbox: { x: 50, y, width: 200, height: 10 } });
+const WORDS = ['apple', 'river', 'stone', 'cloud', 'maple', 'ember', 'frost', 'grove', 'heron', 'ivory'];
+// Eight lines of body text, different on every page.
+const body = (pageNum) => Array.from({ length: 8 }, (_, i) => line(`The ${WORDS[(pageNum + i) % 10]} and the ${WORDS[(pageNum * 3 + i) % 10]} line ${WORDS[i]}.`, 100 + i * 20));
+const page = (pageNum, lines) => ({ pageNum, lines });
+const texts = (result) => result.pages.map(p => p.lines.map(l => l.cells[0].text));
+
+test('a running header and page numbers counting with the pages are removed', () => {
+    const pages = [1, 2, 3].map(n => page(n, [line('Annual Report 2024', 20), ...body(n), line(String(n + 10), 760)]));
+    const result = removeHeadersFooters(pages);
+    assert.deepEqual(texts(result), [1, 2, 3].map(n => body(n).map(l => l.cells[0].text)));
+    assert.deepEqual(result.removed.map(r => `${r.page} ${r.kind} ${r.text}`), [
+        '1 header Annual Report 2024', '1 page-number 11',
+        '2 header Annual Report 2024', '2 page-number 12',
+        '3 header Annual Report 2024', '3 page-number 13'
+    ]);
+});
+
+test('headers with a counting number and "Page n of m" footers are removed', () => {
+    const pages = [1, 2].map(n => page(n, [line(`Chapter 4: Functions ${n + 8}`, 20), ...body(n), line(`Page ${n} of 2`, 760)]));
+    const result = removeHeadersFooters(pages);
+    assert.deepEqual(result.removed.map(r => r.kind), ['header', 'page-number', 'header', 'page-number']);
+});
+
+test('Roman page numbers at the same position are removed', () => {
+    const pages = ['i', 'ii', 'iii'].map((numeral, i) => page(i + 1, [...body(i + 1), line(numeral, 760)]));
+    const result = removeHeadersFooters(pages);
+    assert.deepEqual(result.removed.map(r => r.text), ['i', 'ii', 'iii']);
+});
+
+test('Roman-looking lines at different heights or that are not numerals are kept', () => {
+    const pages = [
+        page(1, [line('I', 20), ...body(1)]),
+        page(2, [line('Body', 60), line('II', 100), ...body(2)]),
+        page(3, [...body(3), line('MIX', 700)]),
+        page(4, [...body(4), line('CIVIL', 700)])
+    ];
+    const result = removeHeadersFooters(pages);
+    assert.deepEqual(result.removed, []);
+});
+
+test('a line that repeats on too few pages or a single page is kept', () => {
+    const pages = [1, 2, 3, 4].map(n => page(n, [...(n === 1 ? [line('Draft', 20)] : []), ...body(n)]));
+    assert.deepEqual(removeHeadersFooters(pages).removed, []);
+    const single = [page(1, [line('Header', 20), ...body(1), line('1', 760)])];
+    assert.equal(removeHeadersFooters(single).pages, single);
+});
+
+test('a numbered heading matching the page number is not taken for a page number', () => {
+    const pages = [page(1, [line('1 Introduction', 20), ...body(1)]), page(2, [line('2 Methods', 20), ...body(2)])];
+    assert.deepEqual(removeHeadersFooters(pages).removed, []);
+});
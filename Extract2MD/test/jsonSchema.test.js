@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateJsonSchema } from '../src/jsonSchema.js';
+import { renderPrompt, parseJsonReply, mergeExtracted, withoutNulls } from '../src/llmTasks.js';
+
+const invoiceSchema = {
+    type: 'object',
+    properties: {
+        number: { type: 'string', pattern: '^INV-\\d+$' },
+        total: { type: 'number', minimum: 0 },
+        currency: { enum: ['EUR', 'USD'] },
+        lines: { type: 'array', minItems: 1, items: { type: 'object', properties: { qty: { type: 'integer' } }, required: ['qty'] } }
+    },
+    required: ['number', 'total'],
+    additionalProperties: false
+};
+
+test('a value matching the schema has no problems', () => {
+    assert.deepEqual(validateJsonSchema({ number: 'INV-12', total: 30.5, currency: 'EUR', lines: [{ qty: 2 }] }, invoiceSchema), []);
+});
+
+test('every problem is reported with its path', () => {
+    const errors = validateJsonSchema({ number: 'X-1', total: -1, currency: 'GBP', lines: [{ qty: 1.5 }, {}], note: 'hi' }, invoiceSchema);
+    assert.deepEqual(errors, [
+        '$.number: must match /^INV-\\d+$/',
+        '$.total: must be at least 0',
+        '$.currency: must be one of "EUR", "USD"',
+        '$.lines[0].qty: expected integer, got number',
+        '$.lines[1].qty: is required',
+        '$.note: is not allowed'
+    ]);
+});
+
+test('a type mismatch stops checking that value', () => {
+    assert.deepEqual(validateJsonSchema('text', invoiceSchema), ['$: expected object, got string']);
+    assert.deepEqual(validateJsonSchema(null, { type: ['string', 'null'] }), []);
+    assert.deepEqual(validateJsonSchema([1], { type: 'object' }), ['$: expected object, got array']);
+});
+
+test('lengths, item counts, const and additionalProperties schemas are checked', () => {
+    assert.deepEqual(validateJsonSchema('ab', { minLength: 3 }), ['$: must be at least 3 characters long']);
+    assert.deepEqual(validateJsonSchema([1, 2, 3], { maxItems: 2 }), ['$: must have at most 2 items']);
+    assert.deepEqual(validateJsonSchema(2, { const: 1 }), ['$: must be 1']);
+    assert.deepEqual(validateJsonSchema({ a: 'x' }, { additionalProperties: { type: 'number' } }), ['$.a: expected number, got string']);
+    assert.deepEqual(validateJsonSchema({ a: 1 }, 'not a schema'), []);
+});
+
+test('renderPrompt fills string templates and calls function templates', () => {
+    assert.equal(renderPrompt('Translate to ${targetLanguage}: ${text} ${unknown}', 'Hallo', { targetLanguage: 'English' }), 'Translate to English: Hallo ${unknown}');
+    assert.equal(renderPrompt((text, info) => `${info.n}:${text}`, 'x', { n: 2 }), '2:x');
+});
+
+test('parseJsonReply finds the object in fences, prose and after thinking', () => {
+    assert.deepEqual(parseJsonReply('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(parseJsonReply('Here you go: {"a": {"b": 2}} Hope that helps.'), { a: { b: 2 } });
+    assert.deepEqual(parseJsonReply('<think>maybe {"a": 0}</think>{"a": 3}'), { a: 3 });
+    assert.throws(() => parseJsonReply('No JSON here.'), /No JSON object found/);
+});
+
+test('mergeExtracted keeps the first value and concatenates arrays without duplicates', () => {
+    const merged = mergeExtracted(
+        { title: 'Report', authors: ['Ann'], meta: { year: null } },
+        { title: 'Other', authors: ['Ann', 'Bob'], meta: { year: 2020 }, pages: 3 }
+    );
+    assert.deepEqual(merged, { title: 'Report', authors: ['Ann', 'Bob'], meta: { year: 2020 }, pages: 3 });
+    assert.equal(mergeExtracted(null, 5), 5);
+    assert.equal(mergeExtracted(5, null), 5);
+});
+
+test('withoutNulls drops null fields and array items at every level', () => {
+    assert.deepEqual(withoutNulls({ a: null, b: [1, null, { c: null, d: 2 }], e: 'x' }), { b: [1, { d: 2 }], e: 'x' });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lineBoundingBox, columnHintForPage, groupIntoLines, detectColumnGutters, orderLinesByColumns } from '../src/layout.js';
+import { parsePageRange } from '../src/pageRanges.js';
+
+const item = (str, x, y, width = str.length * 5) => ({ str, transform: [10, 0, 0, 10, x, y], width, height: 10 });
+
+// A two-column page: a full-width title, then six lines in each column, then a full-width footer line.
+const twoColumnPage = () => [
+    item('A title across both columns of the page', 50, 760, 500),
+    ...Array.from({ length: 6 }, (_, i) => item(`left ${i + 1}`, 50, 700 - i * 14, 220)),
+    ...Array.from({ length: 6 }, (_, i) => item(`right ${i + 1}`, 320, 700 - i * 14, 220)),
+    item('A closing line across both columns of the page', 50, 500, 500)
+];
+
+test('parsePageRange reads lists, open ranges and single pages, clamped to the document', () => {
+    assert.deepEqual(parsePageRange('1-3, 7, 9-', 10), [1, 2, 3, 7, 9, 10]);
+    assert.deepEqual(parsePageRange('-2', 10), [1, 2]);
+    assert.deepEqual(parsePageRange('8-20', 10), [8, 9, 10]);
+    assert.deepEqual(parsePageRange(4, 10), [4]);
+    assert.deepEqual(parsePageRange([3, 1, 3, 99], 10), [1, 3]);
+    assert.deepEqual(parsePageRange(undefined, 3), [1, 2, 3]);
+});
+
+test('parsePageRange rejects what it cannot parse', () => {
+    assert.throws(() => parsePageRange('1-3,x', 10), /could not parse "x"/);
+    assert.throws(() => parsePageRange({}, 10), /Invalid page range/);
+});
+
+test('columnHintForPage returns the first hint covering the page', () => {
+    const hints = [{ pages: '1', columns: 1 }, { columns: 2 }];
+    assert.deepEqual(columnHintForPage(hints, 1, 5), { pages: '1', columns: 1 });
+    assert.deepEqual(columnHintForPage(hints, 3, 5), { columns: 2 });
+    assert.equal(columnHintForPage(undefined, 1, 5), null);
+    assert.deepEqual(columnHintForPage([{ pages: '2-4', columns: 3 }], 3, 10), { pages: '2-4', columns: 3 });
+    assert.equal(columnHintForPage([{ pages: '2-4', columns: 3 }], 5, 10), null);
+});
+
+test('lineBoundingBox measures visible items from the top-left of the page view', () => {
+    const box = lineBoundingBox([item('Hello', 50, 700), item(' ', 80, 700, 0), item('world', 80, 700)], [0, 0, 612, 792]);
+    assert.deepEqual(box, { x: 50, y: 82, width: 55, height: 10 });
+    assert.equal(lineBoundingBox([item(' ', 0, 0)]), null);
+});
+
+test('groupIntoLines groups items by baseline, top to bottom and left to right', () => {
+    const lines = groupIntoLines([item('b', 100, 700), item('c', 50, 680), item('a', 50, 702)]);
+    assert.deepEqual(lines.map(line => line.map(i => i.str)), [['a', 'b'], ['c']]);
+});
+
+test('detectColumnGutters finds the gap between two columns of prose', () => {
+    const gutters = detectColumnGutters(twoColumnPage());
+    assert.equal(gutters.length, 1);
+    assert.ok(gutters[0] > 270 && gutters[0] < 320, `gutter at ${gutters[0]}`);
+});
+
+test('detectColumnGutters finds no gutter in a single column or in a narrow table', () => {
+    const single = Array.from({ length: 8 }, (_, i) => item(`line ${i}`, 50, 700 - i * 14, 500));
+    assert.deepEqual(detectColumnGutters(single), []);
+    const table = Array.from({ length: 6 }, (_, i) => [item('Name', 50, 700 - i * 14, 30), item('12', 400, 700 - i * 14, 10)]).flat();
+    assert.deepEqual(detectColumnGutters(table), []);
+});
+
+test('column hints force a single column, a column count or explicit gutters', () => {
+    const page = twoColumnPage();
+    assert.deepEqual(detectColumnGutters(page, { columns: 1 }), []);
+    assert.deepEqual(detectColumnGutters(page, { gutters: [400, 300] }), [300, 400]);
+    assert.equal(detectColumnGutters(page, { columns: 2 }).length, 1);
+});
+
+test('orderLinesByColumns reads each column top to bottom between full-width lines', () => {
+    const page = twoColumnPage();
+    const order = orderLinesByColumns(page, detectColumnGutters(page)).map(line => line.map(i => i.str).join(' '));
+    assert.deepEqual(order, [
+        'A title across both columns of the page',
+        'left 1', 'left 2', 'left 3', 'left 4', 'left 5', 'left 6',
+        'right 1', 'right 2', 'right 3', 'right 4', 'right 5', 'right 6',
+        'A closing line across both columns of the page'
+    ]);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDestination, readPageLinks, linkTextItems, linkMarkdown, headingAnchors, anchorForTarget, resolveInternalLinks } from '../src/links.js';
+import { readOutline, applyOutline, tableOfContents } from '../src/outline.js';
+import { parseDate, readMetadata, toFrontMatter } from '../src/metadata.js';
+import { createDocument, blockToMarkdown } from '../src/documentModel.js';
+import { Extract2MDConverter } from '../src/index.js';
+
+// A pdf.js document stand-in with 792pt-high pages and a named destination "sec2" on page 2.
+const fakePdf = (overrides = {}) => ({
+    getDestination: async (name) => (name === 'sec2' ? [{ num: 7 }, { name: 'XYZ' }, 0, 692, null] : null),
+    getPageIndex: async (ref) => ref.num - 6,
+    getPage: async () => ({ view: [0, 0, 612, 792] }),
+    getOutline: async () => [{ title: 'Introduction', dest: [0, { name: 'XYZ' }, 0, 742], items: [{ title: 'Scope', dest: null, items: [] }] }, { title: ' Methods\n', dest: 'sec2', items: [] }],
+    getMetadata: async () => ({ info: { Title: 'Info title', Author: 'Ann', Keywords: 'pdf; markdown', CreationDate: "D:20240131120000+01'00'" }, metadata: new Map([['dc:title', 'XMP title']]) }),
+    ...overrides
+});
+
+const heading = (text, page, y, level = 1) => ({ type: 'heading', level, text, page, bbox: { x: 50, y, width: 200, height: 14 } });
+const paragraph = (text, page, y) => ({ type: 'paragraph', text, page, bbox: { x: 50, y, width: 400, height: 40 } });
+
+test('resolveDestination follows named and explicit destinations to a page and top offset', async () => {
+    const pdf = fakePdf();
+    assert.deepEqual(await resolveDestination(pdf, 'sec2'), { page: 2, y: 100 });
+    assert.deepEqual(await resolveDestination(pdf, [0, { name: 'Fit' }]), { page: 1, y: null });
+    assert.equal(await resolveDestination(pdf, 'missing'), null);
+});
+
+test('readPageLinks keeps URLs and turns internal links into placeholders', async () => {
+    const page = { getAnnotations: async () => [
+        { subtype: 'Link', rect: [0, 0, 10, 10], url: 'https://example.com' },
+        { subtype: 'Link', rect: [0, 20, 10, 30], dest: 'sec2' },
+        { subtype: 'Widget', rect: [0, 0, 1, 1] }
+    ] };
+    const links = await readPageLinks(fakePdf(), page);
+    assert.equal(links.length, 2);
+    assert.equal(links[0].href, 'https://example.com');
+    assert.match(links[1].href, /^#\uE0022:100\uE003$/);
+});
+
+test('linkTextItems splits an item so that only the linked words carry the link', () => {
+    const item = { str: 'See Section 2 now', transform: [10, 0, 0, 10, 0, 0], width: 170, height: 10 };
+    const parts = linkTextItems([item], [{ rect: [40, -2, 130, 12], href: 'https://x.test' }]);
+    assert.deepEqual(parts.map(part => [part.str, part.link]), [['See ', null], ['Section 2', 'https://x.test'], [' now', null]]);
+});
+
+test('linkMarkdown writes links and autolinks', () => {
+    assert.equal(linkMarkdown(' the [docs] ', 'https://x.test/a b'), ' [the \\[docs\\]](https://x.test/a%20b) ');
+    assert.equal(linkMarkdown('https://x.test', 'https://x.test'), '<https://x.test>');
+});
+
+test('heading anchors are unique and internal links point at the heading at their target', () => {
+    const doc = createDocument([
+        heading('Intro', 1, 50),
+        paragraph('See [the methods](#\uE0022:100\uE003) and [nowhere](#\uE0021:0\uE003).', 1, 80),
+        heading('Intro', 2, 50),
+        heading('Methods [^1]', 2, 95)
+    ], [1, 2]);
+    const anchors = headingAnchors(doc);
+    assert.deepEqual([...anchors.values()], ['intro', 'intro-1', 'methods']);
+    assert.equal(anchorForTarget(doc, anchors, { page: 2, y: null }), 'intro-1');
+    assert.equal(anchorForTarget(doc, anchors, { page: 2, y: 60 }, { pageAnchors: true }), 'intro-1');
+    resolveInternalLinks(doc, anchors);
+    assert.equal(doc.pages[0].blocks[1].text, 'See [the methods](#methods) and nowhere.');
+});
+
+test('readOutline flattens the outline with levels and targets', async () => {
+    assert.deepEqual(await readOutline(fakePdf()), [
+        { title: 'Introduction', level: 1, page: 1, y: 50 },
+        { title: 'Scope', level: 2, page: null, y: null },
+        { title: 'Methods', level: 1, page: 2, y: 100 }
+    ]);
+});
+
+test('applyOutline sets heading levels and splits a paragraph that starts with a title', () => {
+    const doc = createDocument([heading('1. Introduction', 1, 50, 3), paragraph('Methods The study used a survey.', 2, 100)], [1, 2]);
+    const outline = [{ title: 'Introduction', level: 1, page: 1, y: 50 }, { title: 'Methods', level: 2, page: 2, y: 100 }];
+    const headings = applyOutline(doc, outline);
+    assert.equal(headings.size, 2);
+    assert.equal(doc.pages[0].blocks[0].level, 1);
+    assert.deepEqual(doc.pages[1].blocks.map(blockToMarkdown), ['## Methods', 'The study used a survey.']);
+});
+
+test('applyOutline splits after inline markup, never inside it', () => {
+    const doc = createDocument([
+        paragraph('**Methods** The study used a survey.', 1, 100),
+        paragraph('[Results](https://x.test/results) are shown below.', 2, 100),
+        paragraph('[Discussion of the results](https://x.test) follows.', 3, 100)
+    ], [1, 2, 3]);
+    applyOutline(doc, [
+        { title: 'Methods', level: 1, page: 1, y: 100 },
+        { title: 'Results', level: 1, page: 2, y: 100 },
+        { title: 'Discussion', level: 1, page: 3, y: 100 }
+    ]);
+    assert.deepEqual(doc.pages.flatMap(page => page.blocks.map(blockToMarkdown)), [
+        '# **Methods**',
+        'The study used a survey.',
+        '# [Results](https://x.test/results)',
+        'are shown below.',
+        '[Discussion of the results](https://x.test) follows.'
+    ]);
+});
+
+test('tableOfContents nests the outline entries as links to their headings', () => {
+    const doc = createDocument([heading('Introduction', 1, 50), heading('Scope', 1, 300, 2)], [1]);
+    const outline = [{ title: 'Introduction', level: 1, page: 1, y: 50 }, { title: 'Scope', level: 2, page: 1, y: 300 }];
+    const outlineHeadings = applyOutline(doc, outline);
+    const toc = tableOfContents(doc, outline, outlineHeadings, headingAnchors(doc));
+    assert.equal(blockToMarkdown(toc), '- [Introduction](#introduction)\n  - [Scope](#scope)');
+});
+
+test('parseDate reads PDF and XMP dates as UTC', () => {
+    assert.equal(parseDate("D:20240131120000+01'00'"), '2024-01-31T11:00:00Z');
+    assert.equal(parseDate('D:2024'), '2024-01-01T00:00:00Z');
+    assert.equal(parseDate('2024-05-06T07:08:09Z'), '2024-05-06T07:08:09Z');
+    assert.equal(parseDate('not a date'), null);
+});
+
+test('readMetadata prefers XMP and toFrontMatter writes it as YAML', async () => {
+    const metadata = await readMetadata(fakePdf());
+    assert.deepEqual(metadata, { title: 'XMP title', author: 'Ann', keywords: ['pdf', 'markdown'], created: '2024-01-31T11:00:00Z' });
+    assert.equal(toFrontMatter(metadata), '---\ntitle: "XMP title"\nauthor: "Ann"\nkeywords:\n  - "pdf"\n  - "markdown"\ncreated: 2024-01-31T11:00:00Z\n---');
+    assert.equal(toFrontMatter({}), '');
+});
+
+test('a failing outline does not lose the metadata, nor the other way round', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const converter = new Extract2MDConverter();
+    const brokenOutline = fakePdf({ getOutline: async () => { throw new Error('bad outline'); } });
+    const info = await converter._readDocumentInfo(brokenOutline);
+    assert.deepEqual(info.outline, []);
+    assert.equal(info.metadata.title, 'XMP title');
+
+    const brokenMetadata = fakePdf({ getMetadata: async () => { throw new Error('bad metadata'); } });
+    const other = await converter._readDocumentInfo(brokenMetadata);
+    assert.equal(other.outline.length, 3);
+    assert.deepEqual(other.metadata, {});
+});
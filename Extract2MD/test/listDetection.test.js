@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseListItem, mergeMarkerCell, buildList, continuesListItem } from '../src/listDetection.js';
+import { extractFootnotes, isFootnoteRef, markFootnoteRef } from '../src/footnotes.js';
+import { joinLines } from '../src/textFlow.js';
+import { romanToNumber } from '../src/helpers.js';
+
+const entry = (line, x = null) => ({ item: parseListItem(line), x, lines: [parseListItem(line).text] });
+const texts = (list) => list.items.map(item => (item.children ? [item.text, texts(item.children)] : item.text));
+
+test('joinLines rejoins words broken at a line end', () => {
+    assert.equal(joinLines(['The man-', 'agement team ', '', 'met.']), 'The management team met.');
+});
+
+test('joinLines keeps the hyphen of compounds and before capitals and digits', () => {
+    assert.equal(joinLines(['a well-', 'known result']), 'a well-known result');
+    assert.equal(joinLines(['a state-of-the-', 'art method']), 'a state-of-the-art method');
+    assert.equal(joinLines(['Jean-', 'Paul and COVID-', '19']), 'Jean-Paul and COVID-19');
+    assert.equal(joinLines(['a dash -', 'then text']), 'a dash - then text');
+});
+
+test('romanToNumber reads subtractive pairs in either case', () => {
+    assert.deepEqual(['iv', 'IX', 'xiv', 'mcmxc'].map(romanToNumber), [4, 9, 14, 1990]);
+});
+
+test('parseListItem recognizes bullets, numbers, letters and roman numerals', () => {
+    assert.deepEqual(parseListItem('• Apples'), { label: '•', kind: 'bullet', value: null, text: 'Apples' });
+    assert.deepEqual(parseListItem('12) Twelve'), { label: '12)', kind: 'decimal', value: 12, text: 'Twelve' });
+    assert.equal(parseListItem('(b) Second').kind, 'alpha');
+    assert.equal(parseListItem('(b) Second').value, 2);
+    assert.deepEqual([parseListItem('iv. Fourth').kind, parseListItem('iv. Fourth').value], ['roman', 4]);
+    // Capitals followed by a period read as initials and section numbers.
+    assert.equal(parseListItem('A. Smith wrote this.'), null);
+    assert.equal(parseListItem('I. Introduction'), null);
+    assert.equal(parseListItem('Plain text.'), null);
+});
+
+test('mergeMarkerCell joins a bullet set apart from its text', () => {
+    const cells = mergeMarkerCell([{ text: '•', x0: 50, x1: 54 }, { text: 'Item', markdown: '**Item**', x0: 70, x1: 90 }]);
+    assert.deepEqual(cells, [{ text: '• Item', markdown: '• **Item**', x0: 50, x1: 90 }]);
+    const row = [{ text: 'Name', x0: 0, x1: 10 }, { text: 'Age', x0: 50, x1: 60 }];
+    assert.equal(mergeMarkerCell(row), row);
+});
+
+test('buildList nests items by the offset of their markers', () => {
+    const list = buildList([entry('1. One', 50), entry('- Detail', 70), entry('- More', 70), entry('2. Two', 50)]);
+    assert.equal(list.ordered, true);
+    assert.equal(list.start, 1);
+    assert.deepEqual(texts(list), [['One', ['Detail', 'More']], 'Two']);
+});
+
+test('without positions, lists nest by marker style and i follows h as a letter', () => {
+    const list = buildList([entry('1. One'), entry('(a) First'), entry('(b) Second'), entry('2. Two')]);
+    assert.deepEqual(texts(list), [['One', ['First', 'Second']], 'Two']);
+    assert.equal(list.items[0].children.numbering, 'lower-alpha');
+    assert.deepEqual(list.items[0].children.items.map(item => item.label), ['(a)', '(b)']);
+
+    const letters = buildList(['g) G', 'h) H', 'i) I'].map(line => entry(line)));
+    assert.deepEqual(texts(letters), ['G', 'H', 'I']);
+    const roman = buildList(['i. One', 'ii. Two', 'iii. Three'].map(line => entry(line)));
+    assert.equal(roman.numbering, 'lower-roman');
+    assert.equal(roman.items.length, 3);
+});
+
+test('continuesListItem follows indented and unfinished lines but not a paragraph after a gap', () => {
+    const box = (x, y) => ({ x, y, width: 300, height: 10 });
+    const item = { x: 50, lines: ['An item that goes on'], source: [{ page: 1, bbox: box(50, 100) }] };
+    assert.equal(continuesListItem(item, { page: 1, bbox: box(62, 112) }), true);
+    assert.equal(continuesListItem(item, { page: 1, bbox: box(50, 112) }), true);
+    assert.equal(continuesListItem({ ...item, lines: ['A finished item.'] }, { page: 1, bbox: box(50, 112) }), false);
+    assert.equal(continuesListItem(item, { page: 1, bbox: box(62, 130) }), false);
+});
+
+// A pdf.js text item of the given size at (x, y).
+const textItem = (str, size, x, y) => ({ str, transform: [size, 0, 0, size, x, y], width: str.length * size / 2, height: size });
+const line = (text, fontSize, y) => ({ cells: [{ text }], font: { fontSize, bold: false, charCount: text.length }, bbox: { x: 50, y, width: 400, height: fontSize } });
+
+test('isFootnoteRef takes a small raised number after a word for a reference mark', () => {
+    const word = textItem('result', 10, 50, 700);
+    assert.equal(isFootnoteRef(textItem('3', 6, 80, 704), word), true);
+    assert.equal(isFootnoteRef(textItem('3', 10, 80, 700), word), false);
+    assert.equal(isFootnoteRef(textItem('3', 6, 80, 700), word), false);
+    assert.equal(isFootnoteRef(textItem('3', 6, 80, 704), null), false);
+});
+
+test('extractFootnotes moves the small print at the foot of the page into numbered footnotes', () => {
+    const pages = [
+        { pageNum: 1, lines: [line(`A claim${markFootnoteRef('1')} and another¹².`, 10, 100), line('Body text goes on here.', 10, 120), line('1 The source of the claim, which', 8, 700), line('continues here.', 8, 712), line('12 Another note.', 8, 724)] },
+        { pageNum: 2, lines: [line(`Page two cites${markFootnoteRef('7')} nothing found.`, 10, 100)] }
+    ];
+    const { pages: result, footnotes } = extractFootnotes(pages);
+    assert.deepEqual(footnotes.map(({ page, label, text }) => ({ page, label, text })), [
+        { page: 1, label: '1', text: 'The source of the claim, which continues here.' },
+        { page: 1, label: '2', text: 'Another note.' }
+    ]);
+    assert.deepEqual(result[0].lines.map(l => l.cells[0].text), ['A claim[^1] and another[^2].', 'Body text goes on here.']);
+    // A mark without footnote text stays a plain number.
+    assert.equal(result[1].lines[0].cells[0].text, 'Page two cites7 nothing found.');
+});
+
+test('with detect: false the reference marks become plain numbers', () => {
+    const pages = [{ pageNum: 1, lines: [line(`A claim${markFootnoteRef('1')}.`, 10, 100), line('1 A note.', 8, 700)] }];
+    const { pages: result, footnotes } = extractFootnotes(pages, { detect: false });
+    assert.deepEqual(footnotes, []);
+    assert.deepEqual(result[0].lines.map(l => l.cells[0].text), ['A claim1.', '1 A note.']);
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Extract2MDConverter, MockLLMBackend, AbortError, LLMRewriteError, LLMOutputError } from '../src/index.js';
+
+// A converter on the mock backend; with the prompt template '${text}' the mock sees only the chunk.
+const converterWith = (backendOptions = {}) => {
+    const backend = new MockLLMBackend(backendOptions);
+    return { converter: new Extract2MDConverter({ llmBackend: backend }), backend };
+};
+
+const paragraphs = (count) => Array.from({ length: count }, (_, i) => `Paragraph ${i + 1} has a few words of text in it.`).join('\n\n');
+
+test('llmRewrite sends the text to the backend and returns its reply', async () => {
+    const { converter, backend } = converterWith({ response: 'Rewritten text.' });
+    assert.equal(await converter.llmRewrite('Some text.'), 'Rewritten text.');
+    assert.equal(backend.calls.length, 1);
+    assert.match(backend.calls[0].prompt, /Original Text:\nSome text\./);
+    assert.equal(backend.calls[0].model, 'mock');
+});
+
+test('llmRewrite takes the model from the options over the backend default', async () => {
+    const { converter, backend } = converterWith({ response: 'x' });
+    await converter.llmRewrite('Some text.', { llmModel: 'other-model' });
+    assert.equal(backend.calls[0].model, 'other-model');
+    assert.ok(backend.isLoaded('other-model'));
+});
+
+test('long input is rewritten chunk by chunk and joined in order', async () => {
+    const { converter, backend } = converterWith({ response: prompt => prompt.toUpperCase() });
+    const text = paragraphs(12);
+    const output = await converter.llmRewrite(text, { llmPromptTemplate: '${text}', maxChunkChars: 120, overlapChars: 0 });
+    assert.ok(backend.calls.length > 1);
+    assert.equal(output, text.toUpperCase());
+});
+
+test('tables and code blocks are passed through without being sent to the model', async () => {
+    const { converter, backend } = converterWith({ response: prompt => prompt.toUpperCase() });
+    const table = '| a | b |\n| --- | --- |\n| 1 | 2 |';
+    const code = '```js\nlet x = 1;\n```';
+    const output = await converter.llmRewrite(`First part.\n\n${table}\n\n${code}\n\nLast part.`, { llmPromptTemplate: '${text}', maxChunkChars: 40, overlapChars: 0 });
+    assert.equal(output, `FIRST PART.\n\n${table}\n\n${code}\n\nLAST PART.`);
+    assert.ok(backend.calls.every(call => !call.prompt.includes('|') && !call.prompt.includes('```')));
+});
+
+test('onToken streams the tokens with the output so far', async () => {
+    const { converter } = converterWith({ response: 'one two three' });
+    const tokens = [];
+    const texts = [];
+    const output = await converter.llmRewrite('Some text.', { onToken: (token, text) => { tokens.push(token); texts.push(text); } });
+    assert.deepEqual(tokens, ['one ', 'two ', 'three']);
+    assert.deepEqual(texts, ['one', 'one two', 'one two three']);
+    assert.equal(output, 'one two three');
+});
+
+test('streamed text across chunks includes the finished chunks', async () => {
+    const { converter } = converterWith({ response: prompt => prompt.toUpperCase() });
+    let last = '';
+    const output = await converter.llmRewrite(paragraphs(6), { llmPromptTemplate: '${text}', maxChunkChars: 120, overlapChars: 0, onToken: (token, text) => { last = text; } });
+    assert.equal(last, output);
+});
+
+test('a backend failing while streaming rejects with LLMRewriteError carrying the partial output', async () => {
+    const { converter } = converterWith({ response: 'one two three four', failAfterTokens: 2 });
+    await assert.rejects(converter.llmRewrite('Some text.', { onToken: () => {} }), err => {
+        assert.ok(err instanceof LLMRewriteError);
+        assert.equal(err.partialText, 'one two');
+        assert.match(err.cause.message, /Mock LLM failure/);
+        return true;
+    });
+});
+
+test('aborting a rewrite rejects with AbortError carrying the partial output', async () => {
+    const { converter } = converterWith({ response: 'one two three four five', tokenDelayMs: 5 });
+    const controller = new AbortController();
+    const rewrite = converter.llmRewrite('Some text.', { signal: controller.signal, onToken: (token, text) => { if (text === 'one two') controller.abort(); } });
+    await assert.rejects(rewrite, err => {
+        assert.ok(err instanceof AbortError);
+        assert.equal(err.partialText, 'one two');
+        return true;
+    });
+});
+
+test('llmTranslate requires a target language and puts it in the prompt', async () => {
+    const { converter, backend } = converterWith({ response: 'Bonjour.' });
+    await assert.rejects(converter.llmTranslate('Hello.'), /targetLanguage/);
+    assert.equal(await converter.llmTranslate('Hello.', { targetLanguage: 'French' }), 'Bonjour.');
+    assert.match(backend.calls[0].prompt, /into French/);
+});
+
+test('llmSummarize writes notes on each part of a long document, then the summary from the notes', async () => {
+    const { converter, backend } = converterWith({ response: prompt => (prompt.startsWith('The following text is part') ? 'A note.' : 'The summary.') });
+    const summary = await converter.llmSummarize(paragraphs(12), { maxChunkChars: 120 });
+    assert.equal(summary, 'The summary.');
+    const notesCalls = backend.calls.filter(call => call.prompt.startsWith('The following text is part'));
+    assert.ok(notesCalls.length > 1);
+    assert.match(backend.calls[backend.calls.length - 1].prompt, /^Write an abstract of the following notes/);
+});
+
+test('llmSummarize reduces the notes again until they fit one prompt', async () => {
+    const note = 'A note of about fifty characters on this part.';
+    const { converter, backend } = converterWith({ response: prompt => (prompt.startsWith('The following text is part') ? note : 'The summary.') });
+    assert.equal(await converter.llmSummarize(paragraphs(12), { maxChunkChars: 120 }), 'The summary.');
+    const rounds = backend.calls.filter(call => /^The following text is part 1 of/.test(call.prompt)).length;
+    assert.ok(rounds > 1, `${rounds} rounds of notes`);
+    const lastPrompt = backend.calls[backend.calls.length - 1].prompt;
+    assert.match(lastPrompt, /^Write an abstract of the following notes/);
+    // Two notes fit in one 120-character chunk.
+    assert.ok(lastPrompt.split(note).length - 1 <= 2);
+});
+
+test('llmSummarize fails with LLMOutputError when the notes do not get shorter', async () => {
+    const { converter } = converterWith({ response: prompt => `${prompt} ${prompt}` });
+    await assert.rejects(converter.llmSummarize(paragraphs(12), { maxChunkChars: 120 }), err => err instanceof LLMOutputError && err.output.length > 0);
+});
+
+test('llmExtract parses, merges and validates the JSON of every chunk', async () => {
+    const { converter } = converterWith({ response: prompt => (prompt.includes('part 1 of') ? '{"title": "Report", "authors": ["Ann"]}' : '```json\n{"authors": ["Bob"], "date": null}\n```') });
+    const schema = { type: 'object', properties: { title: { type: 'string' }, authors: { type: 'array', items: { type: 'string' } } }, required: ['title'] };
+    const data = await converter.llmExtract(paragraphs(6), { schema, maxChunkChars: 120 });
+    assert.deepEqual(data, { title: 'Report', authors: ['Ann', 'Bob'] });
+});
+
+test('llmExtract asks again when a reply is not JSON', async () => {
+    let attempts = 0;
+    const { converter, backend } = converterWith({ response: () => (++attempts === 1 ? 'Sure! Here it is.' : '{"title": "Report"}') });
+    const data = await converter.llmExtract('Report text.', { schema: { type: 'object', properties: { title: { type: 'string' } } } });
+    assert.deepEqual(data, { title: 'Report' });
+    assert.equal(backend.calls.length, 2);
+    assert.match(backend.calls[1].prompt, /That reply is not a valid JSON object/);
+});
+
+test('llmExtract fails with LLMOutputError once its retries are used up', async () => {
+    const { converter, backend } = converterWith({ response: 'not JSON' });
+    await assert.rejects(converter.llmExtract('Report text.', { schema: { type: 'object' }, maxRetries: 2 }), LLMOutputError);
+    assert.equal(backend.calls.length, 3);
+});
+
+test('llmExtract fails with LLMOutputError when the data does not match the schema', async () => {
+    const { converter } = converterWith({ response: '{"title": 3}' });
+    await assert.rejects(converter.llmExtract('Report text.', { schema: { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] } }), err => {
+        assert.ok(err instanceof LLMOutputError);
+        assert.deepEqual(err.output, { title: 3 });
+        assert.equal(err.errors.length, 1);
+        return true;
+    });
+});
+
+test('llmTask runs a task by name', async () => {
+    const { converter } = converterWith({ response: 'Fixed.' });
+    assert.equal(await converter.llmTask('structure-fix', '# Broken'), 'Fixed.');
+    await assert.rejects(converter.llmTask('poem', 'text'), /Unknown LLM task/);
+});
+
+test('unloadLLM unloads the model', async () => {
+    const { converter, backend } = converterWith({ response: 'x' });
+    await converter.llmRewrite('Some text.');
+    await converter.unloadLLM();
+    assert.equal(backend.isLoaded(), false);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maxChunkCharsForContextWindow, splitMarkdownBlocks, chunkMarkdown, joinChunks } from '../src/markdownChunks.js';
+
+const sample = [
+    '---',
+    'title: Sample',
+    '---',
+    '# Heading',
+    '',
+    'First paragraph',
+    'continues here.',
+    '',
+    '| a | b |',
+    '| - | - |',
+    '',
+    '```js',
+    'const x = 1;',
+    '',
+    '```',
+    '<!-- page 2 -->',
+    '![Figure](images/fig.png)',
+    'Last paragraph.'
+].join('\n');
+
+test('maxChunkCharsForContextWindow leaves room for the prompt and the rewrite', () => {
+    assert.equal(maxChunkCharsForContextWindow(4096), Math.floor(((4096 - 300) / 2.2) * 3));
+    assert.equal(maxChunkCharsForContextWindow(100), 500);
+});
+
+test('splitMarkdownBlocks tells apart every kind of block', () => {
+    assert.deepEqual(splitMarkdownBlocks(sample).map(block => block.kind), ['metadata', 'heading', 'paragraph', 'table', 'code', 'html', 'image', 'paragraph']);
+    const blocks = splitMarkdownBlocks(sample);
+    assert.equal(blocks[2].text, 'First paragraph\ncontinues here.');
+    // A blank line inside a fence stays in the code block.
+    assert.equal(blocks[4].text, '```js\nconst x = 1;\n\n```');
+});
+
+test('tables, code, HTML, images and front matter are passed through verbatim', () => {
+    const chunks = chunkMarkdown(sample, { maxChunkChars: 1000 });
+    assert.deepEqual(chunks.map(chunk => chunk.verbatim), [true, false, true, true, true, true, false]);
+    assert.equal(chunks[1].text, '# Heading\n\nFirst paragraph\ncontinues here.');
+    assert.equal(joinChunks(chunks), splitMarkdownBlocks(sample).map(block => block.text).join('\n\n'));
+});
+
+test('only the kinds listed in passThrough are kept from the model', () => {
+    const chunks = chunkMarkdown(sample, { maxChunkChars: 1000, passThrough: ['code'] });
+    assert.deepEqual(chunks.map(chunk => chunk.verbatim), [false, true, false]);
+});
+
+test('text chunks stay under the size limit and carry the end of the previous chunk as context', () => {
+    const paragraphs = Array.from({ length: 10 }, (_, i) => `Paragraph ${i} with some words in it.`);
+    const chunks = chunkMarkdown(paragraphs.join('\n\n'), { maxChunkChars: 100, overlapChars: 20 });
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.text.length <= 100));
+    assert.equal(chunks[0].context, '');
+    assert.ok(chunks[0].text.endsWith(chunks[1].context));
+    assert.ok(chunks[1].context.length <= 20);
+    assert.equal(joinChunks(chunks), paragraphs.join('\n\n'));
+});
+
+test('a heading after a half-full chunk starts a new chunk', () => {
+    const chunks = chunkMarkdown(`${'x'.repeat(60)}\n\n# Next\n\nText.`, { maxChunkChars: 100 });
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['x'.repeat(60), '# Next\n\nText.']);
+});
+
+test('an over-long paragraph is split at sentence ends into continuation chunks', () => {
+    const paragraph = Array.from({ length: 8 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+    const chunks = chunkMarkdown(paragraph, { maxChunkChars: 70 });
+    assert.ok(chunks.length > 1);
+    assert.deepEqual(chunks.map(chunk => chunk.continuation), chunks.map((_, i) => i > 0));
+    chunks.forEach(chunk => assert.match(chunk.text, /\.$/));
+    assert.equal(joinChunks(chunks), paragraph);
+});
+
+test('joinChunks uses the rewritten texts and skips empty ones', () => {
+    const chunks = [{ continuation: false }, { continuation: false }, { continuation: true }];
+    assert.equal(joinChunks(chunks, ['a', '', 'b']), 'a b');
+    assert.equal(joinChunks([{ continuation: false }, { continuation: true }, { continuation: false }], ['a', 'b', 'c']), 'a b\n\nc');
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdown, parseInline, inlineText, blockText, locateBlocks } from '../src/markdownPreview.js';
+import { documentToMarkdown } from '../src/documentModel.js';
+
+const text = (value) => ({ type: 'text', text: value });
+const box = (y) => ({ x: 72, y, width: 400, height: 14 });
+
+test('parseInline reads emphasis, code, links, images and footnote references', () => {
+    assert.deepEqual(parseInline('A **bold** and *em* and ***both*** and ~~gone~~.'), [
+        text('A '), { type: 'strong', children: [text('bold')] }, text(' and '), { type: 'em', children: [text('em')] },
+        text(' and '), { type: 'strong', children: [{ type: 'em', children: [text('both')] }] }, text(' and '),
+        { type: 'del', children: [text('gone')] }, text('.')
+    ]);
+    assert.deepEqual(parseInline('Run `a *b*` see [the *docs*](https://example.com "Docs")[^1]'), [
+        text('Run '), { type: 'code', text: 'a *b*' }, text(' see '),
+        { type: 'link', href: 'https://example.com', children: [text('the '), { type: 'em', children: [text('docs')] }] },
+        { type: 'footnoteRef', label: '1' }
+    ]);
+    assert.deepEqual(parseInline('![A \\[figure\\]](images/p1-1.png) <https://example.com/x>'), [
+        { type: 'image', alt: 'A [figure]', src: 'images/p1-1.png' }, text(' '),
+        { type: 'link', href: 'https://example.com/x', children: [text('https://example.com/x')] }
+    ]);
+});
+
+test('parseInline leaves unmatched and intraword delimiters, escapes and inline HTML as text', () => {
+    assert.deepEqual(parseInline('snake_case_name and 2 * 3 * 4'), [text('snake_case_name and 2 * 3 * 4')]);
+    assert.deepEqual(parseInline('\\*not em\\* and \\| pipe'), [text('*not em* and | pipe')]);
+    assert.deepEqual(parseInline('<a id="intro"></a>Intro<br>next\nline'), [text('Intro'), { type: 'break' }, text('next'), { type: 'break' }, text('line')]);
+    assert.equal(inlineText(parseInline('**Bold** ![Alt](x.png)[^2]\nend')), 'Bold Alt end');
+});
+
+test('parseMarkdown splits front matter, headings, paragraphs, rules, quotes and HTML', () => {
+    const blocks = parseMarkdown('---\ntitle: Report\n---\n# Intro\nFirst line\nsecond line\n\n---\n> Quoted\n> text\n<details>\n<summary>More</summary>\n</details>\n\n## Intro #');
+    assert.deepEqual(blocks.map(block => block.type), ['frontMatter', 'heading', 'paragraph', 'rule', 'quote', 'html', 'heading']);
+    assert.equal(blocks[0].text, 'title: Report');
+    assert.deepEqual(blocks[2].content, [text('First line'), { type: 'break' }, text('second line')]);
+    assert.equal(blockText(blocks[4]), 'Quoted text');
+    assert.equal(blocks[5].text, '<details>\n<summary>More</summary>\n</details>');
+    assert.equal(blocks[6].level, 2);
+    assert.equal(blockText(blocks[6]), 'Intro');
+});
+
+test('headings get GitHub anchors, numbered when they repeat', () => {
+    const headings = parseMarkdown('# Results & Discussion\n## Results & Discussion\n### Über *alles*\n').map(block => block.anchor);
+    assert.deepEqual(headings, ['results--discussion', 'results--discussion-1', 'über-alles']);
+});
+
+test('fenced code keeps its text and ends at a matching fence only', () => {
+    const [code, paragraph] = parseMarkdown('````md\n```\n# not a heading\n````\nAfter.');
+    assert.deepEqual(code, { type: 'code', language: 'md', text: '```\n# not a heading' });
+    assert.equal(blockText(paragraph), 'After.');
+    assert.equal(parseMarkdown('~~~\nunclosed\n# still code')[0].text, 'unclosed\n# still code');
+});
+
+test('tables read their alignment, escaped pipes and pipes inside code', () => {
+    const [table] = parseMarkdown('| Name | Value | Note |\n|:--|--:|:-:|\n| a \\| b | `x|y` | c |\n| d | 2 |');
+    assert.deepEqual(table.align, ['left', 'right', 'center']);
+    assert.deepEqual(table.header.map(inlineText), ['Name', 'Value', 'Note']);
+    assert.deepEqual(table.rows.map(row => row.map(inlineText)), [['a | b', 'x|y', 'c'], ['d', '2']]);
+    assert.equal(blockText(table), 'Name Value Note a | b x|y c d 2');
+});
+
+test('lists nest by indentation, keep their start and join wrapped items', () => {
+    const [list, paragraph] = parseMarkdown('3. Third\n   wrapped\n4. Fourth\n   - inner\n   - other\n5. Fifth\n\nAfter.');
+    assert.equal(list.list.ordered, true);
+    assert.equal(list.list.start, 3);
+    assert.deepEqual(list.list.items.map(item => inlineText(item.content)), ['Third wrapped', 'Fourth', 'Fifth']);
+    const inner = list.list.items[1].children;
+    assert.equal(inner.ordered, false);
+    assert.deepEqual(inner.items.map(item => inlineText(item.content)), ['inner', 'other']);
+    assert.equal(paragraph.type, 'paragraph');
+    assert.equal(parseMarkdown('- a\n# Heading')[1].type, 'heading');
+});
+
+test('footnotes take their indented continuation lines, and page markers their number', () => {
+    const blocks = parseMarkdown('[^1]: The note\n  goes on.\n<!-- page 2 -->\n<a id="page-3"></a>');
+    assert.deepEqual(blocks[0], { type: 'footnote', label: '1', content: [text('The note goes on.')] });
+    assert.deepEqual(blocks.slice(1), [{ type: 'pageMarker', pageNumber: 2 }, { type: 'pageMarker', pageNumber: 3 }]);
+});
+
+// A two-page document as the converter builds it.
+const doc = {
+    metadata: {},
+    pages: [
+        { pageNumber: 1, blocks: [
+            { type: 'heading', level: 1, text: 'Quarterly report', page: 1, bbox: box(40) },
+            { type: 'paragraph', text: 'Revenue grew by **twelve** percent in the third quarter.', page: 1, bbox: box(80) },
+            { type: 'image', src: 'images/page-1-1.png', alt: '', page: 1, bbox: box(200) }
+        ] },
+        { pageNumber: 2, blocks: [
+            { type: 'list', ordered: false, start: 1, items: [{ text: 'Costs fell' }, { text: 'Margins rose', children: { ordered: false, start: 1, items: [{ text: 'in Europe' }] } }], page: 2, bbox: box(40) },
+            { type: 'table', header: ['Region', 'Sales'], rows: [['North', '12']], align: [null, null], page: 2, bbox: box(120) }
+        ] }
+    ]
+};
+
+test('locateBlocks finds the page and box of each block from the converter\'s Markdown', () => {
+    const located = locateBlocks(parseMarkdown(documentToMarkdown(doc, { pageMarkers: true })), doc);
+    const placed = located.filter(block => block.type !== 'pageMarker').map(block => [block.type, block.page, block.bbox && block.bbox.y]);
+    assert.deepEqual(placed, [['heading', 1, 40], ['paragraph', 1, 80], ['paragraph', 1, 200], ['list', 2, 40], ['table', 2, 120]]);
+});
+
+test('edited blocks still match loosely, and unmatched ones take the page before them', () => {
+    const markdown = [
+        '# Quarterly report',
+        'In the third quarter revenue grew by twelve percent overall.',
+        'A paragraph the editor wrote from scratch.',
+        '- Costs fell\n- Margins rose sharply'
+    ].join('\n\n');
+    const located = locateBlocks(parseMarkdown(markdown), doc);
+    assert.deepEqual(located.map(block => [block.page, block.bbox && block.bbox.y]), [[1, 40], [1, 80], [1, null], [2, 40]]);
+});
+
+test('matching only looks ahead of the last match, and page markers move it', () => {
+    // The heading matched the first block, so the same words later on do not match it again.
+    const located = locateBlocks(parseMarkdown('# Quarterly report\n\n# Quarterly report\n\n<!-- page 2 -->\n\nRegion Sales North'), doc);
+    assert.deepEqual(located.map(block => block.page), [1, 1, 2, 2]);
+    assert.equal(located[1].bbox, null);
+    assert.equal(located[3].bbox.y, 120);
+    assert.deepEqual(locateBlocks(parseMarkdown('Anything'), null), [{ type: 'paragraph', content: [text('Anything')], page: null, bbox: null }]);
+});
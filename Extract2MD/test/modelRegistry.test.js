@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelRegistry, BUILT_IN_MODELS, DEFAULT_LLM_MODEL } from '../src/modelRegistry.js';
+import { WebLLMBackend } from '../src/webLLMBackend.js';
+import { ModelValidationError } from '../src/errors.js';
+
+const CUSTOM = { id: 'Custom-q4f16_1-MLC', modelLibUrl: 'https://example.com/custom.wasm', requiredFeatures: ['shader-f16'] };
+
+// A WebGPU stand-in whose adapter supports `features`; `adapter: null` means there is none.
+const fakeGpu = ({ features = [], adapter, fail } = {}) => ({
+    requestAdapter: async () => {
+        if (fail) throw new Error(fail);
+        return adapter === undefined ? { features: new Set(features) } : adapter;
+    }
+});
+
+test('the built-in models are registered, the default among them', () => {
+    const registry = new ModelRegistry();
+    assert.equal(registry.list().length, BUILT_IN_MODELS.length);
+    assert.ok(registry.has(DEFAULT_LLM_MODEL));
+    assert.equal(registry.get('missing'), null);
+});
+
+test('register fills in defaults', () => {
+    const entry = new ModelRegistry([]).register({ id: 'Plain-MLC', modelLibUrl: 'https://example.com/plain.wasm' });
+    assert.equal(entry.label, 'Plain-MLC');
+    assert.equal(entry.weightsUrl, 'https://huggingface.co/mlc-ai/Plain-MLC/resolve/main/');
+    assert.deepEqual(entry.requiredFeatures, []);
+    assert.ok(entry.contextWindowSize > 0);
+});
+
+test('register rejects entries without an id or a model library, or with bad fields', () => {
+    const registry = new ModelRegistry([]);
+    assert.throws(() => registry.register({ modelLibUrl: 'https://example.com/x.wasm' }), /needs an "id"/);
+    assert.throws(() => registry.register(null), /needs an "id"/);
+    assert.throws(() => registry.register({ id: 'NoLib-MLC' }), /"NoLib-MLC" needs a "modelLibUrl"/);
+    assert.throws(() => registry.register({ ...CUSTOM, convTemplate: 'chatml' }), /"convTemplate" must be a WebLLM conversation template object/);
+    assert.throws(() => registry.register({ ...CUSTOM, contextWindowSize: 1.5 }), /"contextWindowSize" must be a positive integer/);
+    assert.equal(registry.list().length, 0);
+});
+
+test('a duplicate id is rejected unless replace is set', () => {
+    const registry = new ModelRegistry();
+    assert.throws(() => registry.register({ ...CUSTOM, id: DEFAULT_LLM_MODEL }), new RegExp(`"${DEFAULT_LLM_MODEL}" is already registered`));
+    assert.notEqual(registry.get(DEFAULT_LLM_MODEL).modelLibUrl, CUSTOM.modelLibUrl);
+    registry.register({ ...CUSTOM, id: DEFAULT_LLM_MODEL }, { replace: true });
+    assert.equal(registry.get(DEFAULT_LLM_MODEL).modelLibUrl, CUSTOM.modelLibUrl);
+    assert.throws(() => new ModelRegistry([CUSTOM, CUSTOM]), /already registered/);
+});
+
+test('validate passes a model whose features the GPU supports', async () => {
+    const registry = new ModelRegistry([CUSTOM]);
+    const { model, problems } = await registry.validate(CUSTOM.id, { gpu: fakeGpu({ features: ['shader-f16'] }) });
+    assert.deepEqual(problems, []);
+    assert.equal(model.id, CUSTOM.id);
+});
+
+test('validate reports a missing WebGPU, a missing adapter and a failing one', async () => {
+    const registry = new ModelRegistry([CUSTOM]);
+    assert.deepEqual((await registry.validate(CUSTOM.id, { gpu: undefined })).problems, ['WebGPU is not available in this browser.']);
+    assert.deepEqual((await registry.validate(CUSTOM.id, { gpu: fakeGpu({ adapter: null }) })).problems, ['No WebGPU adapter is available.']);
+    assert.deepEqual((await registry.validate(CUSTOM.id, { gpu: fakeGpu({ fail: 'Device lost' }) })).problems, ['Could not get a WebGPU adapter: Device lost']);
+});
+
+test('validate reports a GPU feature the model needs and the adapter lacks', async () => {
+    const registry = new ModelRegistry();
+    const { problems } = await registry.validate(DEFAULT_LLM_MODEL, { gpu: fakeGpu() });
+    assert.deepEqual(problems, [`Model "${DEFAULT_LLM_MODEL}" needs the WebGPU feature "shader-f16", which this GPU does not support.`]);
+    // The f32 build of the same model needs no extra feature.
+    assert.deepEqual((await registry.validate('Qwen3-0.6B-q4f32_1-MLC', { gpu: fakeGpu() })).problems, []);
+});
+
+test('validate reports unknown ids and invalid entries without throwing', async () => {
+    const registry = new ModelRegistry([]);
+    const unknown = await registry.validate('Nowhere-MLC', { gpu: fakeGpu() });
+    assert.equal(unknown.model, null);
+    assert.match(unknown.problems[0], /Unknown model "Nowhere-MLC"/);
+    assert.match((await registry.validate({ id: 'NoLib-MLC' }, { gpu: fakeGpu() })).problems[0], /needs a "modelLibUrl"/);
+});
+
+test('WebLLMBackend.load rejects a model the GPU cannot run before creating an engine', async (t) => {
+    // Node has no navigator; the backend validates against navigator.gpu, as in a browser.
+    globalThis.navigator = { gpu: fakeGpu() };
+    t.after(() => { delete globalThis.navigator; });
+    const backend = new WebLLMBackend();
+    let engines = 0;
+    backend.WebLLMCreateEngine = async () => { engines++; };
+    await assert.rejects(backend.load(DEFAULT_LLM_MODEL), (err) => {
+        assert.ok(err instanceof ModelValidationError);
+        assert.equal(err.code, 'MODEL_VALIDATION_FAILED');
+        assert.equal(err.modelId, DEFAULT_LLM_MODEL);
+        assert.match(err.problems[0], /"shader-f16"/);
+        return true;
+    });
+    await assert.rejects(backend.load('Nowhere-MLC'), (err) => err instanceof ModelValidationError && /Unknown model/.test(err.message));
+    assert.equal(engines, 0);
+});
+
+test('llmModelLibUrl lets WebLLMBackend validate a model that is not registered', async (t) => {
+    globalThis.navigator = { gpu: fakeGpu({ adapter: null }) };
+    t.after(() => { delete globalThis.navigator; });
+    const backend = new WebLLMBackend({ registry: new ModelRegistry([]), modelLibUrl: 'https://example.com/own.wasm' });
+    await assert.rejects(backend._validatedModel('Own-MLC'), (err) => err.modelId === 'Own-MLC' && err.problems.join() === 'No WebGPU adapter is available.');
+});
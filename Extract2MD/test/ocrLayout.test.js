@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ocrBlocksToLines, ocrTextToLines, confidenceReport, resolveLowConfidenceMarks } from '../src/ocrLayout.js';
+import { createDocument, documentToMarkdown } from '../src/documentModel.js';
+
+// A Tesseract word at x0..x1 on a line whose box runs from y0 to y1 (image pixels).
+const word = (text, x0, x1, confidence = 95, extra = {}) => ({ text, confidence, bbox: { x0, x1, y0: 0, y1: 0 }, ...extra });
+const line = (y0, y1, words) => ({ bbox: { x0: 0, y0, x1: 600, y1 }, words: words.map(w => ({ ...w, bbox: { ...w.bbox, y0, y1 } })) });
+const blocks = (...paragraphs) => [{ paragraphs: paragraphs.map(lines => ({ lines })) }];
+
+const view = [0, 0, 300, 400];
+
+test('ocrBlocksToLines converts words to cells in PDF points with paragraph breaks', () => {
+    const lines = ocrBlocksToLines(blocks(
+        [line(100, 120, [word('Hello', 100, 200), word('world', 220, 320)])],
+        [line(200, 220, [word('Name', 100, 180), word('Age', 500, 560)])]
+    ), { scale: 2, view });
+    assert.equal(lines.length, 4);
+    assert.deepEqual(lines[0].cells.map(cell => cell.text), ['Hello world']);
+    assert.deepEqual(lines[0].bbox, { x: 50, y: 50, width: 110, height: 10 });
+    assert.equal(lines[0].font.fontSize, 10);
+    assert.deepEqual(lines[1].cells, []);
+    // A gap much wider than the row height separates two cells.
+    assert.deepEqual(lines[2].cells.map(cell => cell.text), ['Name', 'Age']);
+});
+
+test('bold words keep their emphasis in the cell Markdown', () => {
+    const [first] = ocrBlocksToLines(blocks([line(0, 20, [word('Total', 0, 50, 95, { is_bold: true })])]), { view });
+    assert.equal(first.cells[0].markdown, '**Total**');
+    assert.equal(first.font.bold, true);
+});
+
+test('ocrTextToLines splits plain OCR text into cells on runs of spaces', () => {
+    const lines = ocrTextToLines('Item   Price\nTea    3.50');
+    assert.deepEqual(lines.map(l => l.cells.map(cell => cell.text)), [['Item', 'Price'], ['Tea', '3.50']]);
+});
+
+test('confidenceReport averages confidences and lists the low-confidence words', () => {
+    const report = confidenceReport(blocks([line(0, 20, [word('good', 0, 40, 90), word('bad', 60, 100, 30)])]), 3, { scale: 2, lowConfidenceThreshold: 50 });
+    assert.equal(report.page, 3);
+    assert.equal(report.wordCount, 2);
+    assert.equal(report.meanConfidence, 60);
+    assert.deepEqual(report.lowConfidenceWords, [{ text: 'bad', confidence: 30, bbox: { x: 30, y: 0, width: 20, height: 10 } }]);
+    assert.equal(confidenceReport([], 1).meanConfidence, null);
+});
+
+test('low-confidence words are marked in running text but not in headings or table cells', () => {
+    const [first] = ocrBlocksToLines(blocks([line(0, 20, [word('fuzzy', 0, 50, 20), word('word', 60, 100)])]), { view, markLowConfidence: true });
+    const text = first.cells[0].text;
+    const doc = createDocument([
+        { type: 'heading', level: 1, text, page: 1 },
+        { type: 'paragraph', text, page: 1 },
+        { type: 'list', ordered: false, items: [{ text, children: null }], page: 1 },
+        { type: 'table', header: [text, 'B'], rows: [['1', '2']], align: ['left', 'left'], page: 1 }
+    ], [1]);
+    resolveLowConfidenceMarks(doc);
+    assert.deepEqual(documentToMarkdown(doc).split('\n\n'), [
+        '# fuzzy word',
+        '<mark>fuzzy</mark> word',
+        '- <mark>fuzzy</mark> word',
+        '| fuzzy word | B   |\n| ---------- | --- |\n| 1          | 2   |'
+    ]);
+});
+
+test('a marker function receives the word and its confidence', () => {
+    const [first] = ocrBlocksToLines(blocks([line(0, 20, [word('fuzzy', 0, 50, 20)])]), { view, markLowConfidence: (text, confidence) => `${text}(${confidence})` });
+    const doc = resolveLowConfidenceMarks(createDocument([{ type: 'paragraph', text: first.cells[0].text, page: 1 }], [1]));
+    assert.equal(doc.pages[0].blocks[0].text, 'fuzzy(20)');
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAICompatibleBackend } from '../src/openAICompatibleBackend.js';
+
+const encoder = new TextEncoder();
+const sse = (...deltas) => deltas.map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`).join('');
+
+// A fetch that records its requests and answers with `respond(request)`: a Response, or an array of
+// body chunks streamed one by one. Chunks wait for `release()` after `holdAfter` of them, and
+// aborting the request's signal errors the stream, as fetch does.
+function fakeFetch(respond, { holdAfter = Infinity } = {}) {
+    let release = () => {};
+    const held = new Promise(resolve => { release = resolve; });
+    const fetchFn = async (url, init) => {
+        const request = { url, ...init, body: JSON.parse(init.body) };
+        fetchFn.requests.push(request);
+        const answer = respond(request);
+        if (answer instanceof Response) return answer;
+        let sent = 0;
+        const body = new ReadableStream({
+            start(controller) {
+                init.signal.addEventListener('abort', () => controller.error(new DOMException('The operation was aborted.', 'AbortError')), { once: true });
+            },
+            async pull(controller) {
+                if (sent === holdAfter) await held;
+                if (init.signal.aborted) return;
+                if (sent < answer.length) controller.enqueue(encoder.encode(answer[sent++]));
+                else controller.close();
+            }
+        });
+        return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+    };
+    fetchFn.requests = [];
+    fetchFn.release = () => release();
+    return fetchFn;
+}
+
+const backendWith = (fetchFn, options = {}) => new OpenAICompatibleBackend({ baseUrl: 'http://localhost:8080/v1/', fetch: fetchFn, ...options });
+
+test('a reply without onDelta is read from the JSON completion', async () => {
+    const fetchFn = fakeFetch(() => Response.json({ choices: [{ message: { content: 'Hello there.' } }] }));
+    const backend = backendWith(fetchFn, { apiKey: 'key', requestOptions: { temperature: 0.2 } });
+    assert.equal(await backend.generate('Say hello.', { model: 'llama' }), 'Hello there.');
+    const [request] = fetchFn.requests;
+    assert.equal(request.url, 'http://localhost:8080/v1/chat/completions');
+    assert.equal(request.headers.Authorization, 'Bearer key');
+    assert.deepEqual(request.body, { temperature: 0.2, model: 'llama', messages: [{ role: 'user', content: 'Say hello.' }], stream: false });
+});
+
+test('streamed deltas reach onDelta in order and make up the reply', async () => {
+    const fetchFn = fakeFetch(() => [sse('One', ' two'), sse(' three'), 'data: [DONE]\n\n']);
+    const deltas = [];
+    assert.equal(await backendWith(fetchFn).generate('Count.', { onDelta: delta => deltas.push(delta) }), 'One two three');
+    assert.deepEqual(deltas, ['One', ' two', ' three']);
+    assert.equal(fetchFn.requests[0].body.stream, true);
+});
+
+test('an event split across two chunks is parsed once it is whole', async () => {
+    const event = sse('split');
+    const fetchFn = fakeFetch(() => [sse('A '), event.slice(0, 20), event.slice(20), ': a comment\n\ndata: [DONE]\n\n']);
+    const deltas = [];
+    assert.equal(await backendWith(fetchFn).generate('x', { onDelta: delta => deltas.push(delta) }), 'A split');
+    assert.deepEqual(deltas, ['A ', 'split']);
+});
+
+test('nothing after [DONE] is read', async () => {
+    const fetchFn = fakeFetch(() => [`${sse('Done')}data: [DONE]\n\n${sse(' extra')}`]);
+    assert.equal(await backendWith(fetchFn).generate('x', { onDelta: () => {} }), 'Done');
+});
+
+test('a non-2xx response rejects with its status and the server message', async () => {
+    const fetchFn = fakeFetch(() => new Response('model "nope" not found', { status: 404, statusText: 'Not Found' }));
+    await assert.rejects(backendWith(fetchFn).generate('x', { model: 'nope' }), /LLM server responded with 404 Not Found: model "nope" not found/);
+    const unavailable = fakeFetch(() => new Response('', { status: 503, statusText: 'Service Unavailable' }));
+    await assert.rejects(backendWith(unavailable).generate('x', { onDelta: () => {} }), (err) => err.message === 'LLM server responded with 503 Service Unavailable');
+});
+
+test('aborting mid-stream resolves with the text received so far', async () => {
+    const fetchFn = fakeFetch(() => [sse('Partial', ' text'), sse(' never sent')], { holdAfter: 1 });
+    const controller = new AbortController();
+    const deltas = [];
+    const reply = backendWith(fetchFn).generate('x', {
+        signal: controller.signal,
+        onDelta: (delta) => {
+            deltas.push(delta);
+            if (deltas.length === 2) controller.abort();
+        }
+    });
+    assert.equal(await reply, 'Partial text');
+    assert.equal(fetchFn.requests[0].signal.aborted, true);
+});
+
+test('interrupt() stops the running request the same way', async () => {
+    const fetchFn = fakeFetch(() => [sse('First'), sse(' second')], { holdAfter: 1 });
+    const backend = backendWith(fetchFn);
+    let interrupted;
+    const reply = backend.generate('x', { onDelta: () => { interrupted = backend.interrupt(); } });
+    assert.equal(await reply, 'First');
+    await interrupted;
+    assert.equal(backend.requestController, null);
+});
+
+test('a network failure that is not an abort rejects', async () => {
+    const backend = backendWith(async () => { throw new TypeError('fetch failed'); });
+    await assert.rejects(backend.generate('x'), /fetch failed/);
+    assert.throws(() => new OpenAICompatibleBackend({}), /requires a baseUrl/);
+});
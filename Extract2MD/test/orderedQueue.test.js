@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderedQueue } from '../src/orderedQueue.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+test('results come back in the order the jobs were added, however they finish', async () => {
+    const queue = createOrderedQueue(3);
+    await queue.push(delay(30, 'a'));
+    await queue.push(delay(5, 'b'));
+    await queue.push('c');
+    assert.deepEqual(await queue.drain(), ['a', 'b', 'c']);
+});
+
+test('push waits while the limit of jobs is in flight', async () => {
+    const queue = createOrderedQueue(1);
+    let running = 0;
+    let maxRunning = 0;
+    const job = async (value) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(5);
+        running--;
+        return value;
+    };
+    for (const value of [1, 2, 3, 4]) await queue.push(job(value));
+    assert.deepEqual(await queue.drain(), [1, 2, 3, 4]);
+    assert.ok(maxRunning <= 2, `${maxRunning} jobs ran at once`);
+});
+
+test('a failing job rejects once the jobs still running have finished', async () => {
+    const queue = createOrderedQueue(4);
+    let finished = false;
+    await queue.push(Promise.reject(new Error('page 1 failed')));
+    await queue.push(delay(20).then(() => { finished = true; }));
+    await assert.rejects(queue.drain(), /page 1 failed/);
+    assert.equal(finished, true);
+});
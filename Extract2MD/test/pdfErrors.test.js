@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Extract2MDConverter, MockLLMBackend, EncryptedPDFError, NotAPDFError, CorruptPDFError, OutOfMemoryError, WorkerLoadError, PasswordResponses } from '../src/index.js';
+import { hasPdfHeader, toPdfError } from '../src/errors.js';
+
+const PDF_BYTES = new TextEncoder().encode('%PDF-1.7\n% a stub document\n');
+const NOT_PDF_BYTES = new TextEncoder().encode('<html>Not a PDF</html>');
+
+const pdfJsError = (name, message, code) => Object.assign(new Error(message), { name, code });
+
+// A stand-in for pdf.js's getDocument(). With `password` set the document is encrypted: a loading
+// task without the right password asks its onPassword callback, like pdf.js, and rejects with a
+// PasswordException when there is none or it gives up. `failWith` rejects every load.
+function stubPdfjs({ password: correctPassword, failWith } = {}) {
+    const stub = { tasks: [], reasons: [] };
+    stub.getDocument = (params) => {
+        const task = { destroyed: false, onPassword: null };
+        task.destroy = async () => { task.destroyed = true; };
+        task.promise = new Promise((resolve, reject) => {
+            const tryPassword = (password) => {
+                if (failWith) return reject(failWith);
+                if (correctPassword === undefined || password === correctPassword) return resolve({ numPages: 1 });
+                const reason = password === undefined ? PasswordResponses.NEED_PASSWORD : PasswordResponses.INCORRECT_PASSWORD;
+                if (!task.onPassword) return reject(pdfJsError('PasswordException', 'No password given', reason));
+                stub.reasons.push(reason);
+                task.onPassword((answer) => {
+                    if (answer instanceof Error) reject(pdfJsError('PasswordException', answer.message, reason));
+                    else tryPassword(answer);
+                }, reason);
+            };
+            // The callback is set after getDocument() returns, so pdf.js only asks later.
+            setTimeout(() => tryPassword(params.password), 0);
+        });
+        stub.tasks.push(task);
+        return task;
+    };
+    return stub;
+}
+
+const converter = new Extract2MDConverter({ llmBackend: new MockLLMBackend() });
+const open = (pdfjs, options = {}, data = PDF_BYTES) => converter._withPdfDocument(pdfjs, data, options, async (pdfDoc) => pdfDoc.numPages);
+
+test('hasPdfHeader finds the header within the first kilobyte', () => {
+    assert.equal(hasPdfHeader(PDF_BYTES), true);
+    assert.equal(hasPdfHeader(new TextEncoder().encode(`${' '.repeat(500)}%PDF-1.4`).buffer), true);
+    assert.equal(hasPdfHeader(new TextEncoder().encode(`${' '.repeat(1100)}%PDF-1.4`)), false);
+    assert.equal(hasPdfHeader(NOT_PDF_BYTES), false);
+});
+
+test('toPdfError maps pdf.js and browser failures to typed errors', () => {
+    const needPassword = toPdfError(pdfJsError('PasswordException', 'No password given', PasswordResponses.NEED_PASSWORD));
+    assert.ok(needPassword instanceof EncryptedPDFError);
+    assert.equal(needPassword.code, 'PDF_PASSWORD_REQUIRED');
+    assert.equal(toPdfError(pdfJsError('PasswordException', 'Incorrect Password', PasswordResponses.INCORRECT_PASSWORD)).code, 'PDF_PASSWORD_INCORRECT');
+    assert.equal(toPdfError(pdfJsError('FormatError', 'Unknown crypto method')).code, 'PDF_ENCRYPTION_UNSUPPORTED');
+    assert.ok(toPdfError(new RangeError('Array buffer allocation failed')) instanceof OutOfMemoryError);
+    assert.equal(toPdfError(new Error('Setting up fake worker failed')).worker, 'pdfjs');
+    assert.ok(toPdfError(new Error('Setting up fake worker failed')) instanceof WorkerLoadError);
+    const other = new TypeError('something else');
+    assert.equal(toPdfError(other), other);
+});
+
+test('a file without a PDF header is not a PDF; one with a header that fails to parse is corrupt', async () => {
+    const invalid = pdfJsError('InvalidPDFException', 'Invalid PDF structure.');
+    await assert.rejects(open(stubPdfjs({ failWith: invalid }), {}, NOT_PDF_BYTES), (err) => err instanceof NotAPDFError && err.code === 'NOT_A_PDF' && err.cause === invalid);
+    await assert.rejects(open(stubPdfjs({ failWith: invalid })), (err) => err instanceof CorruptPDFError && err.code === 'PDF_CORRUPT');
+});
+
+test('an encrypted PDF without a password, or with a wrong one, rejects with its error code', async () => {
+    await assert.rejects(open(stubPdfjs({ password: 'secret' })), (err) => err instanceof EncryptedPDFError && err.code === 'PDF_PASSWORD_REQUIRED');
+    await assert.rejects(open(stubPdfjs({ password: 'secret' }), { password: 'wrong' }), (err) => err instanceof EncryptedPDFError && err.code === 'PDF_PASSWORD_INCORRECT');
+});
+
+test('the password option opens the document, which is destroyed afterwards', async () => {
+    const pdfjs = stubPdfjs({ password: 'secret' });
+    assert.equal(await open(pdfjs, { password: 'secret' }), 1);
+    assert.equal(pdfjs.tasks[0].destroyed, true);
+});
+
+test('onPassword is asked again after a wrong answer until it gives the right one', async () => {
+    const pdfjs = stubPdfjs({ password: 'secret' });
+    const answers = ['wrong', 'secret'];
+    assert.equal(await open(pdfjs, { onPassword: async () => answers.shift() }), 1);
+    assert.deepEqual(pdfjs.reasons, [PasswordResponses.NEED_PASSWORD, PasswordResponses.INCORRECT_PASSWORD]);
+});
+
+test('a wrong password that is retried and then given up on rejects as incorrect', async () => {
+    const pdfjs = stubPdfjs({ password: 'secret' });
+    const answers = ['wrong', 'still wrong', null];
+    await assert.rejects(open(pdfjs, { onPassword: () => answers.shift() }), (err) => err instanceof EncryptedPDFError && err.code === 'PDF_PASSWORD_INCORRECT');
+    assert.deepEqual(pdfjs.reasons, [PasswordResponses.NEED_PASSWORD, PasswordResponses.INCORRECT_PASSWORD, PasswordResponses.INCORRECT_PASSWORD]);
+    assert.equal(pdfjs.tasks[0].destroyed, true);
+});
+
+test('onPassword returning nothing rejects as password required', async () => {
+    await assert.rejects(open(stubPdfjs({ password: 'secret' }), { onPassword: () => undefined }), (err) => err instanceof EncryptedPDFError && err.code === 'PDF_PASSWORD_REQUIRED');
+});
+
+test('an onPassword that throws rejects with its own error', async () => {
+    const cancelled = new Error('Prompt closed');
+    await assert.rejects(open(stubPdfjs({ password: 'secret' }), { onPassword: () => { throw cancelled; } }), (err) => err === cancelled);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { readPdfInput } from '../src/pdfInput.js';
+import { createNodeCanvasFactory, workerPdfJsOptions } from '../src/canvas.js';
+import { AbortError } from '../src/errors.js';
+import Extract2MDConverter from '../src/node.js';
+
+const require = createRequire(import.meta.url);
+const FIXTURE = fileURLToPath(new URL('./fixtures/hello.pdf', import.meta.url));
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+
+// Whether a buffer can still be used: transferring it elsewhere detaches it.
+const transfer = (buffer) => structuredClone(buffer, { transfer: [buffer] });
+
+// A readFile that records what it was asked for.
+const recordingReader = () => {
+    const reader = async (pathOrUrl) => {
+        reader.calls.push(pathOrUrl);
+        return Buffer.from('%PDF-1.4');
+    };
+    reader.calls = [];
+    return reader;
+};
+
+test('an ArrayBuffer is copied, so the caller keeps a usable buffer', async () => {
+    const input = new Uint8Array([1, 2, 3]).buffer;
+    const bytes = await readPdfInput(input);
+    assert.deepEqual([...bytes], [1, 2, 3]);
+    transfer(bytes.buffer);
+    assert.equal(input.byteLength, 3);
+    assert.deepEqual([...new Uint8Array(input)], [1, 2, 3]);
+});
+
+test('a Uint8Array view is copied from its own offset and length', async () => {
+    const whole = new Uint8Array([9, 1, 2, 3, 9]);
+    const bytes = await readPdfInput(whole.subarray(1, 4));
+    assert.deepEqual([...bytes], [1, 2, 3]);
+    assert.notEqual(bytes.buffer, whole.buffer);
+    transfer(bytes.buffer);
+    assert.equal(whole.byteLength, 5);
+});
+
+test('a pooled Buffer gives only its own bytes, and stays usable', async () => {
+    const input = Buffer.from('%PDF-1.7');
+    const bytes = await readPdfInput(input);
+    assert.equal(bytes.constructor, Uint8Array);
+    assert.equal(Buffer.from(bytes).toString(), '%PDF-1.7');
+    transfer(bytes.buffer);
+    assert.equal(input.toString(), '%PDF-1.7');
+});
+
+test('a Blob is read whole', async () => {
+    assert.deepEqual([...await readPdfInput(new Blob([new Uint8Array([4, 5])]))], [4, 5]);
+});
+
+test('Windows drive paths are read as files, not taken for URL schemes', async () => {
+    const readFile = recordingReader();
+    await readPdfInput('C:\\docs\\report.pdf', { readFile });
+    await readPdfInput('d:/docs/report.pdf', { readFile });
+    assert.deepEqual(readFile.calls, ['C:\\docs\\report.pdf', 'd:/docs/report.pdf']);
+});
+
+test('file: URLs, as strings or URL objects, are read with readFile', async () => {
+    const readFile = recordingReader();
+    await readPdfInput('file:///tmp/report.pdf', { readFile });
+    await readPdfInput(new URL('file:///tmp/other.pdf'), { readFile });
+    assert.deepEqual(readFile.calls.map(url => url.href), ['file:///tmp/report.pdf', 'file:///tmp/other.pdf']);
+});
+
+test('other URL schemes are fetched, and a failed response rejects', async (t) => {
+    const fetched = [];
+    t.mock.method(globalThis, 'fetch', async (url) => {
+        fetched.push(url);
+        return url.endsWith('missing.pdf') ? new Response('', { status: 404 }) : new Response(new Uint8Array([7, 8]));
+    });
+    assert.deepEqual([...await readPdfInput('https://example.com/a.pdf', { readFile: recordingReader() })], [7, 8]);
+    await assert.rejects(readPdfInput(new URL('https://example.com/missing.pdf')), /HTTP 404/);
+    assert.deepEqual(fetched, ['https://example.com/a.pdf', 'https://example.com/missing.pdf']);
+});
+
+test('paths need a readFile, and other values are rejected', async () => {
+    await assert.rejects(readPdfInput('report.pdf'), /file paths can only be read under Node/);
+    await assert.rejects(readPdfInput(42), /pdfFile must be a File, Blob, ArrayBuffer/);
+    await assert.rejects(readPdfInput('', { readFile: recordingReader() }), /pdfFile must be/);
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(readPdfInput(new Uint8Array(1), { signal: controller.signal }), AbortError);
+});
+
+test('the Node entry point converts a file path and a file: URL', async () => {
+    const converter = new Extract2MDConverter();
+    assert.match(await converter.quickConvert(FIXTURE), /Hello from a file/);
+    assert.match(await converter.quickConvert(pathToFileURL(FIXTURE)), /Hello from a file/);
+});
+
+test('the Node canvas factory loads its module on first use and encodes PNGs', async () => {
+    let loads = 0;
+    const factory = createNodeCanvasFactory(() => {
+        loads++;
+        return require('@napi-rs/canvas');
+    });
+    assert.equal(loads, 0);
+    const canvas = factory.create(20, 10);
+    factory.create(5, 5);
+    assert.equal(loads, 1);
+    assert.deepEqual([canvas.width, canvas.height], [20, 10]);
+    const blob = await factory.toBlob(canvas, 'image/png');
+    assert.equal(blob.type, 'image/png');
+    assert.deepEqual([...new Uint8Array(await blob.arrayBuffer()).subarray(0, 4)], PNG_SIGNATURE);
+    const image = await factory.toImage(canvas);
+    assert.ok(Buffer.isBuffer(image));
+    assert.deepEqual([...image.subarray(0, 4)], PNG_SIGNATURE);
+    assert.ok((await factory.toBlob(canvas, 'image/jpeg', 0.5)).size > 0);
+});
+
+test('the pdf.js canvas factory for workers creates, resizes and releases canvases', (t) => {
+    // @napi-rs/canvas stands in for OffscreenCanvas, which Node does not have.
+    globalThis.OffscreenCanvas = require('@napi-rs/canvas').Canvas;
+    t.after(() => { delete globalThis.OffscreenCanvas; });
+    const factory = new workerPdfJsOptions.CanvasFactory();
+    const canvasAndContext = factory.create(30, 20);
+    assert.deepEqual([canvasAndContext.canvas.width, canvasAndContext.canvas.height], [30, 20]);
+    assert.equal(typeof canvasAndContext.context.fillRect, 'function');
+    factory.reset(canvasAndContext, 2000, 1000);
+    assert.deepEqual([canvasAndContext.canvas.width, canvasAndContext.canvas.height], [2000, 1000]);
+    const { canvas } = canvasAndContext;
+    factory.destroy(canvasAndContext);
+    // Its pixels are released: OffscreenCanvas goes to 0x0, @napi-rs/canvas to its small default size.
+    assert.ok(canvas.width * canvas.height < 2000 * 1000);
+    assert.equal(canvasAndContext.canvas, null);
+    assert.throws(() => factory.create(0, 10), /Invalid canvas size/);
+    assert.throws(() => factory.reset(canvasAndContext, 10, 10), /Canvas is not specified/);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import Extract2MDConverter from '../src/node.js';
+import { AbortError } from '../src/errors.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/hello.pdf', import.meta.url));
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+
+// A converter that counts the files it reads.
+function countingConverter() {
+    const converter = new Extract2MDConverter({
+        readFile: async (pathOrUrl) => {
+            converter.reads++;
+            return readFile(pathOrUrl);
+        }
+    });
+    converter.reads = 0;
+    return converter;
+}
+
+const isPng = async (blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+};
+
+test('renderPage renders a page as a PNG sized by the scale', async () => {
+    const converter = countingConverter();
+    const page = await converter.renderPage(FIXTURE, 1, { scale: 0.5 });
+    assert.ok(await isPng(page.blob));
+    assert.deepEqual([page.pageWidth, page.pageHeight, page.numPages], [612, 792, 1]);
+    assert.deepEqual([page.width, page.height], [306, 396]);
+    await assert.rejects(converter.renderPage(FIXTURE, 2), (err) => err instanceof RangeError && /Page 2 does not exist: this document has 1 page\./.test(err.message));
+});
+
+test('an open document renders its pages without reading the PDF again', async () => {
+    const converter = countingConverter();
+    const { documentId, numPages } = await converter.openDocument(FIXTURE);
+    assert.equal(numPages, 1);
+    const first = await converter.renderDocumentPage(documentId, 1, { scale: 0.5 });
+    const again = await converter.renderDocumentPage(documentId, 1, { scale: 1 });
+    assert.ok(await isPng(first.blob));
+    assert.deepEqual([first.width, again.width], [306, 612]);
+    assert.equal(converter.reads, 1);
+    await assert.rejects(converter.renderDocumentPage(documentId, 0), RangeError);
+
+    await converter.closeDocument(documentId);
+    await converter.closeDocument(documentId);
+    await assert.rejects(converter.renderDocumentPage(documentId, 1), new RegExp(`Document ${documentId} is not open`));
+});
+
+test('aborting a page of an open document leaves the document open', async () => {
+    const converter = countingConverter();
+    const { documentId } = await converter.openDocument(FIXTURE);
+    const controller = new AbortController();
+    const rendering = converter.renderDocumentPage(documentId, 1, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(rendering, AbortError);
+    assert.ok(await isPng((await converter.renderDocumentPage(documentId, 1, { scale: 0.25 })).blob));
+    await converter.closeDocument(documentId);
+});
+
+test('each open document gets its own id, and dispose() closes them all', async () => {
+    const converter = countingConverter();
+    const opened = await Promise.all([converter.openDocument(FIXTURE), converter.openDocument(FIXTURE)]);
+    assert.notEqual(opened[0].documentId, opened[1].documentId);
+    const tasks = [...converter.openDocuments.values()].map(entry => entry.loadingTask);
+    await converter.dispose();
+    assert.equal(converter.openDocuments.size, 0);
+    assert.ok(tasks.every(task => task.destroyed));
+});
+
+test('openDocument rejects what is not a PDF, and an aborted signal', async () => {
+    const converter = countingConverter();
+    await assert.rejects(converter.openDocument(new TextEncoder().encode('<html></html>')), (err) => err.code === 'NOT_A_PDF');
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(converter.openDocument(FIXTURE, { signal: controller.signal }), AbortError);
+    assert.equal(converter.openDocuments.size, 0);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    COLUMN_SEPARATOR,
+    cellsFromTextItems,
+    cellsFromWhitespace,
+    alignTableRows,
+    tabulateLines,
+    isTableRow,
+    parseTableRows,
+    renderGfmTable
+} from '../src/tableDetection.js';
+
+// A pdf.js text item at (x, y) in a 10pt font, about 5pt per character.
+const item = (str, x, y = 700, extra = {}) => ({ str, transform: [10, 0, 0, 10, x, y], width: str.length * 5, height: 10, ...extra });
+
+test('items separated by a gap wider than the font height become separate cells', () => {
+    const cells = cellsFromTextItems([item('Name', 50), item('Age', 150)]);
+    assert.deepEqual(cells.map(cell => cell.text), ['Name', 'Age']);
+    assert.equal(cells[0].x0, 50);
+    assert.equal(cells[1].x1, 165);
+});
+
+test('items close together stay in one cell, spaced like words', () => {
+    const cells = cellsFromTextItems([item('Hello', 50), item('world', 78)]);
+    assert.deepEqual(cells.map(cell => cell.text), ['Hello world']);
+});
+
+test('bold and linked items become Markdown in the cell', () => {
+    const cells = cellsFromTextItems([
+        item('Total', 50, 700, { bold: true }),
+        item('site', 150, 700, { link: 'https://example.com' })
+    ]);
+    assert.deepEqual(cells.map(cell => cell.markdown), ['**Total**', '[site](https://example.com)']);
+    assert.deepEqual(cells.map(cell => cell.text), ['Total', 'site']);
+});
+
+test('OCR lines split into cells on runs of two or more spaces', () => {
+    const cells = cellsFromWhitespace('Item one    12.50   Paid');
+    assert.deepEqual(cells.map(cell => cell.text), ['Item one', '12.50', 'Paid']);
+    assert.equal(cells[1].x0, 12);
+});
+
+test('alignTableRows places cells into shared columns and leaves gaps empty', () => {
+    const rows = alignTableRows([
+        [{ text: 'A', x0: 0, x1: 10 }, { text: 'B', x0: 50, x1: 60 }, { text: 'C', x0: 100, x1: 110 }],
+        [{ text: 'a', x0: 2, x1: 8 }, { text: 'c', x0: 102, x1: 108 }]
+    ]);
+    assert.deepEqual(rows, [['A', 'B', 'C'], ['a', '', 'c']]);
+});
+
+test('tabulateLines emits runs of multi-cell lines as rows and single lines as text', () => {
+    const cell = (text, x0) => ({ text, x0, x1: x0 + 10 });
+    const output = tabulateLines([
+        [cell('Title', 0)],
+        [cell('Name', 0), cell('Age', 50)],
+        [cell('Ann', 0), cell('31', 50)],
+        [],
+        [cell('Lone', 0), cell('pair', 50)]
+    ]).split('\n');
+    assert.deepEqual(output, ['Title', `Name${COLUMN_SEPARATOR}Age`, `Ann${COLUMN_SEPARATOR}31`, '', 'Lone pair']);
+});
+
+test('isTableRow needs at least two non-empty cells', () => {
+    assert.equal(isTableRow(`a${COLUMN_SEPARATOR}b`), true);
+    assert.equal(isTableRow(`a${COLUMN_SEPARATOR} `), false);
+    assert.equal(isTableRow('plain text'), false);
+});
+
+test('parseTableRows drops empty columns, pads short rows and right-aligns numeric columns', () => {
+    const table = parseTableRows([
+        ['Item', '', 'Price'].join(COLUMN_SEPARATOR),
+        ['Tea', '', '$3.50'].join(COLUMN_SEPARATOR),
+        ['Cake'].join(COLUMN_SEPARATOR)
+    ]);
+    assert.deepEqual(table, {
+        header: ['Item', 'Price'],
+        rows: [['Tea', '$3.50'], ['Cake', '']],
+        align: ['left', 'right']
+    });
+});
+
+test('renderGfmTable pads columns, marks right alignment and escapes pipes', () => {
+    const lines = renderGfmTable({ header: ['Item', 'Price'], rows: [['a|b', '3']], align: ['left', 'right'] });
+    assert.deepEqual(lines, [
+        '| Item | Price |',
+        '| ---- | ----: |',
+        '| a\\|b |     3 |'
+    ]);
+});
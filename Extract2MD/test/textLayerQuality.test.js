@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { imageTransforms, measureImageCoverage, assessTextLayer } from '../src/textLayerQuality.js';
+
+const OPS = { save: 1, restore: 2, transform: 3, paintImageXObject: 4, paintFormXObjectBegin: 5, paintFormXObjectEnd: 6 };
+const items = (text) => [{ str: text }];
+
+test('imageTransforms follows the transformation matrix through saves, restores and forms', () => {
+    const operatorList = {
+        fnArray: [OPS.save, OPS.transform, OPS.paintImageXObject, OPS.restore, OPS.paintFormXObjectBegin, OPS.transform, OPS.paintImageXObject, OPS.paintFormXObjectEnd, OPS.paintImageXObject],
+        argsArray: [[], [100, 0, 0, 50, 10, 20], [], [], [[2, 0, 0, 2, 0, 0], null], [10, 0, 0, 10, 5, 5], [], [], []]
+    };
+    assert.deepEqual(imageTransforms(operatorList, OPS), [[100, 0, 0, 50, 10, 20], [20, 0, 0, 20, 10, 10], [1, 0, 0, 1, 0, 0]]);
+    assert.deepEqual(imageTransforms(null, OPS), []);
+});
+
+test('measureImageCoverage is the share of the page painted by images, at most 1', () => {
+    const image = (w, h) => ({ fnArray: [OPS.transform, OPS.paintImageXObject], argsArray: [[w, 0, 0, h, 0, 0], []] });
+    assert.equal(measureImageCoverage(image(100, 200), [0, 0, 200, 400], OPS), 0.25);
+    assert.equal(measureImageCoverage(image(1000, 1000), [0, 0, 200, 400], OPS), 1);
+});
+
+test('assessTextLayer keeps pages with enough readable text', () => {
+    const assessment = assessTextLayer(items('A readable page with plenty of ordinary text on it, more than fifty characters.'), 0.1);
+    assert.equal(assessment.needsOcr, false);
+    assert.equal(assessment.reason, null);
+});
+
+test('assessTextLayer sends empty, garbled and scanned pages to OCR', () => {
+    assert.match(assessTextLayer(items('Too short'), 0).reason, /only 8 characters/);
+    assert.match(assessTextLayer(items('�'.repeat(20) + 'x'.repeat(60)), 0).reason, /25% unreadable glyphs/);
+    assert.match(assessTextLayer(items('x'.repeat(100)), 0.9).reason, /90% of the page is images/);
+    assert.equal(assessTextLayer(items('x'.repeat(100)), 0.9, { imagePageMaxChars: 50 }).needsOcr, false);
+});
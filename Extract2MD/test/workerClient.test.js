@@ -0,0 +1,163 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageChannel } from 'node:worker_threads';
+import { Extract2MDWorkerClient } from '../src/workerClient.js';
+import { AbortError, LLMOutputError, EncryptedPDFError, PasswordResponses, serializeError, deserializeError } from '../src/errors.js';
+
+// worker.js answers on `self`; here both ends of a MessageChannel stand in for the Worker and its global.
+const channel = new MessageChannel();
+globalThis.self = { postMessage: (message, transfer) => channel.port2.postMessage(message, transfer) };
+await import('../src/worker.js');
+channel.port2.onmessage = (event) => globalThis.self.onmessage(event);
+
+// A Worker for the client, recording what it posts. The worker script runs in this thread, so
+// terminate() only closes the client's end.
+function fakeWorker(port) {
+    const worker = {
+        posted: [],
+        terminated: false,
+        postMessage(message, transfer) {
+            worker.posted.push(message);
+            port.postMessage(message, transfer);
+        },
+        set onmessage(handler) {
+            port.onmessage = handler;
+        },
+        terminate() {
+            worker.terminated = true;
+        }
+    };
+    return worker;
+}
+
+// One client on the shared worker script; its converter answers with a slow mock LLM.
+const worker = fakeWorker(channel.port1);
+const client = new Extract2MDWorkerClient({ worker, llmBackend: { type: 'mock', response: 'one two three four five six', tokenDelayMs: 10 } });
+after(() => channel.port1.close());
+
+test('a call resolves with the value the worker posts back', async () => {
+    assert.equal(await client.llmRewrite('Some text.'), 'one two three four five six');
+    const report = await client.checkFidelity('It costs 12 dollars.', 'It costs 13 dollars.');
+    assert.ok(report.discrepancies.some(flag => flag.kind === 'number'));
+});
+
+test('tokens streamed in the worker reach onToken', async () => {
+    const texts = [];
+    await client.llmRewrite('Some text.', { onToken: (token, text) => texts.push(text) });
+    assert.equal(texts.at(-1), 'one two three four five six');
+    assert.ok(texts.length > 1);
+});
+
+test('errors thrown in the worker keep their class, code and fields', async () => {
+    const schema = { type: 'object', properties: { title: { type: 'string' } } };
+    await assert.rejects(client.llmExtract('Some text.', { schema }), (err) => {
+        assert.ok(err instanceof LLMOutputError);
+        assert.equal(err.code, 'LLM_OUTPUT_INVALID');
+        assert.equal(err.name, 'LLMOutputError');
+        assert.ok(Array.isArray(err.errors) && err.errors.length > 0);
+        return true;
+    });
+});
+
+test('serialized errors survive structured cloning with their class, fields and cause', () => {
+    const cause = Object.assign(new Error('Incorrect Password'), { name: 'PasswordException', code: 2 });
+    const err = deserializeError(structuredClone(serializeError(new EncryptedPDFError('The password for this PDF is incorrect.', { code: 'PDF_PASSWORD_INCORRECT', cause }))));
+    assert.ok(err instanceof EncryptedPDFError);
+    assert.equal(err.code, 'PDF_PASSWORD_INCORRECT');
+    assert.equal(err.message, 'The password for this PDF is incorrect.');
+    assert.equal(err.cause.name, 'PasswordException');
+    assert.equal(err.cause.code, 2);
+    assert.equal(deserializeError(serializeError('a string')).message, 'a string');
+});
+
+test('aborting the signal cancels the call in the worker', async () => {
+    const controller = new AbortController();
+    const call = client.llmRewrite('Some text.', { signal: controller.signal, onToken: () => controller.abort() });
+    await assert.rejects(call, (err) => err instanceof AbortError && err.code === 'ABORT_ERR');
+    const { id } = worker.posted.filter(message => message.type === 'call').at(-1);
+    assert.ok(worker.posted.some(message => message.type === 'abort' && message.id === id));
+    // The worker is still usable afterwards.
+    assert.equal(await client.llmRewrite('Again.'), 'one two three four five six');
+});
+
+test('open documents are looked up by id in the worker', async () => {
+    await client.closeDocument(42); // Closing a document that is not open does nothing
+    await assert.rejects(client.renderDocumentPage(42, 1), /Document 42 is not open/);
+});
+
+// A worker scripted by hand, to drive the client through password prompts and termination.
+function scriptedClient(onCall) {
+    const { port1, port2 } = new MessageChannel();
+    port2.onmessage = ({ data }) => onCall(data, (message) => port2.postMessage(message));
+    const scripted = fakeWorker(port1);
+    return { client: new Extract2MDWorkerClient({ worker: scripted }), worker: scripted, port: port2 };
+}
+
+test('password requests from the worker are answered by onPassword', async () => {
+    const reasons = [];
+    const { client: scripted, port } = scriptedClient((data, reply) => {
+        if (data.type === 'call') {
+            assert.deepEqual(data.callbacks, ['onPassword']);
+            reply({ type: 'password', id: data.id, reason: PasswordResponses.NEED_PASSWORD });
+        } else if (data.type === 'password') {
+            reply(data.password === 'secret'
+                ? { type: 'result', id: data.id, value: '# Opened' }
+                : { type: 'password', id: data.id, reason: PasswordResponses.INCORRECT_PASSWORD });
+        }
+    });
+    const answers = ['wrong', 'secret'];
+    const markdown = await scripted.quickConvert(new Uint8Array([37, 80, 68, 70]), { onPassword: (reason) => { reasons.push(reason); return answers.shift(); } });
+    assert.equal(markdown, '# Opened');
+    assert.deepEqual(reasons, [PasswordResponses.NEED_PASSWORD, PasswordResponses.INCORRECT_PASSWORD]);
+    port.close();
+});
+
+test('an onPassword that throws fails the call with its own error', async () => {
+    const { client: scripted, port } = scriptedClient((data, reply) => {
+        if (data.type === 'call') reply({ type: 'password', id: data.id, reason: PasswordResponses.NEED_PASSWORD });
+        else if (data.type === 'password') {
+            assert.equal(data.password, null);
+            reply({ type: 'error', id: data.id, error: { name: 'EncryptedPDFError', message: 'This PDF is password-protected.', code: 'PDF_PASSWORD_REQUIRED' } });
+        }
+    });
+    const closed = new Error('Prompt closed');
+    await assert.rejects(scripted.quickConvert(new Uint8Array([37, 80, 68, 70]), { onPassword: () => { throw closed; } }), (err) => err === closed);
+    port.close();
+});
+
+test('a typed error without a password callback arrives with its code', async () => {
+    const { client: scripted, port } = scriptedClient((data, reply) => {
+        if (data.type === 'call') reply({ type: 'error', id: data.id, error: { name: 'EncryptedPDFError', message: 'The password for this PDF is incorrect.', code: 'PDF_PASSWORD_INCORRECT' } });
+    });
+    await assert.rejects(scripted.quickConvert(new Uint8Array([37, 80, 68, 70])), (err) => err instanceof EncryptedPDFError && err.code === 'PDF_PASSWORD_INCORRECT');
+    port.close();
+});
+
+test('an open document is posted once; its pages are asked for by id', async () => {
+    const { client: scripted, worker: scriptedWorker, port } = scriptedClient((data, reply) => {
+        const values = { openDocument: { documentId: 7, numPages: 3 }, renderDocumentPage: { pageWidth: 612, pageHeight: 792 }, closeDocument: undefined };
+        reply({ type: 'result', id: data.id, value: values[data.method] });
+    });
+    const bytes = new Uint8Array([37, 80, 68, 70]);
+    const { documentId } = await scripted.openDocument(bytes, { password: 'secret' });
+    await scripted.renderDocumentPage(documentId, 2, { scale: 2 });
+    await scripted.renderDocumentPage(documentId, 3);
+    await scripted.closeDocument(documentId);
+    const calls = scriptedWorker.posted.filter(message => message.type === 'call');
+    assert.deepEqual(calls.map(message => [message.method, message.args.length === 1 && ArrayBuffer.isView(message.args[0]) ? 'bytes' : message.args]), [
+        ['openDocument', 'bytes'], ['renderDocumentPage', [7, 2]], ['renderDocumentPage', [7, 3]], ['closeDocument', [7]]
+    ]);
+    assert.deepEqual(calls[0].options, { password: 'secret' });
+    assert.deepEqual(calls[1].options, { scale: 2 });
+    port.close();
+});
+
+test('terminate() rejects the calls still running and every later call', async () => {
+    const { client: scripted, worker: scriptedWorker, port } = scriptedClient(() => {});
+    const pending = scripted.llmRewrite('Never answered.');
+    scripted.terminate();
+    await assert.rejects(pending, (err) => err instanceof AbortError);
+    await assert.rejects(scripted.llmRewrite('Later.'), (err) => err instanceof AbortError);
+    assert.equal(scriptedWorker.terminated, true);
+    port.close();
+});
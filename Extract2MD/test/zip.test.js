@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { createZip, createMarkdownBundle } from '../src/zip.js';
+import { findImageRegions, addImagesToDocument, imageFormat } from '../src/imageExtraction.js';
+import { createDocument } from '../src/documentModel.js';
+
+// Reads the entries of a stored (uncompressed) ZIP archive through its central directory.
+async function readZip(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014B50);
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        assert.equal(view.getUint32(offset, true), 0x04034B50);
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+        entries.push({ name, crc, data: bytes.subarray(dataStart, dataStart + size) });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('createZip stores every file with its name, contents and checksum', async () => {
+    const zip = await createZip([
+        { name: '/notes/ünïcode.md', data: '# Hello' },
+        { name: 'data.bin', data: new Uint8Array([0, 1, 2, 255]) },
+        { name: 'blob.txt', data: new Blob(['from a blob']) }
+    ], { date: new Date(2024, 0, 2, 3, 4, 6) });
+    assert.equal(zip.type, 'application/zip');
+    const entries = await readZip(zip);
+    assert.deepEqual(entries.map(entry => entry.name), ['notes/ünïcode.md', 'data.bin', 'blob.txt']);
+    assert.equal(new TextDecoder().decode(entries[0].data), '# Hello');
+    assert.deepEqual([...entries[1].data], [0, 1, 2, 255]);
+    assert.equal(new TextDecoder().decode(entries[2].data), 'from a blob');
+    entries.forEach(entry => assert.equal(entry.crc, crc32(entry.data)));
+});
+
+test('createZip rejects data it cannot store', async () => {
+    await assert.rejects(createZip([{ name: 'x', data: 42 }]), /ZIP entries must be/);
+});
+
+test('createMarkdownBundle puts the images at the paths the Markdown uses', async () => {
+    const zip = await createMarkdownBundle('![Figure 1](images/page-1-fig-1.png)', [{ path: 'images/page-1-fig-1.png', blob: new Blob([new Uint8Array([137, 80])]) }], { markdownName: 'paper.md' });
+    assert.deepEqual((await readZip(zip)).map(entry => entry.name), ['paper.md', 'images/page-1-fig-1.png']);
+});
+
+const OPS = { save: 1, restore: 2, transform: 3, paintImageXObject: 4 };
+const paint = (a, d, e, f) => [[OPS.save, OPS.transform, OPS.paintImageXObject, OPS.restore], [[], [a, 0, 0, d, e, f], [], []]];
+const operatorList = (...images) => ({ fnArray: images.flatMap(image => image[0]), argsArray: images.flatMap(image => image[1]) });
+
+test('findImageRegions merges touching images and skips backgrounds and decorations', () => {
+    const view = [0, 0, 600, 800];
+    const regions = findImageRegions(operatorList(
+        paint(100, 50, 100, 600),   // Top half of a figure...
+        paint(100, 50, 100, 651),   // ...and its bottom half, 1pt away
+        paint(10, 10, 400, 400),    // A bullet-sized decoration
+        paint(600, 800, 0, 0),      // A full-page scan
+        paint(200, 100, 50, 100)    // A second figure lower on the page
+    ), view, OPS);
+    assert.deepEqual(regions, [
+        { x: 100, y: 99, width: 100, height: 101 },
+        { x: 50, y: 600, width: 200, height: 100 }
+    ]);
+});
+
+test('imageFormat knows PNG and JPEG only', () => {
+    assert.deepEqual(imageFormat('jpeg'), { mimeType: 'image/jpeg', extension: 'jpg' });
+    assert.throws(() => imageFormat('gif'), /Unsupported image format "gif"/);
+});
+
+test('addImagesToDocument places figures in reading order and numbers them through the document', () => {
+    const doc = createDocument([
+        { type: 'paragraph', text: 'Above.', page: 1, bbox: { x: 50, y: 50, width: 500, height: 20 } },
+        { type: 'paragraph', text: 'Below.', page: 1, bbox: { x: 50, y: 400, width: 500, height: 20 } },
+        { type: 'paragraph', text: 'Page two.', page: 2, bbox: { x: 50, y: 50, width: 500, height: 20 } }
+    ], [1, 2]);
+    const crop = (y) => ({ bbox: { x: 100, y, width: 100, height: 100 }, blob: new Blob([]), mimeType: 'image/png', width: 200, height: 200 });
+    const images = addImagesToDocument(doc, new Map([[1, [crop(100)]], [2, [crop(200), crop(10)]]]), { directory: 'img/' });
+    assert.deepEqual(images.map(image => image.path), ['img/page-1-fig-1.png', 'img/page-2-fig-1.png', 'img/page-2-fig-2.png']);
+    assert.deepEqual(doc.pages[0].blocks.map(block => block.text || block.alt), ['Above.', 'Figure 1', 'Below.']);
+    assert.deepEqual(doc.pages[1].blocks.map(block => block.text || block.alt), ['Figure 2', 'Page two.', 'Figure 3']);
+    assert.equal(doc.pages[1].blocks[0].src, 'img/page-2-fig-1.png');
+});
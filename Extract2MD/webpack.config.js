@@ -1,11 +1,12 @@
 import path from 'path';
 import CopyWebpackPlugin from 'copy-webpack-plugin';
+import webpack from 'webpack';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export default {
+const browserConfig = {
   mode: 'production', // or 'development'
   entry: './src/index.js',
   output: {
@@ -63,3 +64,38 @@ export default {
   //   '@mlc-ai/web-llm': 'webLLM' 
   // }
 };
+
+// CommonJS build of the Node entry (src/node.js) for require('extract2md/node').
+// Dependencies stay external, except pdf.js, which only ships ES modules.
+const nodeConfig = {
+  mode: 'production',
+  target: 'node',
+  entry: './src/node.js',
+  output: {
+    path: path.resolve(__dirname, 'dist'),
+    filename: 'extract2md.node.cjs',
+    library: { type: 'commonjs2' },
+  },
+  externalsPresets: { node: true },
+  externals: {
+    'tesseract.js': 'commonjs tesseract.js',
+    '@mlc-ai/web-llm': 'commonjs @mlc-ai/web-llm',
+  },
+  module: {
+    // Node has no Web Workers, so Extract2MDWorkerClient's worker script is not bundled
+    parser: { javascript: { worker: false, url: false } },
+  },
+  plugins: [
+    // import.meta.url would be fixed at build time; resolve it against the bundle when it runs
+    new webpack.BannerPlugin({ banner: 'const __extract2mdModuleUrl = require("url").pathToFileURL(__filename).href;', raw: true }),
+    new webpack.DefinePlugin({ 'import.meta.url': '__extract2mdModuleUrl' }),
+  ],
+  optimization: {
+    minimize: false,
+    // pdf.js is a webpack bundle itself; concatenating it would clash with this bundle's runtime
+    concatenateModules: false,
+  },
+  node: { __filename: false, __dirname: false },
+};
+
+export default [browserConfig, nodeConfig];
@@ -0,0 +1,92 @@
+"use client";
+
+import React from 'react';
+import { type FidelityReport, type FidelityDiscrepancy } from 'extract2md';
+
+interface FidelityReviewProps {
+    report: FidelityReport;
+    reverted: Set<number>;
+    edited: boolean; // The output was edited by hand, so a choice here would replace the edits
+    onToggleChange: (changeIndex: number) => void;
+    onSetAll: (revert: boolean) => void;
+}
+
+const KIND_LABELS: Record<FidelityDiscrepancy['kind'], string> = {
+    number: 'Number',
+    'proper-noun': 'Name',
+    sentence: 'Sentence',
+};
+
+const scoreClass = (score: number): string => (score >= 0.9 ? 'fidelity-good' : score >= 0.7 ? 'fidelity-fair' : 'fidelity-poor');
+
+// Side-by-side review of an LLM rewrite against the OCR text: every changed block can be accepted
+// or reverted, and the numbers, names and sentences that were dropped or invented are flagged.
+const FidelityReview: React.FC<FidelityReviewProps> = ({ report, reverted, edited, onToggleChange, onSetAll }) => {
+    const flagsByChange = new Map<number, FidelityDiscrepancy[]>();
+    for (const discrepancy of report.discrepancies) {
+        flagsByChange.set(discrepancy.changeIndex, [...(flagsByChange.get(discrepancy.changeIndex) || []), discrepancy]);
+    }
+    const changedIndices = report.changes.map((change, i) => (change.type === 'equal' ? -1 : i)).filter(i => i !== -1);
+
+    return (
+        <section className="review-section card" aria-labelledby="review-heading">
+            <h2 id="review-heading">4. Review LLM Changes</h2>
+            <p>
+                Fidelity: <strong className={scoreClass(report.score)}>{(report.score * 100).toFixed(0)}%</strong>
+                {' '}({report.discrepancies.length} flagged, {changedIndices.length} of {report.changes.length} blocks changed)
+            </p>
+            <ul className="fidelity-metrics">
+                {(Object.keys(report.metrics) as Array<keyof FidelityReport['metrics']>).map(kind => (
+                    <li key={kind}>
+                        {KIND_LABELS[kind]}s: {report.metrics[kind].missing} missing, {report.metrics[kind].added} added
+                    </li>
+                ))}
+            </ul>
+            {edited && changedIndices.length > 0 && (
+                <p className="review-edited-note">The output has been edited by hand. Accepting or reverting a change rebuilds it from the review and replaces those edits.</p>
+            )}
+            {changedIndices.length > 0 && (
+                <div>
+                    <button className="button secondary-button" onClick={() => onSetAll(false)}>Accept all</button>
+                    <button className="button secondary-button review-revert-all" onClick={() => onSetAll(true)}>Revert all</button>
+                </div>
+            )}
+            <div className="diff-table" role="table" aria-label="OCR text and LLM output side by side">
+                <div className="diff-row diff-header" role="row">
+                    <div role="columnheader">OCR text</div>
+                    <div role="columnheader">LLM output</div>
+                    <div role="columnheader"></div>
+                </div>
+                {changedIndices.map(i => {
+                    const change = report.changes[i];
+                    const flags = flagsByChange.get(i) || [];
+                    const isReverted = reverted.has(i);
+                    return (
+                        <div key={i} className={`diff-row diff-${change.type}${isReverted ? ' diff-reverted' : ''}`} role="row">
+                            <div className="diff-source" role="cell">{change.source ?? <em>(not in OCR text)</em>}</div>
+                            <div className="diff-output" role="cell">
+                                {change.output ?? <em>(dropped by the LLM)</em>}
+                                {flags.length > 0 && (
+                                    <ul className="diff-flags">
+                                        {flags.map((flag, j) => (
+                                            <li key={j}>
+                                                {flag.change === 'missing' ? 'Missing' : 'Added'} {KIND_LABELS[flag.kind].toLowerCase()}: <code>{flag.text}</code>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                            <div role="cell">
+                                <button className="button secondary-button" onClick={() => onToggleChange(i)} aria-pressed={isReverted}>
+                                    {isReverted ? 'Accept' : 'Revert'}
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </section>
+    );
+};
+
+export default FidelityReview;
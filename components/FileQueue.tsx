@@ -0,0 +1,114 @@
+"use client";
+
+import React from 'react';
+import { type Extract2MDDocument, type ExtractedImage, type FidelityReport, type RemovedHeaderFooterLine } from 'extract2md';
+
+export type ConversionMode = 'quick' | 'ocr' | 'smart';
+
+// Settings chosen per file; the LLM task and the output options apply to the whole queue.
+export interface FileSettings {
+    mode: ConversionMode;
+    language: string;
+    useLLM: boolean;
+}
+
+export type QueueStatus = 'queued' | 'processing' | 'done' | 'error' | 'cancelled';
+
+export interface QueueItem {
+    id: number;
+    file: File;
+    name: string; // File name without .pdf, for the downloads
+    settings: FileSettings;
+    status: QueueStatus;
+    message: string; // Latest progress message, or why the file failed
+    progress: number | null; // 0-1 while processing, when known
+    output: string;
+    outputIsJson: boolean;
+    sourceText: string; // The converted text the LLM task started from
+    document: Extract2MDDocument | null; // Where each block came from, for the preview
+    password: string | null; // The password the PDF was opened with, to render its pages
+    images: ExtractedImage[];
+    removedHeadersFooters: RemovedHeaderFooterLine[];
+    fidelityReport: FidelityReport | null;
+    revertedChanges: Set<number>;
+    edited: boolean; // The output was changed by hand since the last review choice
+}
+
+export const MODE_LABELS: Record<ConversionMode, string> = {
+    quick: 'Quick (text layer)',
+    ocr: 'OCR every page',
+    smart: 'Smart (OCR when needed)',
+};
+
+export const LANGUAGE_LABELS: Record<string, string> = {
+    eng: 'English (eng)',
+    sin: 'Sinhala (sin)',
+};
+
+const STATUS_LABELS: Record<QueueStatus, string> = {
+    queued: 'Queued',
+    processing: 'Processing',
+    done: 'Done',
+    error: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+interface FileQueueProps {
+    items: QueueItem[];
+    selectedId: number | null;
+    onSelect: (id: number) => void;
+    onChangeSettings: (id: number, settings: Partial<FileSettings>) => void;
+    onRetry: (id: number) => void;
+    onRemove: (id: number) => void;
+    onDownload: (id: number) => void;
+}
+
+// The files waiting, running and converted, each with its own settings, status and progress. Settings
+// can be changed whenever a file is not being processed, so a converted file can be retried with others.
+const FileQueue: React.FC<FileQueueProps> = ({ items, selectedId, onSelect, onChangeSettings, onRetry, onRemove, onDownload }) => (
+    <ul className="file-queue" aria-label="PDF queue">
+        {items.map(item => {
+            const editable = item.status !== 'processing';
+            return (
+                <li key={item.id} className={`queue-item queue-${item.status}${item.id === selectedId ? ' queue-selected' : ''}`}>
+                    <div className="queue-item-header">
+                        <button type="button" className="queue-item-name" onClick={() => onSelect(item.id)} aria-pressed={item.id === selectedId} title="Show the output of this file">
+                            {item.file.name}
+                        </button>
+                        <span className="queue-status">{STATUS_LABELS[item.status]}</span>
+                    </div>
+                    <div className="queue-item-settings">
+                        <select aria-label={`Conversion mode for ${item.file.name}`} value={item.settings.mode} disabled={!editable} onChange={(e) => onChangeSettings(item.id, { mode: e.target.value as ConversionMode })}>
+                            {(Object.keys(MODE_LABELS) as ConversionMode[]).map(mode => <option key={mode} value={mode}>{MODE_LABELS[mode]}</option>)}
+                        </select>
+                        <select aria-label={`OCR language for ${item.file.name}`} value={item.settings.language} disabled={!editable || item.settings.mode === 'quick'} onChange={(e) => onChangeSettings(item.id, { language: e.target.value })}>
+                            {Object.entries(LANGUAGE_LABELS).map(([language, label]) => <option key={language} value={language}>{label}</option>)}
+                        </select>
+                        <label>
+                            <input type="checkbox" checked={item.settings.useLLM} disabled={!editable} onChange={(e) => onChangeSettings(item.id, { useLLM: e.target.checked })} /> LLM task
+                        </label>
+                    </div>
+                    {item.status === 'processing' && (
+                        <progress className="queue-progress" max={1} value={item.progress ?? undefined} aria-label={`Progress of ${item.file.name}`} />
+                    )}
+                    {item.message && <p className="queue-message">{item.message}</p>}
+                    <div className="queue-item-actions">
+                        {(item.status === 'error' || item.status === 'cancelled' || item.status === 'done') && (
+                            <button type="button" className="button primary-button" onClick={() => onRetry(item.id)} title="Queue this file again with its current settings">Retry</button>
+                        )}
+                        {item.status === 'done' && (
+                            <button type="button" className="button secondary-button" onClick={() => onDownload(item.id)}>
+                                Download {item.images.length > 0 && !item.outputIsJson ? '(.zip)' : item.outputIsJson ? 'JSON' : 'Markdown'}
+                            </button>
+                        )}
+                        {item.status !== 'processing' && (
+                            <button type="button" className="button cancel-button" onClick={() => onRemove(item.id)}>Remove</button>
+                        )}
+                    </div>
+                </li>
+            );
+        })}
+    </ul>
+);
+
+export default FileQueue;
@@ -0,0 +1,138 @@
+"use client";
+
+import React from 'react';
+import Image from 'next/image';
+import { type Inline, type PreviewBlock, type PreviewList } from 'extract2md';
+
+// An extracted image as the preview shows it: an object URL and its size in pixels.
+export interface PreviewImage {
+    url: string;
+    width: number;
+    height: number;
+}
+
+interface MarkdownPreviewProps {
+    blocks: PreviewBlock[];
+    images: Map<string, PreviewImage>; // The extracted images, by the path the Markdown uses
+    selectedIndex: number | null;
+    onSelectBlock: (index: number) => void;
+    onFollowAnchor: (anchor: string) => void; // A link within the document (#anchor)
+}
+
+// Links the preview may open: web and mail links. Others are shown as their text.
+const isSafeHref = (href: string) => /^(https?:|mailto:)/i.test(href);
+
+const renderInline = (inlines: Inline[], props: MarkdownPreviewProps): React.ReactNode[] => inlines.map((inline, i) => {
+    switch (inline.type) {
+        case 'text':
+            return inline.text;
+        case 'strong':
+            return <strong key={i}>{renderInline(inline.children, props)}</strong>;
+        case 'em':
+            return <em key={i}>{renderInline(inline.children, props)}</em>;
+        case 'del':
+            return <del key={i}>{renderInline(inline.children, props)}</del>;
+        case 'code':
+            return <code key={i}>{inline.text}</code>;
+        case 'break':
+            return <br key={i} />;
+        case 'footnoteRef':
+            return (
+                <sup key={i}>
+                    <a href={`#fn-${inline.label}`} onClick={(e) => { e.preventDefault(); props.onFollowAnchor(`fn-${inline.label}`); }}>[{inline.label}]</a>
+                </sup>
+            );
+        case 'image': {
+            const image = props.images.get(inline.src);
+            // The images are blob: URLs of extracted figures, which the image optimizer cannot fetch.
+            return image ? <Image key={i} src={image.url} alt={inline.alt} width={image.width} height={image.height} unoptimized /> : <span key={i} className="preview-missing-image">[Image: {inline.alt || inline.src}]</span>;
+        }
+        case 'link':
+            if (inline.href.startsWith('#')) {
+                const anchor = decodeURIComponent(inline.href.slice(1));
+                return <a key={i} href={inline.href} onClick={(e) => { e.preventDefault(); props.onFollowAnchor(anchor); }}>{renderInline(inline.children, props)}</a>;
+            }
+            if (!isSafeHref(inline.href)) return <React.Fragment key={i}>{renderInline(inline.children, props)}</React.Fragment>;
+            return <a key={i} href={inline.href} target="_blank" rel="noopener noreferrer">{renderInline(inline.children, props)}</a>;
+        default:
+            return null;
+    }
+});
+
+const renderList = (list: PreviewList, props: MarkdownPreviewProps): React.ReactNode => {
+    const items = list.items.map((item, i) => (
+        <li key={i}>
+            {renderInline(item.content, props)}
+            {item.children && renderList(item.children, props)}
+        </li>
+    ));
+    return list.ordered ? <ol start={list.start}>{items}</ol> : <ul>{items}</ul>;
+};
+
+const renderBlockContent = (block: PreviewBlock, props: MarkdownPreviewProps): React.ReactNode => {
+    switch (block.type) {
+        case 'heading':
+            return React.createElement(`h${block.level}`, null, renderInline(block.content, props));
+        case 'paragraph':
+            return <p>{renderInline(block.content, props)}</p>;
+        case 'list':
+            return renderList(block.list, props);
+        case 'table':
+            return (
+                <table>
+                    <thead>
+                        <tr>{block.header.map((cell, i) => <th key={i} style={{ textAlign: block.align[i] || undefined }}>{renderInline(cell, props)}</th>)}</tr>
+                    </thead>
+                    <tbody>
+                        {block.rows.map((row, r) => (
+                            <tr key={r}>{row.map((cell, i) => <td key={i} style={{ textAlign: block.align[i] || undefined }}>{renderInline(cell, props)}</td>)}</tr>
+                        ))}
+                    </tbody>
+                </table>
+            );
+        case 'code':
+            return <pre><code>{block.text}</code></pre>;
+        case 'quote':
+            return <blockquote>{renderInline(block.content, props)}</blockquote>;
+        case 'rule':
+            return <hr />;
+        case 'footnote':
+            return <p className="preview-footnote"><sup>{block.label}</sup> {renderInline(block.content, props)}</p>;
+        case 'frontMatter':
+            return <pre className="preview-front-matter">{block.text}</pre>;
+        case 'pageMarker':
+            return <p className="preview-page-marker">Page {block.pageNumber}</p>;
+        case 'html':
+            return <pre className="preview-html">{block.text}</pre>;
+        default:
+            return null;
+    }
+};
+
+// The Markdown rendered from parsed blocks, without injecting any of it as HTML. Each block can be
+// clicked to show where it came from in the PDF; the blocks carry their page (data-page) and
+// anchor (data-anchor) so the review can scroll to them.
+const MarkdownPreview: React.FC<MarkdownPreviewProps> = (props) => (
+    <div className="markdown-preview-content">
+        {props.blocks.map((block, i) => {
+            // HTML comments, which the converter uses for page markers, show nothing.
+            if (block.type === 'html' && /^\s*<!--[\s\S]*-->\s*$/.test(block.text)) return null;
+            const anchor = block.type === 'heading' ? block.anchor : block.type === 'footnote' ? `fn-${block.label}` : undefined;
+            return (
+                <div
+                    key={i}
+                    className={`preview-block${i === props.selectedIndex ? ' preview-block-selected' : ''}${block.bbox ? ' preview-block-located' : ''}`}
+                    data-block-index={i}
+                    data-page={block.page ?? undefined}
+                    data-anchor={anchor}
+                    onClick={() => props.onSelectBlock(i)}
+                    title={block.page ? `From page ${block.page}` : undefined}
+                >
+                    {renderBlockContent(block, props)}
+                </div>
+            );
+        })}
+    </div>
+);
+
+export default MarkdownPreview;
@@ -0,0 +1,94 @@
+"use client";
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { locateBlocks, parseMarkdown, type Extract2MDDocument, type Extract2MDWorkerClient, type ExtractedImage } from 'extract2md';
+import MarkdownPreview, { type PreviewImage } from '@/components/MarkdownPreview';
+import PdfPageView from '@/components/PdfPageView';
+
+interface MarkdownReviewProps {
+    converter: Extract2MDWorkerClient;
+    file: File;
+    password: string | null;
+    document: Extract2MDDocument;
+    markdown: string;
+    images: ExtractedImage[];
+}
+
+// The rendered Markdown next to the PDF page it came from. Scrolling the preview turns the PDF to
+// the page of the block at the top, turning the page scrolls the preview to it, and clicking a block
+// highlights its region on the page.
+const MarkdownReview: React.FC<MarkdownReviewProps> = ({ converter, file, password, document, markdown, images }) => {
+    const pages = useMemo(() => document.pages.map(page => page.pageNumber), [document]);
+    const blocks = useMemo(() => locateBlocks(parseMarkdown(markdown), document), [markdown, document]);
+    const [pageNumber, setPageNumber] = useState<number>(pages[0] ?? 1);
+    const [selectedIndex, setSelectedIndex] = useState<number | null>(null);
+    const [previewImages, setPreviewImages] = useState<Map<string, PreviewImage>>(new Map());
+    const previewRef = useRef<HTMLDivElement | null>(null);
+    const scrollFrameRef = useRef<number | null>(null);
+
+    useEffect(() => {
+        const previews = new Map(images.map(image => [image.path, { url: URL.createObjectURL(image.blob), width: image.width, height: image.height }]));
+        setPreviewImages(previews);
+        return () => previews.forEach(preview => URL.revokeObjectURL(preview.url));
+    }, [images]);
+
+    useEffect(() => () => {
+        if (scrollFrameRef.current !== null) cancelAnimationFrame(scrollFrameRef.current);
+    }, []);
+
+    const scrollPreviewTo = (element: Element | null) => {
+        const preview = previewRef.current;
+        if (preview && element instanceof HTMLElement) preview.scrollTop = element.offsetTop;
+    };
+
+    // The page of the first block at the top of the preview, once per frame while scrolling.
+    const handlePreviewScroll = () => {
+        if (scrollFrameRef.current !== null) return;
+        scrollFrameRef.current = requestAnimationFrame(() => {
+            scrollFrameRef.current = null;
+            const preview = previewRef.current;
+            if (!preview) return;
+            const top = preview.getBoundingClientRect().top;
+            const visible = Array.from(preview.querySelectorAll<HTMLElement>('[data-page]'))
+                .find(element => element.getBoundingClientRect().bottom > top + 1);
+            const page = visible ? Number(visible.dataset.page) : NaN;
+            if (!Number.isNaN(page)) setPageNumber(page);
+        });
+    };
+
+    const handleChangePage = (page: number) => {
+        setPageNumber(page);
+        setSelectedIndex(null);
+        scrollPreviewTo(previewRef.current && previewRef.current.querySelector(`[data-page="${page}"]`));
+    };
+
+    const handleSelectBlock = (index: number) => {
+        setSelectedIndex(index);
+        const page = blocks[index] ? blocks[index].page : null;
+        if (page !== null) setPageNumber(page);
+    };
+
+    // Links to headings and footnotes scroll the preview; links to page anchors turn the page.
+    const handleFollowAnchor = (anchor: string) => {
+        const pageAnchor = anchor.match(/^page-(\d+)$/);
+        if (pageAnchor) {
+            handleChangePage(Number(pageAnchor[1]));
+            return;
+        }
+        scrollPreviewTo(previewRef.current && previewRef.current.querySelector(`[data-anchor="${CSS.escape(anchor)}"]`));
+    };
+
+    const selectedBlock = selectedIndex !== null ? blocks[selectedIndex] : null;
+    const highlight = selectedBlock && selectedBlock.page === pageNumber ? selectedBlock.bbox : null;
+
+    return (
+        <div className="markdown-review">
+            <PdfPageView converter={converter} file={file} password={password} pages={pages} pageNumber={pageNumber} highlight={highlight} onChangePage={handleChangePage} />
+            <div className="markdown-preview" ref={previewRef} onScroll={handlePreviewScroll} aria-label="Rendered Markdown preview">
+                <MarkdownPreview blocks={blocks} images={previewImages} selectedIndex={selectedIndex} onSelectBlock={handleSelectBlock} onFollowAnchor={handleFollowAnchor} />
+            </div>
+        </div>
+    );
+};
+
+export default MarkdownReview;
@@ -1,179 +1,635 @@
 "use client";
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import Head from 'next/head';
-import Extract2MDConverter, { type ProgressReport } from 'extract2md'; // Assuming ProgressReport is now available from the .d.ts file
+import { Extract2MDWorkerClient, applyChanges, createMarkdownBundle, createZip, Extract2MDError, PasswordResponses, type ProgressReport, type ModelInfo, type LLMTaskName, type JsonSchema, type ExtractedImage, type Extract2MDDocument, type SmartConvertOptions } from 'extract2md';
+import FidelityReview from '@/components/FidelityReview';
+import FileQueue, { MODE_LABELS, LANGUAGE_LABELS, type ConversionMode, type FileSettings, type QueueItem } from '@/components/FileQueue';
+import MarkdownReview from '@/components/MarkdownReview';
+
+// llmRewrite errors (AbortError, LLMRewriteError) carry the output generated before they were thrown.
+const partialTextOf = (error: unknown): string =>
+    error instanceof Error && 'partialText' in error && typeof error.partialText === 'string' ? error.partialText : '';
+
+// Messages for the converter's typed errors, by error code; other errors show their own message.
+const ERROR_MESSAGES: Record<string, string> = {
+    PDF_PASSWORD_REQUIRED: 'This PDF is password-protected. Process it again and enter its password.',
+    PDF_PASSWORD_INCORRECT: 'The password is incorrect.',
+    PDF_ENCRYPTION_UNSUPPORTED: 'This PDF uses an encryption method that cannot be decrypted in the browser.',
+    NOT_A_PDF: 'The file is not a PDF.',
+    PDF_CORRUPT: 'The PDF is damaged and cannot be read.',
+    WORKER_LOAD_FAILED: 'A conversion component (pdf.js or Tesseract) could not be loaded. Check your connection and reload the page.',
+    OUT_OF_MEMORY: 'The browser ran out of memory. Try fewer pages at a time.',
+};
+
+const errorMessageOf = (error: unknown): string => {
+    if (error instanceof Extract2MDError && ERROR_MESSAGES[error.code]) return ERROR_MESSAGES[error.code];
+    return error instanceof Error ? error.message : String(error);
+};
+
+const DEFAULT_LLM_MODEL = 'Qwen3-0.6B-q4f16_1-MLC';
+
+const downloadBlob = (blob: Blob, fileName: string) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+const DEFAULT_EXTRACT_SCHEMA = JSON.stringify({
+    type: 'object',
+    properties: {
+        title: { type: 'string' },
+        authors: { type: 'array', items: { type: 'string' } },
+        date: { type: 'string' }
+    },
+    required: ['title']
+}, null, 2);
+
+// The LLM task settings a queue run uses for every file with the LLM task turned on.
+interface LLMTaskSettings {
+    task: LLMTaskName;
+    model: string;
+    schema: JsonSchema | null;
+    targetLanguage: string;
+    summaryStyle: 'abstract' | 'tldr';
+}
+
+// A file's results before it is processed, and again when it is retried.
+const EMPTY_RESULT = {
+    progress: null,
+    output: '',
+    outputIsJson: false,
+    sourceText: '',
+    document: null,
+    password: null,
+    images: [] as ExtractedImage[],
+    removedHeadersFooters: [],
+    fidelityReport: null,
+    revertedChanges: new Set<number>(),
+    edited: false,
+};
+
+const isPdfFile = (file: File) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+
+// Converts a file with the method for its mode, with its figures when withImages is set. The document
+// tree comes along so the preview can show where each block is in the PDF.
+const convertFile = async (converter: Extract2MDWorkerClient, mode: ConversionMode, file: File, options: SmartConvertOptions, withImages: boolean): Promise<{ markdown: string; images: ExtractedImage[]; document: Extract2MDDocument }> => {
+    const documentOptions = { ...options, includeDocument: true as const, extractImages: withImages };
+    const result = mode === 'quick' ? await converter.quickConvert(file, documentOptions)
+        : mode === 'ocr' ? await converter.highAccuracyConvert(file, documentOptions)
+        : await converter.smartConvert(file, documentOptions);
+    return { markdown: result.markdown, images: result.images || [], document: result.document };
+};
 
 const PdfConverterPage: React.FC = () => {
-    const [pdfFile, setPdfFile] = useState<File | null>(null);
-    const [ocrLanguage, setOcrLanguage] = useState<string>('eng');
-    const [markdownOutput, setMarkdownOutput] = useState<string>('');
+    const [queue, setQueue] = useState<QueueItem[]>([]);
+    const [selectedId, setSelectedId] = useState<number | null>(null);
+    const [newFileSettings, setNewFileSettings] = useState<FileSettings>({ mode: 'ocr', language: 'eng', useLLM: true });
+    const [isDragging, setIsDragging] = useState<boolean>(false);
+    const [pageRange, setPageRange] = useState<string>('');
+    const [pageMarkers, setPageMarkers] = useState<boolean>(false);
+    const [tableOfContents, setTableOfContents] = useState<boolean>(false);
+    const [frontMatter, setFrontMatter] = useState<boolean>(false);
+    const [extractImages, setExtractImages] = useState<boolean>(false);
+    const [keepHeadersFooters, setKeepHeadersFooters] = useState<boolean>(false);
+    const [llmModel, setLlmModel] = useState<string>(DEFAULT_LLM_MODEL);
+    const [availableModels, setAvailableModels] = useState<ModelInfo[]>([]);
+    const [modelProblems, setModelProblems] = useState<string[]>([]);
+    const [llmTask, setLlmTask] = useState<LLMTaskName>('rewrite');
+    const [targetLanguage, setTargetLanguage] = useState<string>('French');
+    const [summaryStyle, setSummaryStyle] = useState<'abstract' | 'tldr'>('abstract');
+    const [extractSchema, setExtractSchema] = useState<string>(DEFAULT_EXTRACT_SCHEMA);
     const [isProcessing, setIsProcessing] = useState<boolean>(false);
     const [progressMessage, setProgressMessage] = useState<string>('');
-    const [staticProgressMessage, setStaticProgressMessage] = useState<string>('Please select a PDF file, choose OCR language, and click "Process PDF".');
-    const [originalFileName, setOriginalFileName] = useState<string>('converted');
-    
-    const converterRef = useRef<Extract2MDConverter | null>(null);
+    const [staticProgressMessage, setStaticProgressMessage] = useState<string>('Add PDF files, choose how each is converted, and click "Process queue".');
+    const [passwordPrompt, setPasswordPrompt] = useState<{ fileName: string; incorrect: boolean } | null>(null);
+    const [passwordInput, setPasswordInput] = useState<string>('');
+    const [outputView, setOutputView] = useState<'preview' | 'markdown'>('preview');
+    const passwordResolverRef = useRef<((password: string | null) => void) | null>(null);
+
+    // The queue is read by the running conversion loop as well as rendered, so it is kept in a ref too.
+    const queueRef = useRef<QueueItem[]>([]);
+    const nextItemIdRef = useRef<number>(1);
+    const runningRef = useRef<boolean>(false);
+    const stopRequestedRef = useRef<boolean>(false);
+    const currentItemIdRef = useRef<number | null>(null); // The file progress reports belong to
+
+    const converterRef = useRef<Extract2MDWorkerClient | null>(null);
+    const abortControllerRef = useRef<AbortController | null>(null);
+    const outputRef = useRef<HTMLTextAreaElement | null>(null);
     const [converterInitialized, setConverterInitialized] = useState<boolean>(false);
     const [initializationError, setInitializationError] = useState<string>('');
-    const DEFAULT_LLM_MODEL = 'Qwen3-0.6B-q4f16_1-MLC';
+
+    const updateQueue = useCallback((update: (items: QueueItem[]) => QueueItem[]) => {
+        queueRef.current = update(queueRef.current);
+        setQueue(queueRef.current);
+    }, []);
+
+    const updateItem = useCallback((id: number, changes: Partial<QueueItem>) => {
+        updateQueue(items => items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+    }, [updateQueue]);
 
     useEffect(() => {
+        let instance: Extract2MDWorkerClient | null = null;
         try {
+            // The converter runs in a Web Worker so large PDFs do not freeze the page. One converter
+            // serves the whole queue, so the OCR workers and the LLM are loaded once for all files.
             // IMPORTANT: Paths now reference the public folder
-            const instance = new Extract2MDConverter({
+            instance = new Extract2MDWorkerClient({
                 pdfJsWorkerSrc: '/extract2md_assets/pdf.worker.min.mjs', // Corrected to .mjs
                 tesseractWorkerPath: '/extract2md_assets/assets/tesseract-worker.min.js',
                 tesseractCorePath: '/extract2md_assets/assets/tesseract-core.wasm.js',
                 tesseractLangPath: '/extract2md_assets/assets/lang-data/',
                 splitPascalCase: false,
-                llmModel: DEFAULT_LLM_MODEL, // Explicitly set the LLM model
+                llmModel: DEFAULT_LLM_MODEL, // Default; the model picker's choice is passed to each LLM task
                 progressCallback: (progressInfo: ProgressReport) => {
                     console.log(`[UI Progress] ${progressInfo.stage}: ${progressInfo.message}`, progressInfo.progress !== undefined ? (progressInfo.progress * 100).toFixed(1) + '%' : '');
-                    setProgressMessage(`${progressInfo.message}${progressInfo.progress !== undefined ? ` (${(progressInfo.progress * 100).toFixed(0)}%)` : ''}`);
+                    const itemId = currentItemIdRef.current;
+                    if (itemId === null) return;
+                    const progress = progressInfo.progress !== undefined ? progressInfo.progress
+                        : progressInfo.currentPage && progressInfo.totalPages ? progressInfo.currentPage / progressInfo.totalPages
+                        : undefined;
+                    updateItem(itemId, {
+                        message: `${progressInfo.message}${progressInfo.progress !== undefined ? ` (${(progressInfo.progress * 100).toFixed(0)}%)` : ''}`,
+                        ...(progress !== undefined ? { progress } : {}),
+                        ...(progressInfo.stage === 'headers_footers_removed' && progressInfo.removed ? { removedHeadersFooters: progressInfo.removed } : {}),
+                    });
                 }
             });
             converterRef.current = instance;
+            setAvailableModels(instance.modelRegistry.list());
             setConverterInitialized(true);
-            console.log('Extract2MDConverter initialized successfully');
+            console.log('Extract2MDWorkerClient initialized successfully');
         } catch (err) {
-            console.error("Failed to initialize Extract2MDConverter:", err);
+            console.error("Failed to initialize Extract2MDWorkerClient:", err);
             const errorMsg = `Error: Could not initialize PDF converter. Ensure 'extract2md' is installed and assets are correctly placed in public/extract2md_assets/. Details: ${err instanceof Error ? err.message : String(err)}`;
             setInitializationError(errorMsg);
             setStaticProgressMessage(errorMsg);
         }
-    }, []);
+        return () => {
+            // OCR workers and the LLM outlive individual files; release them and the worker with the component.
+            instance?.dispose().catch(err => console.warn('Failed to dispose Extract2MDWorkerClient:', err));
+        };
+    }, [updateItem]);
 
-    const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
-        const files = event.target.files;
-        if (files && files.length > 0) {
-            const file = files[0];
-            setPdfFile(file);
-            setOriginalFileName(file.name.substring(0, file.name.lastIndexOf('.')) || 'converted');
-            setMarkdownOutput('');
-            setStaticProgressMessage(`File selected: ${file.name}. Ready to process.`);
-            setProgressMessage('');
-        } else {
-            setPdfFile(null);
-            setStaticProgressMessage('No file selected. Please select a PDF file.');
-        }
-    };
+    // Warn about a model this browser cannot run before anything is downloaded.
+    useEffect(() => {
+        const converter = converterRef.current;
+        if (!converter || !converterInitialized) return;
+        let stale = false;
+        converter.modelRegistry.validate(llmModel)
+            .then(({ problems }) => { if (!stale) setModelProblems(problems); })
+            .catch(err => console.warn('Failed to validate LLM model:', err));
+        return () => { stale = true; };
+    }, [llmModel, converterInitialized]);
 
-    const handleProcessPdf = async () => {
-        if (!pdfFile) {
-            alert('Please select a PDF file first.');
-            return;
+    const selectedItem = queue.find(item => item.id === selectedId) || null;
+    const selectedOutput = selectedItem ? selectedItem.output : '';
+    const selectedIsProcessing = !!selectedItem && selectedItem.status === 'processing';
+
+    // Follow the streamed rewrite as it grows.
+    useEffect(() => {
+        if (selectedIsProcessing && outputRef.current) outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }, [selectedOutput, selectedIsProcessing]);
+
+    // Adds the PDFs among the files to the queue with the settings for new files.
+    const addFiles = (files: File[]) => {
+        const pdfs = files.filter(isPdfFile);
+        const skipped = files.length - pdfs.length;
+        if (pdfs.length > 0) {
+            const items: QueueItem[] = pdfs.map(file => ({
+                ...EMPTY_RESULT,
+                id: nextItemIdRef.current++,
+                file,
+                name: file.name.substring(0, file.name.lastIndexOf('.')) || 'converted',
+                settings: { ...newFileSettings },
+                status: 'queued',
+                message: '',
+            }));
+            updateQueue(current => [...current, ...items]);
+            if (selectedId === null) setSelectedId(items[0].id);
         }
-        if (!converterRef.current || !converterInitialized) {
-             alert(`Converter not initialized. ${initializationError || 'Please wait or check console for errors.'}`);
-             return;
+        if (!runningRef.current) {
+            setStaticProgressMessage(`${pdfs.length > 0 ? `Added ${pdfs.length} PDF${pdfs.length > 1 ? 's' : ''} to the queue.` : 'No PDFs added.'}${skipped > 0 ? ` Skipped ${skipped} file${skipped > 1 ? 's' : ''} that ${skipped > 1 ? 'are' : 'is'} not a PDF.` : ''}`);
         }
+    };
 
-        setIsProcessing(true);
-        setMarkdownOutput('');
-        setStaticProgressMessage('');
-        setProgressMessage('Starting processing...');
+    const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+        addFiles(Array.from(event.target.files || []));
+        event.target.value = ''; // So the same file can be added again
+    };
+
+    const handleDrop = (event: React.DragEvent<HTMLDivElement>) => {
+        event.preventDefault();
+        setIsDragging(false);
+        addFiles(Array.from(event.dataTransfer.files));
+    };
+
+    // Passed to the converter as onPassword: shows the password prompt and resolves with what is
+    // entered, or with null when the prompt is cancelled.
+    const requestPassword = (fileName: string, reason: number) => new Promise<string | null>(resolve => {
+        passwordResolverRef.current = resolve;
+        setPasswordInput('');
+        setPasswordPrompt({ fileName, incorrect: reason === PasswordResponses.INCORRECT_PASSWORD });
+    });
 
+    const answerPasswordPrompt = (password: string | null) => {
+        passwordResolverRef.current?.(password);
+        passwordResolverRef.current = null;
+        setPasswordPrompt(null);
+        setPasswordInput('');
+    };
+
+    // Converts one file and runs the LLM task on it. Failures are recorded on the file, so the
+    // queue goes on with the next one.
+    const processItem = async (converter: Extract2MDWorkerClient, item: QueueItem, task: LLMTaskSettings) => {
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        const { signal } = abortController;
+        const { mode, language, useLLM } = item.settings;
+        currentItemIdRef.current = item.id;
+        setSelectedId(item.id);
+        updateItem(item.id, { ...EMPTY_RESULT, status: 'processing', message: `Extracting text (${MODE_LABELS[mode]}${mode === 'quick' ? '' : `, lang: ${language}`})...` });
+        setProgressMessage(`Processing ${item.file.name}...`);
+
+        let password: string | null = null;
         try {
-            setProgressMessage(`Extracting text using high-accuracy OCR (lang: ${ocrLanguage})...`);
-            
-            const highAccuracyText = await converterRef.current.highAccuracyConvert(pdfFile, {
-                 tesseractLanguage: ocrLanguage,
-            });
-            
-            setProgressMessage('Text extracted. Now rewriting with LLM...');
-            
+            const convertOptions: SmartConvertOptions = {
+                 tesseractLanguage: language,
+                 pages: pageRange.trim() || undefined,
+                 pageMarkers: pageMarkers ? 'anchor' as const : false,
+                 removeHeadersFooters: !keepHeadersFooters,
+                 tableOfContents,
+                 frontMatter,
+                 onPassword: async (reason: number) => {
+                     password = await requestPassword(item.file.name, reason);
+                     return password;
+                 },
+                 signal,
+            };
+            const { markdown: extractedText, images, document } = await convertFile(converter, mode, item.file, convertOptions, extractImages);
+            updateItem(item.id, { output: extractedText, sourceText: extractedText, images, document, password });
+            if (!useLLM) {
+                updateItem(item.id, { status: 'done', progress: null, message: 'Converted.' });
+                return;
+            }
+
+            updateItem(item.id, { message: `Text extracted. Now running the LLM task "${task.task}"...`, progress: null });
             try {
-                console.log('About to call llmRewrite with text length:', highAccuracyText.length);
-const finalMarkdown = await converterRef.current.llmRewrite(highAccuracyText, {
-                    llmModel: DEFAULT_LLM_MODEL,
-                     chatOpts: {
+                console.log(`About to run LLM task ${task.task} with text length:`, extractedText.length);
+                const taskOptions = {
+                    llmModel: task.model,
+                    chatOpts: {
                         // Options that may be passed to WebLLM's ChatModule
                         temperature: 0.7,
                         max_gen_len: 2048,
-                    }
-                });
-                console.log('llmRewrite completed successfully');
-                setMarkdownOutput(finalMarkdown);
+                    },
+                    signal,
+                    onToken: (_token: string, text: string) => updateItem(item.id, { output: text }),
+                };
+                let finalOutput: string;
+                let outputIsJson = false;
+                if (task.task === 'extract' && task.schema) {
+                    const data = await converter.llmExtract(extractedText, { ...taskOptions, schema: task.schema });
+                    finalOutput = JSON.stringify(data, null, 2);
+                    outputIsJson = true;
+                } else if (task.task === 'translate') {
+                    finalOutput = await converter.llmTranslate(extractedText, { ...taskOptions, targetLanguage: task.targetLanguage });
+                } else if (task.task === 'summarize') {
+                    finalOutput = await converter.llmSummarize(extractedText, { ...taskOptions, style: task.summaryStyle });
+                } else {
+                    finalOutput = task.task === 'structure-fix'
+                        ? await converter.llmFixStructure(extractedText, taskOptions)
+                        : await converter.llmRewrite(extractedText, taskOptions);
+                }
+                console.log(`LLM task ${task.task} completed successfully`);
+                // Same-language output can be checked against the converted text for dropped or invented content.
+                const fidelityReport = task.task === 'rewrite' || task.task === 'structure-fix' ? await converter.checkFidelity(extractedText, finalOutput, { signal }) : null;
+                updateItem(item.id, { status: 'done', progress: null, message: 'Converted.', output: finalOutput, outputIsJson, fidelityReport });
             } catch (llmError) {
-                console.error('LLM rewrite failed, falling back to original text:', llmError);
-                // Fallback to original text if LLM fails
-                setMarkdownOutput(highAccuracyText);
-                setProgressMessage('LLM rewrite failed, using OCR text directly.');
+                const partialText = partialTextOf(llmError);
+                if (llmError instanceof Error && llmError.name === 'AbortError') {
+                    // Keep whatever was rewritten before the cancel.
+                    if (partialText) updateItem(item.id, { output: partialText });
+                    throw llmError;
+                }
+                if (partialText) {
+                    console.error('LLM rewrite failed part way, keeping the partial rewrite:', llmError);
+                    updateItem(item.id, { status: 'done', progress: null, output: partialText, message: 'LLM rewrite failed part way, keeping the partial rewrite.' });
+                } else {
+                    console.error('LLM task failed, falling back to original text:', llmError);
+                    // Fallback to original text if LLM fails
+                    updateItem(item.id, { status: 'done', progress: null, output: extractedText, message: `LLM task failed (${llmError instanceof Error ? llmError.message : String(llmError)}), using the extracted text directly.` });
+                }
+            }
+        } catch (error) {
+            if (error instanceof Error && error.name === 'AbortError') {
+                updateItem(item.id, { status: 'cancelled', progress: null, message: partialTextOf(error) ? 'Cancelled. The partial rewrite is kept below.' : 'Cancelled.' });
+                return;
             }
-            setProgressMessage('Processing complete!');
-            
-            await converterRef.current.unloadLLM();
-            setProgressMessage('Processing complete! LLM resources released.');
+            console.error(`Error while processing ${item.file.name}:`, error);
+            updateItem(item.id, { status: 'error', progress: null, message: `An error occurred: ${errorMessageOf(error)}` });
+        } finally {
+            abortControllerRef.current = null;
+            currentItemIdRef.current = null;
+        }
+    };
 
-            setTimeout(() => { 
-                 setStaticProgressMessage('Processing complete. View or download the Markdown.');
-                 setProgressMessage('');
-            }, 2000);
+    // Processes the queued files one after another until none is left or the run is cancelled.
+    // Files queued while it runs (added or retried) are processed in the same run.
+    const handleProcessQueue = async () => {
+        const converter = converterRef.current;
+        if (!converter || !converterInitialized) {
+             alert(`Converter not initialized. ${initializationError || 'Please wait or check console for errors.'}`);
+             return;
+        }
+        if (runningRef.current) return;
+        const needsLLM = queueRef.current.some(item => item.status === 'queued' && item.settings.useLLM);
+        let schema: JsonSchema | null = null;
+        if (needsLLM && llmTask === 'extract') {
+            try {
+                schema = JSON.parse(extractSchema);
+            } catch (err) {
+                alert(`The extraction schema is not valid JSON: ${err instanceof Error ? err.message : String(err)}`);
+                return;
+            }
+        }
+        if (needsLLM && llmTask === 'translate' && !targetLanguage.trim()) {
+            alert('Please enter a target language.');
+            return;
+        }
+        const task: LLMTaskSettings = { task: llmTask, model: llmModel, schema, targetLanguage: targetLanguage.trim(), summaryStyle };
 
-        } catch (error) {
-            console.error('Error during PDF processing:', error);
-            const errorMessage = error instanceof Error ? error.message : String(error);
-            setMarkdownOutput(`An error occurred: ${errorMessage}`);
-            setProgressMessage('Error during processing.');
-            setStaticProgressMessage(`An error occurred. Details: ${errorMessage}`);
+        runningRef.current = true;
+        stopRequestedRef.current = false;
+        setIsProcessing(true);
+        setStaticProgressMessage('');
+        const processedIds = new Set<number>();
+        try {
+            let next = queueRef.current.find(item => item.status === 'queued');
+            while (next && !stopRequestedRef.current) {
+                processedIds.add(next.id);
+                await processItem(converter, next, task);
+                next = queueRef.current.find(item => item.status === 'queued');
+            }
         } finally {
+            runningRef.current = false;
             setIsProcessing(false);
+            setProgressMessage('');
+            const processed = queueRef.current.filter(item => processedIds.has(item.id));
+            const converted = processed.filter(item => item.status === 'done').length;
+            const failed = processed.filter(item => item.status === 'error').length;
+            const waiting = queueRef.current.filter(item => item.status === 'queued').length;
+            setStaticProgressMessage(`${stopRequestedRef.current ? 'Processing cancelled. ' : ''}${converted} of ${processed.length} file${processed.length === 1 ? '' : 's'} converted${failed > 0 ? `, ${failed} failed` : ''}.${waiting > 0 ? ` ${waiting} still queued.` : ''}`);
         }
     };
 
-    const handleDownloadMarkdown = () => {
-        if (!markdownOutput) {
+    // Stops the queue: the running file is cancelled and the files after it stay queued.
+    const handleCancel = () => {
+        stopRequestedRef.current = true;
+        setProgressMessage('Cancelling...');
+        answerPasswordPrompt(null);
+        abortControllerRef.current?.abort();
+    };
+
+    const handleChangeSettings = (id: number, settings: Partial<FileSettings>) => {
+        updateQueue(items => items.map(item => (item.id === id ? { ...item, settings: { ...item.settings, ...settings } } : item)));
+    };
+
+    // Queues the file again with its current settings. A running queue picks it up; otherwise it
+    // waits for Process queue, like a newly added file, so its settings can still be changed.
+    const handleRetry = (id: number) => {
+        updateItem(id, { ...EMPTY_RESULT, status: 'queued', message: '' });
+        if (!runningRef.current) setStaticProgressMessage('Queued the file again. Press Process queue to convert it.');
+    };
+
+    const handleRemove = (id: number) => {
+        updateQueue(items => items.filter(item => item.id !== id));
+        if (selectedId === id) setSelectedId(null);
+    };
+
+    // Rebuilds the output from the accepted and reverted changes, which replaces edits made by hand,
+    // so those are only given up when confirmed.
+    const updateRevertedChanges = (next: Set<number>) => {
+        if (!selectedItem || !selectedItem.fidelityReport) return;
+        if (selectedItem.edited && !window.confirm('Accepting or reverting a change rebuilds the output from the LLM review and discards your edits to it. Continue?')) return;
+        updateItem(selectedItem.id, { revertedChanges: next, output: applyChanges(selectedItem.fidelityReport.changes, next), edited: false });
+    };
+
+    const handleToggleChange = (changeIndex: number) => {
+        if (!selectedItem) return;
+        const next = new Set(selectedItem.revertedChanges);
+        if (next.has(changeIndex)) next.delete(changeIndex);
+        else next.add(changeIndex);
+        updateRevertedChanges(next);
+    };
+
+    const handleSetAllChanges = (revert: boolean) => {
+        if (!selectedItem || !selectedItem.fidelityReport) return;
+        const changed = selectedItem.fidelityReport.changes.map((change, i) => (change.type === 'equal' ? -1 : i)).filter(i => i !== -1);
+        updateRevertedChanges(revert ? new Set(changed) : new Set());
+    };
+
+    // Markdown that references extracted images is downloaded as a zip with the images beside it.
+    const bundlesImages = (item: QueueItem) => item.images.length > 0 && !item.outputIsJson;
+
+    const handleDownloadItem = async (id: number) => {
+        const item = queueRef.current.find(queued => queued.id === id);
+        if (!item || !item.output) {
             alert('No Markdown content to download.');
             return;
         }
-        const blob = new Blob([markdownOutput], { type: 'text/markdown;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${originalFileName}.md`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        if (bundlesImages(item)) {
+            downloadBlob(await createMarkdownBundle(item.output, item.images, { markdownName: `${item.name}.md` }), `${item.name}.zip`);
+            return;
+        }
+        const blob = new Blob([item.output], { type: item.outputIsJson ? 'application/json;charset=utf-8' : 'text/markdown;charset=utf-8' });
+        downloadBlob(blob, `${item.name}.${item.outputIsJson ? 'json' : 'md'}`);
     };
 
+    // All converted files in one zip. Files with images get a folder of their own, so the images
+    // keep the paths their Markdown uses; files with the same name are numbered.
+    const handleDownloadAll = async () => {
+        const names = new Set<string>();
+        const entries: { name: string; data: string | Blob }[] = [];
+        for (const item of queueRef.current.filter(queued => queued.status === 'done')) {
+            let name = item.name;
+            for (let n = 2; names.has(name); n++) name = `${item.name} (${n})`;
+            names.add(name);
+            if (bundlesImages(item)) {
+                entries.push({ name: `${name}/${name}.md`, data: item.output });
+                item.images.forEach(image => entries.push({ name: `${name}/${image.path}`, data: image.blob }));
+            } else {
+                entries.push({ name: `${name}.${item.outputIsJson ? 'json' : 'md'}`, data: item.output });
+            }
+        }
+        downloadBlob(await createZip(entries), 'converted.zip');
+    };
+
+    // Markdown can be previewed beside the PDF once the file is converted; JSON only as text.
+    const canPreview = !!selectedItem && !selectedItem.outputIsJson && !!selectedItem.document && !!converterRef.current;
+    const isEditable = !!selectedItem && selectedItem.status === 'done';
+
+    const queuedCount = queue.filter(item => item.status === 'queued').length;
+    const doneCount = queue.filter(item => item.status === 'done').length;
+
     return (
         <>
             <Head>
                 <title>PDF to Markdown Converter (extract2md) - Next.js</title>
-                <meta name="description" content="Upload PDF, extract text with high-accuracy OCR, and rewrite with LLM using extract2md in a Next.js app." />
+                <meta name="description" content="Upload PDFs, extract text with high-accuracy OCR, and rewrite with LLM using extract2md in a Next.js app." />
                 <meta name="viewport" content="width=device-width, initial-scale=1" />
                 <link rel="icon" href="/favicon.ico" /> {/* Next.js default, you can change this */}
             </Head>
             <div className="container">
                 <header>
                     <h1>PDF to Markdown Converter</h1>
-                    <p>Upload a PDF, extract text with high-accuracy OCR (select language), and optionally rewrite it using an LLM for a polished Markdown output.</p>
+                    <p>Upload PDFs, extract their text with the text layer or high-accuracy OCR (select language), and optionally rewrite it using an LLM for a polished Markdown output.</p>
                 </header>
 
                 <main>
                     <section className="upload-section card" aria-labelledby="upload-heading">
-                        <h2 id="upload-heading">1. Upload PDF & Configure</h2>
+                        <h2 id="upload-heading">1. Upload PDFs & Configure</h2>
+                        <div
+                            className={`drop-zone${isDragging ? ' drop-zone-active' : ''}`}
+                            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                            onDragLeave={() => setIsDragging(false)}
+                            onDrop={handleDrop}
+                        >
+                            <label htmlFor="pdf-file-input">Drop PDF files here, or choose them:</label>
+                            <input type="file" id="pdf-file-input" accept=".pdf,application/pdf" multiple aria-label="PDF file input" onChange={handleFileChange} />
+                        </div>
+                        <fieldset className="new-file-settings">
+                            <legend>Settings for new files</legend>
+                            <div className="form-group">
+                                <label htmlFor="conversion-mode-select">Conversion:</label>
+                                <select id="conversion-mode-select" aria-label="Conversion mode for new files" value={newFileSettings.mode} onChange={(e) => setNewFileSettings({ ...newFileSettings, mode: e.target.value as ConversionMode })}>
+                                    {(Object.keys(MODE_LABELS) as ConversionMode[]).map(mode => <option key={mode} value={mode}>{MODE_LABELS[mode]}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="ocr-language-select">OCR Language:</label>
+                                <select id="ocr-language-select" aria-label="OCR Language Selection" value={newFileSettings.language} onChange={(e) => setNewFileSettings({ ...newFileSettings, language: e.target.value })}>
+                                    {Object.entries(LANGUAGE_LABELS).map(([language, label]) => <option key={language} value={language}>{label}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="use-llm-checkbox">
+                                    <input type="checkbox" id="use-llm-checkbox" checked={newFileSettings.useLLM} onChange={(e) => setNewFileSettings({ ...newFileSettings, useLLM: e.target.checked })} /> Run the LLM task
+                                </label>
+                            </div>
+                        </fieldset>
                         <div className="form-group">
-                            <label htmlFor="pdf-file-input">PDF File:</label>
-                            <input type="file" id="pdf-file-input" accept=".pdf" aria-label="PDF file input" onChange={handleFileChange} />
+                            <label htmlFor="llm-model-select">LLM Model:</label>
+                            <select id="llm-model-select" aria-label="LLM Model Selection" value={llmModel} onChange={(e) => setLlmModel(e.target.value)} disabled={isProcessing}>
+                                {availableModels.map(model => (
+                                    <option key={model.id} value={model.id}>
+                                        {model.label}{model.vramRequiredMB ? ` (~${(model.vramRequiredMB / 1024).toFixed(1)} GB VRAM)` : ''}
+                                    </option>
+                                ))}
+                            </select>
+                            {modelProblems.length > 0 && <p className="model-warning">{modelProblems.join(' ')}</p>}
                         </div>
                         <div className="form-group">
-                            <label htmlFor="ocr-language-select">OCR Language:</label>
-                            <select id="ocr-language-select" aria-label="OCR Language Selection" value={ocrLanguage} onChange={(e) => setOcrLanguage(e.target.value)}>
-                                <option value="eng">English (eng)</option>
-                                <option value="sin">Sinhala (sin)</option>
+                            <label htmlFor="llm-task-select">LLM Task:</label>
+                            <select id="llm-task-select" aria-label="LLM Task Selection" value={llmTask} onChange={(e) => setLlmTask(e.target.value as LLMTaskName)} disabled={isProcessing}>
+                                <option value="rewrite">Rewrite for clarity</option>
+                                <option value="structure-fix">Fix Markdown structure</option>
+                                <option value="summarize">Summarize</option>
+                                <option value="translate">Translate</option>
+                                <option value="extract">Extract JSON</option>
                             </select>
                         </div>
-                        <button id="process-pdf-button" className="button primary-button" onClick={handleProcessPdf} disabled={isProcessing || !pdfFile || !converterInitialized || !!initializationError}>
-                            {isProcessing ? 'Processing...' : 'Process PDF'}
+                        {llmTask === 'translate' && (
+                            <div className="form-group">
+                                <label htmlFor="target-language-input">Target Language:</label>
+                                <input type="text" id="target-language-input" aria-label="Target language" value={targetLanguage} onChange={(e) => setTargetLanguage(e.target.value)} />
+                            </div>
+                        )}
+                        {llmTask === 'summarize' && (
+                            <div className="form-group">
+                                <label htmlFor="summary-style-select">Summary:</label>
+                                <select id="summary-style-select" aria-label="Summary style" value={summaryStyle} onChange={(e) => setSummaryStyle(e.target.value === 'tldr' ? 'tldr' : 'abstract')}>
+                                    <option value="abstract">Abstract</option>
+                                    <option value="tldr">TL;DR</option>
+                                </select>
+                            </div>
+                        )}
+                        {llmTask === 'extract' && (
+                            <div className="form-group">
+                                <label htmlFor="extract-schema-input">JSON Schema:</label>
+                                <textarea id="extract-schema-input" aria-label="JSON Schema for extraction" rows={8} value={extractSchema} onChange={(e) => setExtractSchema(e.target.value)}></textarea>
+                            </div>
+                        )}
+                        <div className="form-group">
+                            <label htmlFor="page-range-input">Pages:</label>
+                            <input type="text" id="page-range-input" aria-label="Pages to convert" placeholder="All pages, or e.g. 1-5,9,12-" value={pageRange} onChange={(e) => setPageRange(e.target.value)} />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="page-markers-checkbox">
+                                <input type="checkbox" id="page-markers-checkbox" checked={pageMarkers} onChange={(e) => setPageMarkers(e.target.checked)} /> Add page anchors to the Markdown
+                            </label>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="table-of-contents-checkbox">
+                                <input type="checkbox" id="table-of-contents-checkbox" checked={tableOfContents} onChange={(e) => setTableOfContents(e.target.checked)} /> Start with a table of contents
+                            </label>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="front-matter-checkbox">
+                                <input type="checkbox" id="front-matter-checkbox" checked={frontMatter} onChange={(e) => setFrontMatter(e.target.checked)} /> Add the title, author and dates as YAML front matter
+                            </label>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="keep-headers-footers-checkbox">
+                                <input type="checkbox" id="keep-headers-footers-checkbox" checked={keepHeadersFooters} onChange={(e) => setKeepHeadersFooters(e.target.checked)} /> Keep running headers, footers and page numbers
+                            </label>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="extract-images-checkbox">
+                                <input type="checkbox" id="extract-images-checkbox" checked={extractImages} onChange={(e) => setExtractImages(e.target.checked)} /> Extract figures and download them with the Markdown as a .zip
+                            </label>
+                        </div>
+                        <button id="process-pdf-button" className="button primary-button" onClick={handleProcessQueue} disabled={isProcessing || queuedCount === 0 || !converterInitialized || !!initializationError}>
+                            {isProcessing ? 'Processing...' : `Process queue${queuedCount > 0 ? ` (${queuedCount} file${queuedCount > 1 ? 's' : ''})` : ''}`}
                         </button>
+                        {isProcessing && (
+                            <button id="cancel-processing-button" className="button cancel-button" onClick={handleCancel}>
+                                Cancel
+                            </button>
+                        )}
                         {initializationError && <p style={{color: 'red', marginTop: '10px'}}>{initializationError}</p>}
                     </section>
 
+                    <section className="queue-section card" aria-labelledby="queue-heading">
+                        <h2 id="queue-heading">2. Queue</h2>
+                        {queue.length === 0 ? (
+                            <p className="queue-empty">No files yet.</p>
+                        ) : (
+                            <FileQueue items={queue} selectedId={selectedId} onSelect={setSelectedId} onChangeSettings={handleChangeSettings} onRetry={handleRetry} onRemove={handleRemove} onDownload={handleDownloadItem} />
+                        )}
+                        <button id="download-all-button" className="button secondary-button" onClick={handleDownloadAll} disabled={doneCount === 0 || isProcessing}>
+                            Download all converted files (.zip)
+                        </button>
+                    </section>
+
                     <section className="progress-section card" aria-live="polite">
                         <h2>Processing Status</h2>
+                        {passwordPrompt && (
+                            <form className="password-prompt" onSubmit={(e) => { e.preventDefault(); answerPasswordPrompt(passwordInput); }}>
+                                <label htmlFor="pdf-password-input">
+                                    {passwordPrompt.incorrect ? `The password for ${passwordPrompt.fileName} is incorrect. Try again:` : `${passwordPrompt.fileName} is password-protected. Enter its password:`}
+                                </label>
+                                <input type="password" id="pdf-password-input" aria-label="PDF password" autoFocus value={passwordInput} onChange={(e) => setPasswordInput(e.target.value)} />
+                                <button type="submit" className="button primary-button" disabled={!passwordInput}>Unlock</button>
+                                <button type="button" className="button cancel-button" onClick={() => answerPasswordPrompt(null)}>Cancel</button>
+                            </form>
+                        )}
                         {(isProcessing || progressMessage) && (
                             <div id="progress-indicator" role="progressbar" aria-valuemin={0} aria-valuemax={100}>
                                 <div className="spinner"></div>
@@ -188,12 +644,45 @@ const finalMarkdown = await converterRef.current.llmRewrite(highAccuracyText, {
                     </section>
 
                     <section className="output-section card" aria-labelledby="output-heading">
-                        <h2 id="output-heading">2. Output Markdown</h2>
-                        <textarea id="markdown-output" rows={15} readOnly aria-label="Generated Markdown output" value={markdownOutput}></textarea>
-                        <button id="download-markdown-button" className="button secondary-button" onClick={handleDownloadMarkdown} disabled={!markdownOutput || isProcessing}>
-                            Download Markdown
+                        <h2 id="output-heading">3. Output {selectedItem?.outputIsJson ? 'JSON' : 'Markdown'}{selectedItem ? `: ${selectedItem.file.name}` : ''}</h2>
+                        {selectedItem && selectedItem.removedHeadersFooters.length > 0 && (
+                            <details className="removed-lines">
+                                <summary>Removed {selectedItem.removedHeadersFooters.length} running header, footer and page number line{selectedItem.removedHeadersFooters.length > 1 ? 's' : ''}</summary>
+                                <ul>
+                                    {selectedItem.removedHeadersFooters.map((line, i) => (
+                                        <li key={i}>Page {line.page} ({line.kind}): <code>{line.text}</code></li>
+                                    ))}
+                                </ul>
+                            </details>
+                        )}
+                        {canPreview && (
+                            <div className="output-tabs" role="tablist" aria-label="Output view">
+                                <button type="button" role="tab" className={`output-tab${outputView === 'preview' ? ' output-tab-active' : ''}`} aria-selected={outputView === 'preview'} onClick={() => setOutputView('preview')}>Preview beside the PDF</button>
+                                <button type="button" role="tab" className={`output-tab${outputView === 'markdown' ? ' output-tab-active' : ''}`} aria-selected={outputView === 'markdown'} onClick={() => setOutputView('markdown')}>Edit Markdown</button>
+                            </div>
+                        )}
+                        {canPreview && outputView === 'preview' && selectedItem.document && converterRef.current ? (
+                            <MarkdownReview key={selectedItem.id} converter={converterRef.current} file={selectedItem.file} password={selectedItem.password} document={selectedItem.document} markdown={selectedOutput} images={selectedItem.images} />
+                        ) : (
+                            <textarea
+                                id="markdown-output"
+                                ref={outputRef}
+                                rows={15}
+                                readOnly={!isEditable}
+                                aria-label="Generated Markdown output"
+                                value={selectedOutput}
+                                onChange={(e) => selectedItem && updateItem(selectedItem.id, { output: e.target.value, edited: true })}
+                                placeholder="Select a file in the queue to see its output."
+                            ></textarea>
+                        )}
+                        <button id="download-markdown-button" className="button secondary-button" onClick={() => selectedItem && handleDownloadItem(selectedItem.id)} disabled={!selectedItem || selectedItem.status !== 'done' || !selectedItem.output}>
+                            {selectedItem && bundlesImages(selectedItem) ? `Download Markdown + ${selectedItem.images.length} image${selectedItem.images.length > 1 ? 's' : ''} (.zip)` : `Download ${selectedItem?.outputIsJson ? 'JSON' : 'Markdown'}`}
                         </button>
                     </section>
+
+                    {selectedItem && selectedItem.fidelityReport && selectedItem.status === 'done' && (
+                        <FidelityReview report={selectedItem.fidelityReport} reverted={selectedItem.revertedChanges} edited={selectedItem.edited} onToggleChange={handleToggleChange} onSetAll={handleSetAllChanges} />
+                    )}
                 </main>
 
                 <footer>
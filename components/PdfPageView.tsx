@@ -0,0 +1,121 @@
+"use client";
+
+import React, { useEffect, useRef, useState } from 'react';
+import Image from 'next/image';
+import { type BoundingBox, type Extract2MDWorkerClient } from 'extract2md';
+
+interface RenderedPageImage {
+    pageNumber: number;
+    url: string;
+    pageWidth: number; // PDF points, the unit of the bounding boxes
+    pageHeight: number;
+}
+
+interface PdfPageViewProps {
+    converter: Extract2MDWorkerClient;
+    file: File;
+    password: string | null;
+    pages: number[]; // The converted pages, in order
+    pageNumber: number;
+    highlight: BoundingBox | null; // Region of the selected block on this page
+    onChangePage: (pageNumber: number) => void;
+}
+
+// One page of the original PDF, rendered by the converter's worker, with the region of the selected
+// Markdown block highlighted. The PDF is opened in the worker once and closed when the view goes away
+// or gets another file; rendered pages are kept until then.
+const PdfPageView: React.FC<PdfPageViewProps> = ({ converter, file, password, pages, pageNumber, highlight, onChangePage }) => {
+    const [documentId, setDocumentId] = useState<number | null>(null);
+    const [rendered, setRendered] = useState<RenderedPageImage | null>(null);
+    const [error, setError] = useState<string>('');
+    const cacheRef = useRef<Map<number, RenderedPageImage>>(new Map());
+
+    useEffect(() => {
+        const cache = cacheRef.current;
+        return () => cache.forEach(image => URL.revokeObjectURL(image.url));
+    }, []);
+
+    useEffect(() => {
+        const abortController = new AbortController();
+        let opened: number | null = null;
+        setDocumentId(null);
+        converter.openDocument(file, { password: password ?? undefined, signal: abortController.signal })
+            .then(document => {
+                // Opened just as the view moved on: nobody is left to close it.
+                if (abortController.signal.aborted) {
+                    converter.closeDocument(document.documentId).catch(err => console.error(`Failed to close ${file.name}:`, err));
+                    return;
+                }
+                opened = document.documentId;
+                setDocumentId(document.documentId);
+            })
+            .catch(err => {
+                if (err instanceof Error && err.name === 'AbortError') return;
+                console.error(`Failed to open ${file.name}:`, err);
+                setError(`Could not open ${file.name}: ${err instanceof Error ? err.message : String(err)}`);
+            });
+        return () => {
+            abortController.abort();
+            if (opened !== null) converter.closeDocument(opened).catch(err => console.error(`Failed to close ${file.name}:`, err));
+        };
+    }, [converter, file, password]);
+
+    useEffect(() => {
+        if (documentId === null) return;
+        setError('');
+        const cached = cacheRef.current.get(pageNumber);
+        if (cached) {
+            setRendered(cached);
+            return;
+        }
+        const abortController = new AbortController();
+        converter.renderDocumentPage(documentId, pageNumber, { signal: abortController.signal })
+            .then(page => {
+                const image = { pageNumber, url: URL.createObjectURL(page.blob), pageWidth: page.pageWidth, pageHeight: page.pageHeight };
+                cacheRef.current.set(pageNumber, image);
+                setRendered(image);
+            })
+            .catch(err => {
+                if (err instanceof Error && err.name === 'AbortError') return;
+                console.error(`Failed to render page ${pageNumber}:`, err);
+                setError(`Could not render page ${pageNumber}: ${err instanceof Error ? err.message : String(err)}`);
+            });
+        return () => abortController.abort();
+    }, [converter, documentId, pageNumber]);
+
+    const position = pages.indexOf(pageNumber);
+    const image = rendered && rendered.pageNumber === pageNumber ? rendered : null;
+
+    return (
+        <div className="pdf-page-view">
+            <div className="pdf-page-nav">
+                <button type="button" className="button secondary-button" onClick={() => onChangePage(pages[position - 1])} disabled={position <= 0} aria-label="Previous page">‹</button>
+                <span>Page {pageNumber}{position !== -1 ? ` (${position + 1} of ${pages.length})` : ''}</span>
+                <button type="button" className="button secondary-button" onClick={() => onChangePage(pages[position + 1])} disabled={position === -1 || position >= pages.length - 1} aria-label="Next page">›</button>
+            </div>
+            {error ? (
+                <p className="pdf-page-error">{error}</p>
+            ) : image ? (
+                <div className="pdf-page">
+                    {/* A blob: URL of the rendered page, which the image optimizer cannot fetch. Its size in points gives the aspect ratio. */}
+                    <Image src={image.url} alt={`Page ${pageNumber} of ${file.name}`} width={Math.round(image.pageWidth)} height={Math.round(image.pageHeight)} unoptimized />
+                    {highlight && (
+                        <div
+                            className="pdf-page-highlight"
+                            style={{
+                                left: `${(highlight.x / image.pageWidth) * 100}%`,
+                                top: `${(highlight.y / image.pageHeight) * 100}%`,
+                                width: `${(highlight.width / image.pageWidth) * 100}%`,
+                                height: `${(highlight.height / image.pageHeight) * 100}%`,
+                            }}
+                        />
+                    )}
+                </div>
+            ) : (
+                <p className="pdf-page-loading">Rendering page {pageNumber}...</p>
+            )}
+        </div>
+    );
+};
+
+export default PdfPageView;
@@ -10,6 +10,12 @@ declare module 'extract2md' {
     currentPage?: number;
     totalPages?: number;
     progress?: number;
+    method?: 'pdfjs' | 'ocr'; // smartConvert: extraction method chosen for currentPage
+    assessment?: TextLayerAssessment;
+    confidence?: PageConfidenceReport; // ocr_page_confidence: word confidence summary for currentPage
+    currentChunk?: number; // llm_chunk: 1-based index of the chunk being rewritten
+    totalChunks?: number;
+    removed?: RemovedHeaderFooterLine[]; // headers_footers_removed
     error?: unknown;
   }
 
@@ -19,37 +25,711 @@ declare module 'extract2md' {
     tesseractCorePath?: string;
     tesseractLangPath?: string;
     tesseractOptions?: unknown; // Consider defining a more specific type if known
+    pdfJsOptions?: Record<string, unknown>; // Extra pdf.js getDocument() parameters, e.g. cMapUrl or standardFontDataUrl
+    canvasFactory?: CanvasFactory; // Canvases for rendering pages; DOM canvases or OffscreenCanvas by default
+    readFile?: (pathOrUrl: string | URL) => Promise<ArrayBuffer | ArrayBufferView>; // Reads file path and file: URL inputs (the Node entry uses fs)
     tesseractLanguage?: string;
+    concurrency?: number; // Tesseract workers OCRing pages in parallel, default 1
     splitPascalCase?: boolean;
     postProcessRules?: PostProcessRule[];
     llmModel?: string;
+    llmModelLibUrl?: string; // WebLLM backend: model library for llmModel, overriding the registry's
+    modelRegistry?: ModelRegistry; // Models the WebLLM backend can load; a new registry of the built-in models by default
+    llmModels?: ModelDefinition[]; // Registered in modelRegistry
+    llmBackend?: 'webllm' | 'mock' | LLMBackendConfig | LLMBackend; // Default 'webllm'
     progressCallback?: (report: ProgressReport) => void;
   }
 
+  /** Extract2MDWorkerClient options: the converter's, less those holding functions, which cannot be sent to a worker. */
+  interface Extract2MDWorkerClientOptions extends Omit<Extract2MDOptions, 'canvasFactory' | 'readFile' | 'llmBackend'> {
+    worker?: Worker; // Runs the package's worker.js; created from the package by default
+    llmBackend?: 'webllm' | 'mock' | LLMBackendConfig; // Default 'webllm'
+  }
+
+  /** What a convert method reads the PDF from. File paths need `readFile`, which the Node entry point sets. */
+  export type PdfInput = File | Blob | ArrayBuffer | ArrayBufferView | URL | string;
+
+  /** Creates and encodes canvases (see canvas.js); `toImage` gives what Tesseract.js recognizes. */
+  export interface CanvasFactory {
+    create(width: number, height: number): unknown;
+    toBlob(canvas: unknown, type: string, quality?: number): Promise<Blob>;
+    toImage(canvas: unknown): unknown;
+  }
+
+  interface LLMLoadProgress {
+    text: string;
+    progress?: number; // 0-1
+  }
+
+  interface LLMGenerateOptions {
+    model: string;
+    onDelta?: ((token: string) => void) | null; // Stream the reply when set
+    signal?: AbortSignal | null;
+  }
+
+  /** What llmRewrite needs from a model runtime. Custom backends can be passed as `llmBackend`. */
+  export interface LLMBackend {
+    defaultModel?: string | null; // Used when llmRewrite is not given llmModel
+    isLoaded(modelId?: string): boolean;
+    load(modelId: string, options?: { chatOpts?: unknown; onProgress?: (report: LLMLoadProgress) => void }): Promise<void>;
+    generate(prompt: string, options: LLMGenerateOptions): Promise<string>;
+    interrupt?(): Promise<void>; // Makes a running generate() resolve early with its output so far
+    unload(): Promise<void>;
+  }
+
+  interface WebLLMBackendConfig {
+    type: 'webllm';
+    modelLibUrl?: string;
+    registry?: ModelRegistry;
+  }
+
+  /** A model for the WebLLM backend, as passed to ModelRegistry.register(). */
+  interface ModelDefinition {
+    id: string;
+    label?: string; // Display name, defaults to id
+    weightsUrl?: string; // Defaults to https://huggingface.co/mlc-ai/<id>/resolve/main/
+    modelLibUrl: string; // Compiled WebGPU library (.wasm)
+    convTemplate?: Record<string, unknown> | null; // WebLLM conversation template; null keeps the model's own
+    contextWindowSize?: number; // Tokens, default 4096
+    requiredFeatures?: string[]; // WebGPU features, e.g. ['shader-f16']
+    vramRequiredMB?: number;
+  }
+
+  export interface ModelInfo extends Required<Omit<ModelDefinition, 'vramRequiredMB'>> {
+    vramRequiredMB: number | null;
+  }
+
+  interface ModelValidationResult {
+    model: ModelInfo | null;
+    problems: string[]; // Empty when the model can be loaded
+  }
+
+  class ModelRegistry {
+    constructor(models?: ModelDefinition[]); // The built-in models by default
+    register(model: ModelDefinition, options?: { replace?: boolean }): ModelInfo; // Throws for an id already registered, unless replace is set
+    has(modelId: string): boolean;
+    get(modelId: string): ModelInfo | null;
+    list(): ModelInfo[];
+    /** Checks that the model is fully described and that WebGPU offers the features it needs. */
+    validate(model: string | ModelDefinition, options?: { gpu?: unknown }): Promise<ModelValidationResult>;
+  }
+
+  interface OpenAICompatibleBackendConfig {
+    type: 'openai';
+    baseUrl: string; // e.g. "http://localhost:11434/v1" (Ollama) or "http://localhost:8080/v1" (llama.cpp)
+    apiKey?: string;
+    model?: string;
+    headers?: Record<string, string>;
+    requestOptions?: Record<string, unknown>; // Extra request body fields, e.g. temperature, max_tokens
+    fetch?: typeof fetch;
+  }
+
+  interface MockLLMBackendConfig {
+    type: 'mock';
+    response?: string | ((prompt: string, info: { model: string }) => string | Promise<string>); // Echoes the prompt by default
+    tokenDelayMs?: number;
+    failAfterTokens?: number; // Throw after streaming this many tokens
+    model?: string;
+  }
+
+  type LLMBackendConfig = WebLLMBackendConfig | OpenAICompatibleBackendConfig | MockLLMBackendConfig;
+
   interface ConvertOptions {
     postProcessRules?: PostProcessRule[];
+    includeDocument?: boolean; // Resolve with { markdown, document } instead of a string
+    signal?: AbortSignal; // Rejects with AbortError when aborted
+    /** Pages to convert, e.g. "1-5,9,12-". All pages when omitted. */
+    pages?: string | number | number[];
+    /** Put a marker before each page's content: true or 'comment' for <!-- page 3 -->, 'anchor' for <a id="page-3"></a>. */
+    pageMarkers?: boolean | 'comment' | 'anchor';
+    /** Export figures as image files and reference them from the Markdown; the call resolves with { markdown, images }. */
+    extractImages?: boolean;
+    imageOptions?: ImageOptions;
+    /** Remove running headers, footers and page numbers repeated across pages. Default true. */
+    removeHeadersFooters?: boolean;
+    headerFooterOptions?: HeaderFooterOptions;
+    /** Turn bulleted and numbered lines into (nested) Markdown lists. Default true. */
+    detectLists?: boolean;
+    /** Turn footnote marks and the footnote text at the bottom of pages into Markdown footnotes ([^1]). Default true. */
+    detectFootnotes?: boolean;
+    /** Keep link annotations: web links as Markdown links, links within the document as links to heading anchors. Default true. */
+    preserveLinks?: boolean;
+    /** Take heading levels from the PDF outline (bookmarks) and mark the lines it points to as headings. Default true. */
+    useOutline?: boolean;
+    /** Start the Markdown with a linked table of contents, built from the outline or else from the headings. */
+    tableOfContents?: boolean;
+    /** Start the Markdown with the document's title, author, subject, keywords and dates as YAML front matter. */
+    frontMatter?: boolean;
+    /** Password for an encrypted PDF. */
+    password?: string;
+    /**
+     * Asked for a password when the PDF needs one (reason PasswordResponses.NEED_PASSWORD) or the last
+     * one was wrong (INCORRECT_PASSWORD). Return null to give up with an EncryptedPDFError.
+     */
+    onPassword?: (reason: PasswordReason) => string | null | undefined | Promise<string | null | undefined>;
+  }
+
+  /** pdf.js's PasswordResponses. */
+  const PasswordResponses: { readonly NEED_PASSWORD: 1; readonly INCORRECT_PASSWORD: 2 };
+  type PasswordReason = typeof PasswordResponses[keyof typeof PasswordResponses];
+
+  interface HeaderFooterOptions {
+    zoneLines?: number; // Lines checked at the top and bottom of each page, default 3
+    minPageShare?: number; // Share of the pages a header or footer must repeat on, default 0.5
+    positionTolerance?: number; // PDF points a header may move between pages, default 8
+  }
+
+  export interface RemovedHeaderFooterLine {
+    page: number;
+    kind: 'header' | 'footer' | 'page-number';
+    text: string;
+    bbox: BoundingBox | null;
+  }
+
+  interface ImageOptions {
+    format?: 'png' | 'jpeg'; // Default 'png'
+    quality?: number; // JPEG quality 0-1, default 0.92
+    scale?: number; // Render scale of the crops, default 2 (OCR pages reuse the OCR rendering)
+    minSize?: number; // Skip figures narrower or shorter than this many PDF points, default 24
+    maxPageCoverage?: number; // Skip images covering more of the page than this (scans, backgrounds), default 0.9
+    directory?: string; // Folder in the image paths, default 'images'
+  }
+
+  interface ColumnHint {
+    /** Pages the hint applies to, e.g. "1-5,9,12-". Applies to every page when omitted. */
+    pages?: string | number | number[];
+    /** Force this many columns; 1 disables column splitting. */
+    columns?: number;
+    /** Explicit gutter x-positions in PDF points, left to right. */
+    gutters?: number[];
+  }
+
+  interface QuickConvertOptions extends ConvertOptions {
+    detectColumns?: boolean;
+    columnHints?: ColumnHint[];
   }
 
   interface HighAccuracyConvertOptions extends ConvertOptions {
     tesseractLanguage?: string;
     tesseractOptions?: unknown; // Consider defining a more specific type if known
     pdfRenderScale?: number;
+    concurrency?: number; // Overrides the constructor's concurrency for this call
+    lowConfidenceThreshold?: number; // 0-100, default 60
+    markLowConfidence?: boolean | ((text: string, confidence: number) => string); // true wraps words in <mark>
+  }
+
+  interface SmartThresholds {
+    minTextChars?: number;
+    maxGarbageRatio?: number;
+    minImageCoverage?: number;
+    imagePageMaxChars?: number;
+  }
+
+  interface TextLayerAssessment {
+    charCount: number;
+    garbageRatio: number;
+    imageCoverage: number;
+    needsOcr: boolean;
+    reason: string | null;
+  }
+
+  export interface SmartConvertOptions extends QuickConvertOptions, HighAccuracyConvertOptions {
+    smartThresholds?: SmartThresholds;
+  }
+
+  interface RewritePromptInfo {
+    context: string; // End of the text before this chunk; empty for the first chunk
+    chunkIndex: number; // 1-based
+    chunkCount: number;
   }
 
-  interface LLMRewriteOptions {
+  /** Options shared by every LLM task. */
+  interface LLMTaskOptions {
     llmModel?: string;
-    llmPromptTemplate?: (text: string) => string;
+    contextWindowSize?: number; // Model context window in tokens, default from the model registry or 4096; sets the chunk size
+    maxChunkChars?: number; // Overrides the chunk size derived from contextWindowSize
     chatOpts?: unknown; // Consider defining a more specific type if known
+    signal?: AbortSignal; // Interrupts generation and rejects with AbortError
+    /** Streams the output: called for each generated token with the whole output so far. */
+    onToken?: (token: string, text: string) => void;
+  }
+
+  interface LLMRewriteOptions extends LLMTaskOptions {
+    llmPromptTemplate?: string | ((text: string, info: RewritePromptInfo) => string); // A string may use ${text} and ${context}
+    overlapChars?: number; // Characters of preceding text given as context with each chunk, default 300
+  }
+
+  type LLMFixStructureOptions = LLMRewriteOptions;
+
+  interface TranslatePromptInfo extends RewritePromptInfo {
+    targetLanguage: string;
+    sourceLanguage?: string;
+  }
+
+  interface LLMTranslateOptions extends LLMTaskOptions {
+    targetLanguage: string; // e.g. "French"
+    sourceLanguage?: string; // Left to the model when omitted
+    llmPromptTemplate?: string | ((text: string, info: TranslatePromptInfo) => string);
+    overlapChars?: number;
+  }
+
+  interface SummaryPromptInfo extends RewritePromptInfo {
+    style: 'abstract' | 'tldr';
+    maxWords: number;
+    fromNotes: boolean; // The text is notes on a document too long for one prompt
+  }
+
+  interface LLMSummarizeOptions extends LLMTaskOptions {
+    style?: 'abstract' | 'tldr'; // Default 'abstract'
+    maxWords?: number; // Default 200 for an abstract, 50 for a TL;DR
+    llmPromptTemplate?: string | ((text: string, info: SummaryPromptInfo) => string); // Prompt for the final summary
+  }
+
+  /** The JSON Schema keywords llmExtract validates; other keywords are ignored. */
+  export interface JsonSchema {
+    type?: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null' | Array<'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null'>;
+    properties?: Record<string, JsonSchema>;
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema;
+    enum?: unknown[];
+    const?: unknown;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    minItems?: number;
+    maxItems?: number;
+    description?: string;
+    [keyword: string]: unknown;
+  }
+
+  interface ExtractPromptInfo extends RewritePromptInfo {
+    schema: JsonSchema;
+    instructions?: string;
+  }
+
+  interface LLMExtractOptions extends LLMTaskOptions {
+    schema: JsonSchema;
+    instructions?: string; // Added to the prompt, e.g. how to format dates
+    maxRetries?: number; // Times to ask again when a reply is not valid JSON, default 1
+    llmPromptTemplate?: string | ((text: string, info: ExtractPromptInfo) => string);
+  }
+
+  export type LLMTaskName = 'rewrite' | 'structure-fix' | 'translate' | 'summarize' | 'extract';
+
+  /** Bounding box in PDF points, origin at the top-left corner of the page. */
+  export interface BoundingBox {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }
+
+  interface BaseBlock {
+    page: number | null;
+    bbox: BoundingBox | null;
+  }
+
+  interface HeadingBlock extends BaseBlock {
+    type: 'heading';
+    level: 1 | 2 | 3 | 4 | 5 | 6;
+    text: string;
+  }
+
+  interface ParagraphBlock extends BaseBlock {
+    type: 'paragraph';
+    text: string;
+  }
+
+  interface ListItem {
+    text: string;
+    /** The marker as written ("(a)", "iv."), for ordered lists not numbered 1, 2, 3. */
+    label?: string;
+    children?: ListBlock;
+  }
+
+  interface ListBlock extends BaseBlock {
+    type: 'list';
+    ordered: boolean;
+    start?: number;
+    numbering?: 'decimal' | 'lower-alpha' | 'upper-alpha' | 'lower-roman' | 'upper-roman';
+    items: ListItem[];
+  }
+
+  interface TableBlock extends BaseBlock {
+    type: 'table';
+    header: string[];
+    rows: string[][];
+    align: Array<'left' | 'right'>;
+  }
+
+  interface ImageBlock extends BaseBlock {
+    type: 'image';
+    src: string;
+    alt?: string;
+  }
+
+  interface CodeBlock extends BaseBlock {
+    type: 'code';
+    language?: string;
+    text: string;
+  }
+
+  /** A footnote's text, placed at the end of its page and rendered as [^label]: text. */
+  interface FootnoteBlock extends BaseBlock {
+    type: 'footnote';
+    label: string;
+    text: string;
+  }
+
+  export type DocumentBlock = HeadingBlock | ParagraphBlock | ListBlock | TableBlock | ImageBlock | CodeBlock | FootnoteBlock;
+
+  interface DocumentPage {
+    pageNumber: number;
+    blocks: DocumentBlock[];
+  }
+
+  /** Document information from the PDF's XMP metadata and info dictionary; fields the PDF lacks are left out. */
+  interface DocumentMetadata {
+    title?: string;
+    author?: string;
+    subject?: string;
+    keywords?: string[];
+    created?: string; // ISO 8601, UTC
+    modified?: string;
+  }
+
+  export interface Extract2MDDocument {
+    type: 'document';
+    pages: DocumentPage[];
+    metadata?: DocumentMetadata;
+  }
+
+  interface LowConfidenceWord {
+    text: string;
+    confidence: number;
+    bbox: BoundingBox;
+  }
+
+  interface PageConfidenceReport {
+    page: number;
+    wordCount: number;
+    meanConfidence: number | null;
+    lowConfidenceThreshold: number;
+    lowConfidenceWords: LowConfidenceWord[];
+  }
+
+  /** A figure cropped from the PDF; the Markdown references it by `path`. */
+  export interface ExtractedImage {
+    path: string; // e.g. "images/page-3-fig-1.png"
+    blob: Blob;
+    mimeType: 'image/png' | 'image/jpeg';
+    width: number; // Pixels
+    height: number;
+    page: number;
+    bbox: BoundingBox;
+  }
+
+  export interface ConvertResult {
+    markdown: string;
+    document: Extract2MDDocument;
+    confidenceReport?: PageConfidenceReport[]; // OCRed pages only (highAccuracyConvert, smartConvert)
+    images?: ExtractedImage[]; // With extractImages
+    removedHeadersFooters: RemovedHeaderFooterLine[];
+  }
+
+  interface RenderPageOptions extends Pick<ConvertOptions, 'signal' | 'password' | 'onPassword'> {
+    scale?: number; // Pixels per PDF point. Default 1.5
+    format?: 'image/png' | 'image/jpeg' | 'image/webp'; // Default 'image/png'
+    quality?: number; // 0-1, for JPEG and WebP. Default 0.92
+  }
+
+  /** A page rendered by renderPage(). Bounding boxes in points map onto the image as width / pageWidth. */
+  export interface RenderedPage {
+    blob: Blob;
+    width: number; // Pixels
+    height: number;
+    pageWidth: number; // PDF points
+    pageHeight: number;
+    numPages: number;
+  }
+
+  /** A document opened with openDocument(). */
+  export interface OpenedDocument {
+    documentId: number;
+    numPages: number;
+  }
+
+  interface ImageConvertResult {
+    markdown: string;
+    images: ExtractedImage[];
+  }
+
+  interface ZipEntry {
+    name: string; // Path inside the archive, with forward slashes
+    data: string | Blob | ArrayBuffer | ArrayBufferView;
+  }
+
+  /** A ZIP archive of the files, stored without compression. */
+  function createZip(files: ZipEntry[], options?: { date?: Date }): Promise<Blob>;
+  /** A ZIP archive of the Markdown (as `markdownName`, default "document.md") and the images it references. */
+  function createMarkdownBundle(markdown: string, images?: ExtractedImage[], options?: { markdownName?: string }): Promise<Blob>;
+
+  /** Canvas factories for pages with a DOM and for Web Workers. */
+  const domCanvasFactory: CanvasFactory;
+  const offscreenCanvasFactory: CanvasFactory;
+  /** A canvas factory for a Node canvas module (@napi-rs/canvas or node-canvas), loaded on first use. */
+  function createNodeCanvasFactory(loadModule: () => { createCanvas(width: number, height: number): unknown }): CanvasFactory;
+
+  /** A block of the source aligned with a block of the output. */
+  export interface FidelityChange {
+    type: 'equal' | 'modified' | 'removed' | 'added';
+    source: string | null; // null for an added block
+    output: string | null; // null for a removed block
+    similarity: number; // 0-1
+  }
+
+  export interface FidelityDiscrepancy {
+    kind: 'number' | 'proper-noun' | 'sentence';
+    change: 'missing' | 'added'; // In the source but not the output, or the other way round
+    text: string;
+    context: string; // The sentence the number or name occurs in
+    changeIndex: number; // Index in FidelityReport.changes
+  }
+
+  interface FidelityMetrics {
+    source: number;
+    output: number;
+    missing: number;
+    added: number;
+    score: number | null; // null when neither text has any
+  }
+
+  export interface FidelityReport {
+    score: number; // 0-1, 1 when nothing was dropped or invented
+    discrepancies: FidelityDiscrepancy[];
+    changes: FidelityChange[];
+    metrics: Record<'number' | 'proper-noun' | 'sentence', FidelityMetrics>;
+  }
+
+  interface FidelityOptions {
+    sentenceThreshold?: number; // Share of a sentence's words found in one sentence on the other side for it to match, default 0.5
+    blockSimilarity?: number; // Minimum similarity for two blocks to be aligned, default 0.3
+  }
+
+  function checkFidelity(sourceText: string, outputText: string, options?: FidelityOptions): FidelityReport;
+  /** The output with the changes at the `reverted` indices restored to their source blocks. */
+  function applyChanges(changes: FidelityChange[], reverted?: Iterable<number>): string;
+
+  function documentToMarkdown(doc: Extract2MDDocument, options?: { pageMarkers?: boolean | 'comment' | 'anchor'; frontMatter?: boolean }): string;
+
+  /** Inline Markdown as parseInline() returns it. */
+  export type Inline =
+    | { type: 'text'; text: string }
+    | { type: 'strong' | 'em' | 'del'; children: Inline[] }
+    | { type: 'code'; text: string }
+    | { type: 'link'; href: string; children: Inline[] }
+    | { type: 'image'; src: string; alt: string }
+    | { type: 'footnoteRef'; label: string }
+    | { type: 'break' };
+
+  export interface PreviewList {
+    ordered: boolean;
+    start: number;
+    items: { content: Inline[]; children: PreviewList | null }[];
+  }
+
+  export type TableAlign = 'left' | 'center' | 'right' | null;
+
+  /** A block of Markdown as parseMarkdown() returns it. */
+  export type MarkdownBlock =
+    | { type: 'heading'; level: number; content: Inline[]; anchor: string }
+    | { type: 'paragraph'; content: Inline[] }
+    | { type: 'list'; list: PreviewList }
+    | { type: 'table'; header: Inline[][]; rows: Inline[][][]; align: TableAlign[] }
+    | { type: 'code'; language: string; text: string }
+    | { type: 'quote'; content: Inline[] }
+    | { type: 'rule' }
+    | { type: 'footnote'; label: string; content: Inline[] }
+    | { type: 'frontMatter'; text: string }
+    | { type: 'pageMarker'; pageNumber: number }
+    | { type: 'html'; text: string };
+
+  export type PreviewBlock = MarkdownBlock & {
+    page: number | null; // The PDF page the block came from, when it could be found
+    bbox: BoundingBox | null;
+  };
+
+  function parseMarkdown(markdown: string): MarkdownBlock[];
+  function parseInline(text: string): Inline[];
+  function inlineText(inlines: Inline[]): string;
+  function blockText(block: MarkdownBlock): string;
+  /** Each block with the page and bounding box of the document block it came from. */
+  function locateBlocks(blocks: MarkdownBlock[], doc: Extract2MDDocument | null): PreviewBlock[];
+
+  /** Base class of the errors the converter throws; `code` is stable and safe to branch on. */
+  class Extract2MDError extends Error {
+    name: string;
+    code: string;
+  }
+
+  class AbortError extends Extract2MDError {
+    name: 'AbortError';
+    code: 'ABORT_ERR';
+    partialText?: string; // llmRewrite: output produced before the abort
+  }
+
+  class LLMRewriteError extends Extract2MDError {
+    name: 'LLMRewriteError';
+    code: 'LLM_REWRITE_FAILED';
+    partialText: string; // Output produced before the failure
+  }
+
+  class LLMOutputError extends Extract2MDError {
+    name: 'LLMOutputError';
+    code: 'LLM_OUTPUT_INVALID';
+    output: unknown; // What was extracted, null when a reply could not be parsed; the last notes from llmSummarize()
+    errors: string[]; // JSON parse error or schema violations, e.g. "$.year: expected integer, got string"
+  }
+
+  class ModelValidationError extends Extract2MDError {
+    name: 'ModelValidationError';
+    code: 'MODEL_VALIDATION_FAILED';
+    modelId: string;
+    problems: string[];
+  }
+
+  /** The PDF is encrypted and no (or a wrong) password was given, or its encryption is not supported. */
+  class EncryptedPDFError extends Extract2MDError {
+    name: 'EncryptedPDFError';
+    code: 'PDF_PASSWORD_REQUIRED' | 'PDF_PASSWORD_INCORRECT' | 'PDF_ENCRYPTION_UNSUPPORTED';
+  }
+
+  class NotAPDFError extends Extract2MDError {
+    name: 'NotAPDFError';
+    code: 'NOT_A_PDF';
+  }
+
+  /** The file starts like a PDF but is damaged or truncated. */
+  class CorruptPDFError extends Extract2MDError {
+    name: 'CorruptPDFError';
+    code: 'PDF_CORRUPT';
+  }
+
+  /** pdf.js, its worker or a Tesseract worker could not be loaded. */
+  class WorkerLoadError extends Extract2MDError {
+    name: 'WorkerLoadError';
+    code: 'WORKER_LOAD_FAILED';
+    worker: 'pdfjs' | 'tesseract' | 'extract2md';
+  }
+
+  /** The browser ran out of memory for a buffer, canvas or OCR engine. */
+  class OutOfMemoryError extends Extract2MDError {
+    name: 'OutOfMemoryError';
+    code: 'OUT_OF_MEMORY';
+  }
+
+  class WebLLMBackend implements LLMBackend {
+    constructor(options?: Omit<WebLLMBackendConfig, 'type'>);
+    registry: ModelRegistry;
+    defaultModel: null;
+    isLoaded(modelId?: string): boolean;
+    load(modelId: string, options?: { chatOpts?: unknown; onProgress?: (report: LLMLoadProgress) => void }): Promise<void>;
+    generate(prompt: string, options: LLMGenerateOptions): Promise<string>;
+    interrupt(): Promise<void>;
+    unload(): Promise<void>;
+  }
+
+  class OpenAICompatibleBackend implements LLMBackend {
+    constructor(options: Omit<OpenAICompatibleBackendConfig, 'type'>);
+    defaultModel: string | null;
+    isLoaded(modelId?: string): boolean;
+    load(modelId: string): Promise<void>;
+    generate(prompt: string, options: LLMGenerateOptions): Promise<string>;
+    interrupt(): Promise<void>;
+    unload(): Promise<void>;
+  }
+
+  class MockLLMBackend implements LLMBackend {
+    constructor(options?: Omit<MockLLMBackendConfig, 'type'>);
+    defaultModel: string;
+    calls: { prompt: string; model: string }[];
+    isLoaded(modelId?: string): boolean;
+    load(modelId: string, options?: { onProgress?: (report: LLMLoadProgress) => void }): Promise<void>;
+    generate(prompt: string, options: LLMGenerateOptions): Promise<string>;
+    interrupt(): Promise<void>;
+    unload(): Promise<void>;
   }
 
   class Extract2MDConverter {
     constructor(options?: Extract2MDOptions);
+    llmBackend: LLMBackend;
+    modelRegistry: ModelRegistry;
 
-    quickConvert(pdfFile: File, options?: ConvertOptions): Promise<string>;
-    highAccuracyConvert(pdfFile: File, options?: HighAccuracyConvertOptions): Promise<string>;
+    quickConvert(pdfFile: PdfInput, options: QuickConvertOptions & { includeDocument: true }): Promise<ConvertResult>;
+    quickConvert(pdfFile: PdfInput, options: QuickConvertOptions & { extractImages: true }): Promise<ImageConvertResult>;
+    quickConvert(pdfFile: PdfInput, options?: QuickConvertOptions): Promise<string>;
+    highAccuracyConvert(pdfFile: PdfInput, options: HighAccuracyConvertOptions & { includeDocument: true }): Promise<ConvertResult>;
+    highAccuracyConvert(pdfFile: PdfInput, options: HighAccuracyConvertOptions & { extractImages: true }): Promise<ImageConvertResult>;
+    highAccuracyConvert(pdfFile: PdfInput, options?: HighAccuracyConvertOptions): Promise<string>;
+    smartConvert(pdfFile: PdfInput, options: SmartConvertOptions & { includeDocument: true }): Promise<ConvertResult>;
+    smartConvert(pdfFile: PdfInput, options: SmartConvertOptions & { extractImages: true }): Promise<ImageConvertResult>;
+    smartConvert(pdfFile: PdfInput, options?: SmartConvertOptions): Promise<string>;
+    /** Renders page `pageNumber` (1-based) as an image, e.g. to show next to its Markdown. */
+    renderPage(pdfFile: PdfInput, pageNumber: number, options?: RenderPageOptions): Promise<RenderedPage>;
+    /** Opens a PDF once to render several of its pages with renderDocumentPage(); closeDocument() releases it. */
+    openDocument(pdfFile: PdfInput, options?: Pick<ConvertOptions, 'signal' | 'password' | 'onPassword'>): Promise<OpenedDocument>;
+    renderDocumentPage(documentId: number, pageNumber: number, options?: Omit<RenderPageOptions, 'password' | 'onPassword'>): Promise<RenderedPage>;
+    closeDocument(documentId: number): Promise<void>;
     llmRewrite(textToRewrite: string, options?: LLMRewriteOptions): Promise<string>;
+    llmFixStructure(text: string, options?: LLMFixStructureOptions): Promise<string>;
+    llmTranslate(text: string, options: LLMTranslateOptions): Promise<string>;
+    llmSummarize(text: string, options?: LLMSummarizeOptions): Promise<string>;
+    llmExtract<T = Record<string, unknown>>(text: string, options: LLMExtractOptions): Promise<T>;
+    llmTask(task: 'rewrite' | 'structure-fix', text: string, options?: LLMRewriteOptions): Promise<string>;
+    llmTask(task: 'translate', text: string, options: LLMTranslateOptions): Promise<string>;
+    llmTask(task: 'summarize', text: string, options?: LLMSummarizeOptions): Promise<string>;
+    llmTask<T = Record<string, unknown>>(task: 'extract', text: string, options: LLMExtractOptions): Promise<T>;
+    checkFidelity(sourceText: string, outputText: string, options?: FidelityOptions): FidelityReport;
     unloadLLM(): Promise<void>;
+    terminateOcrWorkers(): Promise<void>;
+    dispose(): Promise<void>;
   }
 
+  /** Extract2MDConverter's API, with the converter running in a Web Worker. */
+  class Extract2MDWorkerClient {
+    constructor(options?: Extract2MDWorkerClientOptions);
+    worker: Worker;
+    modelRegistry: ModelRegistry;
+    quickConvert: Extract2MDConverter['quickConvert'];
+    highAccuracyConvert: Extract2MDConverter['highAccuracyConvert'];
+    smartConvert: Extract2MDConverter['smartConvert'];
+    renderPage: Extract2MDConverter['renderPage'];
+    openDocument: Extract2MDConverter['openDocument'];
+    renderDocumentPage: Extract2MDConverter['renderDocumentPage'];
+    closeDocument: Extract2MDConverter['closeDocument'];
+    llmRewrite: Extract2MDConverter['llmRewrite'];
+    llmFixStructure: Extract2MDConverter['llmFixStructure'];
+    llmTranslate: Extract2MDConverter['llmTranslate'];
+    llmSummarize: Extract2MDConverter['llmSummarize'];
+    llmExtract: Extract2MDConverter['llmExtract'];
+    llmTask: Extract2MDConverter['llmTask'];
+    checkFidelity(sourceText: string, outputText: string, options?: FidelityOptions & { signal?: AbortSignal }): Promise<FidelityReport>; // Runs in the worker
+    unloadLLM(): Promise<void>;
+    terminateOcrWorkers(): Promise<void>;
+    dispose(): Promise<void>; // Also ends the worker
+    terminate(): void; // Ends the worker at once, rejecting running calls with an AbortError
+  }
+
+  export { Extract2MDConverter, documentToMarkdown, parseMarkdown, parseInline, inlineText, blockText, locateBlocks, checkFidelity, applyChanges, createZip, createMarkdownBundle, Extract2MDError, AbortError, LLMRewriteError, LLMOutputError, ModelValidationError, EncryptedPDFError, NotAPDFError, CorruptPDFError, WorkerLoadError, OutOfMemoryError, PasswordResponses, ModelRegistry, WebLLMBackend, OpenAICompatibleBackend, MockLLMBackend, domCanvasFactory, offscreenCanvasFactory, createNodeCanvasFactory, Extract2MDWorkerClient };
   export default Extract2MDConverter;
+}
+
+/** The Node.js entry point: the same API, with a converter that renders pages with @napi-rs/canvas or
+ * node-canvas, reads file paths, and loads the pdf.js and Tesseract.js workers and language data locally. */
+declare module 'extract2md/node' {
+  export * from 'extract2md';
+  export { default } from 'extract2md';
 }
\ No newline at end of file